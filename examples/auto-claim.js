@@ -0,0 +1,199 @@
+/**
+ * PumpDev API Example: Creator Fee Auto-Claimer
+ *
+ * A daemon around lib/claimer.js for one or many creator wallets:
+ * 1. Polls claimable creator fees and cashback (GET /api/claim-account,
+ *    GET /api/claim-cashback)
+ * 2. Claims only when the amount net of the claim's own fees reaches
+ *    CLAIM_MIN_NET — per mint with fee sharing (/api/claim-distribute),
+ *    several mints at once (/api/claim-all) or plain /api/claim-account
+ * 3. Keeps claimed totals per wallet in a state file and the trade ledger
+ * 4. Optionally forwards claimed SOL to a treasury with /api/transfer
+ *
+ * Unlike claim-fees.js's automatedClaiming, nothing is claimed while the
+ * fees would eat most of it.
+ *
+ * Commands:
+ *   node auto-claim.js          run until Ctrl+C
+ *   node auto-claim.js once     one poll, then exit (for cron)
+ *   node auto-claim.js status   claimed totals from the state file
+ *
+ * Settings (environment):
+ *   CLAIM_GROUP        - Keystore group of creator wallets (needs KEYSTORE_FILE);
+ *                        without it the signer wallet is used (lib/signer.js)
+ *   CLAIM_MINTS        - "creator1=mintA|mintB,creator2=mintC"; bare mints
+ *                        ("mintA,mintB") apply to a single wallet
+ *   CLAIM_MIN_NET      - Minimum SOL net of fees per claim (default 0.01)
+ *   CLAIM_CASHBACK     - "false" to leave cashback alone (default true)
+ *   CLAIM_INTERVAL_MIN - Minutes between polls (default 60)
+ *   FORWARD_TO         - Treasury address or keystore wallet name (default: keep in place)
+ *   FORWARD_MIN        - Forward once a wallet has this much unforwarded (default 0.05 SOL)
+ *   CLAIM_STATE_FILE   - Claimed totals (default claimer-state.json)
+ *   LEDGER_FILE        - Claims and forwards are recorded here (default ledger.jsonl)
+ *   DISTRIBUTIONS_FILE - Fee-sharing payouts per shareholder (default distributions.jsonl,
+ *                        see fee-sharing-report.js)
+ *
+ * Documentation: https://pumpdev.io/claim-fees
+ */
+
+import dotenv from "dotenv";
+dotenv.config();
+
+import { Connection, PublicKey } from "@solana/web3.js";
+import { PumpDevClient } from "./lib/client.js";
+import { FeeClaimer } from "./lib/claimer.js";
+import { DistributionLog } from "./lib/distributions.js";
+import { Keystore } from "./lib/keystore.js";
+import { Ledger } from "./lib/ledger.js";
+import { signerFromEnv } from "./lib/signer.js";
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const client = new PumpDevClient(); // uses PUMPDEV_API_URL or https://pumpdev.io
+const RPC_URL = process.env.RPC_URL || "https://api.mainnet-beta.solana.com";
+const LEDGER_FILE = process.env.LEDGER_FILE || "ledger.jsonl";
+const STATE_FILE = process.env.CLAIM_STATE_FILE || "claimer-state.json";
+const MIN_NET_SOL = Number(process.env.CLAIM_MIN_NET || 0.01);
+const INTERVAL_MIN = Number(process.env.CLAIM_INTERVAL_MIN || 60);
+const FORWARD_MIN = Number(process.env.FORWARD_MIN || 0.05);
+const DISTRIBUTIONS_FILE = process.env.DISTRIBUTIONS_FILE || "distributions.jsonl";
+
+/** "a=m1|m2,b=m3" → { a: [m1, m2], b: [m3] }; bare mints land under "*" */
+function parseMints(spec = "") {
+  const mints = {};
+  for (const part of spec.split(",").map((s) => s.trim()).filter(Boolean)) {
+    const [name, list] = part.includes("=") ? part.split("=") : ["*", part];
+    (mints[name.trim()] ??= []).push(...list.split("|").map((m) => m.trim()).filter(Boolean));
+  }
+  return mints;
+}
+
+async function loadWallets(keystore) {
+  const mints = parseMints(process.env.CLAIM_MINTS);
+  const cashback = process.env.CLAIM_CASHBACK !== "false";
+  const group = process.env.CLAIM_GROUP;
+
+  let wallets;
+  if (group) {
+    if (!keystore) throw new Error("CLAIM_GROUP needs KEYSTORE_FILE (see wallets.js)");
+    wallets = [];
+    for (const w of keystore.list({ group })) {
+      const signer = await signerFromEnv({ name: w.name, keystore, privateKey: null });
+      if (!signer) throw new Error(`No signer for "${w.name}" on the remote signer`);
+      wallets.push({ name: w.name, signer });
+    }
+    if (wallets.length === 0) throw new Error(`No wallets in group "${group}"`);
+  } else {
+    const signer = await signerFromEnv({ keystore });
+    if (!signer) throw new Error("No wallet configured — set PRIVATE_KEY, KEYSTORE_FILE or REMOTE_SIGNER_URL");
+    wallets = [{ name: process.env.SIGNER_WALLET || "main", signer }];
+  }
+
+  if (mints["*"] && wallets.length > 1) {
+    throw new Error('With several wallets, give CLAIM_MINTS per wallet: "creator1=mintA|mintB"');
+  }
+  return wallets.map((w) => ({ ...w, mints: mints[w.name] ?? mints["*"] ?? [], cashback }));
+}
+
+function resolveForward(keystore) {
+  const target = process.env.FORWARD_TO;
+  if (!target) return null;
+  const wallet = keystore?.find(target);
+  return wallet ? wallet.publicKey : new PublicKey(target).toBase58();
+}
+
+// ============================================================================
+// REPORTING
+// ============================================================================
+
+function printTotals(claimer) {
+  console.log(`${"wallet".padEnd(12)} ${"creator".padStart(10)} ${"shared".padStart(10)} ${"cashback".padStart(10)} ${"forwarded".padStart(10)} ${"pending".padStart(10)}  last claim`);
+  for (const t of claimer.totals()) {
+    const sol = (n) => n.toFixed(4).padStart(10);
+    const last = t.lastClaimTs ? new Date(t.lastClaimTs).toISOString() : "never";
+    console.log(`${t.name.padEnd(12)} ${sol(t.creatorSol)} ${sol(t.distributeSol)} ${sol(t.cashbackSol)} ${sol(t.forwardedSol)} ${sol(t.pendingForwardSol)}  ${last}`);
+  }
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+  const command = process.argv[2] || "run";
+  const keystore = process.env.KEYSTORE_FILE
+    ? await Keystore.open(process.env.KEYSTORE_FILE, process.env.KEYSTORE_PASSWORD)
+    : null;
+
+  const wallets = await loadWallets(keystore);
+  const forwardTo = resolveForward(keystore);
+  const connection = new Connection(RPC_URL, "confirmed");
+  const claimer = new FeeClaimer({
+    client,
+    connection,
+    wallets,
+    minNetSol: MIN_NET_SOL,
+    forwardTo,
+    forwardMinSol: FORWARD_MIN,
+    stateFile: STATE_FILE,
+    ledger: new Ledger({ file: LEDGER_FILE }),
+  });
+
+  if (command === "status") return printTotals(claimer);
+
+  const distributions = new DistributionLog({ file: DISTRIBUTIONS_FILE });
+  const stamp = () => new Date().toISOString().slice(11, 19);
+  const label = (name, kind, mint) => `${name} ${kind}${mint ? ` ${mint.slice(0, 8)}...` : ""}`;
+  claimer.on("checked", ({ name, kind, mint, claimableSol, feesSol, netSol }) => {
+    console.log(`[${stamp()}] 🔎 ${label(name, kind, mint)}: ${claimableSol.toFixed(6)} claimable, ${feesSol.toFixed(6)} fees, ${netSol.toFixed(6)} net`);
+  });
+  claimer.on("skipped", ({ name, kind, mint, reason }) => console.log(`[${stamp()}] ⏭️  ${label(name, kind, mint)}: ${reason}`));
+  claimer.on("claimed", ({ name, kind, mint, signature, receivedSol }) => {
+    console.log(`[${stamp()}] ✅ ${label(name, kind, mint)}: +${receivedSol.toFixed(6)} SOL ${signature.slice(0, 20)}...`);
+    if (kind !== "distribute") return;
+    const publicKey = wallets.find((w) => w.name === name).signer.publicKey.toBase58();
+    client
+      .getClaimAccount({ publicKey, mint })
+      .then(({ shareholders }) => distributions.record(connection, signature, { mint, shareholders }))
+      .catch((err) => console.error("Distributions: could not record", signature, "-", err.message));
+  });
+  claimer.on("claimFailed", ({ name, kind, mint, error }) => console.log(`[${stamp()}] ❌ ${label(name, kind, mint)}: ${error.message}`));
+  claimer.on("forwarded", ({ name, amountSol, signature }) => {
+    console.log(`[${stamp()}] 📤 ${name}: ${amountSol.toFixed(6)} SOL forwarded ${signature.slice(0, 20)}...`);
+  });
+  claimer.on("forwardFailed", ({ name, error }) => console.log(`[${stamp()}] ❌ ${name} forward: ${error.message}`));
+
+  console.log("=== CREATOR FEE AUTO-CLAIMER ===\n");
+  for (const w of wallets) {
+    console.log(`  ${w.name.padEnd(12)} ${w.signer.publicKey.toBase58()}  ${w.mints.length ? `${w.mints.length} mint(s)` : "all fees"}`);
+  }
+  console.log(`\nClaim when net ≥ ${MIN_NET_SOL} SOL${forwardTo ? `, forward to ${forwardTo} from ${FORWARD_MIN} SOL` : ""}\n`);
+
+  if (command === "once") {
+    await claimer.poll();
+    console.log();
+    printTotals(claimer);
+    return;
+  }
+
+  claimer.on("poll", ({ claimedSol, forwardedSol }) => {
+    console.log(`[${stamp()}] Poll done: +${claimedSol.toFixed(6)} claimed, ${forwardedSol.toFixed(6)} forwarded. Next in ${INTERVAL_MIN} min.`);
+  });
+  claimer.on("pollFailed", ({ error }) => console.log(`[${stamp()}] ❌ Poll failed: ${error.message}. Retrying in ${INTERVAL_MIN} min.`));
+  claimer.start(INTERVAL_MIN * 60_000);
+
+  process.on("SIGINT", () => {
+    console.log("\nStopping...\n");
+    claimer.stop();
+    claimer.save();
+    printTotals(claimer);
+    process.exit(0);
+  });
+}
+
+main().catch((err) => {
+  console.error("❌ Error:", err.message);
+  process.exit(1);
+});
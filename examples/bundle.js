@@ -11,103 +11,90 @@
  * 3. Sell 100%
  * 4. Create token + dev buy
  * 5. Create token + multiple buyers
+ * 6. Group buy — every wallet in a keystore group buys in one bundle
+ *
+ * Wallets are signers (lib/signer.js) and come from PRIVATE_KEY /
+ * PRIVATE_KEY_2, from the encrypted keystore when KEYSTORE_FILE is set (see
+ * wallets.js), or from a remote signing service when REMOTE_SIGNER_URL is
+ * set: WALLET_1 / WALLET_2 name the wallets to use (default "main" / "main2").
+ *
+ * Every bundle the API returns is checked against the request
+ * (lib/inspect.js verifyBundle) before any wallet signs it.
  *
  * Documentation: https://pumpdev.io/lightning-bundle#local-sign-apibundle
  */
 
-import { VersionedTransaction, Keypair } from "@solana/web3.js";
-import bs58 from "bs58";
 import dotenv from "dotenv";
 dotenv.config();
 
+import { PumpDevClient } from "./lib/client.js";
+import { JitoBundleSubmitter } from "./lib/jito.js";
+import { signBundleAsync } from "./lib/bundle-signer.js";
+import { bundleExpectations, verifyBundle } from "./lib/inspect.js";
+import { Keystore } from "./lib/keystore.js";
+import { signerFromEnv } from "./lib/signer.js";
+
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
 
-const API_URL = process.env.PUMPDEV_API_URL || "https://pumpdev.io";
-const JITO_URL = "https://mainnet.block-engine.jito.wtf";
+const client = new PumpDevClient(); // uses PUMPDEV_API_URL or https://pumpdev.io
+const jito = new JitoBundleSubmitter(); // all regional block engines in parallel
 
-// Load wallets from private keys
+// Load wallets from a remote signer, the encrypted keystore, or plaintext private keys
+const KEYSTORE_FILE = process.env.KEYSTORE_FILE;
 const PRIVATE_KEY = process.env.PRIVATE_KEY;
 const PRIVATE_KEY_2 = process.env.PRIVATE_KEY_2;
 
-const wallet1 = PRIVATE_KEY
-  ? Keypair.fromSecretKey(bs58.decode(PRIVATE_KEY))
-  : null;
-const wallet2 = PRIVATE_KEY_2
-  ? Keypair.fromSecretKey(bs58.decode(PRIVATE_KEY_2))
+const keystore = KEYSTORE_FILE
+  ? await Keystore.open(KEYSTORE_FILE, process.env.KEYSTORE_PASSWORD)
   : null;
 
+function loadWallet(name, privateKey) {
+  return signerFromEnv({ name, privateKey: privateKey ?? null, keystore });
+}
+
+const wallet1 = await loadWallet(process.env.WALLET_1 || "main", PRIVATE_KEY);
+const wallet2 = await loadWallet(process.env.WALLET_2 || "main2", PRIVATE_KEY_2);
+
 const TOKEN_MINT = process.env.TOKEN_MINT || "TokenMintAddress";
 
 // ============================================================================
 // HELPERS
 // ============================================================================
 
-/** Call /api/bundle and return the response data. */
+/**
+ * Call /api/bundle and return the response data (transactions deserialized).
+ * Every transaction is checked against `body` first (payer, mint, buy size
+ * within slippage, tip, commission, no other transfers out of the wallet) —
+ * throws TransactionVerificationError before anything is signed.
+ */
 async function callBundle(body) {
-  const res = await fetch(`${API_URL}/api/bundle`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(body),
-  });
-
-  const data = await res.json();
-  if (res.status !== 200) {
-    throw new Error(data.error || `HTTP ${res.status}`);
-  }
+  const data = await client.bundle(body);
+  verifyBundle(data, bundleExpectations(body, data.mint));
   return data;
 }
 
 /**
  * Sign all transactions in the bundle response.
- * For create txs, signs with both wallet and mint keypair.
- * For buy/sell txs, signs with wallet only.
+ * Reads each entry's `signers` (plus the message header) and checks that every
+ * required key is in walletMap — or is the mint keypair for create txs — before
+ * signing anything. Throws MissingSignersError listing the missing pubkeys.
+ * Each signer is asked once for all of its transactions.
  */
 function signTransactions(data, walletMap) {
-  const mintKeypair = data.mintSecretKey
-    ? Keypair.fromSecretKey(bs58.decode(data.mintSecretKey))
-    : null;
-
-  return data.transactions.map((entry) => {
-    const tx = VersionedTransaction.deserialize(
-      bs58.decode(entry.transaction),
-    );
-
-    // Determine signers for this tx
-    const signers = [];
-    const walletPubkey = entry.publicKey;
-    const wallet = walletMap[walletPubkey];
-    if (wallet) signers.push(wallet);
-
-    // Create txs also need the mint keypair
-    if (entry.type === "create" && mintKeypair) {
-      signers.push(mintKeypair);
-    }
-
-    tx.sign(signers);
-    return bs58.encode(tx.serialize());
-  });
+  return signBundleAsync(data, walletMap);
 }
 
-/** Send signed transactions to Jito as a bundle. */
+/**
+ * Send signed transactions to Jito as a bundle and wait for it to land.
+ * Returns { bundleId, slot, signatures } — throws JitoBundleError if dropped.
+ */
 async function sendToJito(signedTxs) {
-  const res = await fetch(`${JITO_URL}/api/v1/bundles`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      jsonrpc: "2.0",
-      id: 1,
-      method: "sendBundle",
-      params: [signedTxs],
-    }),
-  });
-
-  const result = await res.json();
-  if (result.error) {
-    throw new Error(`Jito error: ${JSON.stringify(result.error)}`);
-  }
-  return result.result;
+  const landed = await jito.submit(signedTxs);
+  console.log("  Bundle ID:", landed.bundleId);
+  console.log(`  Landed in slot ${landed.slot}`);
+  return landed;
 }
 
 // ============================================================================
@@ -140,11 +127,10 @@ async function singleBuy(wallet, mint) {
 
   // 2. Sign locally
   const walletMap = { [wallet.publicKey.toBase58()]: wallet };
-  const signedTxs = signTransactions(data, walletMap);
+  const signedTxs = await signTransactions(data, walletMap);
 
   // 3. Send to Jito
-  const bundleId = await sendToJito(signedTxs);
-  console.log("  Bundle ID:", bundleId);
+  await sendToJito(signedTxs);
   return data;
 }
 
@@ -179,10 +165,8 @@ async function multiWalletBuy(w1, w2, mint) {
     [w1.publicKey.toBase58()]: w1,
     [w2.publicKey.toBase58()]: w2,
   };
-  const signedTxs = signTransactions(data, walletMap);
-  const bundleId = await sendToJito(signedTxs);
-
-  console.log("  Bundle ID:", bundleId);
+  const signedTxs = await signTransactions(data, walletMap);
+  await sendToJito(signedTxs);
   return data;
 }
 
@@ -204,10 +188,8 @@ async function sellAll(wallet, mint) {
   console.log(`Built ${data.transactions.length} unsigned tx(s)`);
 
   const walletMap = { [wallet.publicKey.toBase58()]: wallet };
-  const signedTxs = signTransactions(data, walletMap);
-  const bundleId = await sendToJito(signedTxs);
-
-  console.log("  Bundle ID:", bundleId);
+  const signedTxs = await signTransactions(data, walletMap);
+  await sendToJito(signedTxs);
   return data;
 }
 
@@ -245,16 +227,16 @@ async function createAndBuy(wallet) {
   console.log("  mintSecretKey provided:", !!data.mintSecretKey);
 
   const walletMap = { [wallet.publicKey.toBase58()]: wallet };
-  const signedTxs = signTransactions(data, walletMap);
-  const bundleId = await sendToJito(signedTxs);
+  const signedTxs = await signTransactions(data, walletMap);
+  await sendToJito(signedTxs);
 
-  console.log("  Bundle ID:", bundleId);
   console.log(`  https://pump.fun/${data.mint}`);
   return data;
 }
 
 /**
  * Example 5: Create token + multiple buyers atomically.
+ * launch.js does the same from a plan file, for any wallets and amounts.
  */
 async function createWithMultipleBuyers(creator, sniper) {
   console.log("=== CREATE + MULTIPLE BUYERS (Local Sign + Jito) ===\n");
@@ -290,14 +272,41 @@ async function createWithMultipleBuyers(creator, sniper) {
     [creator.publicKey.toBase58()]: creator,
     [sniper.publicKey.toBase58()]: sniper,
   };
-  const signedTxs = signTransactions(data, walletMap);
-  const bundleId = await sendToJito(signedTxs);
+  const signedTxs = await signTransactions(data, walletMap);
+  await sendToJito(signedTxs);
 
-  console.log("  Bundle ID:", bundleId);
   console.log(`  https://pump.fun/${data.mint}`);
   return data;
 }
 
+/**
+ * Example 6: Group buy — up to 4 wallets from a keystore group buy in one
+ * bundle. The keystore's walletMap holds every key in the group.
+ */
+async function groupBuy(group, mint, amountSol = 0.01) {
+  console.log(`=== GROUP BUY: ${group} (Local Sign + Jito) ===\n`);
+
+  const wallets = keystore.list({ group }).slice(0, 4);
+  if (wallets.length === 0) throw new Error(`No wallets in group "${group}"`);
+
+  const data = await callBundle({
+    accounts: wallets.map((w) => ({
+      publicKey: w.publicKey,
+      type: "buy",
+      amount: amountSol,
+      denominatedInSol: "true",
+    })),
+    mint,
+    jitoTip: 0.01,
+  });
+
+  console.log(`Built ${data.transactions.length} unsigned tx(s) for ${wallets.map((w) => w.name).join(", ")}`);
+
+  const signedTxs = await signTransactions(data, keystore.walletMap({ group }));
+  await sendToJito(signedTxs);
+  return data;
+}
+
 // ============================================================================
 // MAIN
 // ============================================================================
@@ -308,7 +317,9 @@ async function main() {
 
   if (!wallet1) {
     console.log("Set PRIVATE_KEY in .env to run examples.");
-    console.log("Example: PRIVATE_KEY=YourBase58PrivateKey\n");
+    console.log("Example: PRIVATE_KEY=YourBase58PrivateKey");
+    console.log("Or use an encrypted keystore: node wallets.js init && node wallets.js import-env");
+    console.log("Or a remote signing service: REMOTE_SIGNER_URL (see signer-server.js)\n");
     process.exit(0);
   }
 
@@ -330,6 +341,9 @@ async function main() {
     // 5. Create + multiple buyers (needs PRIVATE_KEY_2)
     // await createWithMultipleBuyers(wallet1, wallet2);
 
+    // 6. Group buy (needs KEYSTORE_FILE and a "bundlers" group)
+    // await groupBuy("bundlers", TOKEN_MINT);
+
     console.log("Uncomment an example in main() to run it.\n");
   } catch (err) {
     console.error("\nError:", err.message);
@@ -7,6 +7,17 @@
  * 3. Send to Solana network
  * 4. Execute a sell transaction
  * 5. Execute FAST bundle sell (multiple accounts in ONE request)
+ * 6. Hand the position to the exit manager (take-profit ladder, stop-loss,
+ *    trailing stop, max hold, migration) — main() does this after the buy
+ * 7. Record confirmed buys and sells in a ledger (LEDGER_FILE) with fees
+ *    and cost basis — see ledger-report.js for PnL and CSV export
+ *
+ * The wallet is a signer (lib/signer.js): a remote signing service when
+ * REMOTE_SIGNER_URL is set, the keystore wallet SIGNER_WALLET (default
+ * "main") when KEYSTORE_FILE is set, otherwise PRIVATE_KEY.
+ *
+ * Set DRY_RUN=true (or pass { dryRun: true }) to simulate the signed
+ * transaction instead of sending it — nothing is broadcast, no SOL spent.
  *
  * Documentation: https://pumpdev.io/trade-api
  */
@@ -14,89 +25,167 @@
 import dotenv from "dotenv";
 dotenv.config();
 
-import { VersionedTransaction, Connection, Keypair } from "@solana/web3.js";
-import bs58 from "bs58";
+import { Connection } from "@solana/web3.js";
+import { PumpDevClient } from "./lib/client.js";
+import {
+  InstructionError,
+  SLIPPAGE_ERRORS,
+  TransactionVerificationError,
+} from "./lib/errors.js";
+import { formatInstructions, verifyTransaction } from "./lib/inspect.js";
+import { Ledger } from "./lib/ledger.js";
+import { PositionManager } from "./lib/positions.js";
+import { TransactionSender, rebuildFromTradeLocal } from "./lib/sender.js";
+import { signerFromEnv, toSigner } from "./lib/signer.js";
+import { formatSimulation, simulateSigned } from "./lib/simulate.js";
+import { tokenBalance } from "./lib/tokens.js";
+import { PumpDevFeed } from "./lib/ws-events.js";
 
 // Configuration
-const API_URL = process.env.PUMPDEV_API_URL || "https://pumpdev.io";
+const client = new PumpDevClient(); // uses PUMPDEV_API_URL or https://pumpdev.io
 const RPC_URL = process.env.RPC_URL || "https://api.mainnet-beta.solana.com";
-const PRIVATE_KEY = process.env.PRIVATE_KEY;
-
-// Validate environment
-if (!PRIVATE_KEY) {
-  console.error("❌ PRIVATE_KEY not set in environment variables!");
-  console.error("   Copy .env.example to .env and add your private key");
+const DRY_RUN = process.env.DRY_RUN === "true";
+const LEDGER_FILE = process.env.LEDGER_FILE || "ledger.jsonl";
+
+// Signer: remote service, keystore wallet or PRIVATE_KEY
+const signer = await signerFromEnv();
+if (!signer) {
+  console.error("❌ No wallet configured!");
+  console.error("   Copy .env.example to .env and add your private key,");
+  console.error("   or set KEYSTORE_FILE / REMOTE_SIGNER_URL (see lib/signer.js)");
   process.exit(1);
 }
 
+/**
+ * Transaction sender with lifecycle logging
+ */
+function createSender() {
+  const connection = new Connection(RPC_URL, "confirmed");
+  const sender = new TransactionSender({ connection, commitment: "confirmed" });
+
+  sender.on("sent", ({ signature }) => {
+    console.log("\n✅ Transaction sent!");
+    console.log("Signature:", signature);
+  });
+  sender.on("rebroadcast", ({ attempt }) => {
+    console.log(`   ↻ Rebroadcast #${attempt}`);
+  });
+  sender.on("processed", ({ slot }) => console.log(`   Processed (slot ${slot})`));
+  sender.on("expired", () => console.log("   ⚠️ Blockhash expired"));
+  sender.on("rebuild", ({ rebuilds }) => {
+    console.log(`   Requesting fresh transaction (rebuild ${rebuilds})...`);
+  });
+
+  return sender;
+}
+
+/**
+ * Parse a confirmed trade from the chain into the ledger: SOL and token
+ * deltas, priority fee, Jito tip and commission
+ */
+async function recordInLedger(type, signature, wallet, mint) {
+  try {
+    const ledger = new Ledger({ file: LEDGER_FILE });
+    const connection = new Connection(RPC_URL, "confirmed");
+    const entry = await ledger.recordTransaction(connection, signature, { type, wallet, mint });
+    if (entry) {
+      console.log(`📒 Ledger: ${entry.solDelta.toFixed(6)} SOL, ${entry.tokenDelta.toLocaleString()} tokens → ${LEDGER_FILE}`);
+    }
+  } catch (err) {
+    console.error("Ledger: could not record", signature, "-", err.message);
+  }
+}
+
+/**
+ * Dry run: simulate the signed transaction and print the expected outcome.
+ * Returns the simulation result (deltas, compute units, logs, decoded error).
+ */
+async function dryRun(tx, mint) {
+  const connection = new Connection(RPC_URL, "confirmed");
+  console.log("\n🧪 DRY RUN — simulating, not sending");
+  const sim = await simulateSigned(connection, tx, { mint });
+  formatSimulation(sim).forEach((line) => console.log("   " + line));
+  if (SLIPPAGE_ERRORS.has(sim.error?.name)) {
+    console.log("   Price would move past slippage — raise slippage or reduce size");
+  }
+  return sim;
+}
+
 /**
  * Buy tokens with SOL
  */
-async function buyToken(mint, amountSol) {
+async function buyToken(mint, amountSol, { dryRun: simulate = DRY_RUN } = {}) {
   console.log("=== BUY TOKEN ===\n");
 
-  const keypair = Keypair.fromSecretKey(bs58.decode(PRIVATE_KEY));
-  const publicKey = keypair.publicKey.toBase58();
+  const publicKey = signer.publicKey.toBase58();
 
   console.log("Wallet:", publicKey);
   console.log("Token:", mint);
   console.log("Amount:", amountSol, "SOL");
 
-  // 1. Build buy transaction from API
-  const response = await fetch(`${API_URL}/api/trade-local`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      publicKey: publicKey,
-      action: "buy",
-      mint: mint,
-      amount: amountSol,
-      denominatedInSol: "true",
-      slippage: 15, // 15% slippage tolerance
-    }),
-  });
-
-  if (response.status !== 200) {
-    const error = await response.json();
-    console.error("API Error:", error);
+  // 1. Build buy transaction from API (returned unsigned)
+  const params = {
+    publicKey: publicKey,
+    action: "buy",
+    mint: mint,
+    amount: amountSol,
+    denominatedInSol: "true",
+    slippage: 15, // 15% slippage tolerance
+  };
+  let tx;
+  try {
+    tx = await client.tradeLocal(params);
+  } catch (err) {
+    console.error("API Error:", err.message);
     return null;
   }
 
-  // 2. Deserialize the unsigned transaction
-  const data = await response.arrayBuffer();
-  const tx = VersionedTransaction.deserialize(new Uint8Array(data));
-
-  console.log("Transaction received, signing locally...");
+  // 2. Check the transaction does what we asked before signing it:
+  //    right payer/mint, max SOL cost within slippage, commission ≤ 0.25%
+  const expected = {
+    kind: "buy",
+    payer: publicKey,
+    mint,
+    amountSol,
+    slippage: params.slippage,
+  };
+  const verify = (unsigned) => verifyTransaction(unsigned, expected);
+  try {
+    const decoded = verify(tx);
+    console.log("Transaction received and verified:");
+    formatInstructions(decoded).forEach((line) => console.log("  " + line));
+  } catch (err) {
+    if (err instanceof TransactionVerificationError) {
+      console.error("Refusing to sign:", err.problems.join("\n  "));
+      return null;
+    }
+    throw err;
+  }
 
   // 3. Sign with your wallet (keys never leave your machine)
-  tx.sign([keypair]);
+  await signer.signTransaction(tx);
+  if (simulate) return dryRun(tx, mint);
 
-  // 4. Send to Solana via your RPC
-  const connection = new Connection(RPC_URL, "confirmed");
+  // 4. Send to Solana via your RPC — rebroadcasts until confirmed, and
+  //    requests a fresh transaction if the blockhash expires first
+  const sender = createSender();
 
   try {
-    const signature = await connection.sendTransaction(tx, {
-      skipPreflight: false,
-      maxRetries: 3,
+    const { signature } = await sender.send(tx, {
+      rebuild: rebuildFromTradeLocal(client, params, [signer], { verify }),
     });
 
-    console.log("\n✅ Transaction sent!");
-    console.log("Signature:", signature);
-
-    // Wait for confirmation
-    const confirmation = await connection.confirmTransaction(
-      signature,
-      "confirmed",
-    );
-
-    if (confirmation.value.err) {
-      console.error("Transaction failed:", confirmation.value.err);
-      return null;
-    }
-
     console.log("Transaction confirmed!");
+    await recordInLedger("buy", signature, publicKey, mint);
     return signature;
   } catch (err) {
+    if (err instanceof InstructionError) {
+      console.error("Transaction failed:", err.message);
+      if (err.isSlippage) {
+        console.error("Price moved past slippage — retry with higher slippage");
+      }
+      return null;
+    }
     console.error("Send error:", err.message);
     return null;
   }
@@ -105,11 +194,10 @@ async function buyToken(mint, amountSol) {
 /**
  * Sell tokens for SOL
  */
-async function sellToken(mint, amountPercent = "100%") {
+async function sellToken(mint, amountPercent = "100%", { dryRun: simulate = DRY_RUN } = {}) {
   console.log("\n=== SELL TOKEN ===\n");
 
-  const keypair = Keypair.fromSecretKey(bs58.decode(PRIVATE_KEY));
-  const publicKey = keypair.publicKey.toBase58();
+  const publicKey = signer.publicKey.toBase58();
 
   console.log("Wallet:", publicKey);
   console.log("Token:", mint);
@@ -118,21 +206,24 @@ async function sellToken(mint, amountPercent = "100%") {
   // 1. Build sell transaction
   // Amount options: '100%', '50%', '25%', or exact token amount (number)
   console.log(
-    `\n⏱️  Requesting sell transaction from ${API_URL}/api/trade-local...`,
+    `\n⏱️  Requesting sell transaction from ${client.apiUrl}/api/trade-local...`,
   );
   const apiStartTime = Date.now();
-  const response = await fetch(`${API_URL}/api/trade-local`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      publicKey: publicKey,
-      action: "sell",
-      mint: mint,
-      amount: amountPercent,
-      denominatedInSol: "false",
-      slippage: 15,
-    }),
-  });
+  const params = {
+    publicKey: publicKey,
+    action: "sell",
+    mint: mint,
+    amount: amountPercent,
+    denominatedInSol: "false",
+    slippage: 15,
+  };
+  let tx;
+  try {
+    tx = await client.tradeLocal(params);
+  } catch (err) {
+    console.error("API Error:", err.message);
+    return null;
+  }
 
   const apiEndTime = Date.now();
   const apiDuration = apiEndTime - apiStartTime;
@@ -140,29 +231,31 @@ async function sellToken(mint, amountPercent = "100%") {
     `✅ API response received in ${apiDuration}ms (${(apiDuration / 1000).toFixed(2)}s)`,
   );
 
-  if (response.status !== 200) {
-    const error = await response.json();
-    console.error("API Error:", error);
+  // 2. Verify (payer, mint, amount against the balance, commission bounded
+  //    by the slippage floor), then sign
+  const expected = { kind: "sell", payer: publicKey, mint, slippage: params.slippage, amount: amountPercent };
+  const balance = await tokenBalance(new Connection(RPC_URL, "confirmed"), publicKey, mint).catch(() => null);
+  if (balance) Object.assign(expected, { balance: balance.uiAmount, decimals: balance.decimals ?? undefined });
+  const verify = (unsigned) => verifyTransaction(unsigned, expected);
+  try {
+    verify(tx);
+  } catch (err) {
+    console.error("Refusing to sign:", err.message);
     return null;
   }
+  await signer.signTransaction(tx);
+  if (simulate) return dryRun(tx, mint);
 
-  // 2. Deserialize and sign
-  const data = await response.arrayBuffer();
-  const tx = VersionedTransaction.deserialize(new Uint8Array(data));
-  tx.sign([keypair]);
-
-  // 3. Send to Solana
-  const connection = new Connection(RPC_URL, "confirmed");
+  // 3. Send to Solana and wait for confirmation
+  const sender = createSender();
 
   try {
-    const signature = await connection.sendTransaction(tx, {
-      skipPreflight: false,
-      maxRetries: 3,
+    const { signature } = await sender.send(tx, {
+      rebuild: rebuildFromTradeLocal(client, params, [signer], { verify }),
     });
 
-    console.log("\n✅ Sell transaction sent!");
-    console.log("Signature:", signature);
-
+    console.log("Sell confirmed!");
+    await recordInLedger("sell", signature, publicKey, mint);
     return signature;
   } catch (err) {
     console.error("Send error:", err.message);
@@ -175,6 +268,7 @@ async function sellToken(mint, amountPercent = "100%") {
  * 
  * This is 3-4x FASTER than making separate API calls for each account!
  * Use this when you need to sell from multiple wallets simultaneously.
+ * `accounts` are [{ name, keypair }] or [{ name, signer }].
  */
 async function sellBundleFast(mint, accounts, creatorPublicKey) {
   console.log("\n=== FAST BUNDLE SELL ===\n");
@@ -186,12 +280,11 @@ async function sellBundleFast(mint, accounts, creatorPublicKey) {
   // 1. Build ALL transactions in ONE API call (FAST!)
   console.log(`\n⏱️  Building ${accounts.length} transactions in ONE request...`);
   
-  const response = await fetch(`${API_URL}/api/trade-bundle`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
+  let result;
+  try {
+    result = await client.tradeBundle({
       accounts: accounts.map(acc => ({
-        publicKey: acc.keypair.publicKey.toBase58(),
+        publicKey: toSigner(acc.signer ?? acc.keypair).publicKey.toBase58(),
         name: acc.name,
       })),
       action: "sell",
@@ -200,16 +293,11 @@ async function sellBundleFast(mint, accounts, creatorPublicKey) {
       denominatedInSol: "false",
       slippage: 99,
       creator: creatorPublicKey, // SPEED: skip bonding curve lookup
-    }),
-  });
-
-  if (response.status !== 200) {
-    const error = await response.json();
-    console.error("API Error:", error);
+    });
+  } catch (err) {
+    console.error("API Error:", err.message);
     return null;
   }
-
-  const result = await response.json();
   const apiDuration = Date.now() - startTime;
   
   console.log(`✅ API response in ${apiDuration}ms`);
@@ -231,9 +319,17 @@ async function sellBundleFast(mint, accounts, creatorPublicKey) {
     if (!account) continue;
 
     try {
-      // Deserialize and sign
-      const tx = VersionedTransaction.deserialize(bs58.decode(txInfo.transaction));
-      tx.sign([account.keypair]);
+      // Verify, then sign (client already deserialized the base58 transaction)
+      const tx = txInfo.tx;
+      const accountSigner = toSigner(account.signer ?? account.keypair);
+      verifyTransaction(tx, {
+        kind: "sell",
+        payer: accountSigner.publicKey,
+        mint,
+        amount: "100%",
+        slippage: 99,
+      });
+      await accountSigner.signTransaction(tx);
 
       // Send (skipPreflight for speed)
       const signature = await connection.sendTransaction(tx, {
@@ -244,7 +340,7 @@ async function sellBundleFast(mint, accounts, creatorPublicKey) {
       console.log(`✅ ${txInfo.name} sent: ${signature.slice(0, 20)}...`);
       signatures.push({ name: txInfo.name, signature });
     } catch (err) {
-      console.error(`❌ ${txInfo.name} send error: ${err.message}`);
+      console.error(`❌ ${txInfo.name}: ${err.message}`);
     }
   }
 
@@ -255,6 +351,46 @@ async function sellBundleFast(mint, accounts, creatorPublicKey) {
   return signatures;
 }
 
+/**
+ * Exit manager: follow the token on the WebSocket feed and sell on the
+ * take-profit ladder, stop-loss, trailing stop, max hold or migration
+ * (see lib/positions.js for the exit options). Resolves once fully sold.
+ */
+async function manageExits(mint, exits, { costSol } = {}) {
+  console.log("\n=== MANAGE EXITS ===\n");
+  console.log("Token:", mint);
+  console.log("Exits:", JSON.stringify(exits));
+
+  const feed = new PumpDevFeed(); // uses PUMPDEV_WS_URL or wss://pumpdev.io/ws
+  const positions = new PositionManager({
+    feed,
+    // sellToken verifies, signs and sends (or simulates with DRY_RUN)
+    seller: async (position, { percent }) => {
+      const result = await sellToken(position.mint, `${+percent.toFixed(2)}%`);
+      if (!result) throw new Error("sell did not go through");
+      return result;
+    },
+  });
+
+  positions.on("price", ({ multiple }) => {
+    console.log(`   Price: ${multiple.toFixed(2)}x entry`);
+  });
+  positions.on("trigger", ({ reason, percent }) => {
+    console.log(`\n📉 ${reason} — selling ${percent.toFixed(0)}% of the balance`);
+  });
+  positions.on("sellFailed", ({ reason, error }) => {
+    console.error(`   ${reason} sell failed (${error.message}), will retry`);
+  });
+
+  const closed = new Promise((resolve) => positions.once("close", resolve));
+  positions.open({ mint, costSol, exits });
+  const { reason } = await closed;
+
+  feed.close();
+  console.log(`\n🏁 Position closed (${reason})`);
+  return reason;
+}
+
 // Main execution
 async function main() {
   try {
@@ -262,30 +398,45 @@ async function main() {
     const TOKEN_MINT = "YourTokenMintAddressHere";
 
     // Buy 0.01 SOL worth of tokens
-    await buyToken(TOKEN_MINT, 0.01);
-
-    setTimeout(async () => {
-      await sellToken(TOKEN_MINT, "100%");
-    }, 2 * 1000);
-
-    // Sell 50% of tokens
-    // await sellToken(TOKEN_MINT, '50%');
+    const bought = await buyToken(TOKEN_MINT, 0.01);
+    if (!bought) return;
+
+    // Let the exit manager sell: 50% at 2x, the rest at 4x, everything at
+    // -40%, after 10 minutes or once the token migrates to PumpSwap
+    await manageExits(TOKEN_MINT, {
+      takeProfit: [
+        { multiple: 2, sellPercent: 50 },
+        { multiple: 4, sellPercent: 50 },
+      ],
+      stopLossPercent: 40,
+      maxHoldMs: 10 * 60 * 1000,
+      onMigration: "sell",
+    }, { costSol: 0.01 });
+
+    // Or sell directly instead:
+    // await sellToken(TOKEN_MINT, "100%");
+    // await sellToken(TOKEN_MINT, "50%");
 
     // === FAST BUNDLE SELL EXAMPLE ===
     // Uncomment below to test bundle sell with multiple accounts
+    //
+    // With an encrypted keystore (see wallets.js) the accounts come from a
+    // wallet group instead of plaintext keys:
+    //   import { Keystore } from "./lib/keystore.js";
+    //   const keystore = await Keystore.open(process.env.KEYSTORE_FILE, process.env.KEYSTORE_PASSWORD);
+    //   const accounts = keystore.accounts({ group: "bundlers" }); // [{ name, keypair }]
     /*
-    const keypair = Keypair.fromSecretKey(bs58.decode(PRIVATE_KEY));
     const accounts = [
-      { name: "creator", keypair: keypair },
+      { name: "creator", signer },
       // Add more accounts here:
-      // { name: "bundle1", keypair: Keypair.fromSecretKey(bs58.decode("...")) },
-      // { name: "bundle2", keypair: Keypair.fromSecretKey(bs58.decode("...")) },
+      // { name: "bundle1", signer: await signerFromEnv({ name: "bundle1", privateKey: "..." }) },
+      // { name: "bundle2", signer: await signerFromEnv({ name: "bundle2", privateKey: "..." }) },
     ];
     
     await sellBundleFast(
       TOKEN_MINT,
       accounts,
-      keypair.publicKey.toBase58() // creator for speed optimization
+      signer.publicKey.toBase58() // creator for speed optimization
     );
     */
   } catch (err) {
@@ -0,0 +1,171 @@
+/**
+ * PumpDev API Example: Cashback Report
+ *
+ * Cashback accounting over the trade ledger (lib/cashback.js):
+ * 1. Report — per wallet: volume, fees, cashback claimed and pending, and
+ *    trading cost net of cashback (in SOL and bps of volume)
+ * 2. Trades — which trades earned each cashback claim, per trade and per mint
+ * 3. Project — cashback over the next days from recent volume, at the rate
+ *    the wallet's claims actually paid
+ *
+ * Trades come from buy-sell.js, sniper-bot.js and the other trading examples;
+ * cashback claims from claim-fees.js (claimCashback) and auto-claim.js.
+ *
+ * Commands:
+ *   node cashback-report.js report [wallet]
+ *   node cashback-report.js trades <wallet>
+ *   node cashback-report.js project [days] [wallet]
+ *
+ * Settings (environment):
+ *   LEDGER_FILE    - Ledger to read (default ledger.jsonl)
+ *   CASHBACK_MINTS - Comma-separated cashback-enabled mints (default: every traded mint)
+ *   CASHBACK_BPS   - Assumed cashback rate before a wallet's first claim (default 30)
+ *   WINDOW_DAYS    - Recent volume to project from (default 7)
+ *   DAILY_VOLUME   - Project from this SOL volume per day instead
+ *   LIVE           - "true": compare pending cashback with GET /api/claim-cashback
+ *   CSV_FILE       - Also write the report / trades as CSV
+ *
+ * Documentation: https://pumpdev.io/claim-fees
+ */
+
+import dotenv from "dotenv";
+dotenv.config();
+
+import { writeFileSync } from "node:fs";
+import { CashbackTracker, DEFAULT_CASHBACK_BPS } from "./lib/cashback.js";
+import { PumpDevClient } from "./lib/client.js";
+import { Ledger, toCsv } from "./lib/ledger.js";
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const client = new PumpDevClient(); // uses PUMPDEV_API_URL or https://pumpdev.io
+const LEDGER_FILE = process.env.LEDGER_FILE || "ledger.jsonl";
+const CASHBACK_MINTS = (process.env.CASHBACK_MINTS || "").split(",").map((s) => s.trim()).filter(Boolean);
+const CASHBACK_BPS = Number(process.env.CASHBACK_BPS || DEFAULT_CASHBACK_BPS);
+const WINDOW_DAYS = Number(process.env.WINDOW_DAYS || 7);
+const DAILY_VOLUME = process.env.DAILY_VOLUME ? Number(process.env.DAILY_VOLUME) : undefined;
+const LIVE = process.env.LIVE === "true";
+const CSV_FILE = process.env.CSV_FILE;
+
+const short = (key) => (key.length > 20 ? `${key.slice(0, 8)}...${key.slice(-4)}` : key);
+const sol = (n) => n.toFixed(6).padStart(11);
+
+function writeCsv(rows) {
+  if (!CSV_FILE || rows.length === 0) return;
+  writeFileSync(CSV_FILE, toCsv(rows));
+  console.log(`\n📄 Wrote ${rows.length} row(s) to ${CSV_FILE}`);
+}
+
+function walletsFor(tracker, wallet) {
+  const wallets = wallet ? [wallet] : tracker.wallets();
+  if (wallets.length === 0) throw new Error(`No cashback trades or claims in ${LEDGER_FILE}`);
+  return wallets;
+}
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+async function report(tracker, wallet) {
+  const rows = tracker.report({ wallets: walletsFor(tracker, wallet) });
+
+  console.log("=== CASHBACK & EFFECTIVE TRADING COST ===\n");
+  console.log(
+    `${"wallet".padEnd(16)} ${"trades".padStart(6)} ${"volume".padStart(11)} ${"fees".padStart(11)} ${"claimed".padStart(11)} ${"pending".padStart(11)} ${"net cost".padStart(11)} ${"fee bps".padStart(8)} ${"net bps".padStart(8)} ${"rate bps".padStart(9)}`,
+  );
+  for (const r of rows) {
+    const rate = `${r.rateBps.toFixed(1)}${r.rateSource === "configured" ? "*" : ""}`;
+    console.log(
+      `${short(r.wallet).padEnd(16)} ${String(r.trades).padStart(6)} ${sol(r.volumeSol)} ${sol(r.feesSol)} ${sol(r.claimedSol)} ${sol(r.pendingSol)} ${sol(r.netCostSol)} ${r.feeBps.toFixed(1).padStart(8)} ${r.netCostBps.toFixed(1).padStart(8)} ${rate.padStart(9)}`,
+    );
+  }
+  if (rows.some((r) => r.rateSource === "configured")) {
+    console.log("\n* assumed rate (CASHBACK_BPS) — no cashback claim in the ledger yet");
+  }
+
+  if (LIVE) {
+    console.log("\n=== PENDING: ESTIMATE vs ON-CHAIN ===\n");
+    for (const r of rows) {
+      try {
+        const live = await client.getClaimCashback({ publicKey: r.wallet });
+        console.log(`${short(r.wallet).padEnd(16)} estimated ${r.pendingSol.toFixed(6)}  claimable ${Number(live.totalCashback).toFixed(6)} (pump ${live.pumpCashback}, pumpswap ${live.pumpSwapCashback})`);
+      } catch (err) {
+        console.log(`${short(r.wallet).padEnd(16)} ${err.message}`);
+      }
+    }
+  }
+
+  writeCsv(rows);
+}
+
+function trades(tracker, wallet) {
+  if (!wallet) throw new Error("Usage: node cashback-report.js trades <wallet>");
+  const { trades: list, claims } = tracker.attribute(wallet);
+
+  console.log(`=== CASHBACK CLAIMS ${wallet} ===\n`);
+  for (const c of claims) {
+    const rate = c.rateBps === null ? "no recorded trades" : `${c.rateBps.toFixed(1)} bps of ${c.volumeSol.toFixed(4)} SOL`;
+    console.log(`${new Date(c.ts).toISOString().slice(0, 16)}  ${c.program.padEnd(8)} +${c.receivedSol.toFixed(6)} SOL  ${c.trades} trade(s), ${rate}`);
+  }
+  if (claims.length === 0) console.log("No cashback claims recorded yet.");
+
+  console.log("\n=== PER MINT ===\n");
+  console.log(`${"mint".padEnd(16)} ${"trades".padStart(6)} ${"volume".padStart(11)} ${"claimed".padStart(11)} ${"pending".padStart(11)}`);
+  for (const m of tracker.byMint(wallet)) {
+    console.log(`${short(m.mint).padEnd(16)} ${String(m.trades).padStart(6)} ${sol(m.volumeSol)} ${sol(m.claimedSol)} ${sol(m.pendingSol)}`);
+  }
+
+  writeCsv(
+    list.map((t) => ({
+      date: new Date(t.ts).toISOString(),
+      signature: t.signature ?? "",
+      type: t.type,
+      program: t.program,
+      mint: t.mint,
+      volumeSol: t.volumeSol,
+      expectedSol: t.expectedSol,
+      attributedSol: t.attributedSol ?? "",
+      claimSignature: t.claimSignature ?? "",
+    })),
+  );
+}
+
+function project(tracker, days = "30", wallet) {
+  console.log(`=== CASHBACK PROJECTION (${days} days) ===\n`);
+  for (const w of walletsFor(tracker, wallet)) {
+    const p = tracker.project(w, { days: Number(days), windowDays: WINDOW_DAYS, dailyVolumeSol: DAILY_VOLUME });
+    const basis = DAILY_VOLUME === undefined ? `last ${p.windowDays}d` : "DAILY_VOLUME";
+    const rate = p.rateSource === "claims" ? "from claims" : "assumed";
+    console.log(
+      `${short(w).padEnd(16)} ${p.dailyVolumeSol.toFixed(4)} SOL/day (${basis}) × ${p.rateBps.toFixed(1)} bps (${rate}) = ${p.dailySol.toFixed(6)} SOL/day → ${p.projectedSol.toFixed(6)} SOL`,
+    );
+  }
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+  const [command = "report", ...args] = process.argv.slice(2);
+  const tracker = new CashbackTracker({
+    ledger: new Ledger({ file: LEDGER_FILE }),
+    mints: CASHBACK_MINTS.length ? CASHBACK_MINTS : null,
+    bps: CASHBACK_BPS,
+  });
+  if (!CASHBACK_MINTS.length) console.log("CASHBACK_MINTS not set — counting every traded mint as cashback-enabled.\n");
+
+  if (command === "report") return report(tracker, args[0]);
+  if (command === "trades") return trades(tracker, args[0]);
+  if (command === "project") return project(tracker, ...args);
+
+  console.log("Usage: node cashback-report.js <report|trades|project> ...");
+  console.log("See the comment at the top of cashback-report.js for commands and settings.");
+}
+
+main().catch((err) => {
+  console.error("❌ Error:", err.message);
+  process.exit(1);
+});
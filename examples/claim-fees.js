@@ -16,32 +16,94 @@
  * Without mint, it uses the standard collect_creator_fee which won't work
  * when fee sharing is enabled.
  * 
+ * Every claim transaction is verified before signing (lib/inspect.js, kind
+ * "claim": right payer, known programs, no tip or commission, nothing
+ * leaving the wallet).
+ * 
+ * Confirmed claims are recorded in the ledger (LEDGER_FILE), so claimed fees
+ * show up in ledger-report.js next to trading PnL.
+ * 
+ * Claims are signed by a signer (lib/signer.js): REMOTE_SIGNER_URL, or the
+ * keystore wallet SIGNER_WALLET when KEYSTORE_FILE is set, or PRIVATE_KEY.
+ * 
  * Documentation: https://pumpdev.io/claim-fees
  */
 
 import dotenv from 'dotenv';
 dotenv.config();
 
-import { VersionedTransaction, Connection, Keypair, PublicKey, LAMPORTS_PER_SOL } from '@solana/web3.js';
-import bs58 from 'bs58';
+import { Connection, PublicKey, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { PumpDevClient } from './lib/client.js';
+import { DistributionLog } from './lib/distributions.js';
+import { verifyTransaction } from './lib/inspect.js';
+import { Ledger } from './lib/ledger.js';
+import { signerFromEnv } from './lib/signer.js';
 
 // Configuration
-const API_URL = process.env.PUMPDEV_API_URL || 'https://pumpdev.io';
+const client = new PumpDevClient(); // uses PUMPDEV_API_URL or https://pumpdev.io
 const RPC_URL = process.env.RPC_URL || 'https://api.mainnet-beta.solana.com';
-const PRIVATE_KEY = process.env.PRIVATE_KEY;
 
 // Token mint address — REQUIRED when fee sharing is configured (rewards split to multiple addresses)
 // Set this to your token's mint address if you have reward distribution enabled
 const MINT = process.env.MINT || null;
 
-// Validate environment
-if (!PRIVATE_KEY) {
-  console.error('PRIVATE_KEY not set in environment variables!');
+// Ledger of claims, trades and transfers (see ledger-report.js)
+const LEDGER_FILE = process.env.LEDGER_FILE || 'ledger.jsonl';
+
+// Fee-sharing distributions and what each shareholder got (see fee-sharing-report.js)
+const DISTRIBUTIONS_FILE = process.env.DISTRIBUTIONS_FILE || 'distributions.jsonl';
+
+// Signer: remote service, keystore wallet or PRIVATE_KEY
+const signer = await signerFromEnv();
+if (!signer) {
+  console.error('No wallet configured!');
   console.error('  PRIVATE_KEY=YourBase58Key node claim-fees.js');
   console.error('  PRIVATE_KEY=YourKey MINT=TokenMint node claim-fees.js  (for fee sharing)');
+  console.error('  or set KEYSTORE_FILE / REMOTE_SIGNER_URL (see lib/signer.js)');
   process.exit(1);
 }
 
+/**
+ * Record a confirmed claim in the ledger (SOL received net of fees)
+ */
+async function recordClaim(connection, signature, wallet, { mint, claim, program }) {
+  try {
+    const ledger = new Ledger({ file: LEDGER_FILE });
+    await ledger.recordTransaction(connection, signature, { type: 'claim', wallet, mint: mint ?? undefined, claim, program });
+  } catch (err) {
+    console.error('Ledger: could not record', signature, '-', err.message);
+  }
+}
+
+/**
+ * Record a confirmed fee-sharing distribution and print each shareholder's cut
+ */
+async function recordDistribution(connection, signature, { mint, shareholders }) {
+  try {
+    const log = new DistributionLog({ file: DISTRIBUTIONS_FILE });
+    const entry = await log.record(connection, signature, { mint, shareholders });
+    for (const share of entry?.shares ?? []) {
+      console.log(`  ${share.address} received ${share.receivedSol.toFixed(6)} SOL`);
+    }
+  } catch (err) {
+    console.error('Distributions: could not record', signature, '-', err.message);
+  }
+}
+
+/**
+ * Verify a claim transaction before signing; logs and returns false if it
+ * does anything but claim for this wallet
+ */
+function claimVerified(tx, payer) {
+  try {
+    verifyTransaction(tx, { kind: 'claim', payer });
+    return true;
+  } catch (err) {
+    console.error('Refusing to sign:', err.message);
+    return false;
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Check claimable creator fee balance (read-only, no transaction built)
 // ---------------------------------------------------------------------------
@@ -53,21 +115,17 @@ if (!PRIVATE_KEY) {
 async function checkClaimBalance() {
   console.log('=== CHECK CLAIMABLE CREATOR FEES ===\n');
 
-  const keypair = Keypair.fromSecretKey(bs58.decode(PRIVATE_KEY));
-  const publicKey = keypair.publicKey.toBase58();
+  const publicKey = signer.publicKey.toBase58();
 
   console.log('Creator wallet:', publicKey);
   if (MINT) console.log('Token mint:', MINT);
 
-  const params = new URLSearchParams({ publicKey });
-  if (MINT) params.set('mint', MINT);
-
-  const response = await fetch(`${API_URL}/api/claim-account?${params}`);
-  const data = await response.json();
-
-  if (response.status !== 200) {
-    console.error('API Error:', data);
-    return data;
+  let data;
+  try {
+    data = await client.getClaimAccount({ publicKey, mint: MINT });
+  } catch (err) {
+    console.error('API Error:', err.message);
+    return null;
   }
 
   console.log(`\nPump balance:     ${data.pumpBalance}`);
@@ -98,8 +156,7 @@ async function checkClaimBalance() {
 async function claimFees() {
   console.log('=== CLAIM CREATOR FEES ===\n');
 
-  const keypair = Keypair.fromSecretKey(bs58.decode(PRIVATE_KEY));
-  const publicKey = keypair.publicKey.toBase58();
+  const publicKey = signer.publicKey.toBase58();
   const connection = new Connection(RPC_URL, 'confirmed');
 
   console.log('Creator wallet:', publicKey);
@@ -110,13 +167,9 @@ async function claimFees() {
   }
 
   // 1. Check claimable balance first (read-only)
-  const balanceParams = new URLSearchParams({ publicKey });
-  if (MINT) balanceParams.set('mint', MINT);
-
-  const balanceRes = await fetch(`${API_URL}/api/claim-account?${balanceParams}`);
-  const balanceData = await balanceRes.json();
+  const balanceData = await client.getClaimAccount({ publicKey, mint: MINT }).catch(() => null);
 
-  if (balanceRes.status === 200) {
+  if (balanceData) {
     console.log(`\nClaimable: ${balanceData.totalClaimable} ${balanceData.isNativeQuote ? 'SOL' : balanceData.quoteMint}`);
     if (balanceData.totalClaimable <= 0) {
       console.log('No fees to claim right now.');
@@ -131,31 +184,22 @@ async function claimFees() {
   // 3. Build claim transaction
   console.log('\nBuilding claim transaction...');
 
-  const body = { publicKey };
-  if (MINT) body.mint = MINT;
-
-  const response = await fetch(`${API_URL}/api/claim-account`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify(body)
-  });
-
-  if (response.status !== 200) {
-    const error = await response.json();
-
-    if (error.error?.includes('No claimable fees')) {
+  let tx;
+  try {
+    tx = await client.claimAccount({ publicKey, mint: MINT });
+  } catch (err) {
+    if (err.message.includes('No claimable fees')) {
       console.log('\nNo fees to claim right now.');
       return;
     }
 
-    console.error('API Error:', error);
+    console.error('API Error:', err.message);
     return;
   }
 
-  // Deserialize and sign
-  const data = await response.arrayBuffer();
-  const tx = VersionedTransaction.deserialize(new Uint8Array(data));
-  tx.sign([keypair]);
+  // Verify, then sign
+  if (!claimVerified(tx, publicKey)) return;
+  await signer.signTransaction(tx);
 
   // Send transaction
   console.log('Sending transaction...');
@@ -171,6 +215,7 @@ async function claimFees() {
 
     // Wait for confirmation
     await connection.confirmTransaction(signature, 'confirmed');
+    await recordClaim(connection, signature, publicKey, { mint: MINT, claim: 'creator' });
 
     // Check new balance
     const solAfter = await connection.getBalance(new PublicKey(publicKey));
@@ -198,23 +243,13 @@ async function claimFees() {
 async function claimMultipleMints(mints) {
   console.log('=== CLAIM FEES FROM MULTIPLE TOKENS ===\n');
 
-  const keypair = Keypair.fromSecretKey(bs58.decode(PRIVATE_KEY));
-  const publicKey = keypair.publicKey.toBase58();
+  const publicKey = signer.publicKey.toBase58();
   const connection = new Connection(RPC_URL, 'confirmed');
 
   console.log('Creator wallet:', publicKey);
   console.log(`Tokens: ${mints.length}\n`);
 
-  const response = await fetch(`${API_URL}/api/claim-all`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      publicKey,
-      mints
-    })
-  });
-
-  const result = await response.json();
+  const result = await client.claimAll({ publicKey, mints });
   console.log(`Transactions built: ${result.count}, errors: ${result.errors}\n`);
 
   for (const txResult of result.transactions) {
@@ -227,8 +262,9 @@ async function claimMultipleMints(mints) {
     console.log(`  ${txResult.mint}: claimable${graduatedLabel}`);
 
     try {
-      const tx = VersionedTransaction.deserialize(bs58.decode(txResult.transaction));
-      tx.sign([keypair]);
+      const tx = txResult.tx;
+      if (!claimVerified(tx, publicKey)) continue;
+      await signer.signTransaction(tx);
 
       const signature = await connection.sendTransaction(tx, {
         skipPreflight: false,
@@ -237,6 +273,7 @@ async function claimMultipleMints(mints) {
 
       console.log(`    -> tx: ${signature}`);
       await connection.confirmTransaction(signature, 'confirmed');
+      await recordClaim(connection, signature, publicKey, { mint: txResult.mint, claim: 'creator' });
     } catch (err) {
       console.error(`    -> send error: ${err.message}`);
     }
@@ -257,33 +294,29 @@ async function claimMultipleMints(mints) {
 async function distributeFees(mint) {
   console.log('=== DISTRIBUTE CREATOR FEES (fee sharing) ===\n');
 
-  const keypair = Keypair.fromSecretKey(bs58.decode(PRIVATE_KEY));
-  const publicKey = keypair.publicKey.toBase58();
+  const publicKey = signer.publicKey.toBase58();
   const connection = new Connection(RPC_URL, 'confirmed');
 
   console.log('Payer wallet:', publicKey);
   console.log('Token mint:', mint);
 
+  // Current split, recorded with the distribution
+  const shareholders = await client.getClaimAccount({ publicKey, mint })
+    .then((data) => data.shareholders)
+    .catch(() => []);
+
   console.log('\nBuilding distribute transaction...');
 
-  const response = await fetch(`${API_URL}/api/claim-distribute`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      publicKey,
-      mint
-    })
-  });
-
-  if (response.status !== 200) {
-    const error = await response.json();
-    console.error('API Error:', error);
+  let tx;
+  try {
+    tx = await client.claimDistribute({ publicKey, mint });
+  } catch (err) {
+    console.error('API Error:', err.message);
     return;
   }
 
-  const data = await response.arrayBuffer();
-  const tx = VersionedTransaction.deserialize(new Uint8Array(data));
-  tx.sign([keypair]);
+  if (!claimVerified(tx, publicKey)) return;
+  await signer.signTransaction(tx);
 
   console.log('Sending transaction...');
 
@@ -297,6 +330,7 @@ async function distributeFees(mint) {
     console.log('Signature:', signature);
 
     await connection.confirmTransaction(signature, 'confirmed');
+    await recordDistribution(connection, signature, { mint, shareholders });
   } catch (err) {
     console.error('Send error:', err.message);
   }
@@ -315,20 +349,17 @@ async function distributeFees(mint) {
 async function checkCashbackBalance(program = 'both') {
   console.log('=== CHECK CLAIMABLE CASHBACK ===\n');
 
-  const keypair = Keypair.fromSecretKey(bs58.decode(PRIVATE_KEY));
-  const publicKey = keypair.publicKey.toBase58();
+  const publicKey = signer.publicKey.toBase58();
 
   console.log('Wallet:', publicKey);
   console.log('Program:', program);
 
-  const params = new URLSearchParams({ publicKey, program });
-
-  const response = await fetch(`${API_URL}/api/claim-cashback?${params}`);
-  const data = await response.json();
-
-  if (response.status !== 200) {
-    console.error('API Error:', data);
-    return data;
+  let data;
+  try {
+    data = await client.getClaimCashback({ publicKey, program });
+  } catch (err) {
+    console.error('API Error:', err.message);
+    return null;
   }
 
   console.log(`\nPump cashback:     ${data.pumpCashback}`);
@@ -351,20 +382,16 @@ async function checkCashbackBalance(program = 'both') {
 async function claimCashback(program = 'both') {
   console.log('=== CLAIM CASHBACK REWARDS ===\n');
 
-  const keypair = Keypair.fromSecretKey(bs58.decode(PRIVATE_KEY));
-  const publicKey = keypair.publicKey.toBase58();
+  const publicKey = signer.publicKey.toBase58();
   const connection = new Connection(RPC_URL, 'confirmed');
 
   console.log('Wallet:', publicKey);
   console.log('Program:', program);
 
   // 1. Check claimable cashback first (read-only)
-  const balanceRes = await fetch(
-    `${API_URL}/api/claim-cashback?${new URLSearchParams({ publicKey, program })}`
-  );
-  const balanceData = await balanceRes.json();
+  const balanceData = await client.getClaimCashback({ publicKey, program }).catch(() => null);
 
-  if (balanceRes.status === 200) {
+  if (balanceData) {
     console.log(`\nClaimable cashback: ${balanceData.totalCashback} ${balanceData.isNativeQuote ? 'SOL' : balanceData.quoteMint}`);
     console.log(`  Pump:     ${balanceData.pumpCashback}`);
     console.log(`  PumpSwap: ${balanceData.pumpSwapCashback}`);
@@ -381,24 +408,16 @@ async function claimCashback(program = 'both') {
   // 3. Build cashback claim transaction
   console.log('Building cashback claim transaction...');
 
-  const response = await fetch(`${API_URL}/api/claim-cashback`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
-      publicKey,
-      program
-    })
-  });
-
-  if (response.status !== 200) {
-    const error = await response.json();
-    console.error('API Error:', error);
+  let tx;
+  try {
+    tx = await client.claimCashback({ publicKey, program });
+  } catch (err) {
+    console.error('API Error:', err.message);
     return;
   }
 
-  const data = await response.arrayBuffer();
-  const tx = VersionedTransaction.deserialize(new Uint8Array(data));
-  tx.sign([keypair]);
+  if (!claimVerified(tx, publicKey)) return;
+  await signer.signTransaction(tx);
 
   console.log('Sending transaction...');
 
@@ -412,6 +431,8 @@ async function claimCashback(program = 'both') {
     console.log('Signature:', signature);
 
     await connection.confirmTransaction(signature, 'confirmed');
+    // The program tells cashback-report.js which trades this claim paid out for
+    await recordClaim(connection, signature, publicKey, { claim: 'cashback', program });
 
     const solAfter = await connection.getBalance(new PublicKey(publicKey));
     const cashbackReceived = (solAfter - solBefore) / LAMPORTS_PER_SOL;
@@ -429,6 +450,9 @@ async function claimCashback(program = 'both') {
 // Automated claiming (runs every X hours)
 // ---------------------------------------------------------------------------
 
+// Claims whatever is there, for one wallet. auto-claim.js (lib/claimer.js)
+// claims only above a net-of-fees threshold, for many wallets and mints.
+
 async function automatedClaiming(intervalHours = 24) {
   console.log(`=== AUTOMATED FEE CLAIMING ===`);
   console.log(`Running every ${intervalHours} hours\n`);
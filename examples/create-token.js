@@ -11,6 +11,15 @@
  * - Create token + dev buy via Jito (for faster landing)
  * - Create token + multiple buyers (Jito bundle)
  * - Cashback-enabled tokens (redirects creator fee to traders)
+ * - Dry run: set DRY_RUN=true to simulate Example 2 instead of sending
+ * - Ledger: Example 2 records the create + dev buy (cost basis, fees) in
+ *   LEDGER_FILE, see ledger-report.js
+ * - Metadata: Pinata, a self-hosted IPFS (Kubo) node, an S3-compatible bucket
+ *   or PumpDev's built-in storage (METADATA_PROVIDER, see lib/metadata.js)
+ * - Checks: name, symbol, links and image are validated (and the image made
+ *   square and stripped of EXIF) before anything is uploaded or signed
+ * - Verification: every transaction the API builds is checked (creator,
+ *   mint, dev buy within slippage, tip, commission) before it is signed
  *
  * IMPORTANT: jitoTip should ONLY be provided if you plan to send via Jito.
  * It adds a Jito tip instruction to the transaction. Without it, the tx
@@ -26,27 +35,38 @@
 import dotenv from "dotenv";
 dotenv.config();
 
-import { VersionedTransaction, Connection, Keypair } from "@solana/web3.js";
+import { Connection } from "@solana/web3.js";
 import bs58 from "bs58";
+import { PumpDevClient } from "./lib/client.js";
+import { JitoBundleSubmitter, regionOf } from "./lib/jito.js";
+import { Keystore } from "./lib/keystore.js";
+import { Ledger } from "./lib/ledger.js";
+import { DEFAULT_IMAGE, UploadCache, loadImage, providerFromEnv, publishMetadata } from "./lib/metadata.js";
+import { normalizeImage, validateToken } from "./lib/metadata-check.js";
+import { signBundleAsync } from "./lib/bundle-signer.js";
+import { bundleExpectations, verifyBundle, verifyTransaction } from "./lib/inspect.js";
+import { signWith, signerFromEnv } from "./lib/signer.js";
+import { formatSimulation, simulateSigned } from "./lib/simulate.js";
 
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
 
-// PumpDev API URL - use https://pumpdev.io for production
-const API_URL = process.env.PUMPDEV_API_URL || "https://pumpdev.io";
+// PumpDev API client - uses PUMPDEV_API_URL or https://pumpdev.io for production
+const client = new PumpDevClient();
 
 // Your Solana RPC endpoint
 const RPC_URL = process.env.RPC_URL || "https://api.mainnet-beta.solana.com";
 
-// Jito block engine endpoints for bundle submission
-const JITO_ENDPOINTS = [
-  "https://mainnet.block-engine.jito.wtf",
-  "https://amsterdam.mainnet.block-engine.jito.wtf",
-  "https://frankfurt.mainnet.block-engine.jito.wtf",
-  "https://ny.mainnet.block-engine.jito.wtf",
-  "https://tokyo.mainnet.block-engine.jito.wtf",
-];
+// Simulate instead of sending (createTokenWithDevBuy only)
+const DRY_RUN = process.env.DRY_RUN === "true";
+
+// Ledger of creates, trades, claims and transfers
+const LEDGER_FILE = process.env.LEDGER_FILE || "ledger.jsonl";
+
+// Jito bundle submitter - fans out to all regional block engines in parallel
+// (see lib/jito.js for the endpoint list) and polls until the bundle lands
+const jito = new JitoBundleSubmitter();
 
 // Your wallet private keys (base58 encoded)
 // ⚠️ NEVER commit real private keys to git!
@@ -56,86 +76,79 @@ const BUYER1_KEY = process.env.BUYER1_KEY || "YOUR_BUYER1_PRIVATE_KEY_BASE58";
 const BUYER2_KEY = process.env.BUYER2_KEY || "YOUR_BUYER2_PRIVATE_KEY_BASE58";
 const BUYER3_KEY = process.env.BUYER3_KEY || "YOUR_BUYER3_PRIVATE_KEY_BASE58";
 
-// Pinata JWT for IPFS metadata uploads. Create a free Pinata account and set:
-// PINATA_JWT=your_pinata_jwt
-const PINATA_JWT = process.env.PINATA_JWT || "YOUR_PINATA_JWT";
+// Or keep them in an encrypted keystore (see wallets.js): with KEYSTORE_FILE
+// set, the wallets named "creator" and "buyer1".."buyer3" are used instead.
+// With REMOTE_SIGNER_URL set, the same names are signed for by a remote
+// signing service (see signer-server.js) and no key is held here.
+const keystore = process.env.KEYSTORE_FILE
+  ? await Keystore.open(process.env.KEYSTORE_FILE, process.env.KEYSTORE_PASSWORD)
+  : null;
+
+/** Signer (lib/signer.js) for a named wallet: remote, keystore or base58 env key. */
+async function loadWallet(name, privateKey) {
+  const signer = await signerFromEnv({ name, privateKey, keystore });
+  if (!signer) throw new Error(`No wallet "${name}" — check KEYSTORE_FILE / REMOTE_SIGNER_URL`);
+  return signer;
+}
+
+// Where the token image and metadata JSON go (see lib/metadata.js):
+//   METADATA_PROVIDER=pinata  + PINATA_JWT (default when PINATA_JWT is set)
+//   METADATA_PROVIDER=kubo    + KUBO_API_URL, KUBO_GATEWAY (self-hosted IPFS node)
+//   METADATA_PROVIDER=s3      + S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID, S3_SECRET_ACCESS_KEY, S3_PUBLIC_URL
+//   METADATA_PROVIDER=pumpdev   PumpDev hosts the metadata (default otherwise)
+// TOKEN_IMAGE is a path or URL. Uploads are cached by content hash in
+// METADATA_CACHE_FILE, so re-launching with the same image doesn't upload it again.
+const TOKEN_IMAGE = process.env.TOKEN_IMAGE || DEFAULT_IMAGE;
+const METADATA_CACHE_FILE = process.env.METADATA_CACHE_FILE || "metadata-cache.json";
+
+// The token every example launches. Checked against pump.fun's limits
+// (lib/metadata-check.js) before any upload or transaction.
+const TOKEN = {
+  name: "PUMP FUN API",
+  symbol: "pumpdev.io",
+  description: "The cheapest API for Pump.fun Token Creation & Trading - pumpdev.io",
+  twitter: "https://x.com/PumpDevIO",
+  telegram: "https://t.me/pumpdev_io",
+  website: "https://pumpdev.io/",
+};
 
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
 
-const wait = (ms) => new Promise((r) => setTimeout(r, ms));
-
 /**
- * Upload token metadata to IPFS via Pinata.
+ * Check the token, then publish its image and metadata with the configured
+ * provider.
  *
  * This creates the token image and metadata that will be displayed on pump.fun.
- * You can customize the name, symbol, description, and social links.
+ * Customize the name, symbol, description, and social links in TOKEN.
  * The old https://pump.fun/api/ipfs endpoint is no longer supported.
  *
- * @returns {Promise<string>} The metadata URI
+ * @returns {Promise<object>} Create params: name, symbol and `{ uri }`, or
+ *   with PumpDev storage `{ image, description, twitter, telegram, website }`
+ * @throws {import("./lib/errors.js").MetadataError} reason "invalid" — before any SOL is spent
  */
 async function uploadMetadata() {
-  if (!PINATA_JWT || PINATA_JWT === "YOUR_PINATA_JWT") {
-    throw new Error("Set PINATA_JWT in your .env before uploading metadata");
-  }
-
-  console.log("📤 Uploading metadata to Pinata...");
-
-  // Option 1: Use pumpdev.io logo (for testing)
-  const logoRes = await fetch("https://pumpdev.io/img/logo.jpg");
-  const logoBuffer = await logoRes.arrayBuffer();
-  const imageForm = new FormData();
-  imageForm.append(
-    "file",
-    new Blob([logoBuffer], { type: "image/jpeg" }),
-    "logo.jpg",
-  );
-
-  // Option 2: Use your own image file
-  // import fs from 'node:fs/promises';
-  // import { Blob } from 'node:buffer';
-  // const fileBuffer = await fs.readFile('./your-token-image.jpg');
-  // imageForm.set('file', new Blob([fileBuffer], { type: 'image/jpeg' }), 'token.jpg');
-
-  const imageRes = await fetch("https://api.pinata.cloud/pinning/pinFileToIPFS", {
-    method: "POST",
-    headers: { Authorization: `Bearer ${PINATA_JWT}` },
-    body: imageForm,
+  // Name, symbol, description and links: limits, characters, URL formats
+  const { token, warnings } = validateToken(TOKEN);
+  const provider = providerFromEnv();
+
+  // Image: format, square, size; EXIF and other metadata stripped
+  const file = await normalizeImage(await loadImage(TOKEN_IMAGE));
+  for (const w of [...warnings, ...file.warnings]) console.log(`⚠️  ${w.field} ${w.message}`);
+  for (const change of file.changes) console.log(`🖼️  Image: ${change}`);
+  // PumpDev storage takes an image URL as-is when nothing had to change
+  const image = provider.hostsMetadata && !file.changed && /^https?:\/\//.test(TOKEN_IMAGE) ? TOKEN_IMAGE : file;
+
+  console.log(`📤 Publishing metadata (${provider.id})...`);
+  const published = await publishMetadata(provider, token, {
+    image,
+    cache: new UploadCache({ file: METADATA_CACHE_FILE }),
   });
-  const imageResult = await imageRes.json();
-  if (!imageRes.ok) {
-    throw new Error(`Pinata image upload failed: ${JSON.stringify(imageResult)}`);
-  }
-
-  const metadata = {
-    name: "PUMP FUN API",
-    symbol: "pumpdev.io",
-    description:
-      "The cheapest API for Pump.fun Token Creation & Trading - pumpdev.io",
-    image: `ipfs://${imageResult.IpfsHash}`,
-    twitter: "https://x.com/PumpDevIO",
-    telegram: "https://t.me/pumpdev_io",
-    website: "https://pumpdev.io/",
-    showName: true,
-  };
 
-  const metadataRes = await fetch("https://api.pinata.cloud/pinning/pinJSONToIPFS", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${PINATA_JWT}`,
-      "Content-Type": "application/json",
-    },
-    body: JSON.stringify({ pinataContent: metadata }),
-  });
-  const metadataResult = await metadataRes.json();
-  if (!metadataRes.ok) {
-    throw new Error(`Pinata metadata upload failed: ${JSON.stringify(metadataResult)}`);
-  }
-
-  const metadataUri = `https://gateway.pinata.cloud/ipfs/${metadataResult.IpfsHash}`;
-  console.log("✅ Metadata uploaded:", metadataUri);
-  return metadataUri;
+  if (published.cached.image) console.log("♻️  Image already uploaded — reusing", published.imageUri);
+  console.log(published.uri ? `✅ Metadata: ${published.uri}` : `✅ Image: ${published.imageUri} (metadata hosted by PumpDev)`);
+  return { name: token.name, symbol: token.symbol, ...published.createParams };
 }
 
 /**
@@ -144,76 +157,40 @@ async function uploadMetadata() {
  * Jito bundles ensure all transactions land in the same block atomically.
  * This prevents front-running and ensures create + buy happen together.
  *
+ * The bundle goes to every block engine at once, then we poll the bundle
+ * status until it lands (or is dropped) instead of assuming it made it.
+ *
  * NOTE: Only use Jito when your transaction includes a jitoTip.
  * The jitoTip adds a tip instruction to the transaction that pays Jito validators.
  *
  * @param {string[]} signedTxs - Array of base58 encoded signed transactions
- * @returns {Promise<{success: boolean, bundleId?: string, error?: string}>}
+ * @returns {Promise<{success: boolean, bundleId?: string, slot?: number, signatures?: string[], error?: string}>}
  */
 async function sendJitoBundle(signedTxs) {
-  console.log("🚀 Sending Jito bundle...");
+  console.log("🚀 Sending Jito bundle to all block engines...");
 
-  // Try each endpoint until one succeeds
-  for (const endpoint of JITO_ENDPOINTS) {
-    try {
-      const res = await fetch(`${endpoint}/api/v1/bundles`, {
-        method: "POST",
-        headers: { "Content-Type": "application/json" },
-        body: JSON.stringify({
-          jsonrpc: "2.0",
-          id: 1,
-          method: "sendBundle",
-          params: [signedTxs],
-        }),
-      });
-
-      const data = await res.json();
-
-      if (data.result) {
-        console.log(`✅ Bundle sent successfully!`);
-        console.log(`   Bundle ID: ${data.result}`);
-        console.log(
-          `   Explorer: https://explorer.jito.wtf/bundle/${data.result}`,
-        );
-        return { success: true, bundleId: data.result };
-      }
-
-      if (data.error) {
-        console.log(
-          `⚠️ ${endpoint.split("//")[1].split(".")[0]}: ${data.error.message}`,
-        );
-      }
-    } catch (err) {
-      continue; // Try next endpoint
+  const onSubmitted = ({ bundleId, accepted, rejected }) => {
+    console.log(`✅ Bundle accepted by ${accepted.length}/${accepted.length + rejected.length} engines`);
+    for (const r of rejected) {
+      console.log(`⚠️ ${regionOf(r.endpoint)}: ${r.error}`);
     }
+    console.log(`   Bundle ID: ${bundleId}`);
+    console.log(`   Explorer: https://explorer.jito.wtf/bundle/${bundleId}`);
+    console.log("⏳ Waiting for bundle to land...");
+  };
+  jito.once("submitted", onSubmitted);
+
+  try {
+    const landed = await jito.submit(signedTxs);
+    console.log(`✅ Bundle landed in slot ${landed.slot}`);
+    landed.signatures.forEach((sig, i) => console.log(`   TX ${i + 1}: ${sig}`));
+    return { success: true, ...landed };
+  } catch (err) {
+    console.log(`❌ ${err.message}`);
+    return { success: false, error: err.message };
+  } finally {
+    jito.off("submitted", onSubmitted);
   }
-
-  return { success: false, error: "All Jito endpoints failed" };
-}
-
-/**
- * Wait for token to appear on-chain
- *
- * @param {Connection} connection - Solana connection
- * @param {PublicKey} mintPubkey - Token mint public key
- * @param {number} maxWaitSec - Maximum seconds to wait
- * @returns {Promise<boolean>} True if token found
- */
-async function waitForToken(connection, mintPubkey, maxWaitSec = 30) {
-  console.log("⏳ Waiting for confirmation...");
-
-  for (let i = 0; i < maxWaitSec / 2; i++) {
-    await wait(2000);
-    const info = await connection.getAccountInfo(mintPubkey);
-    if (info) {
-      console.log("✅ Token confirmed on-chain!");
-      return true;
-    }
-    process.stdout.write(".");
-  }
-
-  console.log("\n⚠️ Token not confirmed in time (may still be processing)");
-  return false;
 }
 
 // ============================================================================
@@ -234,43 +211,36 @@ async function createTokenOnly() {
   console.log("========================================\n");
 
   // Load creator wallet
-  const creator = Keypair.fromSecretKey(bs58.decode(CREATOR_KEY));
+  const creator = await loadWallet("creator", CREATOR_KEY);
   console.log("👤 Creator:", creator.publicKey.toBase58());
 
   // Step 1: Upload metadata
-  const uri = await uploadMetadata();
+  const metadata = await uploadMetadata();
 
   // Step 2: Request create transaction from PumpDev API
   console.log("\n📝 Building create transaction...");
-  const res = await fetch(`${API_URL}/api/create`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      publicKey: creator.publicKey.toBase58(),
-      name: "PUMP FUN API",
-      symbol: "pumpdev.io",
-      uri,
-      // jitoTip only needed because we're sending via Jito below
-      // Omit jitoTip if sending via standard RPC
-      jitoTip: 0.01,
-    }),
+  const result = await client.create({
+    publicKey: creator.publicKey.toBase58(),
+    ...metadata, // name, symbol and { uri }, or { image, ... } with PumpDev storage
+    // jitoTip only needed because we're sending via Jito below
+    // Omit jitoTip if sending via standard RPC
+    jitoTip: 0.01,
   });
 
-  const result = await res.json();
-  if (res.status !== 200) {
-    throw new Error(result.error || "API request failed");
-  }
-
   console.log("📍 Mint address:", result.mint);
 
-  // Step 3: Sign transaction
+  // Step 3: Check the transaction is the create we asked for, then sign it
   // Token creation requires TWO signatures: creator + mint keypair
-  const mintKeypair = Keypair.fromSecretKey(bs58.decode(result.mintSecretKey));
-  const tx = VersionedTransaction.deserialize(bs58.decode(result.transaction));
-  tx.sign([creator, mintKeypair]);
+  const mintKeypair = result.mintKeypair;
+  const tx = result.tx;
+  verifyTransaction(tx, { kind: "create", payer: creator.publicKey.toBase58(), mint: result.mint, jitoTip: 0.01 });
+  await signWith(tx, [creator, mintKeypair]);
 
   // Step 4: Send via Jito (jitoTip was included in the request)
   const bundleRes = await sendJitoBundle([bs58.encode(tx.serialize())]);
+  if (!bundleRes.success) {
+    throw new Error(`Bundle did not land: ${bundleRes.error}`);
+  }
 
   // Done!
   console.log("\n========================================");
@@ -292,48 +262,48 @@ async function createTokenOnly() {
  *
  * KEY: No jitoTip is set here — we're sending via standard RPC.
  */
-async function createTokenWithDevBuy() {
+async function createTokenWithDevBuy({ dryRun = DRY_RUN } = {}) {
   console.log("\n========================================");
   console.log("EXAMPLE 2: Create + Dev Buy (No Jito)");
   console.log("========================================\n");
 
   const connection = new Connection(RPC_URL, "confirmed");
-  const creator = Keypair.fromSecretKey(bs58.decode(CREATOR_KEY));
+  const creator = await loadWallet("creator", CREATOR_KEY);
   console.log("👤 Creator:", creator.publicKey.toBase58());
 
   // Step 1: Upload metadata
-  const uri = await uploadMetadata();
+  const metadata = await uploadMetadata();
 
   // Step 2: Request create + buy as single transaction
   // No jitoTip — not needed when sending via standard RPC
   console.log("\n📝 Building create + buy transaction...");
-  const res = await fetch(`${API_URL}/api/create`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      publicKey: creator.publicKey.toBase58(),
-      name: "PUMP FUN API",
-      symbol: "pumpdev.io",
-      uri,
-      buyAmountSol: 0.1, // Dev buy: 0.1 SOL worth of tokens
-      slippage: 90, // Default slippage for new token launches
-      // cashbackEnabled: true, // Optional: enable cashback (redirects creator fee to traders)
-      // NO jitoTip — sending via standard RPC, not Jito
-      // Only provide jitoTip if you plan to send via Jito (see Example 2b)
-    }),
+  const result = await client.create({
+    publicKey: creator.publicKey.toBase58(),
+    ...metadata, // name, symbol and { uri }, or { image, ... } with PumpDev storage
+    buyAmountSol: 0.1, // Dev buy: 0.1 SOL worth of tokens
+    slippage: 90, // Default slippage for new token launches
+    // cashbackEnabled: true, // Optional: enable cashback (redirects creator fee to traders)
+    // NO jitoTip — sending via standard RPC, not Jito
+    // Only provide jitoTip if you plan to send via Jito (see Example 2b)
   });
 
-  const result = await res.json();
-  if (res.status !== 200) {
-    throw new Error(result.error || "API request failed");
-  }
-
   console.log("📍 Mint address:", result.mint);
 
-  // Step 3: Sign the single transaction with creator + mint keypair
-  const mintKeypair = Keypair.fromSecretKey(bs58.decode(result.mintSecretKey));
-  const tx = VersionedTransaction.deserialize(bs58.decode(result.transaction));
-  tx.sign([creator, mintKeypair]);
+  // Step 3: Check the create + dev buy (creator, mint, buy within slippage),
+  // then sign the single transaction with creator + mint keypair
+  const mintKeypair = result.mintKeypair;
+  const tx = result.tx;
+  verifyTransaction(tx, { kind: "create", payer: creator.publicKey.toBase58(), mint: result.mint, amountSol: 0.1, slippage: 90 });
+  await signWith(tx, [creator, mintKeypair]);
+
+  // Dry run: simulate the create + dev buy, report the creator's SOL spend
+  // and tokens received, and stop before anything is broadcast
+  if (dryRun) {
+    console.log("\n🧪 DRY RUN — simulating, not sending");
+    const sim = await simulateSigned(connection, tx, { mint: result.mint });
+    formatSimulation(sim).forEach((line) => console.log("   " + line));
+    return sim;
+  }
 
   // Step 4: Send via standard RPC (no Jito needed!)
   console.log("📤 Sending via standard RPC...");
@@ -365,6 +335,18 @@ async function createTokenWithDevBuy() {
     );
   }
 
+  // Step 6: Record the dev buy's cost basis and fees in the ledger
+  try {
+    const ledger = new Ledger({ file: LEDGER_FILE });
+    await ledger.recordTransaction(connection, sig, {
+      type: "create",
+      wallet: creator.publicKey.toBase58(),
+      mint: result.mint,
+    });
+  } catch (err) {
+    console.error("Ledger: could not record", sig, "-", err.message);
+  }
+
   // Done!
   console.log("\n========================================");
   console.log("🎉 Token created with dev buy!");
@@ -392,34 +374,22 @@ async function createTokenWithDevBuyJito() {
   console.log("EXAMPLE 2b: Create + Dev Buy (via Jito)");
   console.log("========================================\n");
 
-  const connection = new Connection(RPC_URL, "confirmed");
-  const creator = Keypair.fromSecretKey(bs58.decode(CREATOR_KEY));
+  const creator = await loadWallet("creator", CREATOR_KEY);
   console.log("👤 Creator:", creator.publicKey.toBase58());
 
   // Step 1: Upload metadata
-  const uri = await uploadMetadata();
+  const metadata = await uploadMetadata();
 
   // Step 2: Request create + buy — WITH jitoTip because sending via Jito
   console.log("\n📝 Building create + buy transaction (with Jito tip)...");
-  const res = await fetch(`${API_URL}/api/create`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      publicKey: creator.publicKey.toBase58(),
-      name: "PUMP FUN API",
-      symbol: "pumpdev.io",
-      uri,
-      buyAmountSol: 0.1, // Dev buy: 0.1 SOL worth of tokens
-      slippage: 90, // Default slippage for new token launches
-      jitoTip: 0.01, // Only provide when sending via Jito — adds tip instruction
-    }),
+  const result = await client.create({
+    publicKey: creator.publicKey.toBase58(),
+    ...metadata, // name, symbol and { uri }, or { image, ... } with PumpDev storage
+    buyAmountSol: 0.1, // Dev buy: 0.1 SOL worth of tokens
+    slippage: 90, // Default slippage for new token launches
+    jitoTip: 0.01, // Only provide when sending via Jito — adds tip instruction
   });
 
-  const result = await res.json();
-  if (res.status !== 200) {
-    throw new Error(result.error || "API request failed");
-  }
-
   console.log("📍 Mint address:", result.mint);
 
   // Step 3: Sign transactions
@@ -427,26 +397,25 @@ async function createTokenWithDevBuyJito() {
   // because create + buy + tip + commission exceeds single tx size limit.
   // TX 1 (create): sign with creator + mint keypair
   // TX 2 (buy):    sign with creator only
-  const mintKeypair = Keypair.fromSecretKey(bs58.decode(result.mintSecretKey));
+  // Both are checked against the request first. signBundleAsync checks every
+  // required signer is available before signing, then verifies no signature
+  // slot was left empty.
   console.log(`📦 Transactions: ${result.transactions.length}`);
 
-  const signedTxs = result.transactions.map((txInfo) => {
-    const tx = VersionedTransaction.deserialize(
-      bs58.decode(txInfo.transaction),
-    );
-    const signers = txInfo.signers.includes("mint")
-      ? [creator, mintKeypair]
-      : [creator];
-    tx.sign(signers);
+  const payer = creator.publicKey.toBase58();
+  verifyBundle(result, [
+    { kind: "create", payer, mint: result.mint, jitoTip: 0.01 },
+    { kind: "buy", payer, mint: result.mint, amountSol: 0.1, slippage: 90, jitoTip: 0.01 },
+  ]);
+  const signedTxs = await signBundleAsync(result, { creator });
+  result.transactions.forEach((txInfo) => {
     console.log(`✅ Signed: ${txInfo.description}`);
-    return bs58.encode(tx.serialize());
   });
 
   // Step 4: Send as Jito bundle
   const bundleRes = await sendJitoBundle(signedTxs);
-
-  if (bundleRes.success) {
-    await waitForToken(connection, mintKeypair.publicKey);
+  if (!bundleRes.success) {
+    throw new Error(`Bundle did not land: ${bundleRes.error}`);
   }
 
   // Done!
@@ -468,6 +437,8 @@ async function createTokenWithDevBuyJito() {
  * are bundled via Jito, so they either all succeed or all fail together.
  *
  * Use case: Launch token with dev buy + 3 additional buyers for instant volume.
+ * For other wallets, random amounts or post-launch sells, write a launch
+ * plan instead (launch.js).
  *
  * NOTE: This uses /api/create-bundle which returns MULTIPLE transactions.
  * jitoTip is required here since bundles are always sent via Jito.
@@ -477,13 +448,11 @@ async function createTokenWithMultipleBuyers() {
   console.log("EXAMPLE 3: Create Token + Multiple Buyers");
   console.log("========================================\n");
 
-  const connection = new Connection(RPC_URL, "confirmed");
-
   // Load all wallets
-  const creator = Keypair.fromSecretKey(bs58.decode(CREATOR_KEY));
-  const buyer1 = Keypair.fromSecretKey(bs58.decode(BUYER1_KEY));
-  const buyer2 = Keypair.fromSecretKey(bs58.decode(BUYER2_KEY));
-  const buyer3 = Keypair.fromSecretKey(bs58.decode(BUYER3_KEY));
+  const creator = await loadWallet("creator", CREATOR_KEY);
+  const buyer1 = await loadWallet("buyer1", BUYER1_KEY);
+  const buyer2 = await loadWallet("buyer2", BUYER2_KEY);
+  const buyer3 = await loadWallet("buyer3", BUYER3_KEY);
   const wallets = { creator, buyer1, buyer2, buyer3 };
 
   console.log("👤 Creator:", creator.publicKey.toBase58());
@@ -492,62 +461,43 @@ async function createTokenWithMultipleBuyers() {
   console.log("👤 Buyer 3:", buyer3.publicKey.toBase58());
 
   // Step 1: Upload metadata
-  const uri = await uploadMetadata();
+  const metadata = await uploadMetadata();
 
   // Step 2: Request create + multi-buy bundle
   // jitoTip is required for bundles — always sent via Jito
   console.log("\n📝 Building multi-buyer bundle...");
-  const res = await fetch(`${API_URL}/api/create-bundle`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      publicKey: creator.publicKey.toBase58(),
-      name: "PUMP FUN API",
-      symbol: "pumpdev.io",
-      uri,
-      buyAmountSol: 0.1, // Creator buys 0.1 SOL
-      slippage: 90,
-      jitoTip: 0.02, // Jito tip — required for bundle, sent via Jito
-      additionalBuyers: [
-        // Up to 3 additional buyers
-        { publicKey: buyer1.publicKey.toBase58(), amountSol: 0.2 },
-        { publicKey: buyer2.publicKey.toBase58(), amountSol: 0.3 },
-        { publicKey: buyer3.publicKey.toBase58(), amountSol: 0.1 },
-      ],
-    }),
-  });
-
-  const result = await res.json();
-  if (res.status !== 200) {
-    throw new Error(result.error || "API request failed");
-  }
+  const request = {
+    publicKey: creator.publicKey.toBase58(),
+    ...metadata, // name, symbol and { uri }, or { image, ... } with PumpDev storage
+    buyAmountSol: 0.1, // Creator buys 0.1 SOL
+    slippage: 90,
+    jitoTip: 0.02, // Jito tip — required for bundle, sent via Jito
+    additionalBuyers: [
+      // Up to 3 additional buyers
+      { publicKey: buyer1.publicKey.toBase58(), amountSol: 0.2 },
+      { publicKey: buyer2.publicKey.toBase58(), amountSol: 0.3 },
+      { publicKey: buyer3.publicKey.toBase58(), amountSol: 0.1 },
+    ],
+  };
+  const result = await client.createBundle(request);
 
   console.log("📍 Mint address:", result.mint);
   console.log(`📦 Transactions: ${result.transactions.length}`);
 
-  // Step 3: Sign all transactions with appropriate signers
-  const mintKeypair = Keypair.fromSecretKey(bs58.decode(result.mintSecretKey));
-
-  const signedTxs = result.transactions.map((txInfo) => {
-    const tx = VersionedTransaction.deserialize(
-      bs58.decode(txInfo.transaction),
-    );
-
-    // Map signer names to actual keypairs
-    const signers = txInfo.signers
-      .map((s) => (s === "mint" ? mintKeypair : wallets[s]))
-      .filter(Boolean);
-
-    tx.sign(signers);
+  // Step 3: Check each transaction against the request (creator, buyers,
+  // amounts within slippage, tip), then sign all with the appropriate signers
+  // Signer names ("creator", "buyer1", "mint") map to signers in `wallets`.
+  // Fails fast with the missing pubkeys if any signer isn't available.
+  verifyBundle(result, bundleExpectations(request, result.mint));
+  const signedTxs = await signBundleAsync(result, wallets);
+  result.transactions.forEach((txInfo) => {
     console.log(`✅ Signed: ${txInfo.description}`);
-    return bs58.encode(tx.serialize());
   });
 
   // Step 4: Send as Jito bundle
   const bundleRes = await sendJitoBundle(signedTxs);
-
-  if (bundleRes.success) {
-    await waitForToken(connection, mintKeypair.publicKey);
+  if (!bundleRes.success) {
+    throw new Error(`Bundle did not land: ${bundleRes.error}`);
   }
 
   // Done!
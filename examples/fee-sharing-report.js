@@ -0,0 +1,154 @@
+/**
+ * PumpDev API Example: Fee-Sharing Report
+ *
+ * Distribution history and per-shareholder statements for fee-sharing mints
+ * (lib/distributions.js):
+ * 1. Sync — find past /api/claim-distribute transactions for a mint and
+ *    record what each shareholder received, from the confirmed transactions
+ * 2. Statement — everything one shareholder received over a date range,
+ *    per distribution and per mint
+ * 3. Summary — per mint: configured split vs what was actually paid out
+ *
+ * claim-fees.js (distributeFees) and auto-claim.js record new distributions
+ * in the same file as they confirm.
+ *
+ * Commands:
+ *   node fee-sharing-report.js sync <mint> [creator]    creator defaults to the signer wallet
+ *   node fee-sharing-report.js statement <address> [mint]
+ *   node fee-sharing-report.js summary <mint>
+ *
+ * Settings (environment):
+ *   DISTRIBUTIONS_FILE - Distribution log (default distributions.jsonl)
+ *   FROM / TO          - Date range, YYYY-MM-DD (TO inclusive; default: everything)
+ *   CSV_FILE           - Also write the statement / summary as CSV
+ *   SYNC_LIMIT         - Signatures to scan per sync (default 1000)
+ *
+ * Documentation: https://pumpdev.io/claim-fees
+ */
+
+import dotenv from "dotenv";
+dotenv.config();
+
+import { writeFileSync } from "node:fs";
+import { Connection, PublicKey } from "@solana/web3.js";
+import { PumpDevClient } from "./lib/client.js";
+import { DistributionLog, formatStatement, formatSummary } from "./lib/distributions.js";
+import { toCsv } from "./lib/ledger.js";
+import { signerFromEnv } from "./lib/signer.js";
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const client = new PumpDevClient(); // uses PUMPDEV_API_URL or https://pumpdev.io
+const RPC_URL = process.env.RPC_URL || "https://api.mainnet-beta.solana.com";
+const DISTRIBUTIONS_FILE = process.env.DISTRIBUTIONS_FILE || "distributions.jsonl";
+const CSV_FILE = process.env.CSV_FILE;
+const SYNC_LIMIT = Number(process.env.SYNC_LIMIT || 1000);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** FROM / TO as a [from, to) range in ms; TO covers its whole day. */
+function dateRange() {
+  const parse = (name) => {
+    const value = process.env[name];
+    if (!value) return undefined;
+    const ms = Date.parse(`${value}T00:00:00Z`);
+    if (Number.isNaN(ms)) throw new Error(`${name} must be YYYY-MM-DD, got "${value}"`);
+    return ms;
+  };
+  const from = parse("FROM");
+  const to = parse("TO");
+  return { from, to: to === undefined ? undefined : to + DAY_MS };
+}
+
+function writeCsv(rows) {
+  if (!CSV_FILE) return;
+  writeFileSync(CSV_FILE, toCsv(rows));
+  console.log(`\n📄 Wrote ${rows.length} row(s) to ${CSV_FILE}`);
+}
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+async function sync(log, mint, creator) {
+  if (!mint) throw new Error("Usage: node fee-sharing-report.js sync <mint> [creator]");
+  if (!creator) {
+    const signer = await signerFromEnv();
+    if (!signer) throw new Error("Pass the creator wallet, or configure a signer (PRIVATE_KEY / KEYSTORE_FILE)");
+    creator = signer.publicKey.toBase58();
+  }
+
+  const info = await client.getClaimAccount({ publicKey: new PublicKey(creator).toBase58(), mint });
+  if (!info.hasFeeSharing || info.shareholders.length === 0) {
+    console.log(`${mint} has no fee sharing configured — nothing to distribute.`);
+    return;
+  }
+  console.log(`=== SYNC ${mint} ===\n`);
+  for (const s of info.shareholders) console.log(`  ${s.address} → ${s.sharePercent}%`);
+  console.log();
+
+  const connection = new Connection(RPC_URL, "confirmed");
+  const found = await log.sync(connection, {
+    mint,
+    shareholders: info.shareholders,
+    limit: SYNC_LIMIT,
+    onProgress: ({ scanned, found }) => console.log(`  scanned ${scanned} signature(s), ${found} distribution(s) found`),
+  });
+  console.log(`\n✅ ${found.length} new distribution(s) recorded in ${DISTRIBUTIONS_FILE}`);
+}
+
+function statement(log, address, mint) {
+  if (!address) throw new Error("Usage: node fee-sharing-report.js statement <address> [mint]");
+  const result = log.statement(address, { ...dateRange(), mint });
+  formatStatement(result).forEach((line) => console.log(line));
+  writeCsv(
+    result.lines.map((l) => ({
+      date: new Date(l.ts).toISOString(),
+      mint: l.mint,
+      signature: l.signature,
+      distributedSol: l.totalSol,
+      configuredPercent: l.sharePercent ?? "",
+      actualPercent: l.actualPercent.toFixed(4),
+      receivedSol: l.receivedSol,
+    })),
+  );
+}
+
+function summary(log, mint) {
+  if (!mint) throw new Error("Usage: node fee-sharing-report.js summary <mint>");
+  const result = log.summary(mint, dateRange());
+  formatSummary(result).forEach((line) => console.log(line));
+  writeCsv(
+    result.shareholders.map((s) => ({
+      address: s.address,
+      configuredPercent: s.sharePercent ?? "",
+      actualPercent: s.actualPercent.toFixed(4),
+      receivedSol: s.receivedSol,
+      expectedSol: s.expectedSol ?? "",
+      differenceSol: s.differenceSol ?? "",
+    })),
+  );
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const log = new DistributionLog({ file: DISTRIBUTIONS_FILE });
+
+  if (command === "sync") return sync(log, ...args);
+  if (command === "statement") return statement(log, ...args);
+  if (command === "summary") return summary(log, ...args);
+
+  console.log("Usage: node fee-sharing-report.js <sync|statement|summary> ...");
+  console.log("See the comment at the top of fee-sharing-report.js for commands and settings.");
+}
+
+main().catch((err) => {
+  console.error("❌ Error:", err.message);
+  process.exit(1);
+});
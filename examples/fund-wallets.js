@@ -0,0 +1,193 @@
+/**
+ * PumpDev API Example: Fund & Sweep Wallets
+ *
+ * Distributes SOL from a treasury wallet to every wallet in a keystore group
+ * (see wallets.js) and sweeps it back (lib/funding.js):
+ * 1. Plan amounts — fixed, weighted or randomized per wallet
+ * 2. Fund — several transfers packed per transaction, sent in parallel
+ *    (replaces transfer.js batchTransfer's one-at-a-time loop)
+ * 3. Sweep — /api/transfer-all on every wallet in the group, back to the
+ *    treasury, with a reconciliation table of balances before and after
+ *
+ * Commands:
+ *   node fund-wallets.js plan [group]     show the amounts, send nothing
+ *   node fund-wallets.js fund [group]
+ *   node fund-wallets.js sweep [group]
+ *
+ * Settings (environment):
+ *   KEYSTORE_FILE / KEYSTORE_PASSWORD - Keystore with the wallet group (required)
+ *   TREASURY_WALLET  - Keystore / remote signer wallet that pays and receives (default main)
+ *   FUND_GROUP       - Group when none is given on the command line (default bundlers)
+ *   FUND_MODE        - fixed | weighted | random (default fixed)
+ *   FUND_AMOUNT      - fixed: SOL per wallet (default 0.05)
+ *   FUND_TOTAL       - weighted: SOL split across the group
+ *   FUND_WEIGHTS     - weighted: "sniper1=3,sniper2=1" (default 1 each)
+ *   FUND_MIN / FUND_MAX - random: SOL range per wallet
+ *   TRANSFERS_PER_TX - Transfers packed per transaction (default 8)
+ *   CONCURRENCY      - Requests / transactions in flight (default 4)
+ *   SWEEP_MIN        - Skip wallets holding less than this (default 0.001 SOL)
+ *   LEDGER_FILE      - Confirmed transfers are recorded here (default ledger.jsonl)
+ *
+ * Signing goes through lib/signer.js, so REMOTE_SIGNER_URL works here too.
+ *
+ * Documentation: https://pumpdev.io/transfer
+ */
+
+import dotenv from "dotenv";
+dotenv.config();
+
+import { Connection } from "@solana/web3.js";
+import { PumpDevClient } from "./lib/client.js";
+import { FundingError } from "./lib/errors.js";
+import { DEFAULT_TRANSFERS_PER_TX, WalletFunder, formatReconciliation, planFunding } from "./lib/funding.js";
+import { Keystore } from "./lib/keystore.js";
+import { Ledger } from "./lib/ledger.js";
+import { signerFromEnv } from "./lib/signer.js";
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const client = new PumpDevClient(); // uses PUMPDEV_API_URL or https://pumpdev.io
+const RPC_URL = process.env.RPC_URL || "https://api.mainnet-beta.solana.com";
+const LEDGER_FILE = process.env.LEDGER_FILE || "ledger.jsonl";
+const TREASURY_WALLET = process.env.TREASURY_WALLET || "main";
+
+const num = (name) => (process.env[name] === undefined ? undefined : Number(process.env[name]));
+
+/** "a=3,b=1" → { a: 3, b: 1 } */
+function parseWeights(spec = "") {
+  const weights = {};
+  for (const part of spec.split(",").filter(Boolean)) {
+    const [name, weight] = part.split("=");
+    weights[name.trim()] = Number(weight);
+  }
+  return weights;
+}
+
+const PLAN_OPTIONS = {
+  mode: process.env.FUND_MODE || "fixed",
+  amountSol: num("FUND_AMOUNT") ?? 0.05,
+  totalSol: num("FUND_TOTAL"),
+  weights: parseWeights(process.env.FUND_WEIGHTS),
+  minSol: num("FUND_MIN"),
+  maxSol: num("FUND_MAX"),
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Record a confirmed transfer in the ledger; never throws. A funding
+ * transaction pays several wallets, so its entry lists them in `recipients`
+ * ({ name, wallet, amountSol }) instead of a single `recipient`.
+ */
+async function recordTransfer(ledger, connection, signature, entry) {
+  try {
+    await ledger.recordTransaction(connection, signature, { type: "transfer", ...entry });
+  } catch (err) {
+    console.error("Ledger: could not record", signature, "-", err.message);
+  }
+}
+
+function printPlan(plan) {
+  const total = plan.reduce((sum, leg) => sum + leg.amountSol, 0);
+  for (const leg of plan) console.log(`  ${leg.name.padEnd(12)} ${leg.publicKey}  ${leg.amountSol.toFixed(4)} SOL`);
+  console.log(`\n  ${plan.length} wallet(s), ${total.toFixed(4)} SOL total (${PLAN_OPTIONS.mode})`);
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+  const [command, groupArg] = process.argv.slice(2);
+  const group = groupArg || process.env.FUND_GROUP || "bundlers";
+  if (!["plan", "fund", "sweep"].includes(command)) {
+    console.log("Usage: node fund-wallets.js <plan|fund|sweep> [group]");
+    console.log("See the comment at the top of fund-wallets.js for settings.");
+    return;
+  }
+  if (!process.env.KEYSTORE_FILE) {
+    throw new Error("Set KEYSTORE_FILE — wallet groups live in the keystore (see wallets.js)");
+  }
+
+  const keystore = await Keystore.open(process.env.KEYSTORE_FILE, process.env.KEYSTORE_PASSWORD);
+  const treasury = await signerFromEnv({ name: TREASURY_WALLET, keystore, privateKey: null });
+  if (!treasury) throw new Error(`No treasury wallet "${TREASURY_WALLET}" — set TREASURY_WALLET`);
+
+  const treasuryKey = treasury.publicKey.toBase58();
+  const wallets = keystore.list({ group }).filter((w) => w.publicKey !== treasuryKey);
+  if (wallets.length === 0) throw new Error(`No wallets in group "${group}" besides the treasury`);
+
+  const connection = new Connection(RPC_URL, "confirmed");
+  const ledger = new Ledger({ file: LEDGER_FILE });
+  const recording = []; // ledger writes, awaited before the summary
+  const funder = new WalletFunder({
+    client,
+    connection,
+    treasury,
+    transfersPerTx: num("TRANSFERS_PER_TX") ?? DEFAULT_TRANSFERS_PER_TX,
+    concurrency: num("CONCURRENCY") ?? 4,
+  });
+
+  console.log(`🏦 Treasury ${TREASURY_WALLET}: ${treasuryKey}`);
+  console.log(`👛 Group "${group}": ${wallets.length} wallet(s)\n`);
+
+  if (command === "plan" || command === "fund") {
+    const plan = planFunding(wallets, PLAN_OPTIONS);
+    printPlan(plan);
+    if (command === "plan") return;
+
+    funder.on("packed", ({ index, transfers, lamports }) => {
+      console.log(`📦 tx ${index}: ${transfers.length} transfer(s), ${(lamports / 1e9).toFixed(4)} SOL`);
+    });
+    funder.on("batchConfirmed", ({ index, signature, slot, transfers }) => {
+      console.log(`✅ tx ${index} confirmed in slot ${slot}: ${signature.slice(0, 20)}...`);
+      const recipients = transfers.map((t) => ({ name: t.name, wallet: t.publicKey, amountSol: t.amountSol }));
+      recording.push(recordTransfer(ledger, connection, signature, { wallet: treasuryKey, recipients }));
+    });
+    funder.on("batchFailed", ({ index, error, transfers }) => {
+      console.log(`❌ tx ${index} failed (${transfers.map((t) => t.name).join(", ")}): ${error.message}`);
+    });
+
+    console.log();
+    const results = await funder.fund(plan);
+    await Promise.all(recording);
+    const funded = results.filter((r) => r.status === "confirmed");
+    console.log(`\nFunded ${funded.length}/${results.length} wallet(s):\n`);
+    for (const r of results) {
+      console.log(`  ${r.name.padEnd(12)} ${r.beforeSol.toFixed(6)} → ${r.afterSol.toFixed(6)} SOL  ${r.status === "confirmed" ? "✅" : "❌"}`);
+    }
+    return;
+  }
+
+  // sweep: every wallet signs its own transfer-all
+  const signers = [];
+  for (const w of wallets) {
+    const signer = await signerFromEnv({ name: w.name, keystore, privateKey: null });
+    if (!signer) throw new Error(`No signer for "${w.name}" on the remote signer`);
+    signers.push({ name: w.name, signer });
+  }
+  funder.on("swept", ({ name, signature, amountSol }) => {
+    console.log(`✅ ${name}: ${amountSol.toFixed(6)} SOL swept`);
+    const wallet = signers.find((s) => s.name === name).signer.publicKey.toBase58();
+    recording.push(recordTransfer(ledger, connection, signature, { wallet, recipient: treasuryKey }));
+  });
+  funder.on("sweepFailed", ({ name, error }) => console.log(`❌ ${name}: ${error.message}`));
+
+  const report = await funder.sweep(signers, { minSol: num("SWEEP_MIN") ?? 0.001 });
+  await Promise.all(recording);
+  console.log("\n=== RECONCILIATION ===\n");
+  formatReconciliation(report).forEach((line) => console.log(line));
+}
+
+main().catch((err) => {
+  if (err instanceof FundingError && err.problems.length) {
+    console.error("❌ Error:", err.problems.join("\n   "));
+  } else {
+    console.error("❌ Error:", err.message);
+  }
+  process.exit(1);
+});
@@ -0,0 +1,155 @@
+/**
+ * PumpDev API Example: Launch Plans
+ *
+ * Multi-wallet token launches from a plan file (lib/launch-plan.js) instead
+ * of editing createTokenWithMultipleBuyers in create-token.js / bundle.js:
+ * 1. Check — validate the plan (token, wallets, amounts, endpoint limits)
+ *    and price it per wallet against current balances; nothing is sent
+ * 2. Run — check, publish the metadata, send the create + dev buy + buyers
+ *    as one Jito bundle via /api/create-bundle, /api/bundle or
+ *    /api/bundle-lightning, send the buyers that don't fit in follow-up
+ *    waves of up to 4 buys, run the post-launch buys and sells, and write
+ *    a launch report (which waves landed, and in which slots)
+ * 3. Show — print a saved launch report
+ *
+ * The plan format is described at the top of lib/launch-plan.js; see
+ * launch.example.json. Wallet names are looked up in the keystore (see
+ * wallets.js) or the remote signer, like create-token.js does.
+ *
+ * Commands:
+ *   node launch.js check <plan.json|plan.yaml>
+ *   node launch.js run <plan.json|plan.yaml>
+ *   node launch.js show <report.json>
+ *
+ * Settings (environment):
+ *   RPC_URL             - Balances, lightning slots and the ledger
+ *   KEYSTORE_FILE / KEYSTORE_PASSWORD - Wallets the plan names (or REMOTE_SIGNER_URL)
+ *   METADATA_PROVIDER   - Where the image and metadata go (see lib/metadata.js)
+ *   METADATA_CACHE_FILE - Upload cache (default metadata-cache.json)
+ *   LEDGER_FILE         - Landed transactions are recorded here (default ledger.jsonl)
+ *   LAUNCH_REPORT       - Report file (default <plan name>-<time>.launch.json)
+ *
+ * Documentation: https://pumpdev.io/create-token
+ */
+
+import dotenv from "dotenv";
+dotenv.config();
+
+import { readFileSync, writeFileSync } from "node:fs";
+import { Connection } from "@solana/web3.js";
+import { PumpDevClient } from "./lib/client.js";
+import { JitoBundleSubmitter, regionOf } from "./lib/jito.js";
+import { Keystore } from "./lib/keystore.js";
+import {
+  LaunchRunner,
+  formatPricing,
+  formatReport,
+  loadLaunchPlan,
+  loadMintKeypair,
+  prepareImage,
+  publishLaunchMetadata,
+  resolveWallets,
+} from "./lib/launch-plan.js";
+import { Ledger } from "./lib/ledger.js";
+import { UploadCache, providerFromEnv } from "./lib/metadata.js";
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const client = new PumpDevClient(); // uses PUMPDEV_API_URL or https://pumpdev.io
+const jito = new JitoBundleSubmitter(); // all regional block engines in parallel
+const RPC_URL = process.env.RPC_URL || "https://api.mainnet-beta.solana.com";
+const LEDGER_FILE = process.env.LEDGER_FILE || "ledger.jsonl";
+const METADATA_CACHE_FILE = process.env.METADATA_CACHE_FILE || "metadata-cache.json";
+
+const keystore = process.env.KEYSTORE_FILE
+  ? await Keystore.open(process.env.KEYSTORE_FILE, process.env.KEYSTORE_PASSWORD)
+  : null;
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+/** Validate, look up wallets, check the image and price the launch. */
+async function check(file, runner) {
+  const plan = await loadLaunchPlan(file);
+  console.log(`📋 ${plan.name}: ${plan.token.name} ($${plan.token.symbol}), ${plan.buyers.length} buyer(s), ${plan.after.length} post-launch action(s)`);
+  for (const w of plan.tokenWarnings) console.log(`⚠️  token.${w.field} ${w.message}`);
+
+  const wallets = await resolveWallets(plan, { keystore });
+  const mintKeypair = plan.mintKeypair ? await loadMintKeypair(plan.mintKeypair) : null;
+  if (mintKeypair) console.log(`🔑 Vanity mint: ${mintKeypair.publicKey.toBase58()}`);
+
+  const image = await prepareImage(plan);
+  for (const w of image?.warnings ?? []) console.log(`⚠️  ${w.field} ${w.message}`);
+  for (const change of image?.changes ?? []) console.log(`🖼️  Image: ${change}`);
+
+  const pricing = await runner.price(plan, wallets);
+  console.log("");
+  formatPricing(pricing).forEach((line) => console.log(line));
+  if (pricing.shortfalls.length > 0) console.log(`\n❌ ${pricing.shortfalls.length} wallet(s) can't cover their part — fund them first (fund-wallets.js)`);
+  return { plan, wallets, mintKeypair, image, pricing };
+}
+
+async function run(file, runner) {
+  const { plan, wallets, mintKeypair, image, pricing } = await check(file, runner);
+
+  const provider = providerFromEnv();
+  console.log(`\n📤 Publishing metadata (${provider.id})...`);
+  const createParams = await publishLaunchMetadata(plan, {
+    provider,
+    cache: new UploadCache({ file: METADATA_CACHE_FILE }),
+    image,
+  });
+  console.log(createParams.uri ? `✅ Metadata: ${createParams.uri}` : `✅ Image: ${createParams.image} (metadata hosted by PumpDev)`);
+
+  runner.on("built", ({ step, endpoint, mint, transactions }) => console.log(`\n📦 ${step}: ${transactions} tx(s) from /api/${endpoint}, mint ${mint}`));
+  runner.on("landed", ({ step, slot, signatures }) => console.log(`✅ ${step} landed in slot ${slot ?? "?"} (${signatures.length} tx)`));
+  runner.on("failed", ({ step, error }) => console.log(`❌ ${step}: ${error.message}`));
+  runner.on("wave", ({ step, buyers, targetSlot }) => console.log(`🌊 ${step}: ${buyers} buyer(s), target slot ${targetSlot ?? "?"}`));
+  runner.on("waiting", ({ step, delayMs }) => console.log(`⏳ ${step} in ${(delayMs / 1000).toFixed(1)}s...`));
+  jito.on("submitted", ({ accepted, rejected }) => {
+    console.log(`🚀 Bundle accepted by ${accepted.length}/${accepted.length + rejected.length} engines`);
+    for (const r of rejected) console.log(`⚠️ ${regionOf(r.endpoint)}: ${r.error}`);
+  });
+
+  const report = await runner.run(plan, { wallets, pricing, createParams, mintKeypair });
+
+  const out = process.env.LAUNCH_REPORT || `${plan.name.replace(/[^\w.-]+/g, "_")}-${report.startedAt.replace(/[:.]/g, "-")}.launch.json`;
+  writeFileSync(out, JSON.stringify(report, null, 2));
+  console.log("\n========================================");
+  formatReport(report).forEach((line) => console.log(line));
+  console.log("========================================");
+  console.log(`📄 Report: ${out}`);
+  if (report.status === "failed") process.exitCode = 1;
+}
+
+function show(file) {
+  const report = JSON.parse(readFileSync(file, "utf8"));
+  formatReport(report).forEach((line) => console.log(line));
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+  const [command, file] = process.argv.slice(2);
+  if (!["check", "run", "show"].includes(command) || !file) {
+    console.log("Usage: node launch.js <check|run> <plan>  |  node launch.js show <report>");
+    console.log("See the comment at the top of launch.js for settings.");
+    return;
+  }
+  if (command === "show") return show(file);
+
+  const connection = new Connection(RPC_URL, "confirmed");
+  const runner = new LaunchRunner({ client, jito, connection, ledger: new Ledger({ file: LEDGER_FILE }) });
+  if (command === "check") return check(file, runner);
+  return run(file, runner);
+}
+
+main().catch((err) => {
+  console.error("❌ Error:", err.message);
+  process.exit(1);
+});
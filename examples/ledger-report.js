@@ -0,0 +1,102 @@
+/**
+ * PumpDev API Example: Ledger Report
+ *
+ * Reads the ledger written by buy-sell.js, sniper-bot.js, create-token.js,
+ * claim-fees.js and transfer.js, and prints:
+ * 1. Realized / unrealized PnL per mint, per wallet and per strategy
+ * 2. Fees paid — network, priority, Jito tips and PumpDev commission
+ * 3. Claimed creator fees and cashback
+ *
+ * Open holdings are valued at the last price recorded for the mint.
+ *
+ * Settings (environment):
+ *   LEDGER_FILE - Ledger to read (default ledger.jsonl)
+ *   GROUP_BY    - mint | wallet | strategy (default: all three)
+ *   CSV_DIR     - Also export ledger-entries.csv and pnl-<group>.csv here
+ *
+ * Documentation: https://pumpdev.io
+ */
+
+import dotenv from "dotenv";
+dotenv.config();
+
+import { existsSync, mkdirSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { Ledger, PNL_GROUPS, toCsv } from "./lib/ledger.js";
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const LEDGER_FILE = process.env.LEDGER_FILE || "ledger.jsonl";
+const GROUP_BY = process.env.GROUP_BY ? [process.env.GROUP_BY] : PNL_GROUPS;
+const CSV_DIR = process.env.CSV_DIR;
+
+const sol = (n) => `${n >= 0 ? "+" : ""}${n.toFixed(6)}`;
+const short = (key) => (key.length > 20 ? `${key.slice(0, 8)}...${key.slice(-4)}` : key);
+
+// ============================================================================
+// REPORT
+// ============================================================================
+
+function printGroup(ledger, group) {
+  const rows = ledger.pnl(group).sort((a, b) => b.pnlSol - a.pnlSol);
+  console.log(`\n=== PnL BY ${group.toUpperCase()} ===\n`);
+  console.log(
+    `${"key".padEnd(16)} ${"buys".padStart(5)} ${"sells".padStart(5)} ${"realized".padStart(12)} ${"unrealized".padStart(12)} ${"claimed".padStart(12)} ${"fees".padStart(10)} ${"total".padStart(12)}`,
+  );
+  for (const r of rows) {
+    console.log(
+      `${short(r.key).padEnd(16)} ${String(r.buys).padStart(5)} ${String(r.sells).padStart(5)} ${sol(r.realizedSol).padStart(12)} ${sol(r.unrealizedSol).padStart(12)} ${sol(r.claimedSol).padStart(12)} ${r.feesSol.toFixed(6).padStart(10)} ${sol(r.pnlSol).padStart(12)}`,
+    );
+  }
+  return rows;
+}
+
+function printFees(ledger) {
+  const fees = { networkSol: 0, prioritySol: 0, jitoTipSol: 0, commissionSol: 0 };
+  for (const entry of ledger.entries) {
+    for (const key of Object.keys(fees)) fees[key] += entry.fees?.[key] ?? 0;
+  }
+  console.log("\n=== FEES PAID ===\n");
+  console.log("Network:    ", fees.networkSol.toFixed(6), "SOL");
+  console.log("Priority:   ", fees.prioritySol.toFixed(6), "SOL");
+  console.log("Jito tips:  ", fees.jitoTipSol.toFixed(6), "SOL");
+  console.log("Commission: ", fees.commissionSol.toFixed(6), "SOL");
+}
+
+async function main() {
+  if (!existsSync(LEDGER_FILE)) {
+    console.error(`❌ No ledger at ${LEDGER_FILE} — run a trade first or set LEDGER_FILE`);
+    process.exit(1);
+  }
+
+  const ledger = new Ledger({ file: LEDGER_FILE });
+  const estimated = ledger.entries.filter((e) => e.estimated).length;
+  console.log(`📒 ${LEDGER_FILE}: ${ledger.entries.length} entries${estimated ? ` (${estimated} estimated)` : ""}`);
+
+  const groups = {};
+  for (const group of GROUP_BY) groups[group] = printGroup(ledger, group);
+  printFees(ledger);
+
+  const totals = ledger.totals();
+  console.log("\n=== TOTAL ===\n");
+  console.log("Realized:  ", sol(totals.realizedSol), "SOL");
+  console.log("Unrealized:", sol(totals.unrealizedSol), "SOL");
+  console.log("Claimed:   ", sol(totals.claimedSol), "SOL");
+  console.log("PnL:       ", sol(totals.pnlSol), "SOL");
+
+  if (CSV_DIR) {
+    mkdirSync(CSV_DIR, { recursive: true });
+    writeFileSync(join(CSV_DIR, "ledger-entries.csv"), toCsv(ledger.entryRows()));
+    for (const [group, rows] of Object.entries(groups)) {
+      writeFileSync(join(CSV_DIR, `pnl-${group}.csv`), toCsv(rows));
+    }
+    console.log(`\n📄 CSV written to ${CSV_DIR}/`);
+  }
+}
+
+main().catch((err) => {
+  console.error("❌ Error:", err.message);
+  process.exit(1);
+});
@@ -0,0 +1,207 @@
+/**
+ * Local-Sign Bundle Signer
+ *
+ * Signs the unsigned transactions returned by /api/bundle, /api/create and
+ * /api/create-bundle — but only after checking that every required signer is
+ * available locally. A partially-signed bundle gets rejected by Jito with an
+ * opaque error, so we fail fast and list the missing pubkeys instead.
+ *
+ * Required signers come from two places and both are checked:
+ * - `entry.signers` from the API response (pubkeys, or names like "creator",
+ *   "buyer1" and "mint" for create flows)
+ * - The message header itself (the first numRequiredSignatures account keys)
+ *
+ * Wallet map values can be Keypairs or signers (lib/signer.js — keystore,
+ * remote service). signBundleAsync() handles both and asks each signer once
+ * for all of its transactions; signBundle() is the synchronous Keypair-only
+ * version.
+ *
+ * Usage:
+ *   const data = await client.bundle({ accounts, mint, jitoTip });
+ *   const signedTxs = signBundle(data, { [wallet.publicKey.toBase58()]: wallet });
+ *   const signedTxs = await signBundleAsync(data, { creator: remoteSigner, buyer1 });
+ */
+
+import bs58 from "bs58";
+import { MissingSignersError, SignerError } from "./errors.js";
+import { toSigner } from "./signer.js";
+
+/** Look up a key in a plain object or Map wallet map. */
+function lookup(walletMap, key) {
+  if (!walletMap) return undefined;
+  return walletMap instanceof Map ? walletMap.get(key) : walletMap[key];
+}
+
+/** Every keypair or signer in the wallet map, indexed by base58 pubkey. */
+function indexByPubkey(walletMap) {
+  const values = walletMap instanceof Map ? walletMap.values() : Object.values(walletMap || {});
+  const byPubkey = new Map();
+  for (const kp of values) {
+    if (kp?.publicKey) byPubkey.set(kp.publicKey.toBase58(), kp);
+  }
+  return byPubkey;
+}
+
+/** Pubkeys that must sign a VersionedTransaction, per its message header. */
+export function requiredSigners(tx) {
+  const count = tx.message.header.numRequiredSignatures;
+  return tx.message.staticAccountKeys
+    .slice(0, count)
+    .map((key) => key.toBase58());
+}
+
+/** Pubkeys whose signature slot is still all zeros. */
+export function unsignedSlots(tx) {
+  return requiredSigners(tx).filter((_, i) =>
+    tx.signatures[i].every((byte) => byte === 0),
+  );
+}
+
+/**
+ * Work out which local keypairs sign each transaction.
+ *
+ * @param {object} data - Client response ({ transactions: [{ tx, signers, type }], mintKeypair? })
+ * @param {Record<string, import("@solana/web3.js").Keypair|object>|Map} walletMap - Keypairs or signers, keyed by pubkey or signer name
+ * @returns {{ index: number, type: string, required: string[], signers: (import("@solana/web3.js").Keypair|object)[], missing: string[] }[]}
+ */
+export function resolveSigners(data, walletMap) {
+  const byPubkey = indexByPubkey(walletMap);
+  if (data.mintKeypair) {
+    byPubkey.set(data.mintKeypair.publicKey.toBase58(), data.mintKeypair);
+  }
+
+  return data.transactions.map((entry, index) => {
+    const chosen = new Map();
+    const missing = new Set();
+
+    // 1. Signers the API told us about (names or pubkeys)
+    for (const name of entry.signers || []) {
+      const kp =
+        name === "mint"
+          ? data.mintKeypair
+          : lookup(walletMap, name) || byPubkey.get(name);
+      if (kp) {
+        chosen.set(kp.publicKey.toBase58(), kp);
+      } else {
+        missing.add(name);
+      }
+    }
+
+    // 2. Signers the message actually requires
+    const required = requiredSigners(entry.tx);
+    for (const pubkey of required) {
+      const kp = chosen.get(pubkey) || byPubkey.get(pubkey);
+      if (kp) {
+        chosen.set(pubkey, kp);
+        missing.delete(pubkey);
+      } else {
+        missing.add(pubkey);
+      }
+    }
+
+    // A name we couldn't resolve is fine if the message doesn't need it after all
+    // (e.g. "creator" when the creator pubkey was found directly)
+    const covered = required.every((pubkey) => chosen.has(pubkey));
+    if (covered) {
+      for (const name of [...missing]) {
+        if (!required.includes(name)) missing.delete(name);
+      }
+    }
+
+    return {
+      index,
+      type: entry.type ?? null,
+      required,
+      // tx.sign() rejects keys that aren't required signers
+      signers: required.map((pubkey) => chosen.get(pubkey)).filter(Boolean),
+      missing: [...missing],
+    };
+  });
+}
+
+/**
+ * Throw before anything is signed or sent if any signer is unavailable.
+ *
+ * @throws {MissingSignersError}
+ */
+export function assertSignersAvailable(data, walletMap) {
+  const plan = resolveSigners(data, walletMap);
+  const missing = plan.flatMap((p) =>
+    p.missing.map((publicKey) => ({ index: p.index, type: p.type, publicKey })),
+  );
+
+  if (missing.length > 0) {
+    const list = missing
+      .map((m) => `tx ${m.index}${m.type ? ` (${m.type})` : ""}: ${m.publicKey}`)
+      .join(", ");
+    throw new MissingSignersError(`Missing signers — ${list}`, { missing });
+  }
+
+  return plan;
+}
+
+/** Check no signature slot was left empty, then base58-encode for Jito. */
+function encodeSigned(data) {
+  const unsigned = data.transactions.flatMap((entry, index) =>
+    unsignedSlots(entry.tx).map((publicKey) => ({
+      index,
+      type: entry.type ?? null,
+      publicKey,
+    })),
+  );
+  if (unsigned.length > 0) {
+    throw new MissingSignersError(
+      `Signature slots still empty after signing: ${unsigned
+        .map((m) => `tx ${m.index}: ${m.publicKey}`)
+        .join(", ")}`,
+      { missing: unsigned },
+    );
+  }
+
+  return data.transactions.map((entry) => bs58.encode(entry.tx.serialize()));
+}
+
+/**
+ * Validate, sign and verify every transaction in a bundle response.
+ *
+ * @param {object} data - Client response with deserialized `tx` per entry
+ * @param {Record<string, import("@solana/web3.js").Keypair>|Map} walletMap
+ * @returns {string[]} Base58 encoded signed transactions, ready for Jito
+ * @throws {MissingSignersError} Before signing (unavailable keys) or after (empty slots)
+ * @throws {SignerError} A wallet map entry is a signer — use signBundleAsync()
+ */
+export function signBundle(data, walletMap) {
+  const plan = assertSignersAvailable(data, walletMap);
+  if (plan.some(({ signers }) => signers.some((s) => !s.secretKey))) {
+    throw new SignerError("signBundle() only takes Keypairs — use signBundleAsync() with signers", { reason: "invalid" });
+  }
+
+  plan.forEach(({ signers }, i) => data.transactions[i].tx.sign(signers));
+  return encodeSigned(data);
+}
+
+/**
+ * signBundle() for Keypairs and signers alike. Each signer gets one
+ * signAll() call covering every transaction it signs, so a remote signer is
+ * asked once per bundle rather than once per transaction.
+ *
+ * @param {object} data - Client response with deserialized `tx` per entry
+ * @param {Record<string, import("@solana/web3.js").Keypair|object>|Map} walletMap
+ * @returns {Promise<string[]>} Base58 encoded signed transactions, ready for Jito
+ * @throws {MissingSignersError|SignerError}
+ */
+export async function signBundleAsync(data, walletMap) {
+  const plan = assertSignersAvailable(data, walletMap);
+
+  const batches = new Map(); // pubkey → { signer, txs }
+  plan.forEach(({ signers }, i) => {
+    for (const signer of signers) {
+      const key = signer.publicKey.toBase58();
+      if (!batches.has(key)) batches.set(key, { signer: toSigner(signer), txs: [] });
+      batches.get(key).txs.push(data.transactions[i].tx);
+    }
+  });
+  await Promise.all([...batches.values()].map(({ signer, txs }) => signer.signAll(txs)));
+
+  return encodeSigned(data);
+}
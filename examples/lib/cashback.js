@@ -0,0 +1,251 @@
+/**
+ * Cashback Accounting
+ *
+ * On cashback-enabled tokens pump.fun pays the creator fee back to traders,
+ * per program: bonding-curve trades accrue on pump, AMM trades on pumpswap,
+ * and /api/claim-cashback sweeps one program or both. This module reads the
+ * trade ledger and:
+ * 1. Attributes every cashback claim to the trades that earned it — the buys
+ *    and sells on cashback mints since the wallet's previous claim of that
+ *    program, pro rata to their expected cashback
+ * 2. Estimates cashback accrued but not claimed yet
+ * 3. Projects future cashback from recent volume, at the rate the wallet's
+ *    claims actually paid (or CASHBACK_BPS until there is a claim)
+ * 4. Reports trading cost net of cashback per wallet
+ *
+ * Trade volume is the SOL that went into the curve or pool: a buy's SOL spent
+ * minus fees, a sell's SOL received plus fees. Ledger entries from before
+ * trades carried a `program` count as pump (bonding curve). Cashback claims
+ * are ledger entries with `claim: "cashback"` and an optional `program`
+ * (default "both") — claim-fees.js and auto-claim.js record them.
+ *
+ * Usage:
+ *   const tracker = new CashbackTracker({ ledger: new Ledger({ file: "ledger.jsonl" }), mints: ["mintA", "mintB"] });
+ *   tracker.report();                        // [{ wallet, volumeSol, feesSol, cashbackSol, effectiveCostBps, ... }]
+ *   tracker.trades(wallet);                  // per trade: expected vs attributed cashback
+ *   tracker.project(wallet, { days: 30 });   // { dailyVolumeSol, rateBps, projectedSol, ... }
+ */
+
+/** Cashback per SOL of volume until a wallet's own claims show the real rate. */
+export const DEFAULT_CASHBACK_BPS = 30;
+
+/** Programs cashback accrues on, and what a claim's `program` sweeps. */
+export const CASHBACK_PROGRAMS = ["pump", "pumpswap"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const feesOf = (entry) => {
+  const f = entry.fees ?? {};
+  return (f.networkSol ?? 0) + (f.prioritySol ?? 0) + (f.jitoTipSol ?? 0) + (f.commissionSol ?? 0);
+};
+
+const isTrade = (entry) => (entry.type === "buy" || entry.type === "sell" || entry.type === "create") && !entry.failed && (entry.tokenDelta ?? 0) !== 0;
+const isCashbackClaim = (entry) => entry.type === "claim" && entry.claim === "cashback" && !entry.failed;
+
+/** SOL that went into the curve or pool, fees excluded. */
+export function tradeVolume(entry) {
+  const fees = feesOf(entry);
+  return entry.tokenDelta > 0 ? Math.max(0, -entry.solDelta - fees) : Math.max(0, entry.solDelta + fees);
+}
+
+// ============================================================================
+// TRACKER
+// ============================================================================
+
+export class CashbackTracker {
+  /**
+   * @param {object} options
+   * @param {import("./ledger.js").Ledger} options.ledger
+   * @param {string[]|null} [options.mints] - Cashback-enabled mints (default null: every traded mint counts)
+   * @param {number} [options.bps] - Assumed cashback rate before the first claim (default DEFAULT_CASHBACK_BPS)
+   * @param {() => number} [options.now] - Clock for projections (default Date.now)
+   */
+  constructor({ ledger, mints = null, bps = DEFAULT_CASHBACK_BPS, now = Date.now }) {
+    this.ledger = ledger;
+    this.mints = mints ? new Set(mints) : null;
+    this.bps = bps;
+    this.now = now;
+  }
+
+  eligible(entry) {
+    return isTrade(entry) && (!this.mints || this.mints.has(entry.mint));
+  }
+
+  /** Every wallet in the ledger that traded a cashback mint or claimed cashback. */
+  wallets() {
+    const wallets = new Set();
+    for (const entry of this.ledger.entries) {
+      if (this.eligible(entry) || isCashbackClaim(entry)) wallets.add(entry.wallet);
+    }
+    return [...wallets];
+  }
+
+  /**
+   * Walk one wallet's entries in time order and split each cashback claim
+   * over the trades it paid out for.
+   *
+   * @param {string} wallet
+   * @returns {{ trades: object[], claims: object[] }} trades: { ts, signature, mint, program, type,
+   *   volumeSol, expectedSol, attributedSol (null until claimed), claimSignature };
+   *   claims: { ts, signature, program, receivedSol, expectedSol, volumeSol, trades, rateBps }
+   */
+  attribute(wallet) {
+    const entries = this.ledger.entries.filter((e) => e.wallet === wallet).sort((a, b) => a.ts - b.ts);
+    const open = Object.fromEntries(CASHBACK_PROGRAMS.map((p) => [p, []]));
+    const trades = [];
+    const claims = [];
+
+    for (const entry of entries) {
+      if (this.eligible(entry)) {
+        const volumeSol = tradeVolume(entry);
+        const trade = {
+          ts: entry.ts,
+          signature: entry.signature ?? null,
+          mint: entry.mint,
+          program: entry.program ?? "pump",
+          type: entry.type,
+          volumeSol,
+          expectedSol: (volumeSol * this.bps) / 10_000,
+          attributedSol: null,
+          claimSignature: null,
+        };
+        trades.push(trade);
+        (open[trade.program] ?? open.pump).push(trade);
+        continue;
+      }
+      if (!isCashbackClaim(entry)) continue;
+
+      // The claim received its amount and paid the network fee for it
+      const program = entry.program ?? "both";
+      const receivedSol = entry.solDelta + feesOf(entry);
+      const covered = (program === "both" ? CASHBACK_PROGRAMS : [program]).flatMap((p) => open[p].splice(0));
+      const expectedSol = covered.reduce((sum, t) => sum + t.expectedSol, 0);
+      const volumeSol = covered.reduce((sum, t) => sum + t.volumeSol, 0);
+      for (const t of covered) {
+        t.attributedSol = expectedSol > 0 ? (receivedSol * t.expectedSol) / expectedSol : 0;
+        t.claimSignature = entry.signature ?? null;
+      }
+      claims.push({
+        ts: entry.ts,
+        signature: entry.signature ?? null,
+        program,
+        receivedSol,
+        expectedSol,
+        volumeSol,
+        trades: covered.length,
+        // Without trades in the ledger the claim paid for older, unrecorded volume
+        rateBps: volumeSol > 0 ? (receivedSol / volumeSol) * 10_000 : null,
+      });
+    }
+    return { trades, claims };
+  }
+
+  /** Per-trade attribution for one wallet (see attribute). */
+  trades(wallet) {
+    return this.attribute(wallet).trades;
+  }
+
+  /**
+   * Cashback rate the wallet's claims actually paid, over the trades they
+   * covered; the configured rate until there is one.
+   *
+   * @param {string} wallet
+   * @returns {{ rateBps: number, source: "claims"|"configured" }}
+   */
+  rate(wallet) {
+    const { claims } = this.attribute(wallet);
+    const measured = claims.filter((c) => c.rateBps !== null);
+    const volume = measured.reduce((sum, c) => sum + c.volumeSol, 0);
+    if (volume === 0) return { rateBps: this.bps, source: "configured" };
+    const received = measured.reduce((sum, c) => sum + c.receivedSol, 0);
+    return { rateBps: (received / volume) * 10_000, source: "claims" };
+  }
+
+  /**
+   * Project a wallet's cashback from its recent volume on cashback mints.
+   *
+   * @param {string} wallet
+   * @param {object} [options]
+   * @param {number} [options.days] - Projection horizon (default 30)
+   * @param {number} [options.windowDays] - Recent volume to average (default 7)
+   * @param {number} [options.dailyVolumeSol] - Use this volume instead of the ledger's
+   * @returns {{ wallet, days, windowDays, dailyVolumeSol, rateBps, rateSource, dailySol, projectedSol }}
+   */
+  project(wallet, { days = 30, windowDays = 7, dailyVolumeSol } = {}) {
+    if (dailyVolumeSol === undefined) {
+      const since = this.now() - windowDays * DAY_MS;
+      const volume = this.trades(wallet)
+        .filter((t) => t.ts >= since)
+        .reduce((sum, t) => sum + t.volumeSol, 0);
+      dailyVolumeSol = volume / windowDays;
+    }
+    const { rateBps, source } = this.rate(wallet);
+    const dailySol = (dailyVolumeSol * rateBps) / 10_000;
+    return { wallet, days, windowDays, dailyVolumeSol, rateBps, rateSource: source, dailySol, projectedSol: dailySol * days };
+  }
+
+  /**
+   * Trading cost net of cashback, per wallet. Fees are what the ledger
+   * records for trades and cashback claims: network, priority, Jito tips and
+   * commission. Pending cashback is the expected amount of trades no claim
+   * has covered yet.
+   *
+   * @param {object} [options]
+   * @param {string[]} [options.wallets] - Default: every wallet with cashback activity
+   * @returns {Array<{ wallet, trades, volumeSol, cashbackVolumeSol, feesSol, claimedSol, claims, pendingSol,
+   *   cashbackSol, netCostSol, feeBps, netCostBps, rateBps, rateSource }>}
+   */
+  report({ wallets = this.wallets() } = {}) {
+    return wallets.map((wallet) => {
+      const entries = this.ledger.entries.filter((e) => e.wallet === wallet);
+      const traded = entries.filter(isTrade);
+      const { trades, claims } = this.attribute(wallet);
+
+      const volumeSol = traded.reduce((sum, e) => sum + tradeVolume(e), 0);
+      const feesSol = entries.filter((e) => isTrade(e) || isCashbackClaim(e)).reduce((sum, e) => sum + feesOf(e), 0);
+      const claimedSol = claims.reduce((sum, c) => sum + c.receivedSol, 0);
+      const pendingSol = trades.filter((t) => t.attributedSol === null).reduce((sum, t) => sum + t.expectedSol, 0);
+      const cashbackSol = claimedSol + pendingSol;
+      const netCostSol = feesSol - cashbackSol;
+      const bps = (sol) => (volumeSol > 0 ? (sol / volumeSol) * 10_000 : 0);
+      const { rateBps, source } = this.rate(wallet);
+
+      return {
+        wallet,
+        trades: traded.length,
+        volumeSol,
+        cashbackVolumeSol: trades.reduce((sum, t) => sum + t.volumeSol, 0),
+        feesSol,
+        claimedSol,
+        claims: claims.length,
+        pendingSol,
+        cashbackSol,
+        netCostSol,
+        feeBps: bps(feesSol),
+        netCostBps: bps(netCostSol),
+        rateBps,
+        rateSource: source,
+      };
+    });
+  }
+
+  /**
+   * Cashback earned per mint for one wallet: attributed where a claim
+   * covered the trades, expected where none has yet.
+   *
+   * @param {string} wallet
+   * @returns {Array<{ mint, trades, volumeSol, claimedSol, pendingSol }>}
+   */
+  byMint(wallet) {
+    const rows = new Map();
+    for (const t of this.trades(wallet)) {
+      const row = rows.get(t.mint) ?? { mint: t.mint, trades: 0, volumeSol: 0, claimedSol: 0, pendingSol: 0 };
+      row.trades++;
+      row.volumeSol += t.volumeSol;
+      if (t.attributedSol === null) row.pendingSol += t.expectedSol;
+      else row.claimedSol += t.attributedSol;
+      rows.set(t.mint, row);
+    }
+    return [...rows.values()].sort((a, b) => b.claimedSol + b.pendingSol - (a.claimedSol + a.pendingSol));
+  }
+}
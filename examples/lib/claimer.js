@@ -0,0 +1,354 @@
+/**
+ * Creator Fee Auto-Claimer
+ *
+ * Polls claimable creator fees and cashback for many wallets and claims only
+ * when it pays off — the claimable amount minus the claim transaction's own
+ * fees (network, priority, tip, commission) must reach `minNetSol`:
+ *
+ *   GET /api/claim-account  → creator fees   POST /api/claim-account (one mint or none)
+ *                                            POST /api/claim-all     (several mints)
+ *                                            POST /api/claim-distribute (fee sharing: our share counts)
+ *   GET /api/claim-cashback → cashback       POST /api/claim-cashback
+ *
+ * Every claim transaction is verified before it is signed (kind "claim":
+ * right payer, known programs only, no tip or commission, and no SOL or
+ * token transfer, close or burn that moves funds out of the wallet). A claim
+ * that fails verification or signing emits "claimFailed" and is skipped.
+ * What actually arrived is read back from the confirmed transaction, added
+ * to a JSON state file, and optionally forwarded to a treasury with
+ * /api/transfer once a wallet's unforwarded total reaches `forwardMinSol`.
+ *
+ * Events:
+ *   checked        { name, kind, mint, claimableSol, feesSol, netSol }
+ *   skipped        { name, kind, mint, reason }
+ *   claimed        { name, kind, mint, signature, slot, receivedSol }
+ *   claimFailed    { name, kind, mint, error }
+ *   forwarded      { name, signature, amountSol }
+ *   forwardFailed  { name, error }
+ *   poll           { claimedSol, forwardedSol, durationMs }
+ *   pollFailed     { error }   (start() only: e.g. the state file can't be written)
+ *
+ * Usage:
+ *   const claimer = new FeeClaimer({
+ *     client, connection, ledger,
+ *     wallets: [{ name: "creator1", signer, mints: [mintA, mintB] }],
+ *     minNetSol: 0.01, forwardTo: treasury, stateFile: "claimer-state.json",
+ *   });
+ *   claimer.on("claimed", ({ name, receivedSol }) => console.log(name, receivedSol));
+ *   claimer.start(60 * 60_000);
+ */
+
+import { EventEmitter } from "node:events";
+import { existsSync, readFileSync } from "node:fs";
+import { LAMPORTS_PER_SOL } from "@solana/web3.js";
+import { ApiValidationError } from "./errors.js";
+import { writeFileAtomic } from "./files.js";
+import { verifyTransaction } from "./inspect.js";
+import { fetchTransaction } from "./ledger.js";
+import { TransactionSender } from "./sender.js";
+
+export const CLAIM_KINDS = ["creator", "distribute", "cashback"];
+
+/** Network fee per signature, part of every claim's cost. */
+const SIGNATURE_FEE_LAMPORTS = 5000;
+
+/** Claims kept in the state file's history. */
+const MAX_HISTORY = 500;
+
+const lamports = (sol) => Math.round(sol * LAMPORTS_PER_SOL);
+const toSol = (n) => n / LAMPORTS_PER_SOL;
+
+/** Everything the payer spends on a claim transaction besides the claim itself. */
+function claimFeesSol(decoded, tx) {
+  const { summary } = decoded;
+  return toSol(
+    SIGNATURE_FEE_LAMPORTS * tx.message.header.numRequiredSignatures +
+      summary.priorityFeeLamports +
+      summary.jitoTipLamports +
+      summary.commissionLamports,
+  );
+}
+
+function emptyWalletState(name) {
+  return { name, creatorSol: 0, distributeSol: 0, cashbackSol: 0, claims: 0, pendingForwardSol: 0, forwardedSol: 0, lastCheckTs: null, lastClaimTs: null };
+}
+
+export class FeeClaimer extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {import("./client.js").PumpDevClient} options.client
+   * @param {import("@solana/web3.js").Connection} options.connection
+   * @param {{ name: string, signer: object, mints?: string[], cashback?: boolean, minNetSol?: number }[]} options.wallets -
+   *   Creator wallets; `mints` enables per-mint fee-sharing detection and /api/claim-all,
+   *   `cashback` (default true) also claims trading cashback
+   * @param {number} [options.minNetSol] - Claim only when claimable minus fees reaches this (default 0.01)
+   * @param {string} [options.forwardTo] - Treasury address that receives the claimed SOL
+   * @param {number} [options.forwardMinSol] - Forward once this much has accumulated (default 0.05)
+   * @param {string} [options.stateFile] - JSON file with claimed totals (default: memory only)
+   * @param {import("./ledger.js").Ledger} [options.ledger] - Claims and forwards are recorded here too
+   * @param {import("./sender.js").TransactionSender} [options.sender] - Default: new one on `connection`
+   */
+  constructor({
+    client,
+    connection,
+    wallets,
+    minNetSol = 0.01,
+    forwardTo = null,
+    forwardMinSol = 0.05,
+    stateFile = null,
+    ledger = null,
+    sender = new TransactionSender({ connection }),
+  }) {
+    super();
+    this.client = client;
+    this.connection = connection;
+    this.wallets = wallets.map((w) => ({ cashback: true, mints: [], ...w, publicKey: w.signer.publicKey.toBase58() }));
+    this.minNetSol = minNetSol;
+    this.forwardTo = forwardTo;
+    this.forwardMinSol = forwardMinSol;
+    this.stateFile = stateFile;
+    this.ledger = ledger;
+    this.sender = sender;
+    this.timer = null;
+    this.polling = false;
+
+    // { wallets: { [publicKey]: walletState }, history: [{ ts, name, kind, mint, signature, receivedSol }] }
+    this.state = { wallets: {}, history: [] };
+    if (stateFile && existsSync(stateFile)) this.state = JSON.parse(readFileSync(stateFile, "utf8"));
+    for (const w of this.wallets) this.state.wallets[w.publicKey] ??= emptyWalletState(w.name);
+  }
+
+  /** Write the claimed totals to `stateFile` (no-op without one). */
+  save() {
+    if (!this.stateFile) return;
+    writeFileAtomic(this.stateFile, JSON.stringify(this.state, null, 2));
+  }
+
+  /** Poll now, then every `intervalMs`. Polls never overlap; a failed poll emits "pollFailed". */
+  start(intervalMs) {
+    this.stop();
+    const poll = () => this.poll().catch((error) => this.emit("pollFailed", { error }));
+    poll();
+    this.timer = setInterval(poll, intervalMs);
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Check and claim every wallet once, then forward.
+   *
+   * @returns {Promise<{ claimedSol: number, forwardedSol: number }|null>} null if a poll is already running
+   */
+  async poll() {
+    if (this.polling) return null;
+    this.polling = true;
+    const started = Date.now();
+    let claimedSol = 0;
+    let forwardedSol = 0;
+    try {
+      for (const wallet of this.wallets) {
+        claimedSol += await this.claimWallet(wallet);
+        forwardedSol += await this.forward(wallet);
+        this.state.wallets[wallet.publicKey].lastCheckTs = Date.now();
+        this.save();
+      }
+    } finally {
+      this.polling = false;
+    }
+    this.emit("poll", { claimedSol, forwardedSol, durationMs: Date.now() - started });
+    return { claimedSol, forwardedSol };
+  }
+
+  // ==========================================================================
+  // CLAIMING
+  // ==========================================================================
+
+  /** Every claim that clears the threshold for one wallet; returns SOL received. */
+  async claimWallet(wallet) {
+    const { publicKey, mints } = wallet;
+    let received = 0;
+
+    // Fee-sharing mints are claimed with claim-distribute; the rest share
+    // the creator vault and go through claim-account / claim-all
+    const own = [];
+    for (const mint of mints) {
+      const info = await this.check(wallet, "creator", () => this.client.getClaimAccount({ publicKey, mint }));
+      if (info?.hasFeeSharing) {
+        const share = info.shareholders.find((s) => s.address === publicKey)?.sharePercent ?? 0;
+        received += await this.attempt(wallet, "distribute", mint, info, share / 100, () =>
+          this.client.claimDistribute({ publicKey, mint }).then((tx) => [tx]),
+        );
+      } else if (info) {
+        own.push(mint);
+      }
+    }
+
+    if (mints.length === 0 || own.length > 0) {
+      const info = await this.check(wallet, "creator", () => this.client.getClaimAccount({ publicKey }));
+      if (info) {
+        const build = own.length > 1
+          ? async () => {
+              const result = await this.client.claimAll({ publicKey, mints: own });
+              return result.transactions.filter((t) => t.tx).map((t) => t.tx);
+            }
+          : () => this.client.claimAccount({ publicKey, mint: own[0] }).then((tx) => [tx]);
+        received += await this.attempt(wallet, "creator", own.length === 1 ? own[0] : null, info, 1, build);
+      }
+    }
+
+    if (wallet.cashback) {
+      const info = await this.check(wallet, "cashback", () => this.client.getClaimCashback({ publicKey }));
+      if (info) {
+        const claimable = { ...info, totalClaimable: info.totalCashback };
+        received += await this.attempt(wallet, "cashback", null, claimable, 1, () =>
+          this.client.claimCashback({ publicKey }).then((tx) => [tx]),
+        );
+      }
+    }
+    return received;
+  }
+
+  /** Read-only balance check; null (and "claimFailed") when the API call fails. */
+  async check(wallet, kind, fetch) {
+    try {
+      return await fetch();
+    } catch (error) {
+      this.emit("claimFailed", { name: wallet.name, kind, mint: null, error });
+      return null;
+    }
+  }
+
+  /**
+   * Build the claim, price it, and sign and send it if the net clears the
+   * threshold. `share` is the part of `totalClaimable` that reaches this wallet.
+   */
+  async attempt(wallet, kind, mint, info, share, build) {
+    const { name, publicKey, signer } = wallet;
+    const minNetSol = wallet.minNetSol ?? this.minNetSol;
+    const skip = (reason) => {
+      this.emit("skipped", { name, kind, mint, reason });
+      return 0;
+    };
+
+    if (info.isNativeQuote === false) return skip(`claimable in ${info.quoteMint}, not SOL`);
+    const claimableSol = info.totalClaimable * share;
+    if (!(claimableSol > 0)) return skip("nothing claimable");
+    // Cheap pre-check before asking the API to build anything
+    if (claimableSol < minNetSol) return skip(`${claimableSol.toFixed(6)} SOL claimable, below ${minNetSol} SOL`);
+
+    let txs;
+    try {
+      txs = await build();
+    } catch (error) {
+      // e.g. "No claimable fees" — claimed elsewhere since the check
+      if (error instanceof ApiValidationError) return skip(error.message);
+      this.emit("claimFailed", { name, kind, mint, error });
+      return 0;
+    }
+    if (txs.length === 0) return skip("nothing to claim");
+
+    let feesSol = 0;
+    try {
+      for (const tx of txs) feesSol += claimFeesSol(verifyTransaction(tx, { kind: "claim", payer: publicKey }), tx);
+    } catch (error) {
+      this.emit("claimFailed", { name, kind, mint, error });
+      return 0;
+    }
+
+    const netSol = claimableSol - feesSol;
+    this.emit("checked", { name, kind, mint, claimableSol, feesSol, netSol });
+    if (netSol < minNetSol) return skip(`${netSol.toFixed(6)} SOL net of fees, below ${minNetSol} SOL`);
+
+    // A remote signer can refuse or be unreachable
+    try {
+      await signer.signAll(txs);
+    } catch (error) {
+      this.emit("claimFailed", { name, kind, mint, error });
+      return 0;
+    }
+    // A single claim can be requested again if its blockhash expires
+    const rebuild = txs.length === 1
+      ? async () => {
+          const [fresh] = await build();
+          verifyTransaction(fresh, { kind: "claim", payer: publicKey });
+          return signer.signTransaction(fresh);
+        }
+      : undefined;
+
+    let received = 0;
+    for (const tx of txs) {
+      try {
+        const { signature, slot } = await this.sender.send(tx, { rebuild });
+        const receivedSol = await this.received(signature, publicKey, { kind, mint }, netSol / txs.length);
+        this.remember(wallet, kind, mint, signature, receivedSol);
+        this.emit("claimed", { name, kind, mint, signature, slot, receivedSol });
+        received += receivedSol;
+      } catch (error) {
+        this.emit("claimFailed", { name, kind, mint, error });
+      }
+    }
+    return received;
+  }
+
+  /** Net SOL a confirmed claim brought in, from the chain; `estimate` if it can't be read. */
+  async received(signature, wallet, { kind, mint }, estimate) {
+    try {
+      const entry = this.ledger
+        ? await this.ledger.recordTransaction(this.connection, signature, { type: "claim", wallet, mint: mint ?? undefined, claim: kind })
+        : null;
+      return (entry ?? (await fetchTransaction(this.connection, signature, { wallet, mint: mint ?? undefined }))).solDelta;
+    } catch {
+      return estimate;
+    }
+  }
+
+  remember(wallet, kind, mint, signature, receivedSol) {
+    const state = this.state.wallets[wallet.publicKey];
+    state[`${kind}Sol`] += receivedSol;
+    state.claims++;
+    state.lastClaimTs = Date.now();
+    if (this.forwardTo) state.pendingForwardSol += Math.max(0, receivedSol);
+    this.state.history.push({ ts: state.lastClaimTs, name: wallet.name, kind, mint, signature, receivedSol });
+    this.state.history = this.state.history.slice(-MAX_HISTORY);
+  }
+
+  // ==========================================================================
+  // FORWARDING
+  // ==========================================================================
+
+  /** Send a wallet's unforwarded claims to `forwardTo`; returns SOL forwarded. */
+  async forward(wallet) {
+    const state = this.state.wallets[wallet.publicKey];
+    if (!this.forwardTo || wallet.publicKey === this.forwardTo || state.pendingForwardSol < this.forwardMinSol) return 0;
+
+    // Whole lamports, so the verified amount matches exactly
+    const amountSol = toSol(Math.floor(lamports(state.pendingForwardSol)));
+    const request = async () => {
+      const tx = await this.client.transfer({ publicKey: wallet.publicKey, recipient: this.forwardTo, amount: amountSol });
+      verifyTransaction(tx, { kind: "transfer", payer: wallet.publicKey, recipient: this.forwardTo, amount: amountSol });
+      return wallet.signer.signTransaction(tx);
+    };
+
+    try {
+      const { signature } = await this.sender.send(await request(), { rebuild: request });
+      state.pendingForwardSol = Math.max(0, state.pendingForwardSol - amountSol);
+      state.forwardedSol += amountSol;
+      await this.ledger
+        ?.recordTransaction(this.connection, signature, { type: "transfer", wallet: wallet.publicKey, recipient: this.forwardTo })
+        .catch(() => null);
+      this.emit("forwarded", { name: wallet.name, signature, amountSol });
+      return amountSol;
+    } catch (error) {
+      this.emit("forwardFailed", { name: wallet.name, error });
+      return 0;
+    }
+  }
+
+  /** Claimed / forwarded totals per wallet, for reporting. */
+  totals() {
+    return this.wallets.map((w) => ({ publicKey: w.publicKey, ...this.state.wallets[w.publicKey], name: w.name }));
+  }
+}
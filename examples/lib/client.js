@@ -0,0 +1,306 @@
+/**
+ * PumpDev API Client
+ *
+ * One importable wrapper around every REST endpoint the examples use.
+ * Handles the two response shapes the API returns:
+ * - Binary: /api/trade-local, /api/transfer, /api/claim-* (POST) return the
+ *   raw unsigned transaction bytes → returned as a VersionedTransaction
+ * - JSON: /api/create, /api/create-bundle, /api/bundle, /api/trade-bundle,
+ *   /api/transfer-all, /api/claim-all return base58 `transaction` fields →
+ *   each gets a deserialized `tx` alongside the original string
+ *
+ * Non-200 responses throw the typed errors from ./errors.js.
+ *
+ * Usage:
+ *   import { PumpDevClient } from "./lib/client.js";
+ *   const client = new PumpDevClient();
+ *   const tx = await client.tradeLocal({ publicKey, action: "buy", mint, amount: 0.01 });
+ *
+ * Documentation: https://pumpdev.io/welcome
+ */
+
+import { VersionedTransaction, Keypair } from "@solana/web3.js";
+import bs58 from "bs58";
+import { AuthError, errorFromResponse } from "./errors.js";
+
+export const DEFAULT_API_URL = "https://pumpdev.io";
+
+/** Deserialize a base58 encoded transaction returned by the API. */
+export function decodeTransaction(encoded) {
+  return VersionedTransaction.deserialize(bs58.decode(encoded));
+}
+
+/**
+ * Attach a deserialized `tx` to a response entry that carries a base58
+ * `transaction` field. Entries without a transaction (errors) are left as-is.
+ */
+function withTx(entry) {
+  if (!entry || !entry.transaction) return entry;
+  return { ...entry, tx: decodeTransaction(entry.transaction) };
+}
+
+/**
+ * Decode a JSON response that carries one `transaction` and/or a list of
+ * `transactions`, plus the optional `mintSecretKey` returned by create flows.
+ */
+function decodeTransactions(data) {
+  const result = withTx(data);
+  if (Array.isArray(data.transactions)) {
+    result.transactions = data.transactions.map(withTx);
+  }
+  if (data.mintSecretKey) {
+    result.mintKeypair = Keypair.fromSecretKey(bs58.decode(data.mintSecretKey));
+  }
+  return result;
+}
+
+export class PumpDevClient {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.apiUrl] - Defaults to PUMPDEV_API_URL or https://pumpdev.io
+   * @param {string} [options.apiKey] - Lightning API key for trade/create-lightning
+   * @param {typeof fetch} [options.fetch] - Custom fetch implementation
+   */
+  constructor({ apiUrl, apiKey, fetch: fetchImpl } = {}) {
+    this.apiUrl = (
+      apiUrl ||
+      process.env.PUMPDEV_API_URL ||
+      DEFAULT_API_URL
+    ).replace(/\/$/, "");
+    this.apiKey = apiKey || null;
+    this.fetch = fetchImpl || globalThis.fetch.bind(globalThis);
+  }
+
+  /**
+   * Low-level request helper.
+   *
+   * @param {"GET"|"POST"} method
+   * @param {string} path - e.g. "/api/trade-local"
+   * @param {object} [options]
+   * @param {object} [options.query] - Query string parameters (undefined values are dropped)
+   * @param {object} [options.body] - JSON body for POST requests
+   * @param {boolean} [options.binary] - Read the success body as an ArrayBuffer
+   * @returns {Promise<any>} Parsed JSON or ArrayBuffer
+   * @throws {import("./errors.js").ApiError} ApiValidationError, AuthError, RateLimitError or ApiError
+   */
+  async request(method, path, { query, body, binary = false } = {}) {
+    let url = `${this.apiUrl}${path}`;
+    if (query) {
+      const params = new URLSearchParams();
+      for (const [key, value] of Object.entries(query)) {
+        if (value !== undefined && value !== null) params.set(key, value);
+      }
+      const qs = params.toString();
+      if (qs) url += `?${qs}`;
+    }
+
+    const init = { method };
+    if (body !== undefined) {
+      init.headers = { "Content-Type": "application/json" };
+      init.body = JSON.stringify(body);
+    }
+
+    const res = await this.fetch(url, init);
+
+    if (res.status !== 200) {
+      const text = await res.text();
+      let data;
+      try {
+        data = JSON.parse(text);
+      } catch {
+        data = { error: text };
+      }
+      throw errorFromResponse({
+        status: res.status,
+        endpoint: path,
+        body: data,
+        headers: res.headers,
+      });
+    }
+
+    return binary ? res.arrayBuffer() : res.json();
+  }
+
+  /** POST an endpoint that answers with raw transaction bytes. */
+  async requestTransaction(path, body) {
+    const data = await this.request("POST", path, { body, binary: true });
+    return VersionedTransaction.deserialize(new Uint8Array(data));
+  }
+
+  /** Resolve the Lightning API key for a call, preferring the explicit one. */
+  lightningKey(apiKey) {
+    const key = apiKey || this.apiKey;
+    if (!key) {
+      throw new AuthError("Lightning endpoints need an apiKey (see createWallet)");
+    }
+    return key;
+  }
+
+  // ==========================================================================
+  // TRADING (local sign)
+  // ==========================================================================
+
+  /**
+   * Build a buy/sell transaction.
+   * POST /api/trade-local → VersionedTransaction (unsigned)
+   *
+   * @param {object} params - { publicKey, action, mint, amount, denominatedInSol, slippage, priorityFee, ... }
+   */
+  tradeLocal(params) {
+    return this.requestTransaction("/api/trade-local", params);
+  }
+
+  /**
+   * Build transactions for several accounts in one request.
+   * POST /api/trade-bundle → { transactions: [{ name, transaction, tx, error }], stats }
+   */
+  async tradeBundle(params) {
+    const data = await this.request("POST", "/api/trade-bundle", {
+      body: params,
+    });
+    return decodeTransactions(data);
+  }
+
+  // ==========================================================================
+  // TOKEN CREATION (local sign)
+  // ==========================================================================
+
+  /**
+   * Build a create (+ optional dev buy) transaction.
+   * POST /api/create → { mint, transaction?, transactions?, mintKeypair, ... }
+   */
+  async create(params) {
+    const data = await this.request("POST", "/api/create", { body: params });
+    return decodeTransactions(data);
+  }
+
+  /**
+   * Build a create + multiple buyers Jito bundle.
+   * POST /api/create-bundle → { mint, transactions, mintKeypair, ... }
+   */
+  async createBundle(params) {
+    const data = await this.request("POST", "/api/create-bundle", {
+      body: params,
+    });
+    return decodeTransactions(data);
+  }
+
+  /**
+   * Build an unsigned Jito bundle (buy/sell/create per account).
+   * POST /api/bundle → { mint, transactions: [{ type, publicKey, signers, transaction, tx }], mintKeypair? }
+   */
+  async bundle(params) {
+    const data = await this.request("POST", "/api/bundle", { body: params });
+    return decodeTransactions(data);
+  }
+
+  // ==========================================================================
+  // LIGHTNING (server sign)
+  // ==========================================================================
+
+  /** POST /api/wallet/create → { apiKey, publicKey, privateKey, warning } */
+  createWallet(params = {}) {
+    return this.request("POST", "/api/wallet/create", { body: params });
+  }
+
+  /** POST /api/wallet/import → { apiKey, publicKey, warning } */
+  importWallet(privateKey) {
+    return this.request("POST", "/api/wallet/import", {
+      body: { privateKey },
+    });
+  }
+
+  /** POST /api/trade-lightning → { signature, ... } */
+  tradeLightning(params, apiKey) {
+    return this.request("POST", "/api/trade-lightning", {
+      query: { "api-key": this.lightningKey(apiKey) },
+      body: params,
+    });
+  }
+
+  /** POST /api/create-lightning → { mint, signature, metadataUri, pumpfun, ... } */
+  createLightning(params, apiKey) {
+    return this.request("POST", "/api/create-lightning", {
+      query: { "api-key": this.lightningKey(apiKey) },
+      body: params,
+    });
+  }
+
+  /**
+   * Server-signed Jito bundle, each account carries its own apiKey.
+   * POST /api/bundle-lightning → { mint, results: [{ type, signature, error }] }
+   */
+  bundleLightning(params) {
+    return this.request("POST", "/api/bundle-lightning", { body: params });
+  }
+
+  // ==========================================================================
+  // CLAIMS
+  // ==========================================================================
+
+  /** GET /api/claim-account → { totalClaimable, pumpBalance, pumpSwapBalance, shareholders, ... } */
+  getClaimAccount({ publicKey, mint } = {}) {
+    return this.request("GET", "/api/claim-account", {
+      query: { publicKey, mint },
+    });
+  }
+
+  /** POST /api/claim-account → VersionedTransaction (unsigned) */
+  claimAccount({ publicKey, mint } = {}) {
+    const body = { publicKey };
+    if (mint) body.mint = mint;
+    return this.requestTransaction("/api/claim-account", body);
+  }
+
+  /** POST /api/claim-all → { count, errors, transactions: [{ mint, transaction, tx, error }] } */
+  async claimAll({ publicKey, mints }) {
+    const data = await this.request("POST", "/api/claim-all", {
+      body: { publicKey, mints },
+    });
+    return decodeTransactions(data);
+  }
+
+  /** POST /api/claim-distribute → VersionedTransaction (unsigned) */
+  claimDistribute({ publicKey, mint }) {
+    return this.requestTransaction("/api/claim-distribute", {
+      publicKey,
+      mint,
+    });
+  }
+
+  /** GET /api/claim-cashback → { totalCashback, pumpCashback, pumpSwapCashback, ... } */
+  getClaimCashback({ publicKey, program = "both" }) {
+    return this.request("GET", "/api/claim-cashback", {
+      query: { publicKey, program },
+    });
+  }
+
+  /** POST /api/claim-cashback → VersionedTransaction (unsigned) */
+  claimCashback({ publicKey, program = "both" }) {
+    return this.requestTransaction("/api/claim-cashback", {
+      publicKey,
+      program,
+    });
+  }
+
+  // ==========================================================================
+  // TRANSFERS
+  // ==========================================================================
+
+  /** POST /api/transfer → VersionedTransaction (unsigned) */
+  transfer({ publicKey, recipient, amount }) {
+    return this.requestTransaction("/api/transfer", {
+      publicKey,
+      recipient,
+      amount,
+    });
+  }
+
+  /** POST /api/transfer-all → { transaction, tx, estimatedAmount, estimatedFees } */
+  async transferAll({ publicKey, recipient }) {
+    const data = await this.request("POST", "/api/transfer-all", {
+      body: { publicKey, recipient },
+    });
+    return decodeTransactions(data);
+  }
+}
@@ -0,0 +1,124 @@
+/**
+ * Creator History
+ *
+ * Learns from the /ws feed how many tokens each creator has launched and how
+ * often they rugged — sold most of their dev buy shortly after launch. Used
+ * by the `creatorHistory` strategy rule; optionally persisted to a JSON file
+ * so the history survives restarts.
+ *
+ * A launch counts as a rug when the creator sells at least `rugSellPercent`
+ * of the tokens from their dev buy within `rugWindowMs` of the create event.
+ * Only sells the feed delivers are seen, so the creator's trades must be
+ * subscribed (StrategyEngine does this while a launch is being watched).
+ *
+ * Usage:
+ *   const history = new CreatorHistory({ file: "creator-history.json" });
+ *   feed.on("create", (event, { ts }) => history.recordLaunch(event, ts));
+ *   feed.on("trade", (event, { ts }) => history.recordTrade(event, ts));
+ *   history.get(creator); // { launches: 4, rugs: 3, rugRate: 0.75 }
+ *   history.save();
+ */
+
+import { existsSync, readFileSync } from "node:fs";
+import { writeFileAtomic } from "./files.js";
+
+export class CreatorHistory {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.file] - JSON file to load from and save to (default: memory only)
+   * @param {number} [options.rugSellPercent] - Share of the dev buy sold that counts as a rug (default 50)
+   * @param {number} [options.rugWindowMs] - How long after launch sells are watched (default 10 min)
+   */
+  constructor({ file, rugSellPercent = 50, rugWindowMs = 10 * 60_000 } = {}) {
+    this.file = file ?? null;
+    this.rugSellPercent = rugSellPercent;
+    this.rugWindowMs = rugWindowMs;
+
+    // creator → { launches, rugs, lastLaunchTs }
+    this.creators = new Map();
+    // Launches still inside the rug window: mint → { creator, ts, devTokens, soldTokens, rugged }
+    this.watching = new Map();
+
+    if (this.file && existsSync(this.file)) {
+      const saved = JSON.parse(readFileSync(this.file, "utf8"));
+      for (const [creator, stats] of Object.entries(saved.creators ?? {})) {
+        this.creators.set(creator, stats);
+      }
+    }
+  }
+
+  /**
+   * Stats for a creator, from launches recorded so far.
+   *
+   * @param {string} creator
+   * @returns {{ launches: number, rugs: number, rugRate: number|null, lastLaunchTs: number|null }}
+   */
+  get(creator) {
+    const stats = this.creators.get(creator);
+    if (!stats) return { launches: 0, rugs: 0, rugRate: null, lastLaunchTs: null };
+    return {
+      launches: stats.launches,
+      rugs: stats.rugs,
+      rugRate: stats.launches > 0 ? stats.rugs / stats.launches : null,
+      lastLaunchTs: stats.lastLaunchTs ?? null,
+    };
+  }
+
+  /**
+   * Count a create event and start watching the creator's sells.
+   *
+   * @param {import("./ws-events.js").CreateEvent} event
+   * @param {number} [ts]
+   */
+  recordLaunch(event, ts = Date.now()) {
+    if (this.watching.has(event.mint)) return;
+    const creator = event.traderPublicKey;
+    const stats = this.creators.get(creator) ?? { launches: 0, rugs: 0, lastLaunchTs: null };
+    stats.launches++;
+    stats.lastLaunchTs = ts;
+    this.creators.set(creator, stats);
+
+    this.prune(ts);
+    this.watching.set(event.mint, {
+      creator,
+      ts,
+      devTokens: event.initialBuy ?? 0,
+      soldTokens: 0,
+      rugged: false,
+    });
+  }
+
+  /**
+   * Feed a buy/sell. Creator sells inside the window count towards a rug.
+   *
+   * @param {import("./ws-events.js").TradeEvent} event
+   * @param {number} [ts]
+   * @returns {boolean} True when this trade marked the launch as a rug
+   */
+  recordTrade(event, ts = Date.now()) {
+    const launch = this.watching.get(event.mint);
+    if (!launch || launch.rugged) return false;
+    if (event.txType !== "sell" || event.traderPublicKey !== launch.creator) return false;
+    if (ts - launch.ts > this.rugWindowMs || launch.devTokens <= 0) return false;
+
+    launch.soldTokens += event.tokenAmount;
+    if ((launch.soldTokens / launch.devTokens) * 100 < this.rugSellPercent) return false;
+
+    launch.rugged = true;
+    this.creators.get(launch.creator).rugs++;
+    return true;
+  }
+
+  /** Drop launches whose rug window has passed. */
+  prune(ts = Date.now()) {
+    for (const [mint, launch] of this.watching) {
+      if (ts - launch.ts > this.rugWindowMs) this.watching.delete(mint);
+    }
+  }
+
+  /** Write the per-creator stats to `file` (no-op without one). */
+  save() {
+    if (!this.file) return;
+    writeFileAtomic(this.file, JSON.stringify({ creators: Object.fromEntries(this.creators) }, null, 2));
+  }
+}
@@ -0,0 +1,309 @@
+/**
+ * Fee-Sharing Distribution History
+ *
+ * With fee sharing, /api/claim-distribute pays a mint's creator fees out to
+ * every shareholder in one transaction. This log keeps, per mint, every
+ * distribution and what each shareholder actually received — parsed from
+ * the confirmed transaction, not from the configured percentages — so
+ * co-creators can reconcile a 50/50 or custom split without the explorer.
+ *
+ * Distributions are recorded as they are sent (claim-fees.js, auto-claim.js)
+ * or found afterwards with sync(), which scans a shareholder's signatures
+ * for pump.fun distribute_creator_fees transactions that include the mint.
+ * Amounts are SOL: the payer's network fee is added back, so a shareholder
+ * that also paid for the distribution shows what it was paid, not its net.
+ *
+ * File format, one distribution per line:
+ *   {"ts":1718000000000,"signature":"...","slot":270000000,"mint":"...","payer":"...",
+ *    "totalSol":0.84,"shares":[{"address":"...","sharePercent":50,"receivedSol":0.42}, ...]}
+ *
+ * Usage:
+ *   const log = new DistributionLog({ file: "distributions.jsonl" });
+ *   const { shareholders } = await client.getClaimAccount({ publicKey, mint });
+ *   await log.record(connection, signature, { mint, shareholders });
+ *   await log.sync(connection, { mint, shareholders });
+ *   const statement = log.statement(address, { from: Date.parse("2025-01-01") });
+ *   formatStatement(statement).forEach((line) => console.log(line));
+ */
+
+import { appendFileSync } from "node:fs";
+import { LAMPORTS_PER_SOL, PublicKey } from "@solana/web3.js";
+import { loadJsonl } from "./files.js";
+import { inspectTransaction } from "./inspect.js";
+
+const toSol = (lamports) => lamports / LAMPORTS_PER_SOL;
+
+/** A pump.fun instruction that pays creator fees out to the shareholders. */
+const isDistribution = (ix) => ix.type === "pump.distribute_creator_fees";
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * What each shareholder received in a confirmed distribution transaction.
+ *
+ * @param {import("@solana/web3.js").VersionedTransactionResponse} response - connection.getTransaction() result
+ * @param {object} options
+ * @param {string} options.mint
+ * @param {{ address: string, sharePercent: number }[]} [options.shareholders] - From GET /api/claim-account;
+ *   without them every account whose SOL balance went up counts as a shareholder
+ * @returns {{ ts, signature, slot, mint, payer, totalSol, failed, shares: { address, sharePercent, receivedSol }[] }}
+ */
+export function parseDistribution(response, { mint, shareholders }) {
+  const { meta, transaction } = response;
+  const keys = transaction.message
+    .getAccountKeys({ accountKeysFromLookups: meta.loadedAddresses })
+    .keySegments()
+    .flat()
+    .map((key) => key.toBase58());
+
+  // Fee payer's balance also dropped by the network fee; add it back
+  const received = (index) =>
+    index === -1 ? 0 : Math.max(0, meta.postBalances[index] - meta.preBalances[index] + (index === 0 ? meta.fee : 0));
+
+  const list = shareholders?.length
+    ? shareholders
+    : keys.filter((_, i) => received(i) > 0).map((address) => ({ address, sharePercent: null }));
+
+  const shares = list.map(({ address, sharePercent }) => ({
+    address,
+    sharePercent: sharePercent ?? null,
+    receivedSol: meta.err ? 0 : toSol(received(keys.indexOf(address))),
+  }));
+
+  return {
+    ts: response.blockTime ? response.blockTime * 1000 : Date.now(),
+    signature: transaction.signatures[0],
+    slot: response.slot,
+    mint,
+    payer: keys[0],
+    totalSol: shares.reduce((sum, s) => sum + s.receivedSol, 0),
+    failed: meta.err != null,
+    shares,
+  };
+}
+
+// ============================================================================
+// LOG
+// ============================================================================
+
+export class DistributionLog {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.file] - JSONL file to load and append to (default: memory only)
+   */
+  constructor({ file } = {}) {
+    this.file = file ?? null;
+    this.entries = [];
+    this.signatures = new Set();
+
+    if (this.file) loadJsonl(this.file, (entry) => this.add(entry), { what: "distribution entry" });
+  }
+
+  add(entry) {
+    this.entries.push(entry);
+    this.signatures.add(entry.signature);
+  }
+
+  has(signature) {
+    return this.signatures.has(signature);
+  }
+
+  /** Store a parsed distribution; null if already recorded or failed on-chain. */
+  store(entry) {
+    if (this.has(entry.signature) || entry.failed) return null;
+    const { failed, ...stored } = entry;
+    this.add(stored);
+    if (this.file) appendFileSync(this.file, JSON.stringify(stored) + "\n");
+    return stored;
+  }
+
+  /**
+   * Fetch a confirmed distribution and record what each shareholder got.
+   * Retries while the RPC hasn't indexed the transaction yet.
+   *
+   * @param {import("@solana/web3.js").Connection} connection
+   * @param {string} signature
+   * @param {object} options - mint and shareholders, see parseDistribution
+   * @param {number} [options.attempts] - Default 5
+   * @param {number} [options.delayMs] - Default 1000
+   * @returns {Promise<object|null>} The stored entry, or null if already recorded
+   */
+  async record(connection, signature, { mint, shareholders, attempts = 5, delayMs = 1000 }) {
+    if (this.has(signature)) return null;
+    let response = null;
+    for (let attempt = 0; attempt < attempts && !response; attempt++) {
+      if (attempt > 0) await new Promise((r) => setTimeout(r, delayMs));
+      response = await connection.getTransaction(signature, { commitment: "confirmed", maxSupportedTransactionVersion: 0 });
+    }
+    if (!response) throw new Error(`Transaction ${signature} not found after ${attempts} attempts`);
+    return this.store(parseDistribution(response, { mint, shareholders }));
+  }
+
+  /**
+   * Find distributions of `mint` that aren't in the log yet, by scanning the
+   * signatures of one shareholder (default: the first), newest first.
+   *
+   * @param {import("@solana/web3.js").Connection} connection
+   * @param {object} options
+   * @param {string} options.mint
+   * @param {{ address: string, sharePercent: number }[]} options.shareholders
+   * @param {string} [options.address] - Account to scan (default shareholders[0].address)
+   * @param {number} [options.limit] - Signatures to scan (default 1000)
+   * @param {(progress: { scanned: number, found: number }) => void} [options.onProgress]
+   * @returns {Promise<object[]>} Newly stored entries
+   */
+  async sync(connection, { mint, shareholders, address = shareholders[0]?.address, limit = 1000, onProgress }) {
+    const found = [];
+    let before;
+    let scanned = 0;
+    while (scanned < limit) {
+      const page = await connection.getSignaturesForAddress(new PublicKey(address), { before, limit: Math.min(1000, limit - scanned) });
+      if (page.length === 0) break;
+      for (const { signature, err } of page) {
+        scanned++;
+        if (err || this.has(signature)) continue;
+        const response = await connection.getTransaction(signature, { commitment: "confirmed", maxSupportedTransactionVersion: 0 });
+        if (!response || !(await this.matches(response, mint, connection))) continue;
+        const stored = this.store(parseDistribution(response, { mint, shareholders }));
+        if (stored) found.push(stored);
+      }
+      onProgress?.({ scanned, found: found.length });
+      before = page[page.length - 1].signature;
+    }
+    return found;
+  }
+
+  /** True if the transaction distributes creator fees and touches `mint`. */
+  async matches(response, mint, connection) {
+    const decoded = await inspectTransaction(response.transaction, connection).catch(() => null);
+    if (!decoded?.instructions.some(isDistribution)) return false;
+    const keys = response.transaction.message
+      .getAccountKeys({ accountKeysFromLookups: response.meta.loadedAddresses })
+      .keySegments()
+      .flat();
+    return keys.some((key) => key.toBase58() === mint);
+  }
+
+  /**
+   * Entries in a time range, optionally for one mint.
+   *
+   * @param {{ mint?: string, from?: number, to?: number }} [filter] - from / to in ms, `to` exclusive
+   */
+  between({ mint, from = 0, to = Infinity } = {}) {
+    return this.entries.filter((e) => e.ts >= from && e.ts < to && (!mint || e.mint === mint));
+  }
+
+  /**
+   * Everything one shareholder received over a period, per distribution and per mint.
+   *
+   * @param {string} address
+   * @param {{ mint?: string, from?: number, to?: number }} [filter]
+   */
+  statement(address, filter = {}) {
+    const lines = [];
+    const byMint = new Map();
+    for (const entry of this.between(filter)) {
+      const share = entry.shares.find((s) => s.address === address);
+      if (!share) continue;
+      const actualPercent = entry.totalSol > 0 ? (share.receivedSol / entry.totalSol) * 100 : 0;
+      lines.push({
+        ts: entry.ts,
+        signature: entry.signature,
+        mint: entry.mint,
+        totalSol: entry.totalSol,
+        sharePercent: share.sharePercent,
+        actualPercent,
+        receivedSol: share.receivedSol,
+      });
+      const mint = byMint.get(entry.mint) ?? { mint: entry.mint, distributions: 0, receivedSol: 0, totalSol: 0 };
+      mint.distributions++;
+      mint.receivedSol += share.receivedSol;
+      mint.totalSol += entry.totalSol;
+      byMint.set(entry.mint, mint);
+    }
+    return {
+      address,
+      from: filter.from ?? null,
+      to: filter.to ?? null,
+      lines,
+      mints: [...byMint.values()].map((m) => ({ ...m, actualPercent: m.totalSol > 0 ? (m.receivedSol / m.totalSol) * 100 : 0 })),
+      receivedSol: lines.reduce((sum, l) => sum + l.receivedSol, 0),
+    };
+  }
+
+  /**
+   * Per-shareholder totals for one mint over a period: configured vs actual
+   * split, and how far each shareholder is from its configured share.
+   *
+   * @param {string} mint
+   * @param {{ from?: number, to?: number }} [filter]
+   */
+  summary(mint, filter = {}) {
+    const entries = this.between({ ...filter, mint });
+    const totalSol = entries.reduce((sum, e) => sum + e.totalSol, 0);
+    const holders = new Map();
+    for (const entry of entries) {
+      for (const share of entry.shares) {
+        const row = holders.get(share.address) ?? { address: share.address, sharePercent: share.sharePercent, receivedSol: 0 };
+        row.sharePercent = share.sharePercent ?? row.sharePercent; // latest configured split
+        row.receivedSol += share.receivedSol;
+        holders.set(share.address, row);
+      }
+    }
+    const shareholders = [...holders.values()].map((row) => {
+      const expectedSol = row.sharePercent == null ? null : (totalSol * row.sharePercent) / 100;
+      return {
+        ...row,
+        actualPercent: totalSol > 0 ? (row.receivedSol / totalSol) * 100 : 0,
+        expectedSol,
+        differenceSol: expectedSol == null ? null : row.receivedSol - expectedSol,
+      };
+    });
+    return { mint, distributions: entries.length, totalSol, shareholders };
+  }
+}
+
+// ============================================================================
+// REPORTING
+// ============================================================================
+
+/** Printable lines for a statement(). */
+export function formatStatement(statement) {
+  const day = (ts) => (ts == null ? "…" : new Date(ts).toISOString().slice(0, 10));
+  const lines = [
+    `Statement for ${statement.address}`,
+    `Period: ${day(statement.from)} → ${day(statement.to == null ? null : statement.to - 1)}`, // `to` is exclusive
+    "",
+    `${"date".padEnd(19)} ${"mint".padEnd(12)} ${"distributed".padStart(12)} ${"share".padStart(8)} ${"received".padStart(12)}  signature`,
+  ];
+  for (const l of statement.lines) {
+    lines.push(
+      `${new Date(l.ts).toISOString().slice(0, 19).replace("T", " ")} ${l.mint.slice(0, 8).padEnd(12)} ${l.totalSol.toFixed(6).padStart(12)} ${`${l.actualPercent.toFixed(1)}%`.padStart(8)} ${l.receivedSol.toFixed(6).padStart(12)}  ${l.signature.slice(0, 16)}...`,
+    );
+  }
+  lines.push("");
+  for (const m of statement.mints) {
+    lines.push(`  ${m.mint}: ${m.distributions} distribution(s), ${m.receivedSol.toFixed(6)} of ${m.totalSol.toFixed(6)} SOL (${m.actualPercent.toFixed(2)}%)`);
+  }
+  lines.push(`  Total received: ${statement.receivedSol.toFixed(6)} SOL`);
+  return lines;
+}
+
+/** Printable lines for a summary(). */
+export function formatSummary(summary) {
+  const lines = [
+    `Mint ${summary.mint}: ${summary.distributions} distribution(s), ${summary.totalSol.toFixed(6)} SOL distributed`,
+    "",
+    `${"shareholder".padEnd(46)} ${"configured".padStart(10)} ${"actual".padStart(8)} ${"received".padStart(12)} ${"difference".padStart(12)}`,
+  ];
+  for (const s of summary.shareholders) {
+    const configured = s.sharePercent == null ? "?" : `${s.sharePercent}%`;
+    const diff = s.differenceSol == null ? "" : `${s.differenceSol >= 0 ? "+" : ""}${s.differenceSol.toFixed(6)}`;
+    lines.push(
+      `${s.address.padEnd(46)} ${configured.padStart(10)} ${`${s.actualPercent.toFixed(2)}%`.padStart(8)} ${s.receivedSol.toFixed(6).padStart(12)} ${diff.padStart(12)}`,
+    );
+  }
+  return lines;
+}
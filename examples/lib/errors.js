@@ -0,0 +1,513 @@
+/**
+ * PumpDev Error Taxonomy
+ *
+ * Typed errors so bots can branch on the kind of failure instead of parsing
+ * `console.error("API Error:", error)` output:
+ *
+ *   PumpDevError                  base class (status, endpoint, requestId, code)
+ *   ├── ApiError                  any non-200 API response
+ *   │   ├── ApiValidationError    400 / 404 / 422 — bad mint, bad amount, no balance
+ *   │   ├── AuthError             401 / 403 — invalid or missing Lightning API key
+ *   │   └── RateLimitError        429 — carries retryAfterMs
+ *   ├── RpcSendError              sendTransaction / sendRawTransaction rejected
+ *   ├── InstructionError          landed but failed on-chain (confirmation.value.err)
+ *   ├── TransactionExpiredError   blockhash expired before the transaction landed
+ *   ├── TransactionStatusError    the RPC kept failing while tracking a sent transaction
+ *   ├── MissingSignersError       a bundle needs keys that aren't available locally
+ *   ├── TransactionVerificationError  server-built tx doesn't match what was requested
+ *   ├── EventValidationError      a /ws message doesn't match the event schema
+ *   ├── StrategyConfigError       a sniper strategy or exit config is invalid
+ *   ├── KeystoreError             wrong keystore password, unknown or duplicate wallet
+ *   ├── SignerError               remote signer unreachable, refused, or returned a bad signature
+ *   ├── FundingError              bad funding plan, or the treasury can't cover it
+ *   ├── TokenAccountError         no token account, not enough tokens, or an account that can't be closed
+ *   ├── MetadataError             invalid token metadata or image, provider misconfigured, upload failed, URI unreachable
+ *   ├── LaunchPlanError           bad launch plan, missing wallets, not enough SOL, or the vanity mint wasn't used
+ *   └── JitoBundleError           block engine rejected the bundle
+ *
+ * InstructionError decodes custom program errors for pump.fun and PumpSwap,
+ * e.g. 6002 → TooMuchSolRequired (buy slippage exceeded).
+ */
+
+// ============================================================================
+// PROGRAM ERROR CODES
+// ============================================================================
+
+export const PUMP_PROGRAM_ID = "6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P";
+export const PUMPSWAP_PROGRAM_ID = "pAMMBay6oceH9fJKBRHGP5D4bD4sWpmSwMn52FMfXEA";
+
+/** pump.fun bonding curve program custom errors. */
+export const PUMP_ERRORS = {
+  6000: ["NotAuthorized", "The given account is not authorized to execute this instruction"],
+  6001: ["AlreadyInitialized", "The program is already initialized"],
+  6002: ["TooMuchSolRequired", "Slippage: too much SOL required to buy the given amount of tokens"],
+  6003: ["TooLittleSolReceived", "Slippage: too little SOL received to sell the given amount of tokens"],
+  6004: ["MintDoesNotMatchBondingCurve", "The mint does not match the bonding curve"],
+  6005: ["BondingCurveComplete", "The bonding curve has completed and liquidity migrated"],
+  6006: ["BondingCurveNotComplete", "The bonding curve has not completed"],
+  6007: ["NotInitialized", "The program is not initialized"],
+  6008: ["WithdrawTooFrequent", "Withdraw too frequent"],
+  6009: ["NewSizeShouldBeGreaterThanCurrentSize", "New size should be greater than current size"],
+  6010: ["AccountTypeNotSupported", "Account type not supported"],
+  6011: ["InitialRealTokenReservesShouldBeLessThanTokenTotalSupply", "Initial real token reserves should be less than token total supply"],
+  6012: ["InitialVirtualTokenReservesShouldBeGreaterThanInitialRealTokenReserves", "Initial virtual token reserves should be greater than initial real token reserves"],
+  6013: ["FeeBasisPointsGreaterThanMaximum", "Fee basis points greater than maximum"],
+  6014: ["AllZerosWithdrawAuthority", "Withdraw authority cannot be set to System Program ID"],
+  6015: ["PoolMigrationFeeShouldBeLessThanFinalRealSolReserves", "Pool migration fee should be less than final real SOL reserves"],
+  6016: ["PoolMigrationFeeShouldBeGreaterThanCreatorFeePlusMaxMigrateFees", "Pool migration fee should be greater than creator fee + max migrate fees"],
+  6017: ["DisabledWithdraw", "Withdraw instruction is disabled"],
+  6018: ["DisabledMigrate", "Migrate instruction is disabled"],
+  6019: ["InvalidCreator", "Invalid creator pubkey"],
+  6020: ["BuyZeroAmount", "Buy zero amount"],
+  6021: ["NotEnoughTokensToBuy", "Not enough tokens to buy"],
+  6022: ["SellZeroAmount", "Sell zero amount"],
+  6023: ["NotEnoughTokensToSell", "Not enough tokens to sell"],
+  6024: ["Overflow", "Overflow"],
+  6025: ["Truncation", "Truncation"],
+  6026: ["DivisionByZero", "Division by zero"],
+  6027: ["NotEnoughRemainingAccounts", "Not enough remaining accounts"],
+};
+
+/** PumpSwap AMM program custom errors. */
+export const PUMPSWAP_ERRORS = {
+  6000: ["FeeBasisPointsExceedsMaximum", "Fee basis points exceed maximum"],
+  6001: ["ZeroBaseAmount", "Zero base amount"],
+  6002: ["ZeroQuoteAmount", "Zero quote amount"],
+  6003: ["TooLittlePoolTokenLiquidity", "Too little pool token liquidity"],
+  6004: ["ExceededSlippage", "Slippage: exceeded slippage tolerance"],
+  6005: ["InvalidAdmin", "Invalid admin"],
+  6006: ["UnsupportedBaseMint", "Unsupported base mint"],
+  6007: ["UnsupportedQuoteMint", "Unsupported quote mint"],
+  6008: ["InvalidBaseMint", "Invalid base mint"],
+  6009: ["InvalidQuoteMint", "Invalid quote mint"],
+  6010: ["InvalidLpMint", "Invalid LP mint"],
+  6011: ["AllProtocolFeeRecipientsShouldBeNonZero", "All protocol fee recipients should be non-zero"],
+  6012: ["UnsortedNotUniqueProtocolFeeRecipients", "Unsorted or not unique protocol fee recipients"],
+  6013: ["InvalidProtocolFeeRecipient", "Invalid protocol fee recipient"],
+  6014: ["InvalidPoolBaseTokenAccount", "Invalid pool base token account"],
+  6015: ["InvalidPoolQuoteTokenAccount", "Invalid pool quote token account"],
+  6016: ["BuyMoreBaseAmountThanPoolReserves", "Buy more base amount than pool reserves"],
+  6017: ["DisabledCreatePool", "Create pool is disabled"],
+  6018: ["DisabledDeposit", "Deposit is disabled"],
+  6019: ["DisabledWithdraw", "Withdraw is disabled"],
+  6020: ["DisabledBuy", "Buy is disabled"],
+  6021: ["DisabledSell", "Sell is disabled"],
+  6022: ["SameMint", "Base and quote mint are the same"],
+  6023: ["Overflow", "Overflow"],
+  6024: ["Truncation", "Truncation"],
+  6025: ["DivisionByZero", "Division by zero"],
+};
+
+/** Anchor framework errors shared by both programs. */
+export const ANCHOR_ERRORS = {
+  2000: ["ConstraintMut", "A mut constraint was violated"],
+  2001: ["ConstraintHasOne", "A has one constraint was violated"],
+  2002: ["ConstraintSigner", "A signer constraint was violated"],
+  2003: ["ConstraintRaw", "A raw constraint was violated"],
+  2006: ["ConstraintSeeds", "A seeds constraint was violated"],
+  2012: ["ConstraintAddress", "An address constraint was violated"],
+  3007: ["AccountOwnedByWrongProgram", "The given account is owned by a different program than expected"],
+  3012: ["AccountNotInitialized", "The program expected this account to be already initialized"],
+};
+
+/** Error names that mean "price moved past the slippage tolerance". */
+export const SLIPPAGE_ERRORS = new Set([
+  "TooMuchSolRequired",
+  "TooLittleSolReceived",
+  "ExceededSlippage",
+]);
+
+/**
+ * Look up a custom program error code.
+ *
+ * @param {number} code - Custom error code from { Custom: code }
+ * @param {string} [programId] - Program that raised it (picks the right table;
+ *   other programs return null)
+ * @returns {{ name: string, message: string } | null}
+ */
+export function lookupProgramError(code, programId) {
+  if (programId && programId !== PUMP_PROGRAM_ID && programId !== PUMPSWAP_PROGRAM_ID) {
+    return null;
+  }
+  const table =
+    programId === PUMPSWAP_PROGRAM_ID ? PUMPSWAP_ERRORS : PUMP_ERRORS;
+  const entry = code >= 6000 ? table[code] : ANCHOR_ERRORS[code];
+  return entry ? { name: entry[0], message: entry[1] } : null;
+}
+
+// ============================================================================
+// ERROR CLASSES
+// ============================================================================
+
+export class PumpDevError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [details]
+   * @param {number} [details.status] - HTTP status (API errors)
+   * @param {string} [details.endpoint] - API path or RPC/Jito URL
+   * @param {string} [details.requestId] - x-request-id header or body.requestId
+   * @param {number} [details.code] - Decoded program error code
+   * @param {Error} [details.cause] - Underlying error
+   */
+  constructor(message, { status, endpoint, requestId, code, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = this.constructor.name;
+    this.status = status ?? null;
+    this.endpoint = endpoint ?? null;
+    this.requestId = requestId ?? null;
+    this.code = code ?? null;
+  }
+}
+
+/** Any non-200 response from the PumpDev API. */
+export class ApiError extends PumpDevError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.body = details.body ?? null;
+  }
+}
+
+/** 400 / 404 / 422 — the request was rejected (bad mint, amount, balance...). */
+export class ApiValidationError extends ApiError {}
+
+/** 401 / 403 — missing or invalid Lightning API key. */
+export class AuthError extends ApiError {}
+
+/** 429 — slow down. `retryAfterMs` comes from the Retry-After header. */
+export class RateLimitError extends ApiError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.retryAfterMs = details.retryAfterMs ?? null;
+  }
+}
+
+/** The RPC node refused the transaction (preflight failure, blockhash not found...). */
+export class RpcSendError extends PumpDevError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.logs = details.logs ?? null;
+  }
+
+  /**
+   * Wrap an error thrown by connection.sendTransaction / sendRawTransaction.
+   * web3.js SendTransactionError carries preflight logs; keep them.
+   */
+  static from(err, endpoint) {
+    if (err instanceof RpcSendError) return err;
+    const logs = err.logs ?? err.transactionLogs ?? null;
+    return new RpcSendError(err.message, { endpoint, logs, cause: err });
+  }
+}
+
+/**
+ * The transaction landed but an instruction failed on-chain.
+ * Decoded from confirmation.value.err, e.g.
+ *   { InstructionError: [2, { Custom: 6002 }] } → TooMuchSolRequired
+ */
+export class InstructionError extends PumpDevError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.signature = details.signature ?? null;
+    this.instructionIndex = details.instructionIndex ?? null;
+    this.programId = details.programId ?? null;
+    this.errorName = details.errorName ?? null;
+    this.raw = details.raw ?? null;
+  }
+
+  /** True when the failure was the pump.fun/PumpSwap slippage guard. */
+  get isSlippage() {
+    return SLIPPAGE_ERRORS.has(this.errorName);
+  }
+
+  /**
+   * Build from a TransactionError (confirmation.value.err / simulation err).
+   *
+   * @param {object|string} err - The raw TransactionError
+   * @param {object} [context]
+   * @param {string} [context.signature]
+   * @param {import("@solana/web3.js").VersionedTransaction} [context.tx] - Used to resolve the failing program
+   */
+  static fromTransactionError(err, { signature, tx } = {}) {
+    const decoded = decodeTransactionError(err, tx);
+    return new InstructionError(decoded.message, {
+      signature,
+      code: decoded.code,
+      instructionIndex: decoded.instructionIndex,
+      programId: decoded.programId,
+      errorName: decoded.name,
+      raw: err,
+    });
+  }
+}
+
+/**
+ * The transaction's blockhash expired before it reached the target
+ * commitment. It can never land now — rebuild with a fresh blockhash.
+ */
+export class TransactionExpiredError extends PumpDevError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.signature = details.signature ?? null;
+    this.blockhash = details.blockhash ?? null;
+  }
+}
+
+/**
+ * The RPC failed `errors` status or expiry polls in a row while a sent
+ * transaction was being tracked. Unlike TransactionExpiredError the
+ * transaction may still land — look up `signature` before resending.
+ */
+export class TransactionStatusError extends PumpDevError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.signature = details.signature ?? null;
+    this.blockhash = details.blockhash ?? null;
+    this.errors = details.errors ?? 0;
+  }
+}
+
+/**
+ * A transaction needs signatures we can't provide, or still has empty
+ * signature slots after signing. `missing` lists every gap:
+ *   [{ index, publicKey, type }]
+ */
+export class MissingSignersError extends PumpDevError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.missing = details.missing ?? [];
+  }
+}
+
+/**
+ * A transaction returned by a local-sign endpoint doesn't match the request
+ * (wrong payer, unexpected program, amount or commission too high...).
+ * `problems` lists every failed check; nothing was signed.
+ */
+export class TransactionVerificationError extends PumpDevError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.problems = details.problems ?? [];
+    this.inspection = details.inspection ?? null;
+  }
+}
+
+/**
+ * A /ws message that isn't a known system message or a well-formed
+ * create/buy/sell/complete/create_pool event. `problems` lists every failed
+ * field check; `raw` is the message as received.
+ */
+export class EventValidationError extends PumpDevError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.problems = details.problems ?? [];
+    this.raw = details.raw ?? null;
+  }
+}
+
+/**
+ * A strategy file (JSON/YAML) or exit config failed to load or validate.
+ * `problems` lists every invalid field, e.g. "strategies[1].rules[0]: unknown rule type".
+ */
+export class StrategyConfigError extends PumpDevError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.file = details.file ?? null;
+    this.problems = details.problems ?? [];
+  }
+}
+
+/**
+ * The encrypted wallet keystore couldn't be opened or changed. `reason` is
+ * "badPassword", "notFound", "duplicate", "invalid" (wallet name),
+ * "exists" (file) or "corrupt".
+ */
+export class KeystoreError extends PumpDevError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.file = details.file ?? null;
+    this.reason = details.reason ?? null;
+  }
+}
+
+/**
+ * A signer couldn't sign. `reason` is one of "unavailable" (network or
+ * server error), "refused" (401 / 403 — bad token or policy said no),
+ * "notFound" (key not served), "badSignature" (doesn't verify against the
+ * message) or "invalid" (not a keypair or signer).
+ */
+export class SignerError extends PumpDevError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.publicKey = details.publicKey ?? null;
+    this.reason = details.reason ?? null;
+  }
+}
+
+/**
+ * A wallet funding plan is invalid ("config") or the treasury balance can't
+ * cover it ("balance"). Nothing was sent.
+ */
+export class FundingError extends PumpDevError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.reason = details.reason ?? null;
+    this.problems = details.problems ?? [];
+  }
+}
+
+/**
+ * A token transfer or cleanup can't be built: the wallet has no account for
+ * the mint ("noAccount"), holds fewer tokens than requested ("balance"), or
+ * the mint / amount is invalid ("invalid"). Nothing was sent.
+ */
+export class TokenAccountError extends PumpDevError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.mint = details.mint ?? null;
+    this.reason = details.reason ?? null;
+  }
+}
+
+/**
+ * Token metadata couldn't be published: the name, symbol, links or image
+ * break pump.fun's limits ("invalid", with one `problems` entry per field),
+ * the provider is misconfigured ("config"), an upload failed ("upload") or
+ * the resulting URI didn't resolve through the gateway ("verify").
+ * `retryable` is set for network errors, 429 and 5xx.
+ */
+export class MetadataError extends PumpDevError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.provider = details.provider ?? null;
+    this.reason = details.reason ?? null;
+    this.retryable = details.retryable ?? false;
+    this.problems = details.problems ?? [];
+  }
+}
+
+/**
+ * A launch plan can't run: the file is invalid ("config", one `problems`
+ * entry per field), a wallet it names isn't available ("wallets"), the
+ * wallets can't cover the launch ("balance") or the API built the create
+ * for a different mint than the plan's `mintKeypair` ("mint"). Nothing was
+ * sent.
+ */
+export class LaunchPlanError extends PumpDevError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.file = details.file ?? null;
+    this.reason = details.reason ?? null;
+    this.problems = details.problems ?? [];
+  }
+}
+
+/** A Jito block engine rejected the bundle (or every engine failed). */
+export class JitoBundleError extends PumpDevError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.bundleId = details.bundleId ?? null;
+    this.rpcError = details.rpcError ?? null;
+  }
+}
+
+// ============================================================================
+// DECODING HELPERS
+// ============================================================================
+
+/** Resolve the program id of instruction `index` in a VersionedTransaction. */
+function programIdAt(tx, index) {
+  try {
+    const ix = tx.message.compiledInstructions[index];
+    return tx.message.staticAccountKeys[ix.programIdIndex].toBase58();
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Decode a Solana TransactionError into something readable.
+ *
+ * @param {object|string} err
+ * @param {import("@solana/web3.js").VersionedTransaction} [tx]
+ * @returns {{ message: string, name: string|null, code: number|null, instructionIndex: number|null, programId: string|null }}
+ */
+export function decodeTransactionError(err, tx) {
+  if (typeof err === "string") {
+    return { message: err, name: err, code: null, instructionIndex: null, programId: null };
+  }
+
+  const ixErr = err?.InstructionError;
+  if (!ixErr) {
+    const name = err ? Object.keys(err)[0] : null;
+    return {
+      message: `Transaction failed: ${JSON.stringify(err)}`,
+      name,
+      code: null,
+      instructionIndex: null,
+      programId: null,
+    };
+  }
+
+  const [instructionIndex, detail] = ixErr;
+  const programId = tx ? programIdAt(tx, instructionIndex) : null;
+
+  if (detail && typeof detail === "object" && "Custom" in detail) {
+    const code = detail.Custom;
+    const known = lookupProgramError(code, programId);
+    return {
+      message: known
+        ? `Instruction ${instructionIndex} failed: ${known.name} (${code}) — ${known.message}`
+        : `Instruction ${instructionIndex} failed with custom error ${code}`,
+      name: known?.name ?? null,
+      code,
+      instructionIndex,
+      programId,
+    };
+  }
+
+  const name = typeof detail === "string" ? detail : Object.keys(detail)[0];
+  return {
+    message: `Instruction ${instructionIndex} failed: ${name}`,
+    name,
+    code: null,
+    instructionIndex,
+    programId,
+  };
+}
+
+/**
+ * Map a non-200 API response to the right ApiError subclass.
+ *
+ * @param {object} params
+ * @param {number} params.status
+ * @param {string} params.endpoint
+ * @param {object} params.body - Parsed error body ({ error, requestId, ... })
+ * @param {Headers} [params.headers]
+ */
+export function errorFromResponse({ status, endpoint, body = {}, headers }) {
+  const message = body.error || body.message || `HTTP ${status}`;
+  const details = {
+    status,
+    endpoint,
+    body,
+    requestId: headers?.get?.("x-request-id") || body.requestId || null,
+  };
+
+  if (status === 401 || status === 403) {
+    return new AuthError(message, details);
+  }
+
+  if (status === 429) {
+    const retryAfter = Number(headers?.get?.("retry-after"));
+    return new RateLimitError(message, {
+      ...details,
+      retryAfterMs: Number.isFinite(retryAfter) && retryAfter > 0 ? retryAfter * 1000 : null,
+    });
+  }
+
+  if (status === 400 || status === 404 || status === 422) {
+    return new ApiValidationError(message, details);
+  }
+
+  return new ApiError(message, details);
+}
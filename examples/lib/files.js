@@ -0,0 +1,72 @@
+/**
+ * State Files
+ *
+ * The two ways the examples keep state on disk:
+ * - Append-only JSONL (trade ledger, distribution log): one entry per line.
+ *   A crash mid-append can only tear the last line; loadJsonl() drops a torn
+ *   last line and rejects a corrupt one anywhere else.
+ * - Whole-file JSON (keystore, claimer state, upload cache, creator stats):
+ *   writeFileAtomic() writes a temp file and renames it over the old one, so
+ *   a crash leaves either the old file or the new one, never half of either.
+ *
+ * Usage:
+ *   loadJsonl("ledger.jsonl", (entry) => ledger.apply(entry), { what: "ledger entry" });
+ *   writeFileAtomic("claimer-state.json", JSON.stringify(state, null, 2));
+ */
+
+import { appendFileSync, existsSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+
+/**
+ * Write `data` to `file` through a temp file + rename.
+ *
+ * @param {string} file
+ * @param {string|Buffer} data
+ * @param {object} [options] - Passed to writeFileSync (e.g. `{ mode: 0o600 }`)
+ */
+export function writeFileAtomic(file, data, options) {
+  const tmp = `${file}.tmp`;
+  writeFileSync(tmp, data, options);
+  renameSync(tmp, file);
+}
+
+/**
+ * Read a JSONL file (if it exists) and pass each entry to `onEntry`.
+ *
+ * Only the last non-empty line may fail to parse — that's a torn append, and
+ * it is cut from the file so later appends start on a clean line. A corrupt
+ * line anywhere else, or an entry `onEntry` rejects, throws.
+ *
+ * @param {string} file
+ * @param {(entry: object) => void} onEntry
+ * @param {object} [options]
+ * @param {string} [options.what] - Entry name for error messages (default "entry")
+ * @throws {Error} `<file>:<line>: not a <what>`
+ */
+export function loadJsonl(file, onEntry, { what = "entry" } = {}) {
+  if (!existsSync(file)) return;
+  const text = readFileSync(file, "utf8");
+  const lines = text.split("\n");
+  let last = lines.length - 1;
+  while (last >= 0 && !lines[last].trim()) last--;
+
+  for (let i = 0; i <= last; i++) {
+    if (!lines[i].trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(lines[i]);
+    } catch {
+      if (i < last) throw new Error(`${file}:${i + 1}: not a ${what}`);
+      const kept = lines.slice(0, i).filter((line) => line.trim());
+      writeFileAtomic(file, kept.map((line) => `${line}\n`).join(""));
+      return;
+    }
+    try {
+      onEntry(entry);
+    } catch (err) {
+      throw new Error(`${file}:${i + 1}: not a ${what} (${err.message})`);
+    }
+  }
+
+  // A complete last line that lost only its newline
+  if (text && !text.endsWith("\n")) appendFileSync(file, "\n");
+}
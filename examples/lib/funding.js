@@ -0,0 +1,444 @@
+/**
+ * Wallet Funding & Sweep
+ *
+ * Fans SOL out from a treasury to many wallets (bundlers, snipers) and sweeps
+ * it back, on top of /api/transfer and /api/transfer-all:
+ * - planFunding() works out per-wallet amounts: fixed, weighted or random
+ * - fund() asks /api/transfer for each leg, verifies it, packs several legs
+ *   into one transaction, signs every packed transaction in one signAll()
+ *   and sends them in parallel through TransactionSender
+ * - sweep() drains every wallet back to the treasury with /api/transfer-all,
+ *   in parallel, and reconciles balances before and after
+ *
+ * Events:
+ *   packed        { index, transfers, lamports }           a packed funding transaction
+ *   batchSent     { index, signature }
+ *   batchConfirmed { index, signature, slot, transfers }
+ *   batchFailed   { index, error, transfers }
+ *   swept         { name, signature, slot, amountSol }
+ *   sweepSkipped  { name, reason }
+ *   sweepFailed   { name, error }
+ *
+ * Usage:
+ *   const funder = new WalletFunder({ client, connection, treasury: signer });
+ *   const plan = planFunding(keystore.list({ group: "bundlers" }), { mode: "random", minSol: 0.05, maxSol: 0.08 });
+ *   const funded = await funder.fund(plan);
+ *   const report = await funder.sweep(wallets.map((w) => ({ name: w.name, signer: new KeystoreSigner(keystore, w.name) })));
+ *   formatReconciliation(report).forEach((line) => console.log(line));
+ */
+
+import { EventEmitter } from "node:events";
+import {
+  ComputeBudgetProgram,
+  LAMPORTS_PER_SOL,
+  PublicKey,
+  SystemProgram,
+  TransactionMessage,
+  VersionedTransaction,
+} from "@solana/web3.js";
+import bs58 from "bs58";
+import { ApiValidationError, FundingError, TransactionVerificationError } from "./errors.js";
+import { decodeTransaction, verifyTransaction } from "./inspect.js";
+import { TransactionSender } from "./sender.js";
+
+export const FUNDING_MODES = ["fixed", "weighted", "random"];
+
+/** Legs per packed transaction — 8 keeps well under the 1232-byte limit. */
+export const DEFAULT_TRANSFERS_PER_TX = 8;
+
+/** A system transfer uses 150 CU; the rest is headroom. */
+const COMPUTE_UNITS_PER_TRANSFER = 300;
+
+/** Network fee per signature, reserved when checking the treasury balance. */
+const SIGNATURE_FEE_LAMPORTS = 5000;
+
+const lamports = (sol) => Math.round(sol * LAMPORTS_PER_SOL);
+const toSol = (n) => n / LAMPORTS_PER_SOL;
+
+/** Run `fn` over `items` with at most `limit` in flight, keeping order. */
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+  return results;
+}
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+// ============================================================================
+// PLANNING
+// ============================================================================
+
+/**
+ * Per-wallet amounts for fund().
+ *
+ * @param {{ name: string, publicKey: string }[]} wallets - e.g. keystore.list({ group })
+ * @param {object} options
+ * @param {"fixed"|"weighted"|"random"} [options.mode] - Default "fixed"
+ * @param {number} [options.amountSol] - fixed: every wallet gets this
+ * @param {number} [options.totalSol] - weighted: split by weight
+ * @param {Record<string, number>} [options.weights] - weighted: by wallet name (default 1)
+ * @param {number} [options.minSol] - random: lower bound
+ * @param {number} [options.maxSol] - random: upper bound
+ * @param {number} [options.decimals] - Round amounts to this many decimals (default 4)
+ * @param {() => number} [options.random] - Default Math.random
+ * @returns {{ name: string, publicKey: string, amountSol: number }[]}
+ * @throws {FundingError} reason "config"
+ */
+export function planFunding(wallets, {
+  mode = "fixed",
+  amountSol,
+  totalSol,
+  weights = {},
+  minSol,
+  maxSol,
+  decimals = 4,
+  random = Math.random,
+} = {}) {
+  const problems = [];
+  const positive = (value, field) => {
+    if (!(Number(value) > 0)) problems.push(`${field} must be a positive number of SOL`);
+  };
+
+  if (!FUNDING_MODES.includes(mode)) problems.push(`mode must be one of ${FUNDING_MODES.join(", ")}`);
+  if (wallets.length === 0) problems.push("No wallets to fund");
+  if (mode === "fixed") positive(amountSol, "amountSol");
+  if (mode === "weighted") {
+    positive(totalSol, "totalSol");
+    for (const [name, weight] of Object.entries(weights)) {
+      if (!(weight >= 0)) problems.push(`weights.${name} must be >= 0`);
+    }
+  }
+  if (mode === "random") {
+    positive(minSol, "minSol");
+    positive(maxSol, "maxSol");
+    if (minSol > maxSol) problems.push("minSol must be <= maxSol");
+  }
+  if (problems.length > 0) {
+    throw new FundingError(`Invalid funding plan: ${problems.join("; ")}`, { reason: "config", problems });
+  }
+
+  const factor = 10 ** decimals;
+  const round = (sol) => Math.floor(sol * factor) / factor;
+  const weightOf = (w) => weights[w.name] ?? 1;
+  const totalWeight = wallets.reduce((sum, w) => sum + weightOf(w), 0);
+
+  const plan = wallets.map((w) => {
+    let sol;
+    if (mode === "fixed") sol = amountSol;
+    else if (mode === "weighted") sol = totalWeight > 0 ? (totalSol * weightOf(w)) / totalWeight : 0;
+    else sol = minSol + random() * (maxSol - minSol);
+    return { name: w.name, publicKey: w.publicKey, amountSol: round(sol) };
+  });
+
+  return plan.filter((p) => p.amountSol > 0);
+}
+
+// ============================================================================
+// PACKING
+// ============================================================================
+
+/**
+ * Merge single-transfer transactions from /api/transfer (same payer) into
+ * one, keeping the first one's blockhash and priority fee.
+ *
+ * @param {import("@solana/web3.js").VersionedTransaction[]} txs - Already verified
+ * @param {string} payer
+ * @returns {import("@solana/web3.js").VersionedTransaction} Unsigned
+ */
+export function packTransfers(txs, payer) {
+  const transfers = [];
+  let unitPrice = null;
+
+  for (const tx of txs) {
+    const { instructions } = TransactionMessage.decompile(tx.message);
+    for (const ix of instructions) {
+      if (ix.programId.equals(SystemProgram.programId)) transfers.push(ix);
+      // setComputeUnitPrice; the unit limit is recomputed for the packed size
+      else if (ix.programId.equals(ComputeBudgetProgram.programId) && ix.data[0] === 3) unitPrice ??= ix;
+    }
+  }
+
+  const budget = unitPrice
+    ? [ComputeBudgetProgram.setComputeUnitLimit({ units: COMPUTE_UNITS_PER_TRANSFER * transfers.length }), unitPrice]
+    : [];
+  const message = new TransactionMessage({
+    payerKey: new PublicKey(payer),
+    recentBlockhash: txs[0].message.recentBlockhash,
+    instructions: [...budget, ...transfers],
+  }).compileToV0Message();
+  return new VersionedTransaction(message);
+}
+
+/**
+ * Check a packed transaction pays exactly the planned legs and nothing else.
+ *
+ * @throws {TransactionVerificationError}
+ */
+function verifyPacked(tx, payer, legs) {
+  const decoded = decodeTransaction(tx);
+  const problems = [];
+  if (decoded.payer !== payer) problems.push(`Payer is ${decoded.payer}, expected ${payer}`);
+
+  const expected = new Map(legs.map((leg) => [leg.publicKey, lamports(leg.amountSol)]));
+  for (const ix of decoded.instructions) {
+    if (ix.type.startsWith("computeBudget.")) continue;
+    if (ix.type !== "system.transfer") {
+      problems.push(`Unexpected instruction #${ix.index} ${ix.type}`);
+    } else if (expected.get(ix.to) !== ix.lamports) {
+      problems.push(`Unexpected transfer of ${ix.lamports} lamports to ${ix.to}`);
+    } else {
+      expected.delete(ix.to);
+    }
+  }
+  for (const publicKey of expected.keys()) problems.push(`Missing transfer to ${publicKey}`);
+
+  if (problems.length > 0) {
+    throw new TransactionVerificationError(`Packed transfer failed verification: ${problems.join("; ")}`, { problems });
+  }
+}
+
+// ============================================================================
+// FUNDER
+// ============================================================================
+
+export class WalletFunder extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {import("./client.js").PumpDevClient} options.client
+   * @param {import("@solana/web3.js").Connection} options.connection
+   * @param {object} options.treasury - Signer (lib/signer.js) that funds and receives sweeps
+   * @param {import("./sender.js").TransactionSender} [options.sender] - Default: new one on `connection`
+   * @param {number} [options.transfersPerTx] - Legs per funding transaction (default 8)
+   * @param {number} [options.concurrency] - API requests / sends in flight (default 4)
+   */
+  constructor({
+    client,
+    connection,
+    treasury,
+    sender = new TransactionSender({ connection }),
+    transfersPerTx = DEFAULT_TRANSFERS_PER_TX,
+    concurrency = 4,
+  }) {
+    super();
+    this.client = client;
+    this.connection = connection;
+    this.treasury = treasury;
+    this.sender = sender;
+    this.transfersPerTx = transfersPerTx;
+    this.concurrency = concurrency;
+  }
+
+  get treasuryKey() {
+    return this.treasury.publicKey.toBase58();
+  }
+
+  /** Lamport balances for many wallets, 100 per RPC call. */
+  async balances(publicKeys) {
+    const result = new Map();
+    for (const keys of chunk(publicKeys, 100)) {
+      const infos = await this.connection.getMultipleAccountsInfo(keys.map((k) => new PublicKey(k)));
+      keys.forEach((key, i) => result.set(key, infos[i]?.lamports ?? 0));
+    }
+    return result;
+  }
+
+  /**
+   * Request, verify and pack the funding transactions for a plan (unsigned).
+   * Useful on its own for a dry run.
+   *
+   * @param {{ name: string, publicKey: string, amountSol: number }[]} plan
+   * @returns {Promise<{ index: number, tx: import("@solana/web3.js").VersionedTransaction, transfers: object[] }[]>}
+   * @throws {TransactionVerificationError}
+   */
+  async build(plan) {
+    const payer = this.treasuryKey;
+    const single = await mapLimit(plan, this.concurrency, async (leg) => {
+      const tx = await this.client.transfer({ publicKey: payer, recipient: leg.publicKey, amount: leg.amountSol });
+      verifyTransaction(tx, { kind: "transfer", payer, recipient: leg.publicKey, amount: leg.amountSol });
+      return tx;
+    });
+
+    return chunk(plan.map((leg, i) => ({ leg, tx: single[i] })), this.transfersPerTx).map((legs, index) => {
+      const transfers = legs.map((l) => l.leg);
+      const tx = packTransfers(legs.map((l) => l.tx), payer);
+      verifyPacked(tx, payer, transfers);
+      return { index, tx, transfers };
+    });
+  }
+
+  /**
+   * Fund every wallet in the plan from the treasury.
+   *
+   * @param {{ name: string, publicKey: string, amountSol: number }[]} plan - From planFunding()
+   * @returns {Promise<{ name, publicKey, amountSol, status: "confirmed"|"failed", signature, slot, error, beforeSol, afterSol }[]>}
+   * @throws {FundingError} reason "balance" — before anything is built or sent
+   * @throws {ApiError|TransactionVerificationError} While building — nothing sent
+   */
+  async fund(plan) {
+    const payer = this.treasuryKey;
+    const needed =
+      plan.reduce((sum, leg) => sum + lamports(leg.amountSol), 0) +
+      Math.ceil(plan.length / this.transfersPerTx) * SIGNATURE_FEE_LAMPORTS;
+    const before = await this.balances([payer, ...plan.map((leg) => leg.publicKey)]);
+    if (before.get(payer) < needed) {
+      throw new FundingError(
+        `Treasury ${payer} has ${toSol(before.get(payer))} SOL, plan needs ${toSol(needed)} SOL incl. fees`,
+        { reason: "balance" },
+      );
+    }
+
+    const batches = await this.build(plan);
+    for (const { index, transfers } of batches) {
+      const total = transfers.reduce((sum, t) => sum + lamports(t.amountSol), 0);
+      this.emit("packed", { index, transfers, lamports: total });
+    }
+    // One round trip to the treasury signer for every batch
+    await this.treasury.signAll(batches.map((b) => b.tx));
+
+    const outcomes = await mapLimit(batches, this.concurrency, async ({ index, tx, transfers }) => {
+      const signature = bs58.encode(tx.signatures[0]);
+      this.emit("batchSent", { index, signature });
+      try {
+        const result = await this.sender.send(tx, {
+          // Blockhash expired: request, verify and pack these legs again
+          rebuild: async () => {
+            const [fresh] = await this.build(transfers);
+            await this.treasury.signTransaction(fresh.tx);
+            return fresh.tx;
+          },
+        });
+        this.emit("batchConfirmed", { index, signature: result.signature, slot: result.slot, transfers });
+        return { status: "confirmed", signature: result.signature, slot: result.slot, error: null };
+      } catch (error) {
+        this.emit("batchFailed", { index, error, transfers });
+        return { status: "failed", signature, slot: null, error };
+      }
+    });
+
+    const after = await this.balances(plan.map((leg) => leg.publicKey));
+    return batches.flatMap(({ index, transfers }) =>
+      transfers.map((leg) => ({
+        ...leg,
+        ...outcomes[index],
+        beforeSol: toSol(before.get(leg.publicKey)),
+        afterSol: toSol(after.get(leg.publicKey)),
+      })),
+    );
+  }
+
+  /**
+   * Drain wallets back to the treasury with /api/transfer-all, in parallel.
+   *
+   * @param {{ name: string, signer: object }[]} wallets - Each with its own signer
+   * @param {object} [options]
+   * @param {number} [options.minSol] - Skip wallets holding less (default 0.001 — not worth the fee)
+   * @returns {Promise<{ rows: object[], treasury: object }>} See formatReconciliation
+   */
+  async sweep(wallets, { minSol = 0.001 } = {}) {
+    const recipient = this.treasuryKey;
+    const keys = wallets.map((w) => w.signer.publicKey.toBase58());
+    const before = await this.balances([recipient, ...keys]);
+
+    const rows = await mapLimit(wallets, this.concurrency, async ({ name, signer }, i) => {
+      const publicKey = keys[i];
+      const row = { name, publicKey, beforeSol: toSol(before.get(publicKey)), expectedSol: 0, feesSol: 0, status: "skipped", signature: null, error: null };
+
+      if (before.get(publicKey) < lamports(minSol)) {
+        row.error = `balance below ${minSol} SOL`;
+        this.emit("sweepSkipped", { name, reason: row.error });
+        return row;
+      }
+
+      const request = async () => {
+        const result = await this.client.transferAll({ publicKey, recipient });
+        const decoded = verifyTransaction(result.tx, { kind: "transfer", payer: publicKey, recipient });
+        const leg = decoded.instructions.find((ix) => ix.type === "system.transfer");
+        if (leg.lamports > before.get(publicKey)) {
+          throw new TransactionVerificationError(`Sweep of ${leg.lamports} lamports exceeds the ${before.get(publicKey)} lamport balance`, {
+            problems: ["amount exceeds balance"],
+          });
+        }
+        row.expectedSol = toSol(leg.lamports);
+        row.feesSol = result.estimatedFees ?? 0;
+        await signer.signTransaction(result.tx);
+        return result.tx;
+      };
+
+      try {
+        const { signature, slot } = await this.sender.send(await request(), { rebuild: request });
+        Object.assign(row, { status: "confirmed", signature, slot });
+        this.emit("swept", { name, signature, slot, amountSol: row.expectedSol });
+      } catch (error) {
+        if (error instanceof ApiValidationError) {
+          // e.g. "Insufficient balance" — nothing left to sweep after fees
+          row.error = error.message;
+          this.emit("sweepSkipped", { name, reason: error.message });
+        } else {
+          Object.assign(row, { status: "failed", error: error.message });
+          this.emit("sweepFailed", { name, error });
+        }
+      }
+      return row;
+    });
+
+    const after = await this.balances([recipient, ...keys]);
+    rows.forEach((row) => (row.afterSol = toSol(after.get(row.publicKey))));
+
+    const expectedSol = rows.filter((r) => r.status === "confirmed").reduce((sum, r) => sum + r.expectedSol, 0);
+    const receivedSol = toSol(after.get(recipient) - before.get(recipient));
+    return {
+      rows,
+      treasury: {
+        publicKey: recipient,
+        beforeSol: toSol(before.get(recipient)),
+        afterSol: toSol(after.get(recipient)),
+        expectedSol,
+        receivedSol,
+        // Non-zero when something else moved the treasury during the sweep
+        differenceSol: receivedSol - expectedSol,
+      },
+    };
+  }
+}
+
+// ============================================================================
+// REPORTING
+// ============================================================================
+
+/** Printable lines for a sweep() report. */
+export function formatReconciliation({ rows, treasury }) {
+  const sol = (n) => n.toFixed(6).padStart(12);
+  const lines = [
+    `${"wallet".padEnd(12)} ${"before".padStart(12)} ${"swept".padStart(12)} ${"fee".padStart(12)} ${"after".padStart(12)}  status`,
+  ];
+  for (const r of rows) {
+    const status = r.status === "confirmed" ? `✅ ${r.signature.slice(0, 16)}...` : `${r.status === "failed" ? "❌" : "⏭️ "} ${r.error ?? r.status}`;
+    const landed = r.status === "confirmed";
+    lines.push(`${r.name.padEnd(12)} ${sol(r.beforeSol)} ${sol(landed ? r.expectedSol : 0)} ${sol(landed ? r.feesSol : 0)} ${sol(r.afterSol)}  ${status}`);
+  }
+  lines.push(
+    "",
+    `Treasury ${treasury.publicKey}`,
+    `  before:   ${sol(treasury.beforeSol)} SOL`,
+    `  after:    ${sol(treasury.afterSol)} SOL`,
+    `  expected: ${sol(treasury.expectedSol)} SOL  (sum of confirmed sweeps)`,
+    `  received: ${sol(treasury.receivedSol)} SOL`,
+  );
+  if (Math.abs(treasury.differenceSol) >= 1e-9) {
+    lines.push(`  ⚠️ difference ${treasury.differenceSol >= 0 ? "+" : ""}${treasury.differenceSol.toFixed(9)} SOL — other activity on the treasury?`);
+  } else {
+    lines.push("  ✅ reconciled");
+  }
+  return lines;
+}
@@ -0,0 +1,793 @@
+/**
+ * Transaction Inspector
+ *
+ * Decode the unsigned VersionedTransaction returned by a local-sign endpoint
+ * (/api/trade-local, /api/create, /api/bundle, /api/transfer) into a readable
+ * instruction list, and verify it matches what was requested BEFORE signing.
+ *
+ * Recognized instructions:
+ * - pump.fun buy / buy_exact_sol_in / sell / create / create_v2
+ * - PumpSwap buy / buy_exact_quote_in / sell
+ * - System transfer, classified as Jito tip, PumpDev commission or plain transfer
+ *   (other System instructions by name: assign, createAccount, allocate, ...)
+ * - Compute budget (unit limit / unit price)
+ * - Associated token account create, SPL token instructions by name, with the
+ *   accounts of transfer / approve / setAuthority / burn / close
+ *
+ * Whatever the kind, the payer may only sign instructions from a whitelist:
+ * pump.fun and PumpSwap instructions, SOL transfers, associated token account
+ * creates, and token transfers and closes. Every SOL transfer out of the
+ * payer must be a Jito tip, PumpDev commission or the requested transfer,
+ * and token transfers and closes may only move tokens or rent between the
+ * payer's own accounts. Anything else it signs (assign, approve,
+ * setAuthority, burn, ...) is a problem.
+ *
+ * Usage:
+ *   const tx = await client.tradeLocal(params);
+ *   verifyTransaction(tx, { kind: "buy", payer, mint, amountSol: 0.01, slippage: 15 });
+ *   tx.sign([keypair]);
+ *
+ *   const data = await client.bundle(body);
+ *   verifyBundle(data, bundleExpectations(body, data.mint));
+ */
+
+import { createHash } from "node:crypto";
+import {
+  LAMPORTS_PER_SOL,
+  PublicKey,
+  TransactionMessage,
+} from "@solana/web3.js";
+import {
+  PUMP_PROGRAM_ID,
+  PUMPSWAP_PROGRAM_ID,
+  TransactionVerificationError,
+} from "./errors.js";
+
+// ============================================================================
+// PROGRAM IDS
+// ============================================================================
+
+export const SYSTEM_PROGRAM_ID = "11111111111111111111111111111111";
+export const COMPUTE_BUDGET_PROGRAM_ID = "ComputeBudget111111111111111111111111111111";
+export const TOKEN_PROGRAM_ID = "TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA";
+export const TOKEN_2022_PROGRAM_ID = "TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb";
+export const ASSOCIATED_TOKEN_PROGRAM_ID = "ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL";
+
+/** Jito tip payment accounts. */
+export const JITO_TIP_ACCOUNTS = new Set([
+  "96gYZGLnJYVFmbjzopPSU6QiEV5fGqZNyN9nmNhvrZU5",
+  "HFqU5x63VTqvQss8hp11i4wVV8bD44PvwucfZ2bU7gRe",
+  "Cw8CFyM9FkoMi7K7Crf6HNQqf4uEMzpKw6QNghXLvLkY",
+  "ADaUMid9yfUytqMBgopwjb2DTLSokTSzL1zt6iGPaS49",
+  "DfXygSm4jCyNCybVYYK6DwvWqjKee8pbDmJGcLWNDXjh",
+  "ADuUkR4vqLUMWXxW9gh6D6L8pMSawimctcNZ5pGwDcEt",
+  "DttWaMuVvTiduZRnguLF7jNxTgiMBZ1hyAumKUiL2KRL",
+  "3AVi9Tg9Uo68tJfuvoKvqKNWKkC5wPdSSdeBnizKZ6jT",
+]);
+
+/** Programs a PumpDev local-sign transaction is expected to touch. */
+export const DEFAULT_ALLOWED_PROGRAMS = new Set([
+  SYSTEM_PROGRAM_ID,
+  COMPUTE_BUDGET_PROGRAM_ID,
+  TOKEN_PROGRAM_ID,
+  TOKEN_2022_PROGRAM_ID,
+  ASSOCIATED_TOKEN_PROGRAM_ID,
+  PUMP_PROGRAM_ID,
+  PUMPSWAP_PROGRAM_ID,
+]);
+
+/** PumpDev commission rates from the pricing table, in basis points. */
+export const COMMISSION_BPS = { local: 25, lightning: 50 };
+
+/** Wrapped SOL mint. */
+export const NATIVE_MINT = "So11111111111111111111111111111111111111112";
+
+/** Associated token address for (owner, mint) under a token program. */
+export function associatedTokenAddress(owner, mint, tokenProgramId = TOKEN_PROGRAM_ID) {
+  const [address] = PublicKey.findProgramAddressSync(
+    [
+      new PublicKey(owner).toBuffer(),
+      new PublicKey(tokenProgramId).toBuffer(),
+      new PublicKey(mint).toBuffer(),
+    ],
+    new PublicKey(ASSOCIATED_TOKEN_PROGRAM_ID),
+  );
+  return address.toBase58();
+}
+
+// ============================================================================
+// DECODING
+// ============================================================================
+
+/** Anchor discriminator: first 8 bytes of sha256("global:<name>"). */
+function discriminator(name) {
+  return createHash("sha256").update(`global:${name}`).digest().subarray(0, 8).toString("hex");
+}
+
+const PUMP_INSTRUCTIONS = Object.fromEntries(
+  [
+    "buy",
+    "buy_exact_sol_in",
+    "sell",
+    "create",
+    "create_v2",
+    "extend_account",
+    "collect_creator_fee",
+    "claim_cashback",
+    "distribute_creator_fees",
+  ].map((name) => [discriminator(name), name]),
+);
+
+const PUMPSWAP_INSTRUCTIONS = Object.fromEntries(
+  [
+    "buy",
+    "buy_exact_quote_in",
+    "sell",
+    "create_pool",
+    "collect_coin_creator_fee",
+    "claim_cashback",
+  ].map((name) => [discriminator(name), name]),
+);
+
+/** Little-endian reader over instruction data. */
+class Reader {
+  constructor(data) {
+    this.buf = Buffer.from(data);
+    this.offset = 0;
+  }
+
+  u8() {
+    return this.buf.readUInt8(this.offset++);
+  }
+
+  u32() {
+    const v = this.buf.readUInt32LE(this.offset);
+    this.offset += 4;
+    return v;
+  }
+
+  u64() {
+    const v = this.buf.readBigUInt64LE(this.offset);
+    this.offset += 8;
+    return Number(v);
+  }
+
+  string() {
+    const len = this.u32();
+    const v = this.buf.toString("utf8", this.offset, this.offset + len);
+    this.offset += len;
+    return v;
+  }
+
+  pubkey() {
+    const v = new PublicKey(this.buf.subarray(this.offset, this.offset + 32));
+    this.offset += 32;
+    return v.toBase58();
+  }
+
+  skip(n) {
+    this.offset += n;
+    return this;
+  }
+}
+
+function decodePump(ix) {
+  const name = PUMP_INSTRUCTIONS[Buffer.from(ix.data.subarray(0, 8)).toString("hex")];
+  const r = new Reader(ix.data).skip(8);
+  const key = (i) => ix.keys[i]?.pubkey.toBase58();
+
+  switch (name) {
+    case "buy":
+      return { type: "pump.buy", mint: key(2), user: key(6), tokenAmount: r.u64(), maxSolCost: r.u64() };
+    case "buy_exact_sol_in":
+      return { type: "pump.buy_exact_sol_in", mint: key(2), user: key(6), spendableSolIn: r.u64(), minTokensOut: r.u64() };
+    case "sell":
+      return { type: "pump.sell", mint: key(2), user: key(6), tokenAmount: r.u64(), minSolOutput: r.u64() };
+    case "create":
+    case "create_v2":
+      return { type: `pump.${name}`, mint: key(0), name: r.string(), symbol: r.string(), uri: r.string(), creator: r.pubkey() };
+    default:
+      return { type: name ? `pump.${name}` : "pump.unknown" };
+  }
+}
+
+function decodePumpSwap(ix) {
+  const name = PUMPSWAP_INSTRUCTIONS[Buffer.from(ix.data.subarray(0, 8)).toString("hex")];
+  const r = new Reader(ix.data).skip(8);
+  const key = (i) => ix.keys[i]?.pubkey.toBase58();
+
+  switch (name) {
+    case "buy":
+      return { type: "pumpswap.buy", pool: key(0), user: key(1), mint: key(3), baseAmountOut: r.u64(), maxQuoteAmountIn: r.u64() };
+    case "buy_exact_quote_in":
+      return { type: "pumpswap.buy_exact_quote_in", pool: key(0), user: key(1), mint: key(3), spendableQuoteIn: r.u64(), minBaseAmountOut: r.u64() };
+    case "sell":
+      return { type: "pumpswap.sell", pool: key(0), user: key(1), mint: key(3), baseAmountIn: r.u64(), minQuoteAmountOut: r.u64() };
+    default:
+      return { type: name ? `pumpswap.${name}` : "pumpswap.unknown" };
+  }
+}
+
+/** System program instructions, by index. */
+const SYSTEM_INSTRUCTIONS = [
+  "createAccount",
+  "assign",
+  "transfer",
+  "createAccountWithSeed",
+  "advanceNonceAccount",
+  "withdrawNonceAccount",
+  "initializeNonceAccount",
+  "authorizeNonceAccount",
+  "allocate",
+  "allocateWithSeed",
+  "assignWithSeed",
+  "transferWithSeed",
+  "upgradeNonceAccount",
+];
+
+function decodeSystem(ix) {
+  const r = new Reader(ix.data);
+  const index = r.u32();
+  const key = (i) => ix.keys[i]?.pubkey.toBase58();
+  switch (index) {
+    case 0:
+      return { type: "system.createAccount", from: key(0), account: key(1), lamports: r.u64(), space: r.u64(), owner: r.pubkey() };
+    case 1:
+      return { type: "system.assign", account: key(0), owner: r.pubkey() };
+    case 2:
+      return { type: "system.transfer", from: key(0), to: key(1), lamports: r.u64() };
+    default:
+      return { type: `system.${SYSTEM_INSTRUCTIONS[index] ?? index}` };
+  }
+}
+
+function decodeComputeBudget(ix) {
+  const r = new Reader(ix.data);
+  const kind = r.u8();
+  if (kind === 2) return { type: "computeBudget.setComputeUnitLimit", units: r.u32() };
+  if (kind === 3) return { type: "computeBudget.setComputeUnitPrice", microLamports: r.u64() };
+  return { type: `computeBudget.${kind}` };
+}
+
+/** SPL Token instructions, by index (Token-2022 shares these). */
+const TOKEN_INSTRUCTIONS = [
+  "initializeMint",
+  "initializeAccount",
+  "initializeMultisig",
+  "transfer",
+  "approve",
+  "revoke",
+  "setAuthority",
+  "mintTo",
+  "burn",
+  "closeAccount",
+  "freezeAccount",
+  "thawAccount",
+  "transferChecked",
+  "approveChecked",
+  "mintToChecked",
+  "burnChecked",
+  "initializeAccount2",
+  "syncNative",
+  "initializeAccount3",
+];
+
+function decodeToken(ix, program) {
+  const r = new Reader(ix.data);
+  const kind = r.u8();
+  const key = (i) => ix.keys[i]?.pubkey.toBase58();
+  switch (kind) {
+    case 3:
+      return { type: `${program}.transfer`, source: key(0), destination: key(1), authority: key(2), amount: r.u64() };
+    case 4:
+      return { type: `${program}.approve`, source: key(0), delegate: key(1), authority: key(2), amount: r.u64() };
+    case 6:
+      return { type: `${program}.setAuthority`, account: key(0), authority: key(1), authorityType: r.u8() };
+    case 8:
+      return { type: `${program}.burn`, account: key(0), mint: key(1), authority: key(2), amount: r.u64() };
+    case 9:
+      return { type: `${program}.closeAccount`, account: key(0), destination: key(1), authority: key(2) };
+    case 12:
+      return { type: `${program}.transferChecked`, source: key(0), mint: key(1), destination: key(2), authority: key(3), amount: r.u64(), decimals: r.u8() };
+    case 13:
+      return { type: `${program}.approveChecked`, source: key(0), mint: key(1), delegate: key(2), authority: key(3), amount: r.u64(), decimals: r.u8() };
+    case 15:
+      return { type: `${program}.burnChecked`, account: key(0), mint: key(1), authority: key(2), amount: r.u64(), decimals: r.u8() };
+    case 17:
+      return { type: `${program}.syncNative`, account: key(0) };
+    default:
+      return { type: `${program}.${TOKEN_INSTRUCTIONS[kind] ?? kind}` };
+  }
+}
+
+function decodeInstruction(ix) {
+  const programId = ix.programId.toBase58();
+  switch (programId) {
+    case PUMP_PROGRAM_ID:
+      return decodePump(ix);
+    case PUMPSWAP_PROGRAM_ID:
+      return decodePumpSwap(ix);
+    case SYSTEM_PROGRAM_ID:
+      return decodeSystem(ix);
+    case COMPUTE_BUDGET_PROGRAM_ID:
+      return decodeComputeBudget(ix);
+    case TOKEN_PROGRAM_ID:
+      return decodeToken(ix, "token");
+    case TOKEN_2022_PROGRAM_ID:
+      return decodeToken(ix, "token2022");
+    case ASSOCIATED_TOKEN_PROGRAM_ID:
+      // 0 / no data: create, 1: create idempotent, 2: recover nested
+      if (ix.data.length > 0 && ix.data[0] > 1) return { type: `ata.${ix.data[0]}` };
+      return {
+        type: "ata.create",
+        account: ix.keys[1]?.pubkey.toBase58(),
+        owner: ix.keys[2]?.pubkey.toBase58(),
+        mint: ix.keys[3]?.pubkey.toBase58(),
+        idempotent: ix.data[0] === 1,
+      };
+    default:
+      return { type: "unknown" };
+  }
+}
+
+/** The payer's wrapped SOL accounts, under either token program. */
+function payerWsolAccounts(payer) {
+  return [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID].map((program) => associatedTokenAddress(payer, NATIVE_MINT, program));
+}
+
+/**
+ * Decode a VersionedTransaction into an instruction list plus a fee summary.
+ *
+ * @param {import("@solana/web3.js").VersionedTransaction} tx
+ * @param {object} [options]
+ * @param {import("@solana/web3.js").AddressLookupTableAccount[]} [options.addressLookupTableAccounts] - Needed if the message uses lookup tables
+ * @param {string[]} [options.commissionWallets] - Known PumpDev fee wallets (defaults to PUMPDEV_FEE_WALLETS)
+ */
+export function decodeTransaction(tx, { addressLookupTableAccounts = [], commissionWallets } = {}) {
+  const message = TransactionMessage.decompile(tx.message, { addressLookupTableAccounts });
+  const payer = message.payerKey.toBase58();
+  const feeWallets = new Set(
+    commissionWallets ??
+      (process.env.PUMPDEV_FEE_WALLETS || "").split(",").filter(Boolean),
+  );
+
+  const instructions = message.instructions.map((ix, index) => ({
+    index,
+    programId: ix.programId.toBase58(),
+    signers: ix.keys.filter((k) => k.isSigner).map((k) => k.pubkey.toBase58()),
+    ...decodeInstruction(ix),
+  }));
+
+  const hasTrade = instructions.some((ix) => /^pump(swap)?\.(buy|sell|create)/.test(ix.type));
+
+  // Classify SOL transfers: Jito tip, PumpDev commission, or plain transfer.
+  // Without a configured fee wallet, any other transfer out of the payer in a
+  // trade/create tx is treated as commission, so it is bounded by the checks
+  // (wrapping SOL into the payer's own WSOL account stays a plain transfer).
+  const wsol = payerWsolAccounts(payer);
+  for (const ix of instructions) {
+    if (ix.type !== "system.transfer") continue;
+    if (JITO_TIP_ACCOUNTS.has(ix.to)) {
+      ix.type = "jito.tip";
+    } else if (feeWallets.has(ix.to) || (hasTrade && ix.from === payer && feeWallets.size === 0 && !wsol.includes(ix.to))) {
+      ix.type = "pumpdev.commission";
+    }
+  }
+
+  const sum = (type) =>
+    instructions.filter((ix) => ix.type === type).reduce((total, ix) => total + ix.lamports, 0);
+
+  const limit = instructions.find((ix) => ix.type === "computeBudget.setComputeUnitLimit")?.units ?? 200000;
+  const price = instructions.find((ix) => ix.type === "computeBudget.setComputeUnitPrice")?.microLamports ?? 0;
+
+  return {
+    payer,
+    recentBlockhash: message.recentBlockhash,
+    instructions,
+    summary: {
+      computeUnitLimit: limit,
+      computeUnitPriceMicroLamports: price,
+      priorityFeeLamports: Math.ceil((limit * price) / 1e6),
+      jitoTipLamports: sum("jito.tip"),
+      commissionLamports: sum("pumpdev.commission"),
+      transferLamports: sum("system.transfer"),
+    },
+  };
+}
+
+/**
+ * Async variant that resolves address lookup tables through the RPC first.
+ *
+ * @param {import("@solana/web3.js").VersionedTransaction} tx
+ * @param {import("@solana/web3.js").Connection} connection
+ * @param {object} [options] - Passed through to decodeTransaction
+ */
+export async function inspectTransaction(tx, connection, options = {}) {
+  const lookups = tx.message.addressTableLookups ?? [];
+  const addressLookupTableAccounts = await Promise.all(
+    lookups.map(async ({ accountKey }) => {
+      const { value } = await connection.getAddressLookupTable(accountKey);
+      if (!value) throw new Error(`Lookup table ${accountKey.toBase58()} not found`);
+      return value;
+    }),
+  );
+  return decodeTransaction(tx, { ...options, addressLookupTableAccounts });
+}
+
+/** Render a decoded transaction as readable lines for logging. */
+export function formatInstructions(decoded) {
+  const sol = (lamports) => `${(lamports / LAMPORTS_PER_SOL).toFixed(6)} SOL`;
+  const short = (key) => (key ? `${key.slice(0, 4)}..${key.slice(-4)}` : "?");
+
+  return decoded.instructions.map((ix) => {
+    const prefix = `#${ix.index} ${ix.type}`;
+    switch (ix.type) {
+      case "pump.buy":
+        return `${prefix} ${ix.tokenAmount} tokens of ${short(ix.mint)}, max ${sol(ix.maxSolCost)}`;
+      case "pump.buy_exact_sol_in":
+        return `${prefix} ${sol(ix.spendableSolIn)} into ${short(ix.mint)}, min ${ix.minTokensOut} tokens`;
+      case "pump.sell":
+        return `${prefix} ${ix.tokenAmount} tokens of ${short(ix.mint)}, min ${sol(ix.minSolOutput)}`;
+      case "pump.create":
+      case "pump.create_v2":
+        return `${prefix} ${ix.name} (${ix.symbol}) mint ${short(ix.mint)}`;
+      case "pumpswap.buy":
+        return `${prefix} ${ix.baseAmountOut} tokens of ${short(ix.mint)}, max ${sol(ix.maxQuoteAmountIn)}`;
+      case "pumpswap.buy_exact_quote_in":
+        return `${prefix} ${sol(ix.spendableQuoteIn)} into ${short(ix.mint)}, min ${ix.minBaseAmountOut} tokens`;
+      case "pumpswap.sell":
+        return `${prefix} ${ix.baseAmountIn} tokens of ${short(ix.mint)}, min ${sol(ix.minQuoteAmountOut)}`;
+      case "system.transfer":
+      case "jito.tip":
+      case "pumpdev.commission":
+        return `${prefix} ${sol(ix.lamports)} ${short(ix.from)} → ${short(ix.to)}`;
+      case "token.transfer":
+      case "token2022.transfer":
+        return `${prefix} ${ix.amount} raw ${short(ix.source)} → ${short(ix.destination)}`;
+      case "token.transferChecked":
+      case "token2022.transferChecked":
+        return `${prefix} ${ix.amount / 10 ** ix.decimals} of ${short(ix.mint)} ${short(ix.source)} → ${short(ix.destination)}`;
+      case "token.burn":
+      case "token2022.burn":
+      case "token.burnChecked":
+      case "token2022.burnChecked":
+        return `${prefix} ${ix.amount} raw of ${short(ix.mint)} from ${short(ix.account)}`;
+      case "token.closeAccount":
+      case "token2022.closeAccount":
+        return `${prefix} ${short(ix.account)}, rent → ${short(ix.destination)}`;
+      case "token.approve":
+      case "token2022.approve":
+      case "token.approveChecked":
+      case "token2022.approveChecked":
+        return `${prefix} ${ix.amount} raw of ${short(ix.source)} to delegate ${short(ix.delegate)}`;
+      case "token.setAuthority":
+      case "token2022.setAuthority":
+        return `${prefix} ${short(ix.account)} (authority ${short(ix.authority)})`;
+      case "system.assign":
+        return `${prefix} ${short(ix.account)} to program ${short(ix.owner)}`;
+      case "system.createAccount":
+        return `${prefix} ${short(ix.account)} owned by ${short(ix.owner)}, ${sol(ix.lamports)} from ${short(ix.from)}`;
+      case "ata.create":
+        return `${prefix} ${short(ix.account)} for ${short(ix.owner)}${ix.idempotent ? " (if missing)" : ""}`;
+      case "computeBudget.setComputeUnitLimit":
+        return `${prefix} ${ix.units} units`;
+      case "computeBudget.setComputeUnitPrice":
+        return `${prefix} ${ix.microLamports} µLamports/unit`;
+      default:
+        return `${prefix} (${short(ix.programId)})`;
+    }
+  });
+}
+
+// ============================================================================
+// VERIFICATION
+// ============================================================================
+
+/**
+ * Check a decoded transaction against what was requested.
+ *
+ * @param {object} decoded - Output of decodeTransaction
+ * @param {object} expected
+ * @param {"buy"|"sell"|"create"|"transfer"|"claim"} expected.kind
+ * @param {string} expected.payer - Wallet that must pay and sign
+ * @param {string} [expected.mint] - Token being traded/created
+ * @param {number} [expected.amountSol] - Buy size (SOL) or create dev buy
+ * @param {number} [expected.slippage] - Percent, as sent to the API
+ * @param {string} [expected.recipient] - Transfer recipient
+ * @param {number|string} [expected.amount] - Transfer amount (SOL), or sell amount (tokens, or "N%" of `balance`)
+ * @param {number} [expected.balance] - Sell: the payer's token balance, to bound an "N%" sell (unchecked without it)
+ * @param {number} [expected.decimals] - Sell: token decimals (default 6, as on pump.fun)
+ * @param {number} [expected.expectedSol] - Sell: expected SOL out; bounds the commission at 100% slippage
+ * @param {number} [expected.jitoTip] - Max tip (SOL); omit to forbid tips
+ * @param {number} [expected.commissionBps] - Defaults to 25 (0.25%)
+ * @param {string[]} [expected.allowedPrograms] - Extra program ids to allow
+ * @returns {string[]} Problems found (empty when the transaction matches)
+ */
+export function findProblems(decoded, expected) {
+  const problems = [];
+  const lamports = (sol) => Math.round(sol * LAMPORTS_PER_SOL);
+  const { instructions, summary } = decoded;
+  const slippage = (expected.slippage ?? 0) / 100;
+  const commissionBps = expected.commissionBps ?? COMMISSION_BPS.local;
+
+  if (decoded.payer !== expected.payer) {
+    problems.push(`Payer is ${decoded.payer}, expected ${expected.payer}`);
+  }
+
+  const allowed = new Set([...DEFAULT_ALLOWED_PROGRAMS, ...(expected.allowedPrograms ?? [])]);
+  for (const ix of instructions) {
+    if (!allowed.has(ix.programId)) {
+      problems.push(`Instruction #${ix.index} calls unexpected program ${ix.programId}`);
+    }
+  }
+
+  if (expected.jitoTip === undefined && summary.jitoTipLamports > 0) {
+    problems.push(`Unrequested Jito tip of ${summary.jitoTipLamports} lamports`);
+  } else if (expected.jitoTip !== undefined && summary.jitoTipLamports > lamports(expected.jitoTip)) {
+    problems.push(`Jito tip ${summary.jitoTipLamports} lamports exceeds requested ${lamports(expected.jitoTip)}`);
+  }
+
+  const trades = instructions.filter((ix) => /^pump(swap)?\.(buy|sell)/.test(ix.type));
+  for (const ix of trades) {
+    if (expected.mint && ix.mint !== expected.mint) {
+      problems.push(`Instruction #${ix.index} trades ${ix.mint}, expected ${expected.mint}`);
+    }
+    if (ix.user && ix.user !== expected.payer) {
+      problems.push(`Instruction #${ix.index} trades for ${ix.user}, expected ${expected.payer}`);
+    }
+  }
+
+  // Reference SOL amount the commission is charged on
+  let tradedLamports = 0;
+
+  if (expected.kind === "buy" || (expected.kind === "create" && expected.amountSol)) {
+    const buys = trades.filter((ix) => ix.type.includes(".buy"));
+    if (buys.length === 0) problems.push("No buy instruction found");
+    // Allow 1 lamport of rounding on top of the slippage bound
+    const maxSpend = lamports(expected.amountSol) * (1 + slippage) + 1;
+    for (const ix of buys) {
+      const spend = ix.maxSolCost ?? ix.spendableSolIn ?? ix.maxQuoteAmountIn ?? ix.spendableQuoteIn;
+      if (spend > maxSpend) {
+        problems.push(`Buy #${ix.index} may spend ${spend} lamports, more than ${Math.floor(maxSpend)} requested incl. slippage`);
+      }
+      tradedLamports += spend;
+    }
+  }
+
+  if (expected.kind === "sell") {
+    const sells = trades.filter((ix) => ix.type.includes(".sell"));
+    if (sells.length === 0) problems.push("No sell instruction found");
+    let soldRaw = 0;
+    for (const ix of sells) {
+      soldRaw += ix.tokenAmount ?? ix.baseAmountIn;
+      // minOut is the slippage floor; the expected output is minOut / (1 - slippage)
+      if (slippage < 1) tradedLamports += (ix.minSolOutput ?? ix.minQuoteAmountOut) / (1 - slippage);
+    }
+    // At 100% slippage the floor is 0 and says nothing about the output
+    if (slippage >= 1) {
+      if (expected.expectedSol === undefined) {
+        problems.push("Sell at 100% slippage has no minimum output to bound the commission; pass expectedSol");
+      } else {
+        tradedLamports = lamports(expected.expectedSol);
+      }
+    }
+    const maxRaw = maxSellRaw(expected);
+    if (maxRaw !== null && soldRaw > maxRaw) {
+      problems.push(`Sells ${soldRaw} raw tokens, more than the ${maxRaw} requested (${expected.amount})`);
+    }
+  }
+
+  if (expected.kind === "create") {
+    const create = instructions.find((ix) => ix.type === "pump.create" || ix.type === "pump.create_v2");
+    if (!create) {
+      problems.push("No create instruction found");
+    } else {
+      if (create.creator !== expected.payer) {
+        problems.push(`Token creator is ${create.creator}, expected ${expected.payer}`);
+      }
+      if (expected.mint && create.mint !== expected.mint) {
+        problems.push(`Creates mint ${create.mint}, expected ${expected.mint}`);
+      }
+    }
+  }
+
+  const maxCommission = Math.ceil((tradedLamports * commissionBps) / 10000) + 1;
+  if (summary.commissionLamports > maxCommission) {
+    problems.push(
+      `Commission ${summary.commissionLamports} lamports exceeds ${commissionBps / 100}% of ${Math.round(tradedLamports)} lamports traded`,
+    );
+  }
+
+  if (expected.kind === "transfer") {
+    const transfers = instructions.filter((ix) => ix.type === "system.transfer");
+    const toRecipient = transfers.filter((ix) => ix.to === expected.recipient);
+    if (toRecipient.length !== 1) {
+      problems.push(`Expected one transfer to ${expected.recipient}, found ${toRecipient.length}`);
+    } else if (expected.amount !== undefined && toRecipient[0].lamports !== lamports(expected.amount)) {
+      problems.push(`Transfer is ${toRecipient[0].lamports} lamports, expected ${lamports(expected.amount)}`);
+    }
+    const others = transfers.filter((ix) => ix.to !== expected.recipient);
+    for (const ix of others) {
+      problems.push(`Unexpected transfer of ${ix.lamports} lamports to ${ix.to} (SOL transfers are free)`);
+    }
+  } else {
+    // Tips and commission are bounded above; anything else leaving the payer
+    // (e.g. an extra transfer next to a known fee wallet's commission) isn't,
+    // except wrapping SOL into the payer's own WSOL account for a PumpSwap buy
+    const wsol = payerWsolAccounts(expected.payer);
+    for (const ix of instructions) {
+      if (ix.type === "system.transfer" && ix.from === expected.payer && !wsol.includes(ix.to)) {
+        problems.push(`Unexpected transfer of ${ix.lamports} lamports from the payer to ${ix.to}`);
+      }
+    }
+  }
+
+  problems.push(...signedProblems(decoded, expected));
+  problems.push(...tokenProblems(decoded, expected));
+  return problems;
+}
+
+/** pump.fun token decimals, the default for sell amounts. */
+const PUMP_DECIMALS = 6;
+
+/**
+ * Most raw tokens a sell of `amount` may move: a token amount, or "N%" of
+ * `balance`. Null when it can't be known (no amount, or a percent without
+ * a balance). One raw unit of rounding is allowed.
+ */
+function maxSellRaw({ amount, balance, decimals = PUMP_DECIMALS }) {
+  if (amount === undefined || amount === null) return null;
+  const percent = String(amount).trim().match(/^(\d+(?:\.\d+)?)%$/);
+  const tokens = percent ? (balance === undefined ? null : (balance * Number(percent[1])) / 100) : Number(amount);
+  return tokens === null ? null : Math.ceil(tokens * 10 ** decimals) + 1;
+}
+
+/**
+ * Instruction types the payer may sign. Transfers and closes are further
+ * checked by findProblems / tokenProblems; anything else the payer signs
+ * (System assign / allocate / createAccount, token approve / setAuthority /
+ * burn, unknown pump instructions, ...) is refused.
+ */
+const PAYER_SIGNED_TYPES = new Set([
+  ...Object.values(PUMP_INSTRUCTIONS).map((name) => `pump.${name}`),
+  ...Object.values(PUMPSWAP_INSTRUCTIONS).map((name) => `pumpswap.${name}`),
+  "system.transfer",
+  "jito.tip",
+  "pumpdev.commission",
+  "ata.create",
+  ...["token", "token2022"].flatMap((program) =>
+    ["transfer", "transferChecked", "closeAccount", "syncNative"].map((op) => `${program}.${op}`),
+  ),
+]);
+
+/** Instructions that carry the payer's signature but aren't on the whitelist. */
+function signedProblems({ instructions }, expected) {
+  const extra = new Set(expected.allowedPrograms ?? []);
+  return instructions
+    .filter((ix) => ix.signers.includes(expected.payer) && !extra.has(ix.programId) && !PAYER_SIGNED_TYPES.has(ix.type))
+    .map((ix) => `Instruction #${ix.index} (${ix.type}) is signed by the payer, which is never expected`);
+}
+
+/**
+ * Token transfers the payer authorizes may only move tokens into its own
+ * associated accounts, and closes must return the rent to the payer.
+ */
+function tokenProblems({ instructions }, expected) {
+  const problems = [];
+  const payer = expected.payer;
+  const own = new Set(
+    instructions.filter((ix) => ix.type === "ata.create" && ix.owner === payer).map((ix) => ix.account),
+  );
+  const mints = new Set([expected.mint, NATIVE_MINT, ...instructions.map((ix) => ix.mint)].filter(Boolean));
+  for (const mint of mints) {
+    own.add(associatedTokenAddress(payer, mint, TOKEN_PROGRAM_ID));
+    own.add(associatedTokenAddress(payer, mint, TOKEN_2022_PROGRAM_ID));
+  }
+
+  for (const ix of instructions) {
+    if (!/^token(2022)?\./.test(ix.type) || ix.authority !== payer) continue;
+    const op = ix.type.split(".")[1];
+    if (op === "transfer" || op === "transferChecked") {
+      if (!own.has(ix.destination)) {
+        problems.push(`Instruction #${ix.index} sends ${ix.amount} raw tokens from the payer to ${ix.destination}`);
+      }
+    } else if (op === "closeAccount") {
+      if (ix.destination !== payer) {
+        problems.push(`Instruction #${ix.index} closes ${ix.account} with rent to ${ix.destination}, not the payer`);
+      }
+    }
+  }
+  return problems;
+}
+
+/** Slippage (%) the API applies when a request leaves it out. */
+const DEFAULT_SLIPPAGE = { bundle: 15, createBundle: 90 };
+
+/**
+ * One findProblems expectation per transaction a bundle request builds, in
+ * order: /api/bundle (`accounts`) or /api/create-bundle (creator + dev buy,
+ * then `additionalBuyers`). Buys by token amount have no SOL bound, and
+ * "N%" sells are only bounded once a `balance` is added to their entry.
+ *
+ * @param {object} body - The request body as sent
+ * @param {string} mint - The mint the response is for (`data.mint`)
+ * @returns {object[]}
+ */
+export function bundleExpectations(body, mint) {
+  const jitoTip = body.jitoTip;
+  if (Array.isArray(body.accounts)) {
+    const slippage = body.slippage ?? DEFAULT_SLIPPAGE.bundle;
+    return body.accounts.map((account) => ({
+      kind: account.type,
+      payer: account.publicKey,
+      mint,
+      amountSol: account.type === "buy" && String(account.denominatedInSol) === "true" ? Number(account.amount) : undefined,
+      ...(account.type === "sell" && { amount: account.amount }),
+      slippage: account.slippage ?? slippage,
+      jitoTip,
+    }));
+  }
+  const slippage = body.slippage ?? DEFAULT_SLIPPAGE.createBundle;
+  return [
+    { kind: "create", payer: body.publicKey, mint, amountSol: body.buyAmountSol, slippage, jitoTip },
+    ...(body.additionalBuyers ?? []).map((buyer) => ({
+      kind: "buy",
+      payer: buyer.publicKey,
+      mint,
+      amountSol: buyer.amountSol,
+      slippage,
+      jitoTip,
+    })),
+  ];
+}
+
+/**
+ * verifyTransaction for every transaction of a bundle response
+ * (/api/create, /api/bundle, /api/create-bundle), before any is signed.
+ * Problems from all of them are reported together, prefixed "tx <i>".
+ *
+ * @param {object} data - Client response ({ transactions: [{ tx }] })
+ * @param {object[]} expected - One findProblems expectation per transaction, e.g. from bundleExpectations
+ * @param {object} [options] - Passed to decodeTransaction
+ * @returns {object[]} The decoded transactions
+ * @throws {TransactionVerificationError}
+ */
+export function verifyBundle(data, expected, options = {}) {
+  const problems = [];
+  if (data.transactions.length !== expected.length) {
+    problems.push(`Bundle has ${data.transactions.length} transaction(s), expected ${expected.length}`);
+  }
+  const decoded = data.transactions.map((entry, i) => {
+    const inspection = decodeTransaction(entry.tx, options);
+    if (expected[i]) problems.push(...findProblems(inspection, expected[i]).map((p) => `tx ${i}: ${p}`));
+    return inspection;
+  });
+  if (problems.length > 0) {
+    throw new TransactionVerificationError(
+      `Bundle does not match request: ${problems.join("; ")}`,
+      { problems, inspection: decoded },
+    );
+  }
+  return decoded;
+}
+
+/**
+ * Decode and verify in one step. Throws before you sign anything unexpected.
+ *
+ * @param {import("@solana/web3.js").VersionedTransaction} tx
+ * @param {object} expected - See findProblems
+ * @param {object} [options] - Passed to decodeTransaction
+ * @returns {object} The decoded transaction
+ * @throws {TransactionVerificationError}
+ */
+export function verifyTransaction(tx, expected, options = {}) {
+  const decoded = decodeTransaction(tx, options);
+  const problems = findProblems(decoded, expected);
+  if (problems.length > 0) {
+    throw new TransactionVerificationError(
+      `Transaction does not match request: ${problems.join("; ")}`,
+      { problems, inspection: decoded },
+    );
+  }
+  return decoded;
+}
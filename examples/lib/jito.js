@@ -0,0 +1,254 @@
+/**
+ * Jito Bundle Submitter
+ *
+ * Sends a bundle to every regional block engine in parallel (instead of
+ * trying them one by one), dedupes the returned bundle ids, then polls
+ * getInflightBundleStatuses / getBundleStatuses until the bundle lands or
+ * is dropped.
+ *
+ * Events:
+ *   submitted { bundleId, accepted: string[], rejected: [{ endpoint, error }] }
+ *   status    { bundleId, status: "Pending" | "Landed" | "Failed" | "Invalid", slot }
+ *   landed    { bundleId, slot, signatures }
+ *
+ * Usage:
+ *   const jito = new JitoBundleSubmitter();
+ *   const { bundleId, slot, signatures } = await jito.submit(signedTxs);
+ *
+ * Documentation: https://docs.jito.wtf/lowlatencytxnsend/
+ */
+
+import { EventEmitter } from "node:events";
+import bs58 from "bs58";
+import { JitoBundleError } from "./errors.js";
+
+// Jito block engine endpoints for bundle submission.
+// JITO_ENDPOINTS (comma-separated) overrides them, e.g. to point at the mock server.
+export const JITO_ENDPOINTS = process.env.JITO_ENDPOINTS
+  ? process.env.JITO_ENDPOINTS.split(",").map((e) => e.trim().replace(/\/$/, ""))
+  : [
+      "https://mainnet.block-engine.jito.wtf",
+      "https://amsterdam.mainnet.block-engine.jito.wtf",
+      "https://frankfurt.mainnet.block-engine.jito.wtf",
+      "https://ny.mainnet.block-engine.jito.wtf",
+      "https://tokyo.mainnet.block-engine.jito.wtf",
+    ];
+
+const wait = (ms) => new Promise((r) => setTimeout(r, ms));
+
+/** Short region label for logs, e.g. "amsterdam". */
+export function regionOf(endpoint) {
+  return endpoint.split("//")[1].split(".")[0];
+}
+
+/** Accept VersionedTransactions or base58 strings, return base58 strings. */
+function encodeBundle(txs) {
+  return txs.map((tx) =>
+    typeof tx === "string" ? tx : bs58.encode(tx.serialize()),
+  );
+}
+
+/** First signature of each transaction — what the bundle will land as. */
+function localSignatures(encoded) {
+  return encoded.map((tx) => {
+    // Signature count is a compact-u16; bundles never have >127 signers per tx
+    const bytes = bs58.decode(tx);
+    return bs58.encode(bytes.slice(1, 65));
+  });
+}
+
+export class JitoBundleSubmitter extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {string[]} [options.endpoints] - Block engines to fan out to
+   * @param {number} [options.pollIntervalMs] - Status poll interval (default 1000)
+   * @param {number} [options.timeoutMs] - Give up waiting after (default 60000)
+   * @param {number} [options.invalidGraceMs] - How long "Invalid" (unknown) is tolerated before treating as dropped (default 15000)
+   * @param {typeof fetch} [options.fetch]
+   */
+  constructor({
+    endpoints = JITO_ENDPOINTS,
+    pollIntervalMs = 1000,
+    timeoutMs = 60000,
+    invalidGraceMs = 15000,
+    fetch: fetchImpl,
+  } = {}) {
+    super();
+    this.endpoints = endpoints;
+    this.pollIntervalMs = pollIntervalMs;
+    this.timeoutMs = timeoutMs;
+    this.invalidGraceMs = invalidGraceMs;
+    this.fetch = fetchImpl || globalThis.fetch.bind(globalThis);
+  }
+
+  /** JSON-RPC call against one block engine. */
+  async rpc(endpoint, path, method, params) {
+    const res = await this.fetch(`${endpoint}${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ jsonrpc: "2.0", id: 1, method, params }),
+    });
+
+    const data = await res.json();
+    if (data.error) {
+      throw new JitoBundleError(`${regionOf(endpoint)}: ${data.error.message}`, {
+        status: res.status,
+        endpoint,
+        rpcError: data.error,
+      });
+    }
+    return data.result;
+  }
+
+  /**
+   * Send the bundle to every endpoint in parallel.
+   *
+   * @param {(string|import("@solana/web3.js").VersionedTransaction)[]} txs - Signed, base58 or VersionedTransaction
+   * @returns {Promise<{ bundleId: string, accepted: string[], rejected: { endpoint: string, error: string }[] }>}
+   * @throws {JitoBundleError} When no endpoint accepted the bundle
+   */
+  async sendBundle(txs) {
+    const encoded = encodeBundle(txs);
+
+    const results = await Promise.allSettled(
+      this.endpoints.map((endpoint) =>
+        this.rpc(endpoint, "/api/v1/bundles", "sendBundle", [encoded]),
+      ),
+    );
+
+    const accepted = [];
+    const rejected = [];
+    const bundleIds = new Set();
+
+    results.forEach((result, i) => {
+      const endpoint = this.endpoints[i];
+      if (result.status === "fulfilled" && result.value) {
+        accepted.push(endpoint);
+        bundleIds.add(result.value);
+      } else {
+        rejected.push({
+          endpoint,
+          error: result.reason?.message ?? "No bundle id returned",
+        });
+      }
+    });
+
+    if (bundleIds.size === 0) {
+      throw new JitoBundleError(
+        `All Jito endpoints rejected the bundle: ${rejected
+          .map((r) => r.error)
+          .join("; ")}`,
+        { rpcError: rejected },
+      );
+    }
+
+    // Every engine derives the same id from the transaction signatures
+    const [bundleId] = bundleIds;
+    this.emit("submitted", { bundleId, accepted, rejected });
+    return { bundleId, accepted, rejected };
+  }
+
+  /** getInflightBundleStatuses — status for bundles submitted in the last 5 minutes. */
+  async getInflightBundleStatuses(bundleIds, endpoint = this.endpoints[0]) {
+    const result = await this.rpc(
+      endpoint,
+      "/api/v1/getInflightBundleStatuses",
+      "getInflightBundleStatuses",
+      [bundleIds],
+    );
+    return result?.value ?? [];
+  }
+
+  /** getBundleStatuses — landed bundles with their transaction signatures and slot. */
+  async getBundleStatuses(bundleIds, endpoint = this.endpoints[0]) {
+    const result = await this.rpc(
+      endpoint,
+      "/api/v1/getBundleStatuses",
+      "getBundleStatuses",
+      [bundleIds],
+    );
+    return result?.value ?? [];
+  }
+
+  /**
+   * Poll until the bundle lands or is dropped.
+   *
+   * @param {string} bundleId
+   * @param {object} [options]
+   * @param {string[]} [options.endpoints] - Engines that accepted it (polled in parallel)
+   * @param {string[]} [options.signatures] - Fallback signatures if getBundleStatuses lags
+   * @returns {Promise<{ bundleId: string, slot: number, signatures: string[], confirmationStatus: string|null }>}
+   * @throws {JitoBundleError} Dropped (Failed / never seen) or timed out
+   */
+  async waitForBundle(bundleId, { endpoints = this.endpoints, signatures = [] } = {}) {
+    const started = Date.now();
+    let lastStatus = null;
+
+    while (Date.now() - started < this.timeoutMs) {
+      await wait(this.pollIntervalMs);
+
+      const statuses = await Promise.allSettled(
+        endpoints.map((endpoint) =>
+          this.getInflightBundleStatuses([bundleId], endpoint),
+        ),
+      );
+      const seen = statuses
+        .filter((s) => s.status === "fulfilled" && s.value[0])
+        .map((s) => s.value[0]);
+
+      const landed = seen.find((s) => s.status === "Landed");
+      const pending = seen.find((s) => s.status === "Pending");
+      const status = landed?.status ?? pending?.status ?? seen[0]?.status ?? "Invalid";
+
+      if (status !== lastStatus) {
+        lastStatus = status;
+        this.emit("status", { bundleId, status, slot: landed?.landed_slot ?? null });
+      }
+
+      if (landed) {
+        const [details] = await this.getBundleStatuses([bundleId]).catch(() => []);
+        const result = {
+          bundleId,
+          slot: details?.slot ?? landed.landed_slot,
+          signatures: details?.transactions ?? signatures,
+          confirmationStatus: details?.confirmation_status ?? null,
+        };
+        this.emit("landed", result);
+        return result;
+      }
+
+      if (!pending && seen.length > 0 && seen.every((s) => s.status === "Failed")) {
+        throw new JitoBundleError(`Bundle ${bundleId} was dropped (Failed)`, {
+          bundleId,
+        });
+      }
+
+      if (status === "Invalid" && Date.now() - started > this.invalidGraceMs) {
+        throw new JitoBundleError(`Bundle ${bundleId} was dropped (never seen by any engine)`, {
+          bundleId,
+        });
+      }
+    }
+
+    throw new JitoBundleError(
+      `Bundle ${bundleId} not landed after ${this.timeoutMs}ms (last status: ${lastStatus})`,
+      { bundleId },
+    );
+  }
+
+  /**
+   * Send to all engines, then wait for the bundle to land.
+   *
+   * @param {(string|import("@solana/web3.js").VersionedTransaction)[]} txs
+   * @returns {Promise<{ bundleId: string, slot: number, signatures: string[], confirmationStatus: string|null, accepted: string[], rejected: object[] }>}
+   */
+  async submit(txs) {
+    const encoded = encodeBundle(txs);
+    const { bundleId, accepted, rejected } = await this.sendBundle(encoded);
+    const landed = await this.waitForBundle(bundleId, {
+      endpoints: accepted,
+      signatures: localSignatures(encoded),
+    });
+    return { ...landed, accepted, rejected };
+  }
+}
@@ -0,0 +1,402 @@
+/**
+ * Encrypted Wallet Keystore
+ *
+ * Keeps named wallets — private key plus Lightning API key — in one
+ * password-protected file instead of plaintext PRIVATE_KEY / CREATOR_KEY /
+ * BUYER1_KEY environment variables. The password is stretched with scrypt
+ * and every secret is sealed with AES-256-GCM; the wallet name and public
+ * key are bound as associated data, so secrets can't be swapped between
+ * entries without the file failing to open.
+ *
+ * Names, public keys, labels, groups and whether a wallet has a Lightning
+ * API key are stored in the clear, so wallets can be listed and grouped
+ * without decrypting anything. Secrets are only decrypted when a keypair or
+ * API key is asked for.
+ *
+ * File format:
+ *   { "version": 1,
+ *     "kdf": { "name": "scrypt", "salt": "<base64>", "N": 131072, "r": 8, "p": 1 },
+ *     "check": { "iv", "tag", "data" },             password verifier
+ *     "wallets": [{ "name": "sniper1", "publicKey": "...", "labels": ["fast"],
+ *                   "groups": ["snipers"], "createdAt": "...", "hasApiKey": true,
+ *                   "secret": { "iv", "tag", "data" } }] }   → { privateKey, apiKey }
+ *
+ * Usage:
+ *   const keystore = await Keystore.open("wallets.json", process.env.KEYSTORE_PASSWORD);
+ *   const signedTxs = signBundle(data, keystore.walletMap({ group: "bundlers" }));
+ *   await sellBundleFast(mint, keystore.accounts({ group: "bundlers" }), creator);
+ *   await client.tradeLightning(params, keystore.apiKey("sniper1"));
+ */
+
+import { createCipheriv, createDecipheriv, randomBytes, scrypt } from "node:crypto";
+import { existsSync, readFileSync } from "node:fs";
+import { promisify } from "node:util";
+import { Keypair } from "@solana/web3.js";
+import bs58 from "bs58";
+import { KeystoreError } from "./errors.js";
+import { writeFileAtomic } from "./files.js";
+
+const scryptAsync = promisify(scrypt);
+
+/** scrypt cost — 2^17 takes ~0.5s and 128 MB, which is the point. */
+export const DEFAULT_KDF = { N: 2 ** 17, r: 8, p: 1 };
+
+const KEY_LENGTH = 32;
+const CHECK_TEXT = "pumpdev-keystore";
+const NAME_PATTERN = /^[A-Za-z0-9_.-]{1,64}$/;
+
+// ============================================================================
+// CRYPTO
+// ============================================================================
+
+async function deriveKey(password, { salt, N, r, p }) {
+  if (typeof password !== "string" || password.length === 0) {
+    throw new KeystoreError("A keystore password is required (set KEYSTORE_PASSWORD)", { reason: "badPassword" });
+  }
+  return scryptAsync(password.normalize("NFKC"), Buffer.from(salt, "base64"), KEY_LENGTH, {
+    N,
+    r,
+    p,
+    maxmem: 256 * N * r,
+  });
+}
+
+function seal(key, plaintext, aad) {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv("aes-256-gcm", key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const data = Buffer.concat([cipher.update(plaintext, "utf8"), cipher.final()]);
+  return { iv: iv.toString("base64"), tag: cipher.getAuthTag().toString("base64"), data: data.toString("base64") };
+}
+
+/** Returns null when the key or associated data is wrong. */
+function open(key, box, aad) {
+  try {
+    const decipher = createDecipheriv("aes-256-gcm", key, Buffer.from(box.iv, "base64"));
+    decipher.setAAD(Buffer.from(aad));
+    decipher.setAuthTag(Buffer.from(box.tag, "base64"));
+    return Buffer.concat([decipher.update(Buffer.from(box.data, "base64")), decipher.final()]).toString("utf8");
+  } catch {
+    return null;
+  }
+}
+
+/** Keypair from a Keypair, base58 string, or 64-byte secret key (array or Uint8Array). */
+function toKeypair(secret) {
+  if (secret instanceof Keypair) return secret;
+  if (typeof secret === "string") return Keypair.fromSecretKey(bs58.decode(secret));
+  return Keypair.fromSecretKey(Uint8Array.from(secret));
+}
+
+const aadFor = (wallet) => `${wallet.name}:${wallet.publicKey}`;
+
+// ============================================================================
+// KEYSTORE
+// ============================================================================
+
+export class Keystore {
+  /** Use Keystore.create() or Keystore.open(). */
+  constructor({ file, kdf, check, wallets, key }) {
+    this.file = file;
+    this.kdf = kdf;
+    this.check = check;
+    this.wallets = wallets;
+    this.key = key;
+    /** name → Keypair, filled as secrets are decrypted */
+    this.cache = new Map();
+  }
+
+  /**
+   * Create an empty keystore file. Refuses to overwrite an existing one.
+   *
+   * @param {string} file
+   * @param {string} password
+   * @param {object} [options]
+   * @param {{ N: number, r: number, p: number }} [options.kdf] - scrypt cost (default DEFAULT_KDF)
+   */
+  static async create(file, password, { kdf = DEFAULT_KDF } = {}) {
+    if (existsSync(file)) throw new KeystoreError(`${file} already exists`, { file, reason: "exists" });
+    const params = { name: "scrypt", salt: randomBytes(16).toString("base64"), ...kdf };
+    const key = await deriveKey(password, params);
+    const keystore = new Keystore({ file, kdf: params, check: seal(key, CHECK_TEXT, "check"), wallets: [], key });
+    keystore.save();
+    return keystore;
+  }
+
+  /**
+   * Unlock a keystore file.
+   *
+   * @param {string} file
+   * @param {string} password
+   * @throws {KeystoreError} reason "badPassword", "corrupt" or "notFound"
+   */
+  static async open(file, password) {
+    if (!existsSync(file)) throw new KeystoreError(`Keystore ${file} not found`, { file, reason: "notFound" });
+
+    let saved;
+    try {
+      saved = JSON.parse(readFileSync(file, "utf8"));
+    } catch (cause) {
+      throw new KeystoreError(`${file} is not a keystore: ${cause.message}`, { file, reason: "corrupt", cause });
+    }
+    if (saved.version !== 1 || saved.kdf?.name !== "scrypt" || !saved.check || !Array.isArray(saved.wallets)) {
+      throw new KeystoreError(`${file} is not a version 1 keystore`, { file, reason: "corrupt" });
+    }
+
+    const key = await deriveKey(password, saved.kdf);
+    if (open(key, saved.check, "check") !== CHECK_TEXT) {
+      throw new KeystoreError(`Wrong password for ${file}`, { file, reason: "badPassword" });
+    }
+    return new Keystore({ file, kdf: saved.kdf, check: saved.check, wallets: saved.wallets, key });
+  }
+
+  /**
+   * Write the keystore (owner read/write only). Written to a temp file and
+   * renamed, so a crash never leaves a half-written keystore.
+   */
+  save() {
+    const body = { version: 1, kdf: this.kdf, check: this.check, wallets: this.wallets };
+    writeFileAtomic(this.file, JSON.stringify(body, null, 2), { mode: 0o600 });
+  }
+
+  // ==========================================================================
+  // WALLETS
+  // ==========================================================================
+
+  /**
+   * Add a wallet and save.
+   *
+   * @param {object} wallet
+   * @param {string} wallet.name - Letters, digits, _ . - (used in walletMap and logs)
+   * @param {import("@solana/web3.js").Keypair|string|Uint8Array|number[]} wallet.secretKey - Keypair, base58 or bytes
+   * @param {string} [wallet.apiKey] - Lightning API key from /api/wallet/create or /api/wallet/import
+   * @param {string[]} [wallet.labels]
+   * @param {string[]} [wallet.groups] - e.g. ["snipers"], ["bundlers"]
+   * @returns {{ name: string, publicKey: string, labels: string[], groups: string[], hasApiKey: boolean }}
+   */
+  add({ name, secretKey, apiKey = null, labels = [], groups = [] }) {
+    if (!NAME_PATTERN.test(name ?? "")) {
+      throw new KeystoreError(`Invalid wallet name "${name}" (letters, digits, _ . - only)`, { file: this.file, reason: "invalid" });
+    }
+    if (this.find(name)) throw new KeystoreError(`Wallet "${name}" already exists`, { file: this.file, reason: "duplicate" });
+
+    const keypair = toKeypair(secretKey);
+    const publicKey = keypair.publicKey.toBase58();
+    const existing = this.wallets.find((w) => w.publicKey === publicKey);
+    if (existing) {
+      throw new KeystoreError(`${publicKey} is already stored as "${existing.name}"`, { file: this.file, reason: "duplicate" });
+    }
+
+    const wallet = {
+      name,
+      publicKey,
+      labels: [...new Set(labels)],
+      groups: [...new Set(groups)],
+      createdAt: new Date().toISOString(),
+      hasApiKey: apiKey != null,
+    };
+    wallet.secret = seal(this.key, JSON.stringify({ privateKey: bs58.encode(keypair.secretKey), apiKey }), aadFor(wallet));
+    this.wallets.push(wallet);
+    this.cache.set(name, keypair);
+    this.save();
+    return this.describe(wallet);
+  }
+
+  /** Generate a fresh local keypair and store it. */
+  generate(name, options = {}) {
+    return this.add({ ...options, name, secretKey: Keypair.generate() });
+  }
+
+  /**
+   * Create a Lightning wallet (POST /api/wallet/create) and store its
+   * private key and API key.
+   *
+   * @param {import("./client.js").PumpDevClient} client
+   * @param {string} name
+   * @param {object} [options] - labels, groups
+   */
+  async createLightningWallet(client, name, options = {}) {
+    const { apiKey, privateKey } = await client.createWallet();
+    return this.add({ ...options, name, secretKey: privateKey, apiKey });
+  }
+
+  /**
+   * Import a stored wallet into Lightning (POST /api/wallet/import) and keep
+   * the returned API key with it.
+   */
+  async importLightningWallet(client, name) {
+    const { privateKey } = this.secret(name);
+    const { apiKey } = await client.importWallet(privateKey);
+    this.setApiKey(name, apiKey);
+    return this.describe(this.require(name));
+  }
+
+  /** Replace a wallet's Lightning API key. */
+  setApiKey(name, apiKey) {
+    const wallet = this.require(name);
+    const { privateKey } = this.secret(name);
+    wallet.secret = seal(this.key, JSON.stringify({ privateKey, apiKey }), aadFor(wallet));
+    wallet.hasApiKey = apiKey != null;
+    this.save();
+  }
+
+  /** Remove a wallet. Its key is gone for good unless backed up elsewhere. */
+  remove(name) {
+    const wallet = this.require(name);
+    this.wallets = this.wallets.filter((w) => w !== wallet);
+    this.cache.delete(name);
+    this.save();
+  }
+
+  /** Replace labels and/or groups. */
+  tag(name, { labels, groups } = {}) {
+    const wallet = this.require(name);
+    if (labels) wallet.labels = [...new Set(labels)];
+    if (groups) wallet.groups = [...new Set(groups)];
+    this.save();
+    return this.describe(wallet);
+  }
+
+  addToGroup(name, group) {
+    const wallet = this.require(name);
+    return this.tag(name, { groups: [...wallet.groups, group] });
+  }
+
+  removeFromGroup(name, group) {
+    const wallet = this.require(name);
+    return this.tag(name, { groups: wallet.groups.filter((g) => g !== group) });
+  }
+
+  /**
+   * Re-encrypt every secret under a new password.
+   *
+   * @param {string} password
+   * @param {object} [options] - kdf
+   */
+  async changePassword(password, { kdf = this.kdf } = {}) {
+    const secrets = this.wallets.map((w) => this.secret(w.name));
+    const params = { name: "scrypt", N: kdf.N, r: kdf.r, p: kdf.p, salt: randomBytes(16).toString("base64") };
+    this.key = await deriveKey(password, params);
+    this.kdf = params;
+    this.check = seal(this.key, CHECK_TEXT, "check");
+    this.wallets.forEach((wallet, i) => {
+      wallet.secret = seal(this.key, JSON.stringify(secrets[i]), aadFor(wallet));
+    });
+    this.save();
+  }
+
+  // ==========================================================================
+  // LOOKUP
+  // ==========================================================================
+
+  find(name) {
+    return this.wallets.find((w) => w.name === name) ?? null;
+  }
+
+  require(name) {
+    const wallet = this.find(name);
+    if (!wallet) throw new KeystoreError(`No wallet named "${name}" in ${this.file}`, { file: this.file, reason: "notFound" });
+    return wallet;
+  }
+
+  describe(wallet) {
+    return {
+      name: wallet.name,
+      publicKey: wallet.publicKey,
+      labels: [...wallet.labels],
+      groups: [...wallet.groups],
+      createdAt: wallet.createdAt,
+      hasApiKey: Boolean(wallet.hasApiKey),
+    };
+  }
+
+  /**
+   * Wallets (no secrets), optionally filtered.
+   *
+   * @param {object} [filter]
+   * @param {string} [filter.group]
+   * @param {string} [filter.label]
+   * @param {string[]} [filter.names]
+   */
+  list({ group, label, names } = {}) {
+    return this.select({ group, label, names }).map((w) => this.describe(w));
+  }
+
+  select({ group, label, names } = {}) {
+    return this.wallets.filter(
+      (w) =>
+        (!group || w.groups.includes(group)) &&
+        (!label || w.labels.includes(label)) &&
+        (!names || names.includes(w.name)),
+    );
+  }
+
+  /** Distinct group names. */
+  groups() {
+    return [...new Set(this.wallets.flatMap((w) => w.groups))].sort();
+  }
+
+  /** Decrypted { privateKey, apiKey } for a wallet. */
+  secret(name) {
+    const wallet = this.require(name);
+    const plaintext = open(this.key, wallet.secret, aadFor(wallet));
+    if (plaintext === null) {
+      throw new KeystoreError(`Wallet "${name}" failed to decrypt — the file was modified`, { file: this.file, reason: "corrupt" });
+    }
+    return JSON.parse(plaintext);
+  }
+
+  /** Keypair for a wallet. */
+  keypair(name) {
+    if (!this.cache.has(name)) this.cache.set(name, toKeypair(this.secret(name).privateKey));
+    return this.cache.get(name);
+  }
+
+  /** Lightning API key for a wallet, or null if it has none. */
+  apiKey(name) {
+    return this.secret(name).apiKey ?? null;
+  }
+
+  // ==========================================================================
+  // ADAPTERS
+  // ==========================================================================
+
+  /**
+   * Wallet map for signBundle() / signTransactions(): keyed by public key
+   * and by name, so API signer names like "creator" or "buyer1" resolve
+   * when the wallets are stored under those names.
+   *
+   * @param {object} [filter] - group, label, names (default: every wallet)
+   * @returns {Record<string, import("@solana/web3.js").Keypair>}
+   */
+  walletMap(filter = {}) {
+    const map = {};
+    for (const wallet of this.select(filter)) {
+      const keypair = this.keypair(wallet.name);
+      map[wallet.publicKey] = keypair;
+      map[wallet.name] = keypair;
+    }
+    return map;
+  }
+
+  /**
+   * `accounts` for buy-sell.js sellBundleFast(): [{ name, keypair }].
+   *
+   * @param {object} [filter] - group, label, names
+   */
+  accounts(filter = {}) {
+    return this.select(filter).map((w) => ({ name: w.name, keypair: this.keypair(w.name) }));
+  }
+
+  /**
+   * Lightning bundle accounts: [{ name, publicKey, apiKey }] for wallets
+   * that have an API key.
+   *
+   * @param {object} [filter] - group, label, names
+   */
+  lightningAccounts(filter = {}) {
+    return this.select(filter)
+      .map((w) => ({ name: w.name, publicKey: w.publicKey, apiKey: this.apiKey(w.name) }))
+      .filter((a) => a.apiKey);
+  }
+}
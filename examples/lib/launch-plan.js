@@ -0,0 +1,983 @@
+/**
+ * Launch Plans
+ *
+ * Declarative multi-wallet token launches. A plan file (JSON, or YAML with
+ * the `yaml` package) says what to launch and who buys, and this module:
+ * 1. Validates it — every problem at once, before anything is uploaded or signed
+ * 2. Prices it — resolves random buy ranges and adds commission, network and
+ *    priority fees, rent and Jito tips per wallet, against their balances
+ * 3. Runs it — the create and first buys as one Jito bundle through
+ *    /api/create-bundle, /api/bundle or /api/bundle-lightning, the other
+ *    buyers in follow-up waves, then the post-launch actions at their delays.
+ *    Locally signed bundles are verified against the plan before signing
+ * 4. Reports it — resolved amounts, every bundle, signature and slot, and
+ *    which waves landed how many slots after the launch
+ *
+ * Plan fields:
+ *   name             label for logs and the report (default the symbol)
+ *   mode             "local" (sign here, default) | "lightning" (PumpDev signs)
+ *   endpoint         "auto" (default) | "create-bundle" | "bundle" | "bundle-lightning"
+ *   token            { name, symbol, description, image, twitter, telegram, website } or { name, symbol, uri }
+ *   cashbackEnabled  redirect the creator fee to traders
+ *   mintKeypair      vanity mint: a solana-keygen JSON file, or "env:VAR" (base58 or JSON)
+ *   creator          { wallet, devBuySol }
+ *   buyers           [{ wallet, amountSol }]     amountSol is SOL or { min, max }
+ *   slippage         percent (default 90), priorityFee SOL per transaction (default 0.0005)
+ *   jitoTip          SOL, paid by the last transaction of each bundle
+ *   waves            { size, jitoTip, spacingSlots } — buyers beyond what the launch bundle holds
+ *   after            [{ type: "buy" | "sell", wallet, amountSol | amount, delayMs, jitoTip, slippage }]
+ *
+ * Wallets are keystore or remote signer names (lib/signer.js), or "env:VAR"
+ * holding a base58 private key. In lightning mode they are "env:VAR"
+ * holding a Lightning API key, with an optional `publicKey` for the balance
+ * check. Image and mintKeypair paths are relative to the plan file.
+ *
+ * Buyer waves: the create, dev buy and first buyers go in the atomic launch
+ * bundle (4 transactions). With `waves` set, the remaining buyers follow in
+ * bundles of up to `size` buys (default 4) through /api/bundle (or
+ * /api/bundle-lightning), each with its own tip — `jitoTip` is one amount or
+ * one per wave, the last repeating. In local mode the waves are built,
+ * verified and signed as soon as a block engine accepts the launch bundle,
+ * and submitted in parallel the moment it lands, wave n `spacingSlots`
+ * slots (default 1) after wave n - 1, to aim for the slots right after the
+ * launch (a wave the API can't build early is built after the landing).
+ * Ledger lookups wait until the waves are out. A wave that fails doesn't
+ * stop the others; the report has each wave's slot and its distance from
+ * the launch.
+ *
+ * Post-launch actions with the same delay (and tip) share a bundle, up to 4
+ * per bundle; delays count from when the launch landed.
+ *
+ * Events (LaunchRunner):
+ *   built    { step, endpoint, mint, transactions }
+ *   landed   { step, bundleId, slot, signatures }
+ *   failed   { step, error }
+ *   waiting  { step, delayMs }
+ *   wave     { step, wave, buyers, targetSlot }     a wave is being sent
+ *
+ * Usage:
+ *   const plan = await loadLaunchPlan("launch.example.json");
+ *   const wallets = await resolveWallets(plan, { keystore });
+ *   const runner = new LaunchRunner({ client, jito, connection, ledger });
+ *   const pricing = await runner.price(plan, wallets);
+ *   const createParams = await publishLaunchMetadata(plan, { provider: providerFromEnv() });
+ *   const report = await runner.run(plan, { wallets, pricing, createParams });
+ */
+
+import { EventEmitter } from "node:events";
+import { readFile } from "node:fs/promises";
+import { dirname, extname, resolve } from "node:path";
+import { Keypair, LAMPORTS_PER_SOL, PublicKey } from "@solana/web3.js";
+import bs58 from "bs58";
+import { signBundleAsync } from "./bundle-signer.js";
+import { LaunchPlanError } from "./errors.js";
+import { bundleExpectations, COMMISSION_BPS, verifyBundle } from "./inspect.js";
+import { DEFAULT_IMAGE, loadImage, publishMetadata } from "./metadata.js";
+import { checkToken, normalizeImage } from "./metadata-check.js";
+import { KeypairSigner, signerFromEnv } from "./signer.js";
+
+export const LAUNCH_MODES = ["local", "lightning"];
+
+/**
+ * Launch endpoints: which mode each is for and how many transactions fit in
+ * its bundle. /api/create-bundle puts the dev buy in the create transaction,
+ * the others need a transaction of its own.
+ */
+export const LAUNCH_ENDPOINTS = {
+  "create-bundle": { mode: "local", maxTransactions: 4, devBuyInCreate: true },
+  bundle: { mode: "local", maxTransactions: 4, devBuyInCreate: false },
+  "bundle-lightning": { mode: "lightning", maxTransactions: 4, devBuyInCreate: false },
+};
+
+export const POST_LAUNCH_ACTIONS = ["buy", "sell"];
+
+/** Transactions per post-launch bundle or buyer wave — what /api/bundle accepts. */
+export const ACTIONS_PER_BUNDLE = 4;
+
+/** Solana's target slot time, for spacing buyer waves. */
+export const SLOT_MS = 400;
+
+/** Rent the creator pays for the mint, bonding curve, metadata and curve token account (approximate). */
+export const CREATE_RENT_SOL = 0.02;
+
+/** Rent for a wallet's token account, paid by its first buy. */
+export const TOKEN_ACCOUNT_RENT_SOL = 0.00203928;
+
+const SIGNATURE_FEE_SOL = 0.000005;
+
+const PLAN_FIELDS = ["name", "mode", "endpoint", "token", "cashbackEnabled", "mintKeypair", "creator", "buyers", "slippage", "priorityFee", "jitoTip", "waves", "after"];
+const TOKEN_FIELDS = ["name", "symbol", "description", "image", "twitter", "telegram", "website", "uri"];
+const CREATOR_FIELDS = ["wallet", "devBuySol", "publicKey"];
+const BUYER_FIELDS = ["wallet", "amountSol", "publicKey"];
+const WAVE_FIELDS = ["size", "jitoTip", "spacingSlots"];
+const ACTION_FIELDS = ["type", "wallet", "amountSol", "amount", "delayMs", "jitoTip", "slippage", "publicKey"];
+
+const DEFAULTS = { mode: "local", endpoint: "auto", slippage: 90, priorityFee: 0.0005 };
+
+const isNumber = (v) => typeof v === "number" && Number.isFinite(v);
+const isObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+const isUrl = (s) => /^https?:\/\//.test(s);
+const isEnvRef = (ref) => ref.startsWith("env:");
+
+/** Buyers that fit in the launch bundle next to the create (and dev buy). */
+function launchRoom(endpoint, devBuySol) {
+  const spec = LAUNCH_ENDPOINTS[endpoint];
+  return spec.maxTransactions - 1 - (!spec.devBuyInCreate && devBuySol > 0 ? 1 : 0);
+}
+
+/** "50%" or a positive token amount. */
+function isSellAmount(amount) {
+  if (isNumber(amount)) return amount > 0;
+  const match = typeof amount === "string" && /^(\d+(?:\.\d+)?)%$/.exec(amount);
+  return Boolean(match) && Number(match[1]) > 0 && Number(match[1]) <= 100;
+}
+
+// ============================================================================
+// LOADING & VALIDATION
+// ============================================================================
+
+/**
+ * Validate a parsed plan and fill in defaults.
+ *
+ * @param {object} config
+ * @param {object} [options]
+ * @param {string} [options.file] - For error messages
+ * @returns {object} The plan: { name, file, mode, endpoint, token, tokenWarnings, cashbackEnabled,
+ *   mintKeypair, creator, buyers, slippage, priorityFee, jitoTip, waves, after }
+ * @throws {LaunchPlanError} reason "config"
+ */
+export function parseLaunchPlan(config, { file } = {}) {
+  const where = file ?? "Launch plan";
+  if (!isObject(config)) throw new LaunchPlanError(`${where}: expected an object`, { file, reason: "config" });
+
+  const problems = [];
+  const unknown = (obj, fields, path) => {
+    for (const key of Object.keys(obj)) {
+      if (!fields.includes(key)) problems.push(`${path}${key}: unknown field`);
+    }
+  };
+  const checkNumber = (value, path, { min = 0, max = Infinity } = {}) => {
+    if (value !== undefined && !(isNumber(value) && value >= min && value <= max)) {
+      problems.push(`${path}: expected a number${max === Infinity ? ` >= ${min}` : ` from ${min} to ${max}`}`);
+    }
+  };
+  const checkAmount = (value, path) => {
+    if (isNumber(value) ? value > 0 : isObject(value) && isNumber(value.min) && isNumber(value.max) && value.min > 0 && value.min <= value.max) return;
+    problems.push(`${path}: expected SOL > 0 or { min, max } with 0 < min <= max`);
+  };
+  const checkWallet = (entry, path) => {
+    if (typeof entry.wallet !== "string" || !entry.wallet) problems.push(`${path}.wallet: required`);
+    else if (mode === "lightning" && !isEnvRef(entry.wallet)) problems.push(`${path}.wallet: lightning wallets are "env:VAR" holding an API key`);
+    if (entry.publicKey !== undefined) {
+      try {
+        new PublicKey(entry.publicKey);
+      } catch {
+        problems.push(`${path}.publicKey: not a public key`);
+      }
+    }
+  };
+
+  unknown(config, PLAN_FIELDS, "");
+
+  const mode = config.mode ?? DEFAULTS.mode;
+  if (!LAUNCH_MODES.includes(mode)) problems.push(`mode: must be one of ${LAUNCH_MODES.join(", ")}`);
+  let endpoint = config.endpoint ?? DEFAULTS.endpoint;
+  if (endpoint === "auto") endpoint = mode === "lightning" ? "bundle-lightning" : "create-bundle";
+  const spec = LAUNCH_ENDPOINTS[endpoint];
+  if (!spec) problems.push(`endpoint: must be auto or one of ${Object.keys(LAUNCH_ENDPOINTS).join(", ")}`);
+  else if (LAUNCH_MODES.includes(mode) && spec.mode !== mode) problems.push(`endpoint: ${endpoint} is for ${spec.mode} mode`);
+
+  let token = null;
+  let tokenWarnings = [];
+  if (!isObject(config.token)) {
+    problems.push("token: required");
+  } else {
+    unknown(config.token, TOKEN_FIELDS, "token.");
+    const checked = checkToken(config.token);
+    token = checked.token;
+    tokenWarnings = checked.warnings;
+    problems.push(...checked.problems.map((p) => `token.${p.field}: ${p.message}`));
+    if (token.image !== undefined && typeof token.image !== "string") problems.push("token.image: expected a path or URL");
+    if (token.image && token.uri) problems.push("token: give image or uri, not both");
+  }
+
+  if (config.cashbackEnabled !== undefined && typeof config.cashbackEnabled !== "boolean") problems.push("cashbackEnabled: expected true or false");
+  if (config.mintKeypair !== undefined && (typeof config.mintKeypair !== "string" || !config.mintKeypair)) {
+    problems.push('mintKeypair: expected a keypair file or "env:VAR"');
+  }
+
+  const creator = config.creator;
+  if (!isObject(creator)) {
+    problems.push("creator: required");
+  } else {
+    unknown(creator, CREATOR_FIELDS, "creator.");
+    checkWallet(creator, "creator");
+    checkNumber(creator.devBuySol, "creator.devBuySol");
+  }
+
+  const buyers = config.buyers ?? [];
+  if (!Array.isArray(buyers)) {
+    problems.push("buyers: expected a list");
+  } else {
+    buyers.forEach((b, i) => {
+      if (!isObject(b)) return problems.push(`buyers[${i}]: expected { wallet, amountSol }`);
+      unknown(b, BUYER_FIELDS, `buyers[${i}].`);
+      checkWallet(b, `buyers[${i}]`);
+      checkAmount(b.amountSol, `buyers[${i}].amountSol`);
+    });
+    const room = spec ? launchRoom(endpoint, creator?.devBuySol) : Infinity;
+    if (buyers.length > room && config.waves === undefined) {
+      problems.push(`buyers: ${endpoint} fits ${room} buyer(s) in the launch bundle, got ${buyers.length} — add "waves" to send the rest in follow-up bundles`);
+    }
+  }
+
+  const waves = config.waves;
+  if (waves !== undefined) {
+    if (!isObject(waves)) {
+      problems.push("waves: expected { size, jitoTip, spacingSlots }");
+    } else {
+      unknown(waves, WAVE_FIELDS, "waves.");
+      if (waves.size !== undefined && !(Number.isInteger(waves.size) && waves.size >= 1 && waves.size <= ACTIONS_PER_BUNDLE)) {
+        problems.push(`waves.size: expected 1 to ${ACTIONS_PER_BUNDLE} buys per bundle`);
+      }
+      const tips = Array.isArray(waves.jitoTip) ? waves.jitoTip : [waves.jitoTip];
+      if (waves.jitoTip !== undefined && (tips.length === 0 || !tips.every((t) => isNumber(t) && t > 0))) {
+        problems.push("waves.jitoTip: expected SOL > 0, or a list with one per wave");
+      }
+      checkNumber(waves.spacingSlots, "waves.spacingSlots");
+    }
+  }
+
+  checkNumber(config.slippage, "slippage", { max: 100 });
+  checkNumber(config.priorityFee, "priorityFee");
+  if (config.jitoTip === undefined) problems.push("jitoTip: required — the launch is a Jito bundle");
+  else if (!(isNumber(config.jitoTip) && config.jitoTip > 0)) problems.push("jitoTip: expected SOL > 0");
+
+  const after = config.after ?? [];
+  if (!Array.isArray(after)) {
+    problems.push("after: expected a list");
+  } else {
+    after.forEach((a, i) => {
+      const path = `after[${i}]`;
+      if (!isObject(a)) return problems.push(`${path}: expected { type, wallet, ... }`);
+      unknown(a, ACTION_FIELDS, `${path}.`);
+      if (!POST_LAUNCH_ACTIONS.includes(a.type)) problems.push(`${path}.type: must be one of ${POST_LAUNCH_ACTIONS.join(", ")}`);
+      checkWallet(a, path);
+      if (a.type === "buy") checkAmount(a.amountSol, `${path}.amountSol`);
+      if (a.type === "sell" && !isSellAmount(a.amount)) problems.push(`${path}.amount: expected "N%" or a token amount`);
+      checkNumber(a.delayMs, `${path}.delayMs`);
+      checkNumber(a.slippage, `${path}.slippage`, { max: 100 });
+      if (a.jitoTip !== undefined && !(isNumber(a.jitoTip) && a.jitoTip > 0)) problems.push(`${path}.jitoTip: expected SOL > 0`);
+    });
+  }
+
+  if (problems.length > 0) {
+    throw new LaunchPlanError(`${where}: ${problems.length} problem(s)\n  ${problems.join("\n  ")}`, { file, reason: "config", problems });
+  }
+
+  const slippage = config.slippage ?? DEFAULTS.slippage;
+  const jitoTip = config.jitoTip;
+  return {
+    name: config.name ?? token.symbol,
+    file: file ?? null,
+    mode,
+    endpoint,
+    token,
+    tokenWarnings,
+    cashbackEnabled: config.cashbackEnabled === true,
+    mintKeypair: config.mintKeypair ?? null,
+    creator: { wallet: creator.wallet, devBuySol: creator.devBuySol ?? 0, publicKey: creator.publicKey ?? null },
+    buyers: buyers.map((b) => ({ wallet: b.wallet, amountSol: b.amountSol, publicKey: b.publicKey ?? null })),
+    slippage,
+    priorityFee: config.priorityFee ?? DEFAULTS.priorityFee,
+    jitoTip,
+    waves: waves ? { size: waves.size ?? ACTIONS_PER_BUNDLE, jitoTip: waves.jitoTip ?? jitoTip, spacingSlots: waves.spacingSlots ?? 1 } : null,
+    after: after.map((a) => ({
+      type: a.type,
+      wallet: a.wallet,
+      ...(a.type === "buy" ? { amountSol: a.amountSol } : { amount: a.amount }),
+      delayMs: a.delayMs ?? 0,
+      jitoTip: a.jitoTip ?? jitoTip,
+      slippage: a.slippage ?? slippage,
+      publicKey: a.publicKey ?? null,
+    })),
+  };
+}
+
+/**
+ * Load a plan from a .json, .yaml or .yml file. YAML needs the `yaml`
+ * package (npm install yaml). A local token image and a mintKeypair file
+ * are resolved relative to the plan.
+ *
+ * @param {string} file
+ * @returns {Promise<object>} See parseLaunchPlan
+ * @throws {LaunchPlanError} reason "config"
+ */
+export async function loadLaunchPlan(file) {
+  let text;
+  try {
+    text = await readFile(file, "utf8");
+  } catch (err) {
+    throw new LaunchPlanError(`Can't read launch plan ${file}: ${err.message}`, { file, reason: "config", cause: err });
+  }
+
+  let config;
+  try {
+    if ([".yaml", ".yml"].includes(extname(file).toLowerCase())) {
+      let yaml;
+      try {
+        yaml = await import("yaml");
+      } catch (err) {
+        throw new LaunchPlanError("YAML launch plans need the yaml package: npm install yaml", { file, reason: "config", cause: err });
+      }
+      config = yaml.parse(text);
+    } else {
+      config = JSON.parse(text);
+    }
+  } catch (err) {
+    if (err instanceof LaunchPlanError) throw err;
+    throw new LaunchPlanError(`Can't parse launch plan ${file}: ${err.message}`, { file, reason: "config", cause: err });
+  }
+
+  const plan = parseLaunchPlan(config, { file });
+  const base = dirname(file);
+  if (plan.token.image && !isUrl(plan.token.image)) plan.token.image = resolve(base, plan.token.image);
+  if (plan.mintKeypair && !isEnvRef(plan.mintKeypair)) plan.mintKeypair = resolve(base, plan.mintKeypair);
+  return plan;
+}
+
+// ============================================================================
+// WALLETS
+// ============================================================================
+
+/**
+ * Look up every wallet the plan names.
+ *
+ * @param {object} plan
+ * @param {object} [options]
+ * @param {import("./keystore.js").Keystore} [options.keystore] - Already opened, instead of KEYSTORE_FILE
+ * @param {Record<string, string>} [options.env] - Default process.env
+ * @returns {Promise<Map<string, { ref: string, signer?: object, apiKey?: string, publicKey: string|null }>>} By wallet reference
+ * @throws {LaunchPlanError} reason "wallets", listing every wallet that isn't available
+ */
+export async function resolveWallets(plan, { keystore, env = process.env } = {}) {
+  const refs = new Map();
+  for (const p of [plan.creator, ...plan.buyers, ...plan.after]) {
+    refs.set(p.wallet, p.publicKey ?? refs.get(p.wallet) ?? null);
+  }
+
+  const wallets = new Map();
+  const problems = [];
+  for (const [ref, publicKey] of refs) {
+    const value = isEnvRef(ref) ? env[ref.slice(4)] : undefined;
+    if (plan.mode === "lightning") {
+      if (value) wallets.set(ref, { ref, apiKey: value, publicKey });
+      else problems.push(`${ref}: ${ref.slice(4)} is not set`);
+      continue;
+    }
+
+    try {
+      let signer;
+      if (isEnvRef(ref)) signer = value ? new KeypairSigner(Keypair.fromSecretKey(bs58.decode(value))) : null;
+      else signer = await signerFromEnv({ env, name: ref, privateKey: null, keystore });
+      if (signer) wallets.set(ref, { ref, signer, publicKey: signer.publicKey.toBase58() });
+      else problems.push(isEnvRef(ref) ? `${ref}: ${ref.slice(4)} is not set` : `${ref}: not in the keystore or remote signer (KEYSTORE_FILE / REMOTE_SIGNER_URL)`);
+    } catch (err) {
+      problems.push(`${ref}: ${err.message}`);
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new LaunchPlanError(`${problems.length} wallet(s) unavailable\n  ${problems.join("\n  ")}`, { file: plan.file, reason: "wallets", problems });
+  }
+  return wallets;
+}
+
+/**
+ * The plan's vanity mint keypair: a solana-keygen JSON file, or "env:VAR"
+ * holding a base58 secret key or the same JSON array.
+ *
+ * @param {string} ref
+ * @param {object} [options]
+ * @param {Record<string, string>} [options.env] - Default process.env
+ * @returns {Promise<Keypair>}
+ * @throws {LaunchPlanError} reason "wallets" (not available) or "config" (not a keypair)
+ */
+export async function loadMintKeypair(ref, { env = process.env } = {}) {
+  let text;
+  if (isEnvRef(ref)) {
+    text = env[ref.slice(4)];
+    if (!text) throw new LaunchPlanError(`mintKeypair: ${ref.slice(4)} is not set`, { reason: "wallets" });
+  } else {
+    try {
+      text = await readFile(ref, "utf8");
+    } catch (err) {
+      throw new LaunchPlanError(`mintKeypair: can't read ${ref}: ${err.message}`, { reason: "wallets", cause: err });
+    }
+  }
+
+  text = text.trim();
+  try {
+    return Keypair.fromSecretKey(text.startsWith("[") ? Uint8Array.from(JSON.parse(text)) : bs58.decode(text));
+  } catch (err) {
+    throw new LaunchPlanError(`mintKeypair: ${ref} is not a keypair`, { reason: "config", cause: err });
+  }
+}
+
+// ============================================================================
+// METADATA
+// ============================================================================
+
+/**
+ * Load the plan's image and make it fit pump.fun (see normalizeImage).
+ * Null when the plan gives a metadata `uri` instead.
+ *
+ * @param {object} plan
+ * @param {object} [options]
+ * @param {object|null} [options.sharp] - Passed to normalizeImage
+ */
+export async function prepareImage(plan, { sharp } = {}) {
+  if (plan.token.uri) return null;
+  return normalizeImage(await loadImage(plan.token.image ?? DEFAULT_IMAGE), { sharp });
+}
+
+/**
+ * Publish the plan's image and metadata, or use its `uri` as-is.
+ *
+ * @param {object} plan
+ * @param {object} options
+ * @param {object} options.provider - Metadata provider (lib/metadata.js)
+ * @param {import("./metadata.js").UploadCache} [options.cache]
+ * @param {object} [options.image] - prepareImage() result, if already prepared
+ * @returns {Promise<object>} Create params: name, symbol and `{ uri }`, or `{ image, description, ... }` with PumpDev storage
+ */
+export async function publishLaunchMetadata(plan, { provider, cache, image } = {}) {
+  const { name, symbol } = plan.token;
+  if (plan.token.uri) return { name, symbol, uri: plan.token.uri };
+
+  const source = plan.token.image ?? DEFAULT_IMAGE;
+  image ??= await prepareImage(plan);
+  // PumpDev storage takes an image URL as-is when nothing had to change
+  const published = await publishMetadata(provider, plan.token, {
+    image: provider.hostsMetadata && !image.changed && isUrl(source) ? source : image,
+    cache,
+  });
+  return { name, symbol, ...published.createParams };
+}
+
+// ============================================================================
+// PRICING
+// ============================================================================
+
+/** SOL for a fixed amount, or a random one within { min, max } (4 decimals). */
+export function resolveAmount(amount, { random = Math.random, decimals = 4 } = {}) {
+  if (isNumber(amount)) return amount;
+  const factor = 10 ** decimals;
+  return Math.max(amount.min, Math.floor((amount.min + random() * (amount.max - amount.min)) * factor) / factor);
+}
+
+/** Transactions of the launch bundle, in order; the last one pays the tip. */
+function launchTransactions(plan, buyers) {
+  const { devBuyInCreate } = LAUNCH_ENDPOINTS[plan.endpoint];
+  const { wallet, devBuySol } = plan.creator;
+  const transactions = [{ type: "create", wallet, amountSol: devBuyInCreate ? devBuySol : 0, signatures: 2 }];
+  if (!devBuyInCreate && devBuySol > 0) transactions.push({ type: "buy", wallet, amountSol: devBuySol, signatures: 1 });
+  for (const b of buyers) transactions.push({ type: "buy", wallet: b.wallet, amountSol: b.amountSol, signatures: 1 });
+  return transactions;
+}
+
+/**
+ * Buyers past the launch bundle, in follow-up bundles. Wave n targets the
+ * slot `1 + (n - 1) * spacingSlots` after the launch.
+ */
+function buyerWaves(plan, buyers) {
+  const { size, jitoTip, spacingSlots } = plan.waves;
+  const waves = [];
+  for (let i = 0; i < buyers.length; i += size) {
+    const n = waves.length;
+    waves.push({
+      wave: n + 1,
+      jitoTip: Array.isArray(jitoTip) ? jitoTip[Math.min(n, jitoTip.length - 1)] : jitoTip,
+      slotOffset: 1 + n * spacingSlots,
+      transactions: buyers.slice(i, i + size).map((b) => ({ type: "buy", wallet: b.wallet, amountSol: b.amountSol, slippage: plan.slippage, signatures: 1 })),
+    });
+  }
+  return waves;
+}
+
+/** Post-launch actions as bundles: same delay and tip, in plan order, up to ACTIONS_PER_BUNDLE each. */
+function actionBundles(actions) {
+  const sorted = actions.map((a, index) => ({ ...a, index })).sort((a, b) => a.delayMs - b.delayMs || a.index - b.index);
+  const bundles = [];
+  for (const a of sorted) {
+    const tx = { type: a.type, wallet: a.wallet, amountSol: a.amountSol ?? 0, amount: a.amount, slippage: a.slippage, signatures: 1 };
+    const last = bundles[bundles.length - 1];
+    if (last && last.delayMs === a.delayMs && last.jitoTip === a.jitoTip && last.transactions.length < ACTIONS_PER_BUNDLE) {
+      last.transactions.push(tx);
+    } else {
+      bundles.push({ delayMs: a.delayMs, jitoTip: a.jitoTip, transactions: [tx] });
+    }
+  }
+  return bundles;
+}
+
+/**
+ * Resolve the plan's amounts and work out what every wallet spends: buys,
+ * PumpDev commission, network and priority fees, rent for the create and
+ * new token accounts, and the Jito tip of each bundle it closes. Slippage
+ * isn't added — launch buys land in a fixed order, right after the create.
+ *
+ * @param {object} plan
+ * @param {object} [options]
+ * @param {Map<string, { publicKey: string|null }>} [options.wallets] - From resolveWallets
+ * @param {Map<string, number>} [options.balances] - SOL by public key
+ * @param {() => number} [options.random] - Default Math.random
+ * @returns {{ endpoint, mode, commissionBps, devBuySol, buyers, launch, waves, after, wallets, totalSol, shortfalls }}
+ *   launch / waves / after: bundles of { type, wallet, amountSol } transactions (waves also { wave, slotOffset });
+ *   wallets: per wallet { wallet, publicKey,
+ *   roles, buySol, commissionSol, networkSol, priorityFeeSol, jitoTipSol, rentSol, totalSol, balanceSol, shortSol }
+ */
+export function priceLaunch(plan, { wallets = new Map(), balances = null, random = Math.random } = {}) {
+  const commissionBps = COMMISSION_BPS[plan.mode];
+  const buyers = plan.buyers.map((b) => ({ wallet: b.wallet, amountSol: resolveAmount(b.amountSol, { random }) }));
+  const room = launchRoom(plan.endpoint, plan.creator.devBuySol);
+  const launch = { delayMs: 0, jitoTip: plan.jitoTip, transactions: launchTransactions(plan, buyers.slice(0, room)) };
+  const waves = plan.waves ? buyerWaves(plan, buyers.slice(room)) : [];
+  const after = actionBundles(plan.after.map((a) => (a.type === "buy" ? { ...a, amountSol: resolveAmount(a.amountSol, { random }) } : a)));
+
+  const rows = new Map();
+  const rowFor = (wallet) => {
+    if (!rows.has(wallet)) {
+      const publicKey = wallets.get(wallet)?.publicKey ?? null;
+      rows.set(wallet, { wallet, publicKey, roles: [], buySol: 0, commissionSol: 0, networkSol: 0, priorityFeeSol: 0, jitoTipSol: 0, rentSol: 0 });
+    }
+    return rows.get(wallet);
+  };
+  const role = (wallet, name) => {
+    const row = rowFor(wallet);
+    if (!row.roles.includes(name)) row.roles.push(name);
+  };
+  role(plan.creator.wallet, "creator");
+  buyers.forEach((b) => role(b.wallet, "buyer"));
+  plan.after.forEach((a) => role(a.wallet, "after"));
+
+  const holders = new Set();
+  for (const bundle of [launch, ...waves, ...after]) {
+    bundle.transactions.forEach((tx, i) => {
+      const row = rowFor(tx.wallet);
+      row.networkSol += tx.signatures * SIGNATURE_FEE_SOL;
+      row.priorityFeeSol += plan.priorityFee;
+      if (tx.type === "create") row.rentSol += CREATE_RENT_SOL;
+      if (tx.amountSol > 0) {
+        row.buySol += tx.amountSol;
+        row.commissionSol += (tx.amountSol * commissionBps) / 10_000;
+        if (!holders.has(tx.wallet)) row.rentSol += TOKEN_ACCOUNT_RENT_SOL;
+        holders.add(tx.wallet);
+      }
+      if (i === bundle.transactions.length - 1) row.jitoTipSol += bundle.jitoTip;
+    });
+  }
+
+  const rowList = [...rows.values()].map((row) => {
+    const totalSol = row.buySol + row.commissionSol + row.networkSol + row.priorityFeeSol + row.jitoTipSol + row.rentSol;
+    const balanceSol = row.publicKey && balances?.has(row.publicKey) ? balances.get(row.publicKey) : null;
+    return { ...row, totalSol, balanceSol, shortSol: balanceSol === null ? null : Math.max(0, totalSol - balanceSol) };
+  });
+
+  return {
+    endpoint: plan.endpoint,
+    mode: plan.mode,
+    commissionBps,
+    devBuySol: plan.creator.devBuySol,
+    buyers,
+    launch,
+    waves,
+    after,
+    wallets: rowList,
+    totalSol: rowList.reduce((sum, r) => sum + r.totalSol, 0),
+    shortfalls: rowList.filter((r) => r.shortSol > 0),
+  };
+}
+
+// ============================================================================
+// RUNNER
+// ============================================================================
+
+/** /api/bundle or /api/bundle-lightning body for post-launch buys and sells (no keys yet). */
+function tradeBody(plan, accounts, { mint, jitoTip }) {
+  return {
+    mint,
+    accounts: accounts.map((a) =>
+      a.type === "buy"
+        ? { type: "buy", amount: a.amountSol, denominatedInSol: "true", slippage: a.slippage }
+        : { type: "sell", amount: a.amount, slippage: a.slippage },
+    ),
+    priorityFee: plan.priorityFee,
+    jitoTip,
+  };
+}
+
+export class LaunchRunner extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {import("./client.js").PumpDevClient} options.client
+   * @param {import("./jito.js").JitoBundleSubmitter} [options.jito] - Local mode: sends the signed bundles
+   * @param {import("@solana/web3.js").Connection} [options.connection] - Balances, lightning slots and the ledger
+   * @param {import("./ledger.js").Ledger} [options.ledger] - Records every landed transaction
+   * @param {() => number} [options.now] - Default Date.now
+   * @param {(ms: number) => Promise<void>} [options.wait] - Default setTimeout
+   */
+  constructor({ client, jito, connection, ledger, now = Date.now, wait = (ms) => new Promise((r) => setTimeout(r, ms)) }) {
+    super();
+    this.client = client;
+    this.jito = jito;
+    this.connection = connection;
+    this.ledger = ledger;
+    this.now = now;
+    this.wait = wait;
+  }
+
+  /**
+   * priceLaunch() with the wallets' current balances (when there is a
+   * connection and their public keys are known).
+   */
+  async price(plan, wallets, { random } = {}) {
+    const balances = new Map();
+    if (this.connection) {
+      const keys = [...new Set([...wallets.values()].map((w) => w.publicKey).filter(Boolean))];
+      await Promise.all(
+        keys.map(async (key) => balances.set(key, (await this.connection.getBalance(new PublicKey(key))) / LAMPORTS_PER_SOL)),
+      );
+    }
+    return priceLaunch(plan, { wallets, balances, random });
+  }
+
+  /**
+   * Launch, send the buyer waves, then run the post-launch actions. Step
+   * failures are recorded in the report, not thrown: a failed launch ends
+   * the run, a failed wave or action doesn't stop the next.
+   *
+   * @param {object} plan
+   * @param {object} options
+   * @param {Map} options.wallets - From resolveWallets
+   * @param {object} options.pricing - From price() / priceLaunch()
+   * @param {object} options.createParams - From publishLaunchMetadata
+   * @param {Keypair} [options.mintKeypair] - Vanity mint, from loadMintKeypair
+   * @returns {Promise<object>} The launch report: { plan, file, mode, endpoint, status, mint, token, vanityMint,
+   *   cashbackEnabled, startedAt, finishedAt, pricing, steps, waves, warnings }; status "landed", "partial" or "failed"
+   *   waves: per wave { wave, buyers, jitoTip, landed, slotOffset, targetSlot, slot, slotsAfterLaunch, error }
+   * @throws {LaunchPlanError} reason "balance" — before anything is sent
+   */
+  async run(plan, { wallets, pricing, createParams, mintKeypair = null }) {
+    if (pricing.shortfalls.length > 0) {
+      const problems = pricing.shortfalls.map((r) => `${r.wallet}: needs ${r.totalSol.toFixed(4)} SOL, has ${r.balanceSol.toFixed(4)}`);
+      throw new LaunchPlanError(`Not enough SOL\n  ${problems.join("\n  ")}`, { file: plan.file, reason: "balance", problems });
+    }
+
+    const report = {
+      plan: plan.name,
+      file: plan.file,
+      mode: plan.mode,
+      endpoint: plan.endpoint,
+      status: "failed",
+      mint: null,
+      token: createParams,
+      vanityMint: mintKeypair ? mintKeypair.publicKey.toBase58() : null,
+      cashbackEnabled: plan.cashbackEnabled,
+      startedAt: new Date(this.now()).toISOString(),
+      finishedAt: null,
+      pricing,
+      steps: [],
+      waves: [],
+      warnings: [],
+    };
+    const finish = (status) => {
+      report.status = status;
+      report.finishedAt = new Date(this.now()).toISOString();
+      return report;
+    };
+
+    // Local waves are built and signed while the launch bundle is in flight,
+    // so they can be submitted the moment it lands
+    let prebuilt = [];
+    const onAccepted = (mint) => {
+      if (plan.mode !== "local") return;
+      prebuilt = pricing.waves.map((wave) => this.prebuild(plan, wave, wallets, mint));
+    };
+    const launched = await this.step(report, "launch", pricing.launch, wallets, (accounts) =>
+      this.launch(plan, accounts, { wallets, createParams, mintKeypair, onAccepted }),
+    );
+    if (!launched.ok) return finish("failed");
+    report.mint = launched.mint;
+    const landedAt = this.now();
+
+    // Buyer waves: all in flight at once, spaced to land in the slots after the launch
+    const first = pricing.waves[0];
+    report.waves = await Promise.all(
+      pricing.waves.map(async (wave, i) => {
+        const step = `wave ${wave.wave}`;
+        const targetSlot = launched.slot === null ? null : launched.slot + wave.slotOffset;
+        const delayMs = (wave.slotOffset - first.slotOffset) * SLOT_MS;
+        if (delayMs > 0) await this.wait(delayMs);
+        this.emit("wave", { step, wave: wave.wave, buyers: wave.transactions.length, targetSlot });
+
+        const built = await prebuilt[i];
+        const result = await this.step(report, step, wave, wallets, (accounts) =>
+          built ? this.submit(built) : this.trade(plan, accounts, { mint: report.mint, jitoTip: wave.jitoTip }),
+        );
+        const slot = result.slot ?? null;
+        return {
+          wave: wave.wave,
+          buyers: wave.transactions.length,
+          jitoTip: wave.jitoTip,
+          landed: result.ok,
+          slotOffset: wave.slotOffset,
+          targetSlot,
+          slot,
+          slotsAfterLaunch: slot !== null && launched.slot !== null ? slot - launched.slot : null,
+          error: result.error ?? null,
+        };
+      }),
+    );
+
+    // Ledger lookups wait for the waves; nothing time-critical is left after them
+    for (const step of report.steps) await this.record(report, step);
+
+    for (const [i, bundle] of pricing.after.entries()) {
+      const step = `after ${i + 1}`;
+      const delayMs = landedAt + bundle.delayMs - this.now();
+      if (delayMs > 0) {
+        this.emit("waiting", { step, delayMs });
+        await this.wait(delayMs);
+      }
+      await this.step(report, step, bundle, wallets, (accounts) => this.trade(plan, accounts, { mint: report.mint, jitoTip: bundle.jitoTip }));
+      await this.record(report, report.steps[report.steps.length - 1]);
+    }
+    return finish(report.steps.every((s) => s.ok) ? "landed" : "partial");
+  }
+
+  /** Run one bundle and record it in the report (the ledger is run()'s job). */
+  async step(report, name, bundle, wallets, send) {
+    const accounts = bundle.transactions.map((tx) => ({ ...tx, ...wallets.get(tx.wallet) }));
+    const step = {
+      name,
+      endpoint: null,
+      ok: false,
+      at: new Date(this.now()).toISOString(),
+      delayMs: bundle.delayMs,
+      jitoTip: bundle.jitoTip,
+      bundleId: null,
+      slot: null,
+      transactions: accounts.map((a) => ({ type: a.type, wallet: a.wallet, publicKey: a.publicKey, amountSol: a.amountSol || null, amount: a.amount ?? null, signature: null })),
+      error: null,
+    };
+    report.steps.push(step);
+
+    try {
+      const result = await send(accounts);
+      Object.assign(step, { ok: true, endpoint: result.endpoint, bundleId: result.bundleId, slot: result.slot });
+      result.signatures.forEach((signature, i) => {
+        step.transactions[i].signature = signature;
+        step.transactions[i].publicKey ??= result.publicKeys?.[i] ?? null;
+      });
+      this.emit("landed", { step: name, bundleId: result.bundleId, slot: result.slot, signatures: result.signatures });
+      return { ok: true, mint: result.mint, slot: result.slot };
+    } catch (err) {
+      step.error = err.message;
+      this.emit("failed", { step: name, error: err });
+      return { ok: false, error: err.message };
+    }
+  }
+
+  /** Build, sign and send the create bundle; `onAccepted(mint)` runs once a block engine takes it. */
+  async launch(plan, accounts, { wallets, createParams, mintKeypair, onAccepted }) {
+    const creator = wallets.get(plan.creator.wallet);
+    const create = {
+      ...createParams,
+      ...(plan.cashbackEnabled && { cashbackEnabled: true }),
+      ...(mintKeypair && { mintKeypair: bs58.encode(mintKeypair.secretKey) }),
+    };
+    const options = { slippage: plan.slippage, priorityFee: plan.priorityFee, jitoTip: plan.jitoTip };
+
+    if (plan.endpoint === "create-bundle") {
+      const buyers = accounts.slice(1);
+      const request = {
+        publicKey: creator.publicKey,
+        ...create,
+        ...(plan.creator.devBuySol > 0 && { buyAmountSol: plan.creator.devBuySol }),
+        ...options,
+        additionalBuyers: buyers.map((a) => ({ publicKey: a.publicKey, amountSol: a.amountSol })),
+      };
+      const data = await this.client.createBundle(request);
+      // Signer names in the response: "creator", "buyer1".."buyer3" and "mint"
+      const named = { creator: creator.signer, ...Object.fromEntries(buyers.map((a, i) => [`buyer${i + 1}`, a.signer])) };
+      return this.submit(await this.sign("launch", "create-bundle", request, data, named, mintKeypair), onAccepted);
+    }
+
+    const body = {
+      accounts: accounts.map((a) => (a.type === "create" ? { type: "create", ...create } : { type: "buy", amount: a.amountSol, denominatedInSol: "true" })),
+      ...options,
+    };
+    return this.sendAccounts("launch", plan, accounts, body, mintKeypair, onAccepted);
+  }
+
+  /** Build, sign and send a post-launch bundle of buys and sells. */
+  trade(plan, accounts, { mint, jitoTip }) {
+    return this.sendAccounts("trade", plan, accounts, tradeBody(plan, accounts, { mint, jitoTip }), null);
+  }
+
+  /**
+   * Build and sign a local wave ahead of the launch landing. Resolves to
+   * null if that fails (the API may not quote a curve that isn't on chain
+   * yet); the wave is then built again once the launch has landed.
+   */
+  prebuild(plan, wave, wallets, mint) {
+    const accounts = wave.transactions.map((tx) => ({ ...tx, ...wallets.get(tx.wallet) }));
+    const body = tradeBody(plan, accounts, { mint, jitoTip: wave.jitoTip });
+    return this.buildLocal(`wave ${wave.wave}`, accounts, body, null).catch(() => null);
+  }
+
+  /** /api/bundle (local) or /api/bundle-lightning, one account per transaction. */
+  async sendAccounts(step, plan, accounts, body, mintKeypair, onAccepted) {
+    if (plan.mode === "lightning") {
+      body.accounts = body.accounts.map((account, i) => ({ apiKey: accounts[i].apiKey, ...account }));
+      const data = await this.client.bundleLightning(body);
+      if (mintKeypair && data.mint !== mintKeypair.publicKey.toBase58()) throw this.mintMismatch(data.mint, mintKeypair);
+      const failed = data.results.filter((r) => r.error || !r.signature);
+      if (failed.length > 0) throw new Error(`bundle-lightning: ${failed.map((r) => r.error ?? "no signature").join("; ")}`);
+      const signatures = data.results.map((r) => r.signature);
+      this.emit("built", { step, endpoint: "bundle-lightning", mint: data.mint, transactions: data.results.length });
+      return {
+        endpoint: "bundle-lightning",
+        mint: data.mint,
+        bundleId: data.bundleId ?? null,
+        slot: await this.slotOf(signatures[0]),
+        signatures,
+        publicKeys: data.results.map((r) => r.publicKey ?? null),
+      };
+    }
+    return this.submit(await this.buildLocal(step, accounts, body, mintKeypair), onAccepted);
+  }
+
+  /** Build a /api/bundle bundle and sign it. */
+  async buildLocal(step, accounts, body, mintKeypair) {
+    body.accounts = body.accounts.map((account, i) => ({ publicKey: accounts[i].publicKey, ...account }));
+    const data = await this.client.bundle(body);
+    const byPubkey = Object.fromEntries(accounts.map((a) => [a.publicKey, a.signer]));
+    return this.sign(step, "bundle", body, data, byPubkey, mintKeypair);
+  }
+
+  /**
+   * Verify every transaction against the request (payer, mint, buy size
+   * within slippage, tip no more than planned, nothing leaving the wallets),
+   * then sign. Nothing is signed if one doesn't match.
+   *
+   * @returns {Promise<{ endpoint: string, mint: string, signed: string[], signatures: string[] }>} signed: base58 transactions
+   */
+  async sign(step, endpoint, request, data, walletMap, mintKeypair) {
+    if (mintKeypair) {
+      if (data.mint !== mintKeypair.publicKey.toBase58()) throw this.mintMismatch(data.mint, mintKeypair);
+      data.mintKeypair ??= mintKeypair;
+    }
+    verifyBundle(data, bundleExpectations(request, request.mint ?? data.mint));
+    this.emit("built", { step, endpoint, mint: data.mint, transactions: data.transactions.length });
+    const signed = await signBundleAsync(data, walletMap);
+    return { endpoint, mint: data.mint, signed, signatures: data.transactions.map((entry) => bs58.encode(entry.tx.signatures[0])) };
+  }
+
+  /** Send a signed bundle to Jito and wait for it to land; `onAccepted(mint)` runs in between. */
+  async submit({ endpoint, mint, signed, signatures }, onAccepted) {
+    const { bundleId, accepted } = await this.jito.sendBundle(signed);
+    onAccepted?.(mint);
+    const landed = await this.jito.waitForBundle(bundleId, { endpoints: accepted, signatures });
+    return { endpoint, mint, bundleId, slot: landed.slot, signatures: landed.signatures };
+  }
+
+  mintMismatch(mint, mintKeypair) {
+    return new LaunchPlanError(`The API built the create for ${mint}, not the plan's mint ${mintKeypair.publicKey.toBase58()} — nothing was sent`, {
+      reason: "mint",
+    });
+  }
+
+  /** Slot a lightning transaction landed in, when there is a connection to ask. */
+  async slotOf(signature) {
+    if (!this.connection) return null;
+    try {
+      const { value } = await this.connection.getSignatureStatuses([signature]);
+      return value[0]?.slot ?? null;
+    } catch {
+      return null;
+    }
+  }
+
+  /** Cost basis and fees of every landed transaction in a step, in the ledger. */
+  async record(report, step) {
+    if (!this.ledger || !this.connection) return;
+    for (const tx of step.transactions) {
+      if (!tx.signature || !tx.publicKey) continue;
+      try {
+        await this.ledger.recordTransaction(this.connection, tx.signature, { type: tx.type, wallet: tx.publicKey, mint: report.mint });
+      } catch (err) {
+        report.warnings.push(`Ledger: could not record ${tx.signature} - ${err.message}`);
+      }
+    }
+  }
+}
+
+// ============================================================================
+// FORMATTING
+// ============================================================================
+
+const sol = (n) => n.toFixed(6).padStart(11);
+const short = (key) => (key.length > 20 ? `${key.slice(0, 8)}...${key.slice(-4)}` : key);
+
+/** Console lines for priceLaunch() output. */
+export function formatPricing(pricing) {
+  const describe = (tx) => (tx.type === "sell" ? `${tx.wallet} sells ${tx.amount}` : `${tx.wallet} ${tx.type === "create" ? "creates" : "buys"}${tx.amountSol ? ` ${tx.amountSol} SOL` : ""}`);
+  const lines = [`Launch via /api/${pricing.endpoint} (${pricing.mode}, commission ${pricing.commissionBps / 100}%)`];
+  lines.push(`  tip ${pricing.launch.jitoTip} SOL: ${pricing.launch.transactions.map(describe).join(", ")}`);
+  for (const wave of pricing.waves) {
+    lines.push(`  wave ${wave.wave} (slot +${wave.slotOffset}), tip ${wave.jitoTip} SOL: ${wave.transactions.map(describe).join(", ")}`);
+  }
+  for (const bundle of pricing.after) {
+    lines.push(`  +${bundle.delayMs / 1000}s, tip ${bundle.jitoTip} SOL: ${bundle.transactions.map(describe).join(", ")}`);
+  }
+  lines.push("");
+  lines.push(`${"wallet".padEnd(16)} ${"roles".padEnd(20)} ${"buys".padStart(11)} ${"fees+tips".padStart(11)} ${"rent".padStart(11)} ${"total".padStart(11)} ${"balance".padStart(11)}`);
+  for (const r of pricing.wallets) {
+    const fees = r.commissionSol + r.networkSol + r.priorityFeeSol + r.jitoTipSol;
+    const balance = r.balanceSol === null ? "?".padStart(11) : sol(r.balanceSol);
+    lines.push(`${short(r.wallet).padEnd(16)} ${r.roles.join(",").padEnd(20)} ${sol(r.buySol)} ${sol(fees)} ${sol(r.rentSol)} ${sol(r.totalSol)} ${balance}${r.shortSol > 0 ? `  short ${r.shortSol.toFixed(6)}` : ""}`);
+  }
+  lines.push(`${"total".padEnd(37)} ${" ".repeat(11)} ${" ".repeat(11)} ${" ".repeat(11)} ${sol(pricing.totalSol)}`);
+  return lines;
+}
+
+/** Console lines for a launch report. */
+export function formatReport(report) {
+  const lines = [`${report.plan}: ${report.status.toUpperCase()} via /api/${report.endpoint} (${report.mode})`];
+  if (report.mint) lines.push(`Mint: ${report.mint}${report.vanityMint ? " (vanity)" : ""}  https://pump.fun/${report.mint}`);
+  lines.push(`${report.startedAt} → ${report.finishedAt ?? "?"}`);
+  for (const step of report.steps) {
+    const where = step.ok ? `slot ${step.slot ?? "?"}${step.bundleId ? `, bundle ${short(step.bundleId)}` : ""}` : `FAILED: ${step.error}`;
+    lines.push("");
+    lines.push(`${step.ok ? "✅" : "❌"} ${step.name} — ${where}`);
+    for (const tx of step.transactions) {
+      const what = tx.type === "sell" ? `sell ${tx.amount}` : `${tx.type}${tx.amountSol ? ` ${tx.amountSol} SOL` : ""}`;
+      lines.push(`   ${tx.wallet.padEnd(16)} ${what.padEnd(18)} ${tx.signature ?? ""}`);
+    }
+  }
+  if (report.waves?.length > 0) {
+    const landed = report.waves.filter((w) => w.landed).length;
+    lines.push("");
+    lines.push(`Waves: ${landed}/${report.waves.length} landed`);
+    for (const w of report.waves) {
+      const where = w.landed
+        ? `slot ${w.slot ?? "?"}${w.slotsAfterLaunch === null ? "" : ` (+${w.slotsAfterLaunch} after launch, target +${w.slotOffset})`}`
+        : `not landed: ${w.error}`;
+      lines.push(`   wave ${w.wave}: ${w.buyers} buyer(s), tip ${w.jitoTip} SOL — ${where}`);
+    }
+  }
+  for (const w of report.warnings) lines.push(`⚠️  ${w}`);
+  return lines;
+}
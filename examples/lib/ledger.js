@@ -0,0 +1,470 @@
+/**
+ * Trade Ledger
+ *
+ * Append-only JSONL record of every buy, sell, create, claim and transfer:
+ * the wallet's SOL and token deltas, the fees paid and the strategy behind
+ * the trade. The file is reloaded on start, so holdings, cost basis and PnL
+ * survive restarts.
+ *
+ * Cost basis is average cost. A buy (or create with a dev buy) adds its SOL
+ * spent to the holding; a sell realizes the SOL received minus the average
+ * cost of the tokens sold. `solDelta` is the wallet's net SOL change, so
+ * network fees, priority fees, Jito tips and commission are already in the
+ * cost basis; `fees` breaks them down.
+ *
+ * Entries come from the chain — recordTransaction() fetches the confirmed
+ * transaction and parses the deltas and fees — or are recorded as estimates
+ * (estimateTrade) when there is nothing on-chain, e.g. replays and dry runs.
+ *
+ * File format, one entry per line:
+ *   {"ts":1718000000123,"type":"buy","signature":"...","wallet":"...","mint":"...",
+ *    "strategy":"default","solDelta":-0.01103,"tokenDelta":351234.5,"priceSol":2.8e-8,
+ *    "fees":{"networkSol":0.000005,"prioritySol":0.001,"jitoTipSol":0,"commissionSol":0.000025}}
+ *
+ * Usage:
+ *   const ledger = new Ledger({ file: "ledger.jsonl" });
+ *   await ledger.recordTransaction(connection, signature, { type: "buy", wallet, mint, strategy: "default" });
+ *   ledger.mark(mint, event.marketCapSol / TOKEN_TOTAL_SUPPLY);
+ *   ledger.pnl("strategy"); // [{ key: "default", realizedSol, unrealizedSol, pnlSol, ... }]
+ *   writeFileSync("pnl.csv", toCsv(ledger.pnl("mint")));
+ */
+
+import { appendFileSync } from "node:fs";
+import { LAMPORTS_PER_SOL } from "@solana/web3.js";
+import { loadJsonl } from "./files.js";
+import { COMMISSION_BPS, inspectTransaction } from "./inspect.js";
+
+export const ENTRY_TYPES = ["buy", "sell", "create", "claim", "transfer"];
+
+/** Ways to group PnL. */
+export const PNL_GROUPS = ["mint", "wallet", "strategy"];
+
+/** Base network fee per signature. */
+const LAMPORTS_PER_SIGNATURE = 5000;
+
+const wait = (ms) => new Promise((r) => setTimeout(r, ms));
+const toSol = (lamports) => lamports / LAMPORTS_PER_SOL;
+
+const NO_FEES = { networkSol: 0, prioritySol: 0, jitoTipSol: 0, commissionSol: 0 };
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/** Sum of a wallet's raw token balances for a mint, with the mint's decimals. */
+function tokenBalance(balances, wallet, mint) {
+  let raw = 0n;
+  let decimals = null;
+  for (const balance of balances ?? []) {
+    if (balance.owner !== wallet || balance.mint !== mint) continue;
+    raw += BigInt(balance.uiTokenAmount.amount);
+    decimals = balance.uiTokenAmount.decimals;
+  }
+  return { raw, decimals };
+}
+
+/**
+ * Balance changes and fees for one wallet from a confirmed transaction.
+ *
+ * @param {import("@solana/web3.js").VersionedTransactionResponse} response - connection.getTransaction() result
+ * @param {ReturnType<import("./inspect.js").decodeTransaction>} decoded - Decoded message, for tips and commission
+ * @param {object} options
+ * @param {string} options.wallet
+ * @param {string} [options.mint] - Token to report (default: first mint whose balance changed)
+ * @returns {{ slot: number, failed: boolean, mint: string|null, program: "pump"|"pumpswap"|null,
+ *   solDelta: number, tokenDelta: number, fees: object }}
+ */
+export function parseTransaction(response, decoded, { wallet, mint }) {
+  const { meta, transaction } = response;
+  const keys = transaction.message
+    .getAccountKeys({ accountKeysFromLookups: meta.loadedAddresses })
+    .keySegments()
+    .flat()
+    .map((key) => key.toBase58());
+
+  const index = keys.indexOf(wallet);
+  const solDeltaLamports = index === -1 ? 0 : meta.postBalances[index] - meta.preBalances[index];
+
+  if (!mint) {
+    const owned = [...(meta.preTokenBalances ?? []), ...(meta.postTokenBalances ?? [])].filter((b) => b.owner === wallet);
+    mint = owned.find((b) => {
+      const pre = tokenBalance(meta.preTokenBalances, wallet, b.mint).raw;
+      return tokenBalance(meta.postTokenBalances, wallet, b.mint).raw !== pre;
+    })?.mint ?? null;
+  }
+
+  let tokenDelta = 0;
+  if (mint) {
+    const pre = tokenBalance(meta.preTokenBalances, wallet, mint);
+    const post = tokenBalance(meta.postTokenBalances, wallet, mint);
+    const decimals = post.decimals ?? pre.decimals ?? 6;
+    tokenDelta = Number(post.raw - pre.raw) / 10 ** decimals;
+  }
+
+  // The network fee is charged to the fee payer only; anything above the
+  // per-signature base fee is the priority fee
+  const isPayer = decoded.payer === wallet;
+  const baseLamports = isPayer ? LAMPORTS_PER_SIGNATURE * transaction.message.header.numRequiredSignatures : 0;
+  const feeLamports = isPayer ? meta.fee : 0;
+  const paid = (type) =>
+    decoded.instructions
+      .filter((ix) => ix.type === type && ix.from === wallet)
+      .reduce((total, ix) => total + ix.lamports, 0);
+
+  // Bonding curve or AMM trade; cashback is claimed per program
+  const trade = decoded.instructions.find((ix) => /^(pump|pumpswap)\.(buy|sell|create)/.test(ix.type));
+
+  return {
+    slot: response.slot,
+    failed: meta.err != null,
+    mint,
+    program: trade ? trade.type.split(".")[0] : null,
+    solDelta: toSol(solDeltaLamports),
+    tokenDelta,
+    fees: {
+      networkSol: toSol(baseLamports),
+      prioritySol: toSol(Math.max(0, feeLamports - baseLamports)),
+      jitoTipSol: toSol(paid("jito.tip")),
+      commissionSol: toSol(paid("pumpdev.commission")),
+    },
+  };
+}
+
+/**
+ * Fetch a confirmed transaction and parse it for one wallet. Retries while
+ * the RPC hasn't indexed the transaction yet.
+ *
+ * @param {import("@solana/web3.js").Connection} connection
+ * @param {string} signature
+ * @param {object} options
+ * @param {string} options.wallet
+ * @param {string} [options.mint]
+ * @param {number} [options.attempts] - getTransaction attempts (default 5)
+ * @param {number} [options.delayMs] - Wait between attempts (default 1000)
+ */
+export async function fetchTransaction(connection, signature, { wallet, mint, attempts = 5, delayMs = 1000 }) {
+  let response = null;
+  for (let attempt = 0; attempt < attempts && !response; attempt++) {
+    if (attempt > 0) await wait(delayMs);
+    response = await connection.getTransaction(signature, {
+      commitment: "confirmed",
+      maxSupportedTransactionVersion: 0,
+    });
+  }
+  if (!response) throw new Error(`Transaction ${signature} not found after ${attempts} attempts`);
+
+  const decoded = await inspectTransaction(response.transaction, connection);
+  return parseTransaction(response, decoded, { wallet, mint });
+}
+
+/**
+ * Estimated entry for a trade that has no transaction to parse. Fills at
+ * `priceSol` with no price impact; commission from COMMISSION_BPS.
+ *
+ * @param {object} trade
+ * @param {"buy"|"sell"} trade.type
+ * @param {string} trade.wallet
+ * @param {string} trade.mint
+ * @param {number} trade.priceSol - SOL per token (marketCapSol / TOKEN_TOTAL_SUPPLY on pump.fun)
+ * @param {number} [trade.solAmount] - SOL spent (buy)
+ * @param {number} [trade.tokenAmount] - Tokens sold (sell)
+ * @param {number} [trade.commissionBps] - Default COMMISSION_BPS.local
+ * @param {number} [trade.priorityFeeSol]
+ * @param {number} [trade.jitoTipSol]
+ * @param {string} [trade.strategy]
+ */
+export function estimateTrade({
+  type,
+  wallet,
+  mint,
+  priceSol,
+  solAmount,
+  tokenAmount,
+  commissionBps = COMMISSION_BPS.local,
+  priorityFeeSol = 0,
+  jitoTipSol = 0,
+  strategy,
+}) {
+  const gross = type === "buy" ? solAmount : tokenAmount * priceSol;
+  const fees = {
+    networkSol: toSol(LAMPORTS_PER_SIGNATURE),
+    prioritySol: priorityFeeSol,
+    jitoTipSol,
+    commissionSol: (gross * commissionBps) / 10_000,
+  };
+  const feeTotal = fees.networkSol + fees.prioritySol + fees.jitoTipSol + fees.commissionSol;
+
+  return {
+    type,
+    wallet,
+    mint,
+    strategy,
+    estimated: true,
+    priceSol,
+    solDelta: type === "buy" ? -(gross + feeTotal) : gross - feeTotal,
+    tokenDelta: type === "buy" ? solAmount / priceSol : -tokenAmount,
+    fees,
+  };
+}
+
+// ============================================================================
+// LEDGER
+// ============================================================================
+
+const emptyRow = (key) => ({
+  key,
+  buys: 0,
+  sells: 0,
+  tokens: 0,
+  costBasisSol: 0,
+  realizedSol: 0,
+  unrealizedSol: 0,
+  claimedSol: 0,
+  feesSol: 0,
+  pnlSol: 0,
+});
+
+export class Ledger {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.file] - JSONL file to load and append to (default: memory only)
+   * @param {() => number} [options.now] - Clock for entry timestamps (default Date.now)
+   */
+  constructor({ file, now = Date.now } = {}) {
+    this.file = file ?? null;
+    this.now = now;
+
+    this.entries = [];
+    /** wallet|mint → { wallet, mint, strategy, tokens, costSol } */
+    this.holdings = new Map();
+    /** mint → last known price in SOL per token */
+    this.prices = new Map();
+    /** `${group}:${key}` → PnL row, realized side only */
+    this.rows = new Map();
+    this.signatures = new Set();
+
+    if (this.file) loadJsonl(this.file, (entry) => this.apply(entry), { what: "ledger entry" });
+  }
+
+  /**
+   * Record an entry and append it to the file.
+   *
+   * @param {object} entry
+   * @param {"buy"|"sell"|"create"|"claim"|"transfer"} entry.type
+   * @param {string} entry.wallet
+   * @param {number} entry.solDelta - Net SOL change for the wallet, fees included
+   * @param {number} [entry.tokenDelta]
+   * @param {string} [entry.mint]
+   * @param {string} [entry.signature]
+   * @param {string} [entry.strategy] - Defaults to the strategy that bought the holding
+   * @param {number} [entry.priceSol] - Market price per token at the time of the trade
+   * @param {"pump"|"pumpswap"|"both"} [entry.program] - Program that filled a trade, or that a cashback claim swept
+   * @param {object} [entry.fees] - { networkSol, prioritySol, jitoTipSol, commissionSol }
+   *   Other fields (e.g. `claim: "cashback"`) are stored as-is.
+   * @returns {object|null} The stored entry, or null if the signature was already recorded for this wallet
+   */
+  record(entry) {
+    if (!ENTRY_TYPES.includes(entry.type)) throw new Error(`Unknown ledger entry type: ${entry.type}`);
+    if (entry.signature && this.has(entry.signature, entry.wallet)) return null;
+
+    const stored = {
+      ts: entry.ts ?? this.now(),
+      ...entry,
+      tokenDelta: entry.tokenDelta ?? 0,
+      fees: { ...NO_FEES, ...entry.fees },
+    };
+    this.apply(stored);
+    if (this.file) appendFileSync(this.file, JSON.stringify(stored) + "\n");
+    return stored;
+  }
+
+  /**
+   * Fetch a confirmed transaction, parse the wallet's deltas and fees, and
+   * record it.
+   *
+   * @param {import("@solana/web3.js").Connection} connection
+   * @param {string} signature
+   * @param {object} entry - type, wallet and optionally mint, strategy, priceSol
+   * @param {object} [options] - attempts / delayMs for fetchTransaction
+   */
+  async recordTransaction(connection, signature, entry, options = {}) {
+    if (this.has(signature, entry.wallet)) return null;
+    const parsed = await fetchTransaction(connection, signature, { wallet: entry.wallet, mint: entry.mint, ...options });
+    const { slot, failed, program, solDelta, fees } = parsed;
+
+    // Claims and transfers move SOL; only a token named by the caller is kept
+    // (a claim's wrapped-SOL sweep is not a token position)
+    const movesSol = entry.type === "claim" || entry.type === "transfer";
+    const mint = movesSol ? entry.mint : parsed.mint;
+    const tokenDelta = movesSol && !entry.mint ? 0 : parsed.tokenDelta;
+
+    return this.record({
+      ...entry,
+      signature,
+      slot,
+      mint,
+      ...(!movesSol && program && { program }),
+      solDelta,
+      tokenDelta,
+      fees,
+      ...(failed && { failed }),
+    });
+  }
+
+  has(signature, wallet) {
+    return this.signatures.has(`${signature}|${wallet}`);
+  }
+
+  /** Set the current price of a mint (SOL per token), used for unrealized PnL. */
+  mark(mint, priceSol) {
+    if (Number.isFinite(priceSol) && priceSol > 0) this.prices.set(mint, priceSol);
+  }
+
+  /** Current holding of a mint in a wallet. */
+  holding(wallet, mint) {
+    const h = this.holdings.get(`${wallet}|${mint}`);
+    return h ? { ...h } : { wallet, mint, strategy: null, tokens: 0, costSol: 0 };
+  }
+
+  /** Update holdings and realized PnL rows with one entry. */
+  apply(entry) {
+    const { type, wallet, mint, solDelta, tokenDelta = 0 } = entry;
+    this.entries.push(entry);
+    if (entry.signature) this.signatures.add(`${entry.signature}|${wallet}`);
+
+    let holding = null;
+    if (mint) {
+      const id = `${wallet}|${mint}`;
+      holding = this.holdings.get(id) ?? { wallet, mint, strategy: null, tokens: 0, costSol: 0 };
+      this.holdings.set(id, holding);
+      if (entry.strategy && tokenDelta > 0) holding.strategy = entry.strategy;
+    }
+    const strategy = entry.strategy ?? holding?.strategy ?? null;
+    const rows = this.rowsFor({ mint, wallet, strategy });
+
+    const fees = entry.fees ?? NO_FEES;
+    const feesSol = fees.networkSol + fees.prioritySol + fees.jitoTipSol + fees.commissionSol;
+    for (const row of rows) row.feesSol += feesSol;
+
+    if (type === "claim") {
+      for (const row of rows) row.claimedSol += solDelta;
+      return;
+    }
+    if (type === "transfer" || !holding) return;
+
+    let realized = 0;
+    if (tokenDelta > 0) {
+      holding.tokens += tokenDelta;
+      holding.costSol -= solDelta;
+    } else if (tokenDelta < 0) {
+      const sold = Math.min(-tokenDelta, holding.tokens);
+      const basis = holding.tokens > 0 ? (holding.costSol * sold) / holding.tokens : 0;
+      holding.tokens -= sold;
+      holding.costSol -= basis;
+      realized = solDelta - basis;
+    } else {
+      // Failed trade or create without a dev buy: the fees are simply lost
+      realized = solDelta;
+    }
+
+    if (entry.priceSol) this.prices.set(mint, entry.priceSol);
+    else if (tokenDelta !== 0) this.prices.set(mint, Math.abs(solDelta / tokenDelta));
+
+    for (const row of rows) {
+      row.realizedSol += realized;
+      if (tokenDelta > 0) row.buys++;
+      if (tokenDelta < 0) row.sells++;
+    }
+  }
+
+  rowsFor(keys) {
+    return PNL_GROUPS.map((group) => {
+      const id = `${group}:${keys[group] ?? "-"}`;
+      if (!this.rows.has(id)) this.rows.set(id, emptyRow(keys[group] ?? "-"));
+      return this.rows.get(id);
+    });
+  }
+
+  /**
+   * Realized and unrealized PnL, grouped. Open holdings are valued at the
+   * last mark() price, or the last recorded trade price for the mint.
+   *
+   * @param {"mint"|"wallet"|"strategy"} [group] - Default "mint"
+   * @returns {Array<{ key: string, buys: number, sells: number, tokens: number, costBasisSol: number,
+   *   realizedSol: number, unrealizedSol: number, claimedSol: number, feesSol: number, pnlSol: number }>}
+   */
+  pnl(group = "mint") {
+    if (!PNL_GROUPS.includes(group)) throw new Error(`Unknown PnL group: ${group} (use ${PNL_GROUPS.join(", ")})`);
+
+    const result = new Map();
+    for (const [id, row] of this.rows) {
+      if (id.startsWith(`${group}:`)) result.set(row.key, { ...row });
+    }
+
+    for (const holding of this.holdings.values()) {
+      if (holding.tokens <= 0) continue;
+      const key = holding[group] ?? "-";
+      const row = result.get(key) ?? emptyRow(key);
+      const price = this.prices.get(holding.mint) ?? 0;
+      row.tokens += holding.tokens;
+      row.costBasisSol += holding.costSol;
+      row.unrealizedSol += holding.tokens * price - holding.costSol;
+      result.set(key, row);
+    }
+
+    return [...result.values()].map((row) => ({
+      ...row,
+      pnlSol: row.realizedSol + row.unrealizedSol + row.claimedSol,
+    }));
+  }
+
+  /** PnL over every entry. */
+  totals() {
+    return this.pnl("wallet").reduce(
+      (total, row) => {
+        for (const field of ["realizedSol", "unrealizedSol", "claimedSol", "feesSol", "pnlSol"]) total[field] += row[field];
+        return total;
+      },
+      { realizedSol: 0, unrealizedSol: 0, claimedSol: 0, feesSol: 0, pnlSol: 0 },
+    );
+  }
+
+  /** Entries flattened for CSV export (fees as columns). */
+  entryRows() {
+    return this.entries.map(({ fees = NO_FEES, ...entry }) => ({
+      ts: new Date(entry.ts).toISOString(),
+      type: entry.type,
+      signature: entry.signature ?? "",
+      wallet: entry.wallet,
+      mint: entry.mint ?? "",
+      strategy: entry.strategy ?? "",
+      solDelta: entry.solDelta,
+      tokenDelta: entry.tokenDelta ?? 0,
+      priceSol: entry.priceSol ?? "",
+      networkFeeSol: fees.networkSol,
+      priorityFeeSol: fees.prioritySol,
+      jitoTipSol: fees.jitoTipSol,
+      commissionSol: fees.commissionSol,
+      estimated: entry.estimated ? "yes" : "",
+      failed: entry.failed ? "yes" : "",
+    }));
+  }
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * Render rows of plain objects as CSV.
+ *
+ * @param {object[]} rows
+ * @param {string[]} [columns] - Default: keys of the first row
+ */
+export function toCsv(rows, columns = Object.keys(rows[0] ?? {})) {
+  const cell = (value) => {
+    const text = value == null ? "" : String(value);
+    return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return [columns.join(","), ...rows.map((row) => columns.map((c) => cell(row[c])).join(","))].join("\n") + "\n";
+}
@@ -0,0 +1,456 @@
+/**
+ * Token Metadata Checks
+ *
+ * Catch bad launch metadata before anything is signed. /api/create and
+ * /api/create-lightning accept whatever they get, and a create that fails
+ * on-chain still costs fees, while a bad image or link is permanent once
+ * the token exists.
+ *
+ * validateToken() checks name, symbol and description against the on-chain
+ * Metaplex limits (bytes, not characters — emoji count 4) and allowed
+ * characters. It normalizes the links: "@handle" and "x.com/handle" become
+ * https://x.com/handle, and t.me links and websites get https://.
+ *
+ * normalizeImage() checks the image is PNG, JPEG, GIF or WebP, crops it to a
+ * centered square, scales it down to `size`, applies and strips EXIF
+ * (camera, GPS), XMP and text chunks, and enforces `maxBytes`. Parsing and
+ * metadata stripping are built in. Cropping, resizing and re-encoding use
+ * sharp (`npm install sharp`) when it's installed. Without sharp, images that
+ * need them are reported as problems instead.
+ *
+ * Both report every problem at once as a MetadataError (reason "invalid",
+ * `problems: [{ field, message }]`); warnings don't block the launch.
+ *
+ * Usage:
+ *   const { token, warnings } = validateToken({ name, symbol, description, twitter: "@me" });
+ *   const image = await normalizeImage(await loadImage("./logo.jpg"));
+ *   image.changes; // ["cropped 1200x900 to a centered square", "resized to 900x900", "removed EXIF (5120 bytes)"]
+ */
+
+import { MetadataError } from "./errors.js";
+
+/**
+ * name / symbol / uri: Metaplex token metadata limits in UTF-8 bytes.
+ * description has no on-chain limit; 1000 characters keeps the JSON small.
+ */
+export const TOKEN_LIMITS = { nameBytes: 32, symbolBytes: 10, uriBytes: 200, descriptionChars: 1000 };
+
+export const IMAGE_LIMITS = { size: 1000, minSize: 100, maxBytes: 4 * 1024 * 1024 };
+
+export const IMAGE_FORMATS = { png: "image/png", jpeg: "image/jpeg", gif: "image/gif", webp: "image/webp" };
+
+const EXTENSIONS = { png: ".png", jpeg: ".jpg", gif: ".gif", webp: ".webp" };
+
+const bytesOf = (text) => Buffer.byteLength(text, "utf8");
+
+// Control and invisible formatting characters; U+200D joins emoji sequences
+const HIDDEN = /[\p{Cc}\p{Co}\p{Cn}]|(?!\u200D)\p{Cf}/u;
+const SYMBOL = /^[\p{L}\p{N}\p{Extended_Pictographic}\u200D\uFE0F_.-]+$/u;
+const X_HANDLE = /^[A-Za-z0-9_]{1,15}$/;
+const TG_NAME = /^[A-Za-z][A-Za-z0-9_]{3,31}$/;
+
+// ============================================================================
+// TEXT & LINKS
+// ============================================================================
+
+/** "@me", "x.com/me", "https://twitter.com/me/status/1" → https://x.com/... */
+function normalizeTwitter(value) {
+  const raw = value.trim();
+  if (/^@?[A-Za-z0-9_]+$/.test(raw)) {
+    const handle = raw.replace(/^@/, "");
+    return X_HANDLE.test(handle) ? { url: `https://x.com/${handle}` } : { error: `"${handle}" is not a valid X handle (1-15 letters, digits or _)` };
+  }
+  let url;
+  try {
+    url = new URL(/^https?:\/\//i.test(raw) ? raw : `https://${raw}`);
+  } catch {
+    return { error: `"${raw}" is not a URL` };
+  }
+  if (!/^((www|mobile)\.)?(x|twitter)\.com$/i.test(url.hostname)) return { error: `${url.hostname} is not x.com or twitter.com` };
+  const path = url.pathname.replace(/\/+$/, "");
+  const [first] = path.split("/").filter(Boolean);
+  if (!first) return { error: "link to a profile, post or community, not the x.com home page" };
+  if (path.split("/").filter(Boolean).length === 1 && !X_HANDLE.test(first)) return { error: `"${first}" is not a valid X handle` };
+  return { url: `https://x.com${path}${url.search}` };
+}
+
+/** "@group", "t.me/group", "https://telegram.me/+invite" → https://t.me/... */
+function normalizeTelegram(value) {
+  const raw = value.trim();
+  if (/^@?[A-Za-z0-9_]+$/.test(raw)) {
+    const name = raw.replace(/^@/, "");
+    return TG_NAME.test(name) ? { url: `https://t.me/${name}` } : { error: `"${name}" is not a valid Telegram username (5-32 characters)` };
+  }
+  let url;
+  try {
+    url = new URL(/^https?:\/\//i.test(raw) ? raw : `https://${raw}`);
+  } catch {
+    return { error: `"${raw}" is not a URL` };
+  }
+  if (!/^(t\.me|telegram\.me|telegram\.dog)$/i.test(url.hostname)) return { error: `${url.hostname} is not t.me` };
+  const path = url.pathname.replace(/\/+$/, "");
+  const [first] = path.split("/").filter(Boolean);
+  if (!first) return { error: "link to a channel, group or invite, not t.me itself" };
+  if (!first.startsWith("+") && first !== "joinchat" && !TG_NAME.test(first)) return { error: `"${first}" is not a valid Telegram username` };
+  return { url: `https://t.me${path}` };
+}
+
+function normalizeWebsite(value) {
+  const raw = value.trim();
+  let url;
+  try {
+    url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(raw) ? raw : `https://${raw}`);
+  } catch {
+    return { error: `"${raw}" is not a URL` };
+  }
+  if (url.protocol !== "https:" && url.protocol !== "http:") return { error: `${url.protocol} links are not allowed` };
+  if (url.username || url.password) return { error: "remove the user:password from the URL" };
+  if (!/^([a-z0-9-]+\.)+[a-z]{2,}$/i.test(url.hostname)) return { error: `${url.hostname} is not a public domain` };
+  return { url: url.href, ...(url.protocol === "http:" && { warning: "not https — wallets may flag it" }) };
+}
+
+/**
+ * Check and normalize launch metadata.
+ *
+ * @param {object} token - name, symbol and optionally description, twitter, telegram, website, uri
+ * @param {object} [options]
+ * @param {typeof TOKEN_LIMITS} [options.limits]
+ * @returns {{ token: object, problems: { field: string, message: string }[], warnings: { field: string, message: string }[] }}
+ */
+export function checkToken(token, { limits = TOKEN_LIMITS } = {}) {
+  const problems = [];
+  const warnings = [];
+  const problem = (field, message) => problems.push({ field, message });
+  const warn = (field, message) => warnings.push({ field, message });
+  const out = { ...token };
+
+  const name = (token.name ?? "").trim().replace(/\s+/g, " ");
+  if (!name) problem("name", "is required");
+  else if (HIDDEN.test(name)) problem("name", "contains control or invisible characters");
+  else if (bytesOf(name) > limits.nameBytes) problem("name", `is ${bytesOf(name)} bytes, the limit is ${limits.nameBytes}`);
+  if (name !== token.name && name) warn("name", "trimmed whitespace");
+  out.name = name;
+
+  let symbol = (token.symbol ?? "").trim();
+  if (symbol.startsWith("$")) {
+    symbol = symbol.slice(1);
+    warn("symbol", 'dropped the leading "$" — pump.fun adds it');
+  }
+  if (!symbol) problem("symbol", "is required");
+  else if (!SYMBOL.test(symbol)) problem("symbol", "may only contain letters, digits, emoji, _ . and -");
+  else if (bytesOf(symbol) > limits.symbolBytes) problem("symbol", `is ${bytesOf(symbol)} bytes, the limit is ${limits.symbolBytes}`);
+  out.symbol = symbol;
+
+  if (token.description != null) {
+    const description = token.description.trim().replace(/\r\n/g, "\n");
+    if (/[^\P{Cc}\n\t]/u.test(description)) problem("description", "contains control characters");
+    else if ([...description].length > limits.descriptionChars) {
+      problem("description", `is ${[...description].length} characters, the limit is ${limits.descriptionChars}`);
+    }
+    out.description = description || undefined;
+  }
+
+  for (const [field, normalize] of [["twitter", normalizeTwitter], ["telegram", normalizeTelegram], ["website", normalizeWebsite]]) {
+    if (!token[field]) continue;
+    const result = normalize(token[field]);
+    if (result.error) problem(field, result.error);
+    else out[field] = result.url;
+    if (result.warning) warn(field, result.warning);
+  }
+
+  if (token.uri != null) {
+    if (!/^(https?|ipfs|ar):\/\//.test(token.uri)) problem("uri", "must be an https://, ipfs:// or ar:// URI");
+    else if (bytesOf(token.uri) > limits.uriBytes) problem("uri", `is ${bytesOf(token.uri)} bytes, the limit is ${limits.uriBytes}`);
+  }
+
+  return { token: out, problems, warnings };
+}
+
+/** Throw a MetadataError listing every problem. */
+export function assertValid({ problems }, what = "Token metadata") {
+  if (problems.length === 0) return;
+  const list = problems.map((p) => `${p.field} ${p.message}`).join("; ");
+  throw new MetadataError(`${what} is invalid: ${list}`, { reason: "invalid", problems });
+}
+
+/**
+ * validateToken() = checkToken() that throws on problems.
+ *
+ * @returns {{ token: object, warnings: { field: string, message: string }[] }}
+ * @throws {MetadataError} reason "invalid"
+ */
+export function validateToken(token, options) {
+  const result = checkToken(token, options);
+  assertValid(result);
+  return { token: result.token, warnings: result.warnings };
+}
+
+// ============================================================================
+// IMAGE PARSING
+// ============================================================================
+
+/** JPEG segments up to and including start-of-scan (which runs to the end). */
+function jpegSegments(bytes) {
+  const segments = [];
+  let i = 2;
+  while (i + 4 <= bytes.length) {
+    if (bytes[i] !== 0xff) throw new Error(`bad JPEG marker at ${i}`);
+    const marker = bytes[i + 1];
+    if (marker === 0xff) {
+      i++;
+      continue;
+    }
+    if (marker === 0xd9 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      segments.push({ marker, start: i, end: i + 2 });
+      i += 2;
+      continue;
+    }
+    if (marker === 0xda) {
+      segments.push({ marker, start: i, end: bytes.length });
+      break;
+    }
+    const end = i + 2 + bytes.readUInt16BE(i + 2);
+    segments.push({ marker, start: i, end });
+    i = end;
+  }
+  return segments;
+}
+
+/** EXIF orientation (1-8) from an APP1 Exif segment's TIFF header. */
+function exifOrientation(bytes, start) {
+  const tiff = start + 10;
+  const le = bytes.toString("latin1", tiff, tiff + 2) === "II";
+  const u16 = (o) => (le ? bytes.readUInt16LE(o) : bytes.readUInt16BE(o));
+  const u32 = (o) => (le ? bytes.readUInt32LE(o) : bytes.readUInt32BE(o));
+  const ifd = tiff + u32(tiff + 4);
+  for (let n = 0; n < u16(ifd); n++) {
+    const entry = ifd + 2 + n * 12;
+    if (u16(entry) === 0x0112) return u16(entry + 8);
+  }
+  return 1;
+}
+
+const JPEG_SOF = new Set([0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf]);
+// APP1 (EXIF, XMP), APP13 (Photoshop / IPTC) and comments; JFIF, ICC and Adobe stay
+const JPEG_STRIP = new Set([0xe1, 0xed, 0xfe]);
+const PNG_STRIP = new Set(["eXIf", "tEXt", "zTXt", "iTXt", "tIME"]);
+const WEBP_STRIP = new Set(["EXIF", "XMP "]);
+
+function pngChunks(bytes) {
+  const chunks = [];
+  for (let i = 8; i + 12 <= bytes.length; ) {
+    const length = bytes.readUInt32BE(i);
+    chunks.push({ type: bytes.toString("latin1", i + 4, i + 8), start: i, data: i + 8, end: i + 12 + length });
+    i += 12 + length;
+  }
+  return chunks;
+}
+
+function webpChunks(bytes) {
+  const chunks = [];
+  for (let i = 12; i + 8 <= bytes.length; ) {
+    const size = bytes.readUInt32LE(i + 4);
+    chunks.push({ type: bytes.toString("latin1", i, i + 4), start: i, data: i + 8, end: Math.min(bytes.length, i + 8 + size + (size % 2)) });
+    i += 8 + size + (size % 2);
+  }
+  return chunks;
+}
+
+/**
+ * Format, dimensions and embedded metadata of an image, from its headers.
+ *
+ * @param {Uint8Array} data
+ * @returns {{ format: "png"|"jpeg"|"gif"|"webp"|null, width: number, height: number, animated: boolean,
+ *   orientation: number, metadata: string[] }} metadata: kinds present, e.g. ["EXIF", "XMP"]
+ */
+export function inspectImage(data) {
+  const bytes = Buffer.from(data.buffer ?? data, data.byteOffset ?? 0, data.byteLength ?? data.length);
+  const info = { format: null, width: 0, height: 0, animated: false, orientation: 1, metadata: [] };
+  const found = (kind) => !info.metadata.includes(kind) && info.metadata.push(kind);
+
+  try {
+    if (bytes.length > 24 && bytes.readUInt32BE(0) === 0x89504e47) {
+      info.format = "png";
+      for (const chunk of pngChunks(bytes)) {
+        if (chunk.type === "IHDR") {
+          info.width = bytes.readUInt32BE(chunk.data);
+          info.height = bytes.readUInt32BE(chunk.data + 4);
+        }
+        if (chunk.type === "acTL") info.animated = true;
+        if (chunk.type === "eXIf") found("EXIF");
+        if (chunk.type === "iTXt" && bytes.includes("XML:com.adobe.xmp", chunk.data, "latin1")) found("XMP");
+        else if (PNG_STRIP.has(chunk.type) && chunk.type !== "eXIf") found("text");
+      }
+    } else if (bytes.length > 4 && bytes[0] === 0xff && bytes[1] === 0xd8) {
+      info.format = "jpeg";
+      for (const seg of jpegSegments(bytes)) {
+        if (JPEG_SOF.has(seg.marker)) {
+          info.height = bytes.readUInt16BE(seg.start + 5);
+          info.width = bytes.readUInt16BE(seg.start + 7);
+        }
+        if (seg.marker === 0xe1 && bytes.toString("latin1", seg.start + 4, seg.start + 10) === "Exif\0\0") {
+          found("EXIF");
+          info.orientation = exifOrientation(bytes, seg.start);
+        } else if (seg.marker === 0xe1) found("XMP");
+        if (seg.marker === 0xed) found("IPTC");
+        if (seg.marker === 0xfe) found("comment");
+      }
+    } else if (bytes.length > 10 && /^GIF8[79]a$/.test(bytes.toString("latin1", 0, 6))) {
+      info.format = "gif";
+      info.width = bytes.readUInt16LE(6);
+      info.height = bytes.readUInt16LE(8);
+      info.animated = bytes.includes("NETSCAPE2.0", 0, "latin1");
+    } else if (bytes.length > 30 && bytes.toString("latin1", 0, 4) === "RIFF" && bytes.toString("latin1", 8, 12) === "WEBP") {
+      info.format = "webp";
+      for (const chunk of webpChunks(bytes)) {
+        const d = chunk.data;
+        if (chunk.type === "VP8X") {
+          info.animated = (bytes[d] & 0x02) !== 0;
+          info.width = 1 + bytes.readUIntLE(d + 4, 3);
+          info.height = 1 + bytes.readUIntLE(d + 7, 3);
+        } else if (chunk.type === "VP8 " && !info.width) {
+          info.width = bytes.readUInt16LE(d + 6) & 0x3fff;
+          info.height = bytes.readUInt16LE(d + 8) & 0x3fff;
+        } else if (chunk.type === "VP8L" && !info.width) {
+          info.width = 1 + (((bytes[d + 2] & 0x3f) << 8) | bytes[d + 1]);
+          info.height = 1 + (((bytes[d + 4] & 0x0f) << 10) | (bytes[d + 3] << 2) | ((bytes[d + 2] & 0xc0) >> 6));
+        }
+        if (chunk.type === "EXIF") found("EXIF");
+        if (chunk.type === "XMP ") found("XMP");
+      }
+    }
+  } catch {
+    // Truncated or corrupt headers: report what was read, normalizeImage rejects it
+    info.format = info.format && info.width ? info.format : null;
+  }
+  return info;
+}
+
+/**
+ * The image without EXIF, XMP, IPTC, comments and text chunks. Pixels are
+ * untouched.
+ *
+ * @param {Uint8Array} data
+ * @param {"png"|"jpeg"|"gif"|"webp"} format
+ * @returns {Buffer}
+ */
+export function stripMetadata(data, format) {
+  const bytes = Buffer.from(data.buffer ?? data, data.byteOffset ?? 0, data.byteLength ?? data.length);
+  if (format === "jpeg") {
+    const kept = jpegSegments(bytes).filter((s) => !JPEG_STRIP.has(s.marker));
+    return Buffer.concat([bytes.subarray(0, 2), ...kept.map((s) => bytes.subarray(s.start, s.end))]);
+  }
+  if (format === "png") {
+    const kept = pngChunks(bytes).filter((c) => !PNG_STRIP.has(c.type));
+    return Buffer.concat([bytes.subarray(0, 8), ...kept.map((c) => bytes.subarray(c.start, c.end))]);
+  }
+  if (format === "webp") {
+    const parts = [];
+    for (const chunk of webpChunks(bytes)) {
+      if (WEBP_STRIP.has(chunk.type)) continue;
+      const part = Buffer.from(bytes.subarray(chunk.start, chunk.end));
+      // Clear the EXIF / XMP flags of the extended header
+      if (chunk.type === "VP8X") part[8] &= ~0x0c;
+      parts.push(part);
+    }
+    const body = Buffer.concat(parts);
+    const header = Buffer.from(bytes.subarray(0, 12));
+    header.writeUInt32LE(4 + body.length, 4);
+    return Buffer.concat([header, body]);
+  }
+  return bytes;
+}
+
+// ============================================================================
+// IMAGE NORMALIZATION
+// ============================================================================
+
+let sharpModule;
+/** sharp if it's installed, otherwise null. */
+export async function loadSharp() {
+  if (sharpModule === undefined) sharpModule = await import("sharp").then((m) => m.default ?? m).catch(() => null);
+  return sharpModule;
+}
+
+/**
+ * Make an image ready for pump.fun: a square PNG / JPEG / GIF / WebP of at
+ * most `size` pixels and `maxBytes`, without EXIF or other metadata.
+ *
+ * @param {{ bytes: Uint8Array, contentType?: string, filename?: string }} file - e.g. from loadImage()
+ * @param {object} [options]
+ * @param {number} [options.size] - Longest side after resizing (default 1000)
+ * @param {number} [options.minSize] - Smaller images get a warning (default 100)
+ * @param {number} [options.maxBytes] - Default 4 MB
+ * @param {object|null} [options.sharp] - sharp module (default: import it if installed)
+ * @returns {Promise<{ bytes: Buffer, contentType: string, filename: string, format: string, width: number,
+ *   height: number, changed: boolean, changes: string[], warnings: { field: string, message: string }[] }>}
+ * @throws {MetadataError} reason "invalid"
+ */
+export async function normalizeImage(file, { size = IMAGE_LIMITS.size, minSize = IMAGE_LIMITS.minSize, maxBytes = IMAGE_LIMITS.maxBytes, sharp } = {}) {
+  const info = inspectImage(file.bytes);
+  const problems = [];
+  const warnings = [];
+  const changes = [];
+  const problem = (message) => problems.push({ field: "image", message });
+
+  if (!info.format || !info.width || !info.height) {
+    problem(`is not a PNG, JPEG, GIF or WebP image${file.contentType ? ` (${file.contentType})` : ""}`);
+    assertValid({ problems }, "Token image");
+  }
+  sharp = sharp === undefined ? await loadSharp() : sharp;
+
+  let bytes = Buffer.from(file.bytes);
+  let { width, height } = info;
+  const side = Math.min(width, height, size);
+  const rotated = info.orientation > 1;
+  const reshape = width !== height || width > size || rotated;
+
+  if (reshape && sharp) {
+    const animated = info.animated && (info.format === "gif" || info.format === "webp");
+    let pipeline = sharp(bytes, { animated }).rotate().resize(side, side, { fit: "cover", position: "centre" });
+    pipeline = info.format === "jpeg" ? pipeline.jpeg({ quality: 90 }) : pipeline.toFormat(info.format);
+    bytes = await pipeline.toBuffer();
+    if (rotated) changes.push(`rotated per EXIF orientation ${info.orientation}`);
+    if (width !== height) changes.push(`cropped ${width}x${height} to a centered square`);
+    if (Math.min(width, height) > side) changes.push(`resized to ${side}x${side}`);
+    width = height = side;
+  } else if (reshape) {
+    if (width !== height) problem(`is ${width}x${height}, not square — crop it, or npm install sharp to crop automatically`);
+    if (rotated) problem(`is rotated by EXIF orientation ${info.orientation}, which is removed with the EXIF — rotate it, or install sharp`);
+    if (width === height && width > size) warnings.push({ field: "image", message: `is ${width}x${height}; install sharp to scale it to ${size}x${size}` });
+  }
+
+  const before = bytes.length;
+  const metadata = inspectImage(bytes).metadata;
+  if (metadata.length) {
+    bytes = stripMetadata(bytes, info.format);
+    changes.push(`removed ${metadata.join(", ")} (${before - bytes.length} bytes)`);
+  }
+
+  // Too heavy: lossy formats can be re-encoded smaller
+  for (const quality of [80, 70, 60]) {
+    if (bytes.length <= maxBytes || !sharp || (info.format !== "jpeg" && info.format !== "webp")) break;
+    bytes = await sharp(bytes, { animated: info.animated }).toFormat(info.format, { quality }).toBuffer();
+    changes.push(`re-encoded at quality ${quality}`);
+  }
+  if (bytes.length > maxBytes) {
+    problem(`is ${(bytes.length / 1024 / 1024).toFixed(1)} MB, the limit is ${(maxBytes / 1024 / 1024).toFixed(1)} MB`);
+  }
+  if (Math.min(width, height) < minSize) {
+    warnings.push({ field: "image", message: `is only ${width}x${height} — it will look blurry on pump.fun` });
+  }
+  assertValid({ problems }, "Token image");
+
+  const base = (file.filename ?? "image").replace(/\.[^.]*$/, "");
+  return {
+    bytes,
+    contentType: IMAGE_FORMATS[info.format],
+    filename: `${base}${EXTENSIONS[info.format]}`,
+    format: info.format,
+    width,
+    height,
+    changed: changes.length > 0,
+    changes,
+    warnings,
+  };
+}
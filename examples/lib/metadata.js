@@ -0,0 +1,545 @@
+/**
+ * Token Metadata Providers
+ *
+ * Where a token's image and metadata JSON are stored before /api/create.
+ * (The old https://pump.fun/api/ipfs endpoint is gone.) Every provider has
+ * the same shape:
+ *
+ *   provider.id                                   cache namespace, e.g. "s3:my-bucket"
+ *   await provider.uploadFile({ bytes, contentType, filename }) → uri
+ *   await provider.uploadJson(object)                            → uri
+ *   provider.gatewayUrl(uri)                                     → http(s) URL to fetch it from
+ *
+ *   PinataProvider   Pinata pinFileToIPFS / pinJSONToIPFS
+ *   KuboProvider     a self-hosted IPFS node's HTTP API (/api/v0/add) — a local
+ *                    `ipfs daemon` works for testing
+ *   S3Provider       any S3-compatible bucket (AWS S3, Cloudflare R2, MinIO)
+ *                    with a public URL
+ *   PumpDevStorage   PumpDev's built-in storage: nothing is uploaded, /api/create
+ *                    and /api/create-lightning get `image` and the fields
+ *                    instead of `uri` and host the metadata themselves
+ *
+ * publishMetadata() uploads the image, then the metadata JSON pointing at it,
+ * retrying network errors, 429 and 5xx. It then checks that both resolve
+ * through the gateway, since pump.fun shows a blank token until they do.
+ * Uploads are cached by the SHA-256 of their content, so re-launching with
+ * the same image reuses the earlier URI instead of uploading it again.
+ *
+ * Usage:
+ *   const provider = providerFromEnv();
+ *   const { createParams } = await publishMetadata(provider, { name, symbol, description, twitter }, {
+ *     image: "./logo.png", // path, URL or { bytes, contentType, filename }
+ *     cache: new UploadCache({ file: "metadata-cache.json" }),
+ *   });
+ *   await client.create({ publicKey, name, symbol, ...createParams, buyAmountSol: 0.1 });
+ */
+
+import { createHash, createHmac } from "node:crypto";
+import { existsSync, readFileSync } from "node:fs";
+import { readFile } from "node:fs/promises";
+import { basename, extname } from "node:path";
+import { MetadataError } from "./errors.js";
+import { writeFileAtomic } from "./files.js";
+
+export const METADATA_PROVIDERS = ["pinata", "kubo", "s3", "pumpdev"];
+
+export const DEFAULT_IMAGE = "https://pumpdev.io/img/logo.jpg";
+
+const CONTENT_TYPES = {
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".svg": "image/svg+xml",
+  ".json": "application/json",
+};
+
+const EXTENSIONS = Object.fromEntries(Object.entries(CONTENT_TYPES).map(([ext, type]) => [type, ext]));
+
+const wait = (ms) => new Promise((r) => setTimeout(r, ms));
+const sha256 = (data) => createHash("sha256").update(data).digest("hex");
+const isUrl = (value) => typeof value === "string" && /^https?:\/\//.test(value);
+
+/** Turn a failed fetch response into a MetadataError; 429 and 5xx can be retried. */
+async function failed(res, provider, what) {
+  const text = await res.text().catch(() => "");
+  return new MetadataError(`${provider}: ${what} failed (${res.status}): ${text.slice(0, 200)}`, {
+    provider,
+    reason: "upload",
+    status: res.status,
+    endpoint: res.url,
+    retryable: res.status === 429 || res.status >= 500,
+  });
+}
+
+/** fetch() that reports network errors as retryable MetadataErrors. */
+async function send(fetchImpl, provider, url, init) {
+  try {
+    return await fetchImpl(url, init);
+  } catch (err) {
+    throw new MetadataError(`${provider}: ${url} unreachable: ${err.message}`, {
+      provider,
+      reason: "upload",
+      endpoint: url,
+      retryable: true,
+      cause: err,
+    });
+  }
+}
+
+function fileForm({ bytes, contentType, filename }) {
+  const form = new FormData();
+  form.append("file", new Blob([bytes], { type: contentType }), filename);
+  return form;
+}
+
+/** ipfs://CID → `${gateway}/ipfs/CID`; anything else is returned as-is. */
+const viaGateway = (gateway, uri) => (uri.startsWith("ipfs://") ? `${gateway}/ipfs/${uri.slice(7)}` : uri);
+
+// ============================================================================
+// PROVIDERS
+// ============================================================================
+
+export class PinataProvider {
+  /**
+   * @param {object} options
+   * @param {string} options.jwt - Pinata API JWT
+   * @param {string} [options.gateway] - Default https://gateway.pinata.cloud (or your dedicated gateway)
+   * @param {string} [options.apiUrl] - Default https://api.pinata.cloud
+   * @param {typeof fetch} [options.fetch]
+   */
+  constructor({ jwt, gateway = "https://gateway.pinata.cloud", apiUrl = "https://api.pinata.cloud", fetch: fetchImpl } = {}) {
+    if (!jwt) throw new MetadataError("pinata: set PINATA_JWT", { provider: "pinata", reason: "config" });
+    this.id = "pinata";
+    this.jwt = jwt;
+    this.apiUrl = apiUrl.replace(/\/$/, "");
+    this.gateway = gateway.replace(/\/$/, "");
+    this.fetch = fetchImpl || globalThis.fetch.bind(globalThis);
+  }
+
+  gatewayUrl(uri) {
+    return viaGateway(this.gateway, uri);
+  }
+
+  async pin(path, init, what) {
+    const res = await send(this.fetch, "pinata", `${this.apiUrl}${path}`, {
+      method: "POST",
+      ...init,
+      headers: { Authorization: `Bearer ${this.jwt}`, ...init.headers },
+    });
+    if (!res.ok) throw await failed(res, "pinata", what);
+    const { IpfsHash } = await res.json();
+    return `ipfs://${IpfsHash}`;
+  }
+
+  uploadFile(file) {
+    return this.pin("/pinning/pinFileToIPFS", { body: fileForm(file) }, "image upload");
+  }
+
+  uploadJson(object) {
+    return this.pin(
+      "/pinning/pinJSONToIPFS",
+      { headers: { "Content-Type": "application/json" }, body: JSON.stringify({ pinataContent: object }) },
+      "metadata upload",
+    );
+  }
+}
+
+export class KuboProvider {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.apiUrl] - Kubo RPC API (default http://127.0.0.1:5001)
+   * @param {string} [options.gateway] - Gateway the URIs point at (default http://127.0.0.1:8080;
+   *   use a public one, e.g. https://ipfs.io, for real launches)
+   * @param {string} [options.authorization] - Authorization header for a protected API
+   * @param {typeof fetch} [options.fetch]
+   */
+  constructor({ apiUrl = "http://127.0.0.1:5001", gateway = "http://127.0.0.1:8080", authorization, fetch: fetchImpl } = {}) {
+    this.apiUrl = apiUrl.replace(/\/$/, "");
+    this.id = `kubo:${this.apiUrl}`;
+    this.authorization = authorization ?? null;
+    this.gateway = gateway.replace(/\/$/, "");
+    this.fetch = fetchImpl || globalThis.fetch.bind(globalThis);
+  }
+
+  gatewayUrl(uri) {
+    return viaGateway(this.gateway, uri);
+  }
+
+  async uploadFile(file) {
+    const res = await send(this.fetch, "kubo", `${this.apiUrl}/api/v0/add?pin=true&cid-version=1`, {
+      method: "POST",
+      headers: this.authorization ? { Authorization: this.authorization } : {},
+      body: fileForm(file),
+    });
+    if (!res.ok) throw await failed(res, "kubo", `add ${file.filename}`);
+    const { Hash } = await res.json();
+    return `ipfs://${Hash}`;
+  }
+
+  uploadJson(object) {
+    const bytes = Buffer.from(JSON.stringify(object));
+    return this.uploadFile({ bytes, contentType: "application/json", filename: "metadata.json" });
+  }
+}
+
+export class S3Provider {
+  /**
+   * Content-addressed objects (`<prefix><sha256>.<ext>`) in an S3-compatible
+   * bucket, uploaded with a SigV4-signed PUT.
+   *
+   * @param {object} options
+   * @param {string} options.endpoint - e.g. https://s3.us-east-1.amazonaws.com, https://<account>.r2.cloudflarestorage.com
+   * @param {string} options.bucket
+   * @param {string} options.accessKeyId
+   * @param {string} options.secretAccessKey
+   * @param {string} [options.region] - Default us-east-1 ("auto" for R2)
+   * @param {string} [options.publicUrl] - Public base URL of the bucket (default: path-style endpoint URL)
+   * @param {string} [options.prefix] - Key prefix (default "pump/")
+   * @param {string} [options.acl] - e.g. "public-read" where the store uses ACLs
+   * @param {typeof fetch} [options.fetch]
+   */
+  constructor({ endpoint, bucket, accessKeyId, secretAccessKey, region = "us-east-1", publicUrl, prefix = "pump/", acl, fetch: fetchImpl } = {}) {
+    if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+      throw new MetadataError("s3: set S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY", {
+        provider: "s3",
+        reason: "config",
+      });
+    }
+    this.endpoint = endpoint.replace(/\/$/, "");
+    this.bucket = bucket;
+    this.id = `s3:${this.endpoint}/${bucket}`;
+    this.credentials = { accessKeyId, secretAccessKey };
+    this.region = region;
+    this.publicUrl = (publicUrl ?? `${this.endpoint}/${bucket}`).replace(/\/$/, "");
+    this.prefix = prefix;
+    this.acl = acl ?? null;
+    this.fetch = fetchImpl || globalThis.fetch.bind(globalThis);
+  }
+
+  gatewayUrl(uri) {
+    return uri;
+  }
+
+  async uploadFile({ bytes, contentType }) {
+    const key = `${this.prefix}${sha256(bytes)}${EXTENSIONS[contentType] ?? ""}`;
+    const url = `${this.endpoint}/${this.bucket}/${key.split("/").map(encodeURIComponent).join("/")}`;
+    const headers = signS3Request({
+      method: "PUT",
+      url,
+      headers: { "content-type": contentType, ...(this.acl && { "x-amz-acl": this.acl }) },
+      body: bytes,
+      region: this.region,
+      ...this.credentials,
+    });
+    const res = await send(this.fetch, "s3", url, { method: "PUT", headers, body: bytes });
+    if (!res.ok) throw await failed(res, "s3", `PUT ${key}`);
+    return `${this.publicUrl}/${key}`;
+  }
+
+  uploadJson(object) {
+    return this.uploadFile({ bytes: Buffer.from(JSON.stringify(object)), contentType: "application/json" });
+  }
+}
+
+/**
+ * AWS Signature Version 4 headers for a single S3 request.
+ *
+ * @param {object} request
+ * @param {string} request.method
+ * @param {string} request.url - Already URI-encoded path, no query string
+ * @param {Record<string, string>} [request.headers] - Lowercase names
+ * @param {Uint8Array} [request.body]
+ * @param {string} request.region
+ * @param {string} request.accessKeyId
+ * @param {string} request.secretAccessKey
+ * @param {Date} [request.date]
+ * @returns {Record<string, string>} Headers to send, Authorization included
+ */
+export function signS3Request({ method, url, headers = {}, body = new Uint8Array(), region, accessKeyId, secretAccessKey, date = new Date() }) {
+  const { host, pathname } = new URL(url);
+  const amzDate = date.toISOString().replace(/[-:]|\.\d{3}/g, "");
+  const day = amzDate.slice(0, 8);
+  const scope = `${day}/${region}/s3/aws4_request`;
+
+  const all = { ...headers, host, "x-amz-content-sha256": sha256(body), "x-amz-date": amzDate };
+  const names = Object.keys(all).sort();
+  const canonical = [method, pathname, "", ...names.map((n) => `${n}:${String(all[n]).trim()}`), "", names.join(";"), all["x-amz-content-sha256"]].join("\n");
+  const toSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonical)].join("\n");
+
+  const hmac = (key, data) => createHmac("sha256", key).update(data).digest();
+  const signingKey = ["s3", "aws4_request"].reduce(hmac, hmac(hmac(`AWS4${secretAccessKey}`, day), region));
+  const signature = createHmac("sha256", signingKey).update(toSign).digest("hex");
+
+  // fetch sets Host itself
+  const { host: _, ...rest } = all;
+  return {
+    ...rest,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(";")}, Signature=${signature}`,
+  };
+}
+
+export class PumpDevStorage {
+  /**
+   * PumpDev stores the metadata itself when /api/create or
+   * /api/create-lightning gets `image` instead of `uri`. The image must be
+   * a URL; give an `imageProvider` to upload local image files first.
+   *
+   * @param {object} [options]
+   * @param {object} [options.imageProvider] - Pinata / Kubo / S3 provider for local images
+   */
+  constructor({ imageProvider = null } = {}) {
+    this.id = "pumpdev";
+    this.hostsMetadata = true;
+    this.imageProvider = imageProvider;
+  }
+
+  gatewayUrl(uri) {
+    return this.imageProvider ? this.imageProvider.gatewayUrl(uri) : uri;
+  }
+
+  uploadFile(file) {
+    if (!this.imageProvider) {
+      throw new MetadataError("pumpdev: storage takes an image URL — set METADATA_IMAGE_PROVIDER to upload a local file", {
+        provider: "pumpdev",
+        reason: "config",
+      });
+    }
+    return this.imageProvider.uploadFile(file);
+  }
+
+  uploadJson() {
+    throw new MetadataError("pumpdev: metadata JSON is hosted by /api/create, not uploaded", { provider: "pumpdev", reason: "config" });
+  }
+}
+
+/**
+ * Provider from the environment: METADATA_PROVIDER (default pinata when
+ * PINATA_JWT is set, otherwise pumpdev) and that provider's settings.
+ *
+ * @param {NodeJS.ProcessEnv} [env]
+ */
+export function providerFromEnv(env = process.env, name = env.METADATA_PROVIDER || (env.PINATA_JWT ? "pinata" : "pumpdev")) {
+  switch (name) {
+    case "pinata":
+      return new PinataProvider({ jwt: env.PINATA_JWT, gateway: env.PINATA_GATEWAY });
+    case "kubo":
+      return new KuboProvider({ apiUrl: env.KUBO_API_URL, gateway: env.KUBO_GATEWAY, authorization: env.KUBO_AUTHORIZATION });
+    case "s3":
+      return new S3Provider({
+        endpoint: env.S3_ENDPOINT,
+        bucket: env.S3_BUCKET,
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        region: env.S3_REGION,
+        publicUrl: env.S3_PUBLIC_URL,
+        prefix: env.S3_PREFIX,
+        acl: env.S3_ACL,
+      });
+    case "pumpdev":
+      return new PumpDevStorage({
+        imageProvider: env.METADATA_IMAGE_PROVIDER ? providerFromEnv(env, env.METADATA_IMAGE_PROVIDER) : null,
+      });
+    default:
+      throw new MetadataError(`Unknown METADATA_PROVIDER "${name}" (use ${METADATA_PROVIDERS.join(", ")})`, { reason: "config" });
+  }
+}
+
+// ============================================================================
+// CACHE
+// ============================================================================
+
+/**
+ * Content hash → URI per provider, so identical images and metadata are
+ * uploaded once. Entries are kept in a JSON file when `file` is given.
+ */
+export class UploadCache {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.file] - JSON file to load and save (default: memory only)
+   */
+  constructor({ file } = {}) {
+    this.file = file ?? null;
+    this.entries = this.file && existsSync(this.file) ? JSON.parse(readFileSync(this.file, "utf8")) : {};
+  }
+
+  get(providerId, hash) {
+    return this.entries[`${providerId}|${hash}`]?.uri ?? null;
+  }
+
+  set(providerId, hash, uri) {
+    this.entries[`${providerId}|${hash}`] = { uri, ts: Date.now() };
+    this.save();
+  }
+
+  delete(providerId, hash) {
+    delete this.entries[`${providerId}|${hash}`];
+    this.save();
+  }
+
+  /** Write the cache to `file` (no-op without one). */
+  save() {
+    if (this.file) writeFileAtomic(this.file, JSON.stringify(this.entries, null, 2) + "\n");
+  }
+}
+
+// ============================================================================
+// PUBLISHING
+// ============================================================================
+
+/**
+ * Call `fn` until it succeeds, retrying MetadataErrors marked `retryable`
+ * with exponential backoff.
+ *
+ * @param {() => Promise<T>} fn
+ * @param {object} [options]
+ * @param {number} [options.attempts] - Default 3
+ * @param {number} [options.delayMs] - First backoff (default 1000, doubles each retry)
+ * @returns {Promise<T>}
+ * @template T
+ */
+export async function withRetry(fn, { attempts = 3, delayMs = 1000 } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (!err.retryable || attempt >= attempts) throw err;
+      await wait(delayMs * 2 ** (attempt - 1));
+    }
+  }
+}
+
+/**
+ * Read an image from a path or URL.
+ *
+ * @param {string|{ bytes: Uint8Array, contentType?: string, filename?: string }} image
+ * @param {typeof fetch} [fetchImpl]
+ * @returns {Promise<{ bytes: Uint8Array, contentType: string, filename: string }>}
+ */
+export async function loadImage(image, fetchImpl = globalThis.fetch) {
+  if (typeof image === "object" && image.bytes) {
+    const filename = image.filename ?? `image${EXTENSIONS[image.contentType] ?? ""}`;
+    return { bytes: image.bytes, filename, contentType: image.contentType ?? CONTENT_TYPES[extname(filename).toLowerCase()] ?? "application/octet-stream" };
+  }
+  if (isUrl(image)) {
+    const res = await fetchImpl(image);
+    if (!res.ok) throw new MetadataError(`Image ${image} returned ${res.status}`, { reason: "upload", status: res.status, endpoint: image });
+    const filename = basename(new URL(image).pathname) || "image";
+    const contentType = res.headers.get("content-type")?.split(";")[0] ?? CONTENT_TYPES[extname(filename).toLowerCase()] ?? "application/octet-stream";
+    return { bytes: new Uint8Array(await res.arrayBuffer()), contentType, filename };
+  }
+  return { bytes: await readFile(image), contentType: CONTENT_TYPES[extname(image).toLowerCase()] ?? "application/octet-stream", filename: basename(image) };
+}
+
+/**
+ * Fetch a URL until it answers 2xx — gateways can take a while to find newly
+ * pinned content.
+ *
+ * @param {string} url
+ * @param {object} [options]
+ * @param {number} [options.attempts] - Default 5
+ * @param {number} [options.delayMs] - Between attempts (default 3000)
+ * @param {number} [options.timeoutMs] - Per request (default 15000)
+ * @param {typeof fetch} [options.fetch]
+ * @returns {Promise<{ url: string, ms: number, attempts: number, body: string }>}
+ * @throws {MetadataError} reason "verify"
+ */
+export async function verifyUri(url, { attempts = 5, delayMs = 3000, timeoutMs = 15_000, fetch: fetchImpl = globalThis.fetch } = {}) {
+  const started = Date.now();
+  let last = "";
+  for (let attempt = 1; attempt <= attempts; attempt++) {
+    if (attempt > 1) await wait(delayMs);
+    try {
+      const res = await fetchImpl(url, { signal: AbortSignal.timeout(timeoutMs) });
+      if (res.ok) return { url, ms: Date.now() - started, attempts: attempt, body: await res.text() };
+      last = `HTTP ${res.status}`;
+    } catch (err) {
+      last = err.message;
+    }
+  }
+  throw new MetadataError(`${url} not reachable after ${attempts} attempts (${last})`, { reason: "verify", endpoint: url });
+}
+
+/**
+ * Upload (or reuse) the image and metadata JSON and return what /api/create
+ * needs.
+ *
+ * @param {object} provider - See the top of this file
+ * @param {object} token - name, symbol and optionally description, twitter, telegram, website
+ * @param {object} [options]
+ * @param {string|object} [options.image] - Path, URL or { bytes, contentType, filename } (default DEFAULT_IMAGE)
+ * @param {UploadCache} [options.cache]
+ * @param {boolean} [options.verify] - Check the URIs resolve (default true)
+ * @param {number} [options.attempts] - Upload attempts (default 3)
+ * @param {object} [options.verifyOptions] - Passed to verifyUri
+ * @returns {Promise<{ uri: string|null, imageUri: string, metadata: object, createParams: object,
+ *   cached: { image: boolean, metadata: boolean }, verified: string[] }>}
+ *   `createParams` is `{ uri }`, or with PumpDev storage `{ image, description, twitter, telegram, website }`
+ */
+export async function publishMetadata(provider, token, { image = DEFAULT_IMAGE, cache, verify = true, attempts = 3, verifyOptions } = {}) {
+  const fields = Object.fromEntries(
+    ["description", "twitter", "telegram", "website"].filter((k) => token[k]).map((k) => [k, token[k]]),
+  );
+  const cached = { image: false, metadata: false };
+  const verified = [];
+
+  const check = async (uri) => {
+    if (!verify) return null;
+    const result = await verifyUri(provider.gatewayUrl(uri), verifyOptions);
+    verified.push(result.url);
+    return result;
+  };
+  // A cached URI that no longer resolves (unpinned, bucket emptied) is uploaded again
+  const upload = async (kind, hash, fn) => {
+    const hit = cache?.get(provider.id, hash);
+    if (hit) {
+      try {
+        const result = await check(hit);
+        cached[kind] = true;
+        return { uri: hit, result };
+      } catch (err) {
+        if (err.reason !== "verify") throw err;
+        cache.delete(provider.id, hash);
+      }
+    }
+    const uri = await withRetry(fn, { attempts });
+    const result = await check(uri);
+    cache?.set(provider.id, hash, uri);
+    return { uri, result };
+  };
+
+  // PumpDev storage with an image URL: nothing to upload
+  let imageUri;
+  if (provider.hostsMetadata && isUrl(image)) {
+    imageUri = image;
+    await check(imageUri);
+  } else {
+    const file = await loadImage(image);
+    ({ uri: imageUri } = await upload("image", sha256(file.bytes), () => provider.uploadFile(file)));
+  }
+
+  if (provider.hostsMetadata) {
+    const url = provider.gatewayUrl(imageUri);
+    return { uri: null, imageUri: url, metadata: null, createParams: { image: url, ...fields }, cached, verified };
+  }
+
+  const metadata = { name: token.name, symbol: token.symbol, ...fields, image: imageUri, showName: true };
+  const json = JSON.stringify(metadata);
+  const { uri: stored, result } = await upload("metadata", sha256(json), () => provider.uploadJson(metadata));
+  const uri = provider.gatewayUrl(stored);
+
+  if (result) {
+    let served;
+    try {
+      served = JSON.parse(result.body);
+    } catch {
+      served = null;
+    }
+    if (served?.image !== imageUri) {
+      throw new MetadataError(`${uri} does not serve the metadata that was uploaded`, { provider: provider.id, reason: "verify", endpoint: uri });
+    }
+  }
+
+  return { uri, imageUri, metadata, createParams: { uri }, cached, verified };
+}
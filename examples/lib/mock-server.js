@@ -0,0 +1,1154 @@
+/**
+ * Local Mock PumpDev API
+ *
+ * A stand-in for https://pumpdev.io that runs every example offline. It
+ * implements the documented REST surface plus the /ws feed, and answers with
+ * the same response shapes as the real API — including real unsigned
+ * VersionedTransactions with pump.fun buy/sell/create instructions, PumpDev
+ * commission and Jito tip transfers, so lib/inspect.js verification passes.
+ *
+ * State is kept in memory: a constant-product bonding curve per mint,
+ * token holdings, creator fees and Lightning wallets. Curves only move when
+ * a trade "executes" — a Lightning call, or a bundle sent to the mock Jito
+ * block engine (/api/v1/bundles on the same port). Executed trades are
+ * streamed to /ws subscribers, and migrate to PumpSwap at 85 real SOL.
+ *
+ * Blockhashes come from `rpcUrl` (e.g. a local solana-test-validator) when
+ * set, otherwise a random fake blockhash is used — fine for building,
+ * inspecting and signing, but such transactions can't be sent anywhere.
+ *
+ * Usage:
+ *   const mock = new MockPumpDevServer({ port: 8787, feedIntervalMs: 2000 });
+ *   const { apiUrl, wsUrl } = await mock.start();
+ *   // PUMPDEV_API_URL=apiUrl PUMPDEV_WS_URL=wsUrl JITO_ENDPOINTS=apiUrl node buy-sell.js
+ *   await mock.stop();
+ */
+
+import { createHash, randomBytes } from "node:crypto";
+import { EventEmitter } from "node:events";
+import http from "node:http";
+import {
+  ComputeBudgetProgram,
+  Connection,
+  Keypair,
+  LAMPORTS_PER_SOL,
+  PublicKey,
+  SystemProgram,
+  TransactionInstruction,
+  TransactionMessage,
+  VersionedTransaction,
+} from "@solana/web3.js";
+import bs58 from "bs58";
+import { WebSocketServer } from "ws";
+import { PUMP_PROGRAM_ID } from "./errors.js";
+import {
+  ASSOCIATED_TOKEN_PROGRAM_ID,
+  JITO_TIP_ACCOUNTS,
+  SYSTEM_PROGRAM_ID,
+  TOKEN_PROGRAM_ID,
+  associatedTokenAddress,
+  decodeTransaction,
+} from "./inspect.js";
+
+// ============================================================================
+// BONDING CURVE MODEL
+// ============================================================================
+
+const TOKEN_DECIMALS = 6;
+const TOTAL_SUPPLY = 1_000_000_000 * 10 ** TOKEN_DECIMALS;
+const INITIAL_VIRTUAL_SOL = 30 * LAMPORTS_PER_SOL;
+const INITIAL_VIRTUAL_TOKENS = 1_073_000_000 * 10 ** TOKEN_DECIMALS;
+const MIGRATION_REAL_SOL = 85 * LAMPORTS_PER_SOL;
+
+const COMMISSION_BPS = 25;
+const LIGHTNING_COMMISSION_BPS = 50;
+const CREATOR_FEE_BPS = 30;
+const CASHBACK_BPS = 30;
+const NETWORK_FEE_LAMPORTS = 5000;
+/** Position assumed for a percentage sell when the mock has no record of a buy. */
+const DEFAULT_POSITION = 1_000_000 * 10 ** TOKEN_DECIMALS;
+
+const PUMP_FEE_RECIPIENT = "CebN5WGQ4jvEPvsVU4EoHEpgzq1VV7AbicfhtW4xC9iM";
+const MPL_TOKEN_METADATA = "metaqbxxUerdq28cj1RbAWkYQm3ybzjb6a8bt518x1s";
+const WSOL_MINT = "So11111111111111111111111111111111111111112";
+const RENT_SYSVAR = "SysvarRent111111111111111111111111111111111";
+
+function pda(seeds) {
+  const [address] = PublicKey.findProgramAddressSync(
+    seeds.map((s) => (typeof s === "string" ? Buffer.from(s) : s.toBuffer())),
+    new PublicKey(PUMP_PROGRAM_ID),
+  );
+  return address;
+}
+
+function newCurve(mint, { creator = null, name = "", symbol = "", uri = "", cashback = false } = {}) {
+  return {
+    mint,
+    creator,
+    name,
+    symbol,
+    uri,
+    cashback,
+    virtualSol: INITIAL_VIRTUAL_SOL,
+    virtualTokens: INITIAL_VIRTUAL_TOKENS,
+    realSol: 0,
+    complete: false,
+    pool: null,
+  };
+}
+
+/** Tokens out for a SOL input (lamports → raw token units). */
+function tokensForSol(curve, lamports) {
+  const k = BigInt(curve.virtualSol) * BigInt(curve.virtualTokens);
+  const after = k / BigInt(curve.virtualSol + lamports);
+  return Number(BigInt(curve.virtualTokens) - after);
+}
+
+/** SOL needed to buy an exact token amount. */
+function solForTokens(curve, tokens) {
+  const k = BigInt(curve.virtualSol) * BigInt(curve.virtualTokens);
+  const remaining = BigInt(curve.virtualTokens - tokens);
+  if (remaining <= 0n) return Infinity;
+  return Number(k / remaining - BigInt(curve.virtualSol)) + 1;
+}
+
+/** SOL out for selling a token amount. */
+function solForSell(curve, tokens) {
+  const k = BigInt(curve.virtualSol) * BigInt(curve.virtualTokens);
+  const after = k / BigInt(curve.virtualTokens + tokens);
+  return Number(BigInt(curve.virtualSol) - after);
+}
+
+function marketCapSol(curve) {
+  return (curve.virtualSol / curve.virtualTokens) * (TOTAL_SUPPLY / LAMPORTS_PER_SOL);
+}
+
+// ============================================================================
+// INSTRUCTION BUILDERS
+// ============================================================================
+
+function discriminator(name) {
+  return createHash("sha256").update(`global:${name}`).digest().subarray(0, 8);
+}
+
+function u64(value) {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64LE(BigInt(Math.max(0, Math.floor(value))));
+  return buf;
+}
+
+function borshString(value) {
+  const bytes = Buffer.from(value, "utf8");
+  const len = Buffer.alloc(4);
+  len.writeUInt32LE(bytes.length);
+  return Buffer.concat([len, bytes]);
+}
+
+const key = (pubkey, isSigner = false, isWritable = false) => ({
+  pubkey: new PublicKey(pubkey),
+  isSigner,
+  isWritable,
+});
+
+function tradeKeys(mint, user, creator) {
+  return {
+    global: pda(["global"]),
+    bondingCurve: pda(["bonding-curve", new PublicKey(mint)]),
+    creatorVault: pda(["creator-vault", new PublicKey(creator ?? user)]),
+    eventAuthority: pda(["__event_authority"]),
+  };
+}
+
+function pumpBuyIx({ mint, user, creator, tokenAmount, maxSolCost }) {
+  const k = tradeKeys(mint, user, creator);
+  return new TransactionInstruction({
+    programId: new PublicKey(PUMP_PROGRAM_ID),
+    keys: [
+      key(k.global),
+      key(PUMP_FEE_RECIPIENT, false, true),
+      key(mint),
+      key(k.bondingCurve, false, true),
+      key(associatedTokenAddress(k.bondingCurve, mint), false, true),
+      key(associatedTokenAddress(user, mint), false, true),
+      key(user, true, true),
+      key(SYSTEM_PROGRAM_ID),
+      key(TOKEN_PROGRAM_ID),
+      key(k.creatorVault, false, true),
+      key(k.eventAuthority),
+      key(PUMP_PROGRAM_ID),
+    ],
+    data: Buffer.concat([discriminator("buy"), u64(tokenAmount), u64(maxSolCost)]),
+  });
+}
+
+function pumpSellIx({ mint, user, creator, tokenAmount, minSolOutput }) {
+  const k = tradeKeys(mint, user, creator);
+  return new TransactionInstruction({
+    programId: new PublicKey(PUMP_PROGRAM_ID),
+    keys: [
+      key(k.global),
+      key(PUMP_FEE_RECIPIENT, false, true),
+      key(mint),
+      key(k.bondingCurve, false, true),
+      key(associatedTokenAddress(k.bondingCurve, mint), false, true),
+      key(associatedTokenAddress(user, mint), false, true),
+      key(user, true, true),
+      key(SYSTEM_PROGRAM_ID),
+      key(k.creatorVault, false, true),
+      key(TOKEN_PROGRAM_ID),
+      key(k.eventAuthority),
+      key(PUMP_PROGRAM_ID),
+    ],
+    data: Buffer.concat([discriminator("sell"), u64(tokenAmount), u64(minSolOutput)]),
+  });
+}
+
+function pumpCreateIx({ mint, user, name, symbol, uri }) {
+  const bondingCurve = pda(["bonding-curve", new PublicKey(mint)]);
+  return new TransactionInstruction({
+    programId: new PublicKey(PUMP_PROGRAM_ID),
+    keys: [
+      key(mint, true, true),
+      key(pda(["mint-authority"])),
+      key(bondingCurve, false, true),
+      key(associatedTokenAddress(bondingCurve, mint), false, true),
+      key(pda(["global"])),
+      key(MPL_TOKEN_METADATA),
+      key(pda(["metadata", new PublicKey(mint)]), false, true),
+      key(user, true, true),
+      key(SYSTEM_PROGRAM_ID),
+      key(TOKEN_PROGRAM_ID),
+      key(ASSOCIATED_TOKEN_PROGRAM_ID),
+      key(RENT_SYSVAR),
+      key(pda(["__event_authority"])),
+      key(PUMP_PROGRAM_ID),
+    ],
+    data: Buffer.concat([
+      discriminator("create"),
+      borshString(name),
+      borshString(symbol),
+      borshString(uri),
+      new PublicKey(user).toBuffer(),
+    ]),
+  });
+}
+
+/** Claim-style instruction with only the user, a PDA vault and the program. */
+function pumpSimpleIx(name, user, vaultSeed) {
+  return new TransactionInstruction({
+    programId: new PublicKey(PUMP_PROGRAM_ID),
+    keys: [
+      key(user, true, true),
+      key(pda([vaultSeed, new PublicKey(user)]), false, true),
+      key(SYSTEM_PROGRAM_ID),
+      key(pda(["__event_authority"])),
+      key(PUMP_PROGRAM_ID),
+    ],
+    data: discriminator(name),
+  });
+}
+
+/** The caller's mint keypair (`mintKeypair`, base58 secret key — e.g. a vanity address) or a fresh one. */
+function mintKeypairOf(body) {
+  if (!body.mintKeypair) return Keypair.generate();
+  try {
+    return Keypair.fromSecretKey(bs58.decode(body.mintKeypair));
+  } catch {
+    throw bad("Invalid mintKeypair");
+  }
+}
+
+function transferIx(from, to, lamports) {
+  return SystemProgram.transfer({
+    fromPubkey: new PublicKey(from),
+    toPubkey: new PublicKey(to),
+    lamports: Math.max(0, Math.floor(lamports)),
+  });
+}
+
+function priorityIxs(priorityFeeSol = 0.0001, units = 120000) {
+  const microLamports = Math.floor((priorityFeeSol * LAMPORTS_PER_SOL * 1e6) / units);
+  return [
+    ComputeBudgetProgram.setComputeUnitLimit({ units }),
+    ComputeBudgetProgram.setComputeUnitPrice({ microLamports }),
+  ];
+}
+
+// ============================================================================
+// HTTP HELPERS
+// ============================================================================
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const bad = (message) => new HttpError(400, message);
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on("data", (c) => chunks.push(c));
+    req.on("end", () => {
+      const text = Buffer.concat(chunks).toString();
+      if (!text) return resolve({});
+      try {
+        resolve(JSON.parse(text));
+      } catch {
+        reject(bad("Invalid JSON body"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+function assertPubkey(value, field) {
+  try {
+    return new PublicKey(value).toBase58();
+  } catch {
+    throw bad(`Invalid ${field}: ${value}`);
+  }
+}
+
+function isTrue(value) {
+  return value === true || value === "true";
+}
+
+function sol(lamports) {
+  return Number((lamports / LAMPORTS_PER_SOL).toFixed(9));
+}
+
+function uiTokens(raw) {
+  return raw / 10 ** TOKEN_DECIMALS;
+}
+
+function fakeSignature() {
+  return bs58.encode(randomBytes(64));
+}
+
+// ============================================================================
+// SERVER
+// ============================================================================
+
+export class MockPumpDevServer extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {number} [options.port] - 0 picks a free port (default 8787)
+   * @param {string} [options.host] - Default 127.0.0.1
+   * @param {string} [options.rpcUrl] - Fetch real blockhashes from this RPC (e.g. http://127.0.0.1:8899)
+   * @param {number} [options.feedIntervalMs] - Emit synthetic creates/trades on /ws (0 = off)
+   * @param {number} [options.walletBalanceSol] - Balance reported for transfer-all (default 1)
+   */
+  constructor({
+    port = 8787,
+    host = "127.0.0.1",
+    rpcUrl,
+    feedIntervalMs = 0,
+    walletBalanceSol = 1,
+  } = {}) {
+    super();
+    this.port = port;
+    this.host = host;
+    this.connection = rpcUrl ? new Connection(rpcUrl, "confirmed") : null;
+    this.feedIntervalMs = feedIntervalMs;
+    this.walletBalanceSol = walletBalanceSol;
+
+    /** Commission receiver, also logged at startup for PUMPDEV_FEE_WALLETS. */
+    this.feeWallet = Keypair.generate().publicKey.toBase58();
+    this.slot = 300_000_000;
+
+    this.curves = new Map(); // mint → curve
+    this.holdings = new Map(); // `${wallet}:${mint}` → raw tokens
+    this.creatorFees = new Map(); // creator → lamports
+    this.cashback = new Map(); // wallet → lamports
+    this.wallets = new Map(); // apiKey → Keypair
+    this.bundles = new Map(); // bundleId → { slot, signatures }
+    this.clients = new Map(); // ws → { newToken, tokens: Set, accounts: Set }
+
+    this.routes = {
+      "POST /api/trade-local": (q, b) => this.tradeLocal(b),
+      "POST /api/trade-bundle": (q, b) => this.tradeBundle(b),
+      "POST /api/create": (q, b) => this.create(b),
+      "POST /api/create-bundle": (q, b) => this.createBundle(b),
+      "POST /api/bundle": (q, b) => this.bundle(b),
+      "POST /api/wallet/create": (q, b) => this.walletCreate(b),
+      "POST /api/wallet/import": (q, b) => this.walletImport(b),
+      "POST /api/trade-lightning": (q, b) => this.tradeLightning(q, b),
+      "POST /api/create-lightning": (q, b) => this.createLightning(q, b),
+      "POST /api/bundle-lightning": (q, b) => this.bundleLightning(b),
+      "GET /api/claim-account": (q) => this.getClaimAccount(q),
+      "POST /api/claim-account": (q, b) => this.claimAccount(b),
+      "POST /api/claim-all": (q, b) => this.claimAll(b),
+      "POST /api/claim-distribute": (q, b) => this.claimDistribute(b),
+      "GET /api/claim-cashback": (q) => this.getClaimCashback(q),
+      "POST /api/claim-cashback": (q, b) => this.claimCashback(b),
+      "POST /api/transfer": (q, b) => this.transfer(b),
+      "POST /api/transfer-all": (q, b) => this.transferAll(b),
+      // Jito block engine stand-in
+      "POST /api/v1/bundles": (q, b) => this.jitoRpc(b),
+      "POST /api/v1/getInflightBundleStatuses": (q, b) => this.jitoRpc(b),
+      "POST /api/v1/getBundleStatuses": (q, b) => this.jitoRpc(b),
+    };
+  }
+
+  /** Start HTTP + WebSocket on the configured port. */
+  async start() {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    this.wss = new WebSocketServer({ server: this.server, path: "/ws" });
+    this.wss.on("connection", (ws) => this.onSocket(ws));
+
+    await new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+    this.port = this.server.address().port;
+
+    if (this.feedIntervalMs > 0) {
+      this.feedTimer = setInterval(() => this.tickFeed(), this.feedIntervalMs);
+    }
+
+    this.apiUrl = `http://${this.host}:${this.port}`;
+    this.wsUrl = `ws://${this.host}:${this.port}/ws`;
+    return { apiUrl: this.apiUrl, wsUrl: this.wsUrl };
+  }
+
+  async stop() {
+    clearInterval(this.feedTimer);
+    for (const ws of this.clients.keys()) ws.terminate();
+    await new Promise((resolve) => this.wss.close(resolve));
+    await new Promise((resolve) => this.server.close(resolve));
+  }
+
+  async handle(req, res) {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+    const route = this.routes[`${req.method} ${url.pathname}`];
+    const requestId = randomBytes(8).toString("hex");
+
+    try {
+      if (req.method === "GET" && url.pathname.startsWith("/metadata/")) {
+        res.writeHead(200, { "Content-Type": "application/json" });
+        return res.end(JSON.stringify(this.metadata(url.pathname.slice(10).replace(/\.json$/, ""))));
+      }
+      if (!route) throw new HttpError(404, `Not found: ${req.method} ${url.pathname}`);
+      const body = req.method === "POST" ? await readJson(req) : {};
+      const result = await route(Object.fromEntries(url.searchParams), body);
+      this.emit("request", { method: req.method, path: url.pathname, status: 200 });
+
+      if (result instanceof VersionedTransaction) {
+        res.writeHead(200, { "Content-Type": "application/octet-stream", "x-request-id": requestId });
+        res.end(Buffer.from(result.serialize()));
+      } else {
+        res.writeHead(200, { "Content-Type": "application/json", "x-request-id": requestId });
+        res.end(JSON.stringify(result));
+      }
+    } catch (err) {
+      const status = err.status ?? 500;
+      this.emit("request", { method: req.method, path: url.pathname, status, error: err.message });
+      res.writeHead(status, { "Content-Type": "application/json", "x-request-id": requestId });
+      res.end(JSON.stringify({ error: err.message, requestId }));
+    }
+  }
+
+  /** Metadata JSON behind the mock-hosted `uri` of created tokens. */
+  metadata(mint) {
+    const curve = this.curves.get(mint);
+    if (!curve) throw new HttpError(404, `Unknown mint: ${mint}`);
+    return {
+      name: curve.name,
+      symbol: curve.symbol,
+      description: curve.description ?? "",
+      image: curve.image ?? "https://pumpdev.io/img/logo.jpg",
+      showName: true,
+      createdOn: "https://pump.fun",
+    };
+  }
+
+  // ==========================================================================
+  // STATE
+  // ==========================================================================
+
+  async blockhash() {
+    if (!this.connection) return bs58.encode(randomBytes(32));
+    const { blockhash } = await this.connection.getLatestBlockhash("confirmed");
+    return blockhash;
+  }
+
+  async compile(payer, instructions) {
+    const message = new TransactionMessage({
+      payerKey: new PublicKey(payer),
+      recentBlockhash: await this.blockhash(),
+      instructions,
+    }).compileToV0Message();
+    return new VersionedTransaction(message);
+  }
+
+  curve(mint) {
+    if (!this.curves.has(mint)) this.curves.set(mint, newCurve(mint));
+    return this.curves.get(mint);
+  }
+
+  holding(wallet, mint) {
+    return this.holdings.get(`${wallet}:${mint}`) ?? 0;
+  }
+
+  addHolding(wallet, mint, delta) {
+    const id = `${wallet}:${mint}`;
+    this.holdings.set(id, Math.max(0, (this.holdings.get(id) ?? 0) + delta));
+  }
+
+  /**
+   * Price a buy/sell request into instruction amounts.
+   * Throws 400 for the same things the real API rejects.
+   */
+  quote({ action, mint, wallet, amount, denominatedInSol, slippage = 10 }) {
+    if (action !== "buy" && action !== "sell") throw bad(`Invalid action: ${action}`);
+    const curve = this.curve(mint);
+    if (curve.complete) throw bad("Bonding curve complete — token has migrated to PumpSwap");
+    const slip = Number(slippage) / 100;
+
+    if (action === "buy") {
+      const inSol = denominatedInSol === undefined || isTrue(denominatedInSol);
+      const value = Number(amount);
+      if (!(value > 0)) throw bad(`Invalid amount: ${amount}`);
+      const lamports = inSol ? Math.round(value * LAMPORTS_PER_SOL) : solForTokens(curve, value * 10 ** TOKEN_DECIMALS);
+      const tokenAmount = inSol ? tokensForSol(curve, lamports) : value * 10 ** TOKEN_DECIMALS;
+      if (!Number.isFinite(lamports)) throw bad("Not enough tokens left on the bonding curve");
+      return { action, lamports, tokenAmount, limit: Math.floor(lamports * (1 + slip)) };
+    }
+
+    let tokenAmount;
+    if (typeof amount === "string" && amount.endsWith("%")) {
+      const pct = Number(amount.slice(0, -1));
+      if (!(pct > 0 && pct <= 100)) throw bad(`Invalid amount: ${amount}`);
+      const position = this.holding(wallet, mint) || DEFAULT_POSITION;
+      tokenAmount = Math.floor((position * pct) / 100);
+    } else {
+      const value = Number(amount);
+      if (!(value > 0)) throw bad(`Invalid amount: ${amount}`);
+      const lamports = value * LAMPORTS_PER_SOL;
+      if (isTrue(denominatedInSol) && lamports >= curve.virtualSol) throw bad("Not enough SOL in the bonding curve");
+      // Tokens to sell for an exact SOL output: x = vT·L / (vS − L)
+      tokenAmount = isTrue(denominatedInSol)
+        ? Math.ceil((curve.virtualTokens * lamports) / (curve.virtualSol - lamports))
+        : value * 10 ** TOKEN_DECIMALS;
+    }
+    const lamports = solForSell(curve, tokenAmount);
+    return { action, lamports, tokenAmount, limit: Math.floor(lamports * (1 - slip)) };
+  }
+
+  /** Instructions for one trade: compute budget, pump ix, commission. */
+  tradeInstructions(wallet, mint, q, { priorityFee, commissionBps = COMMISSION_BPS } = {}) {
+    const curve = this.curve(mint);
+    const params = { mint, user: wallet, creator: curve.creator, tokenAmount: q.tokenAmount };
+    return [
+      ...priorityIxs(priorityFee),
+      q.action === "buy"
+        ? pumpBuyIx({ ...params, maxSolCost: q.limit })
+        : pumpSellIx({ ...params, minSolOutput: q.limit }),
+      transferIx(wallet, this.feeWallet, (q.lamports * commissionBps) / 10000),
+    ];
+  }
+
+  /**
+   * Apply a signed transaction to the mock chain: creates register a curve,
+   * buys/sells move it, and every change is streamed to /ws subscribers.
+   */
+  execute(tx) {
+    const decoded = decodeTransaction(tx, { commissionWallets: [this.feeWallet] });
+    const signature = bs58.encode(tx.signatures[0]);
+    this.slot++;
+
+    for (const ix of decoded.instructions) {
+      if (ix.type === "pump.create" || ix.type === "pump.create_v2") {
+        // Keep build-time details (cashback, image) but reset the curve itself
+        const curve = { ...this.curves.get(ix.mint), ...newCurve(ix.mint, { creator: ix.creator, name: ix.name, symbol: ix.symbol, uri: ix.uri }) };
+        curve.cashback = this.curves.get(ix.mint)?.cashback ?? false;
+        this.curves.set(ix.mint, curve);
+        const buy = decoded.instructions.find((b) => b.type === "pump.buy" && b.mint === ix.mint);
+        this.publishCreate(curve, signature, buy ? solForTokens(curve, buy.tokenAmount) : 0);
+      }
+    }
+
+    for (const ix of decoded.instructions) {
+      if (ix.type === "pump.buy") {
+        // A create's dev buy was already applied by publishCreate
+        if (decoded.instructions.some((c) => c.type.startsWith("pump.create") && c.mint === ix.mint)) continue;
+        const curve = this.curve(ix.mint);
+        const lamports = solForTokens(curve, ix.tokenAmount);
+        this.applyTrade(curve, { txType: "buy", trader: ix.user, lamports, tokens: ix.tokenAmount, signature });
+      } else if (ix.type === "pump.sell") {
+        const curve = this.curve(ix.mint);
+        const lamports = solForSell(curve, ix.tokenAmount);
+        this.applyTrade(curve, { txType: "sell", trader: ix.user, lamports, tokens: ix.tokenAmount, signature });
+      }
+    }
+    return signature;
+  }
+
+  applyTrade(curve, { txType, trader, lamports, tokens, signature }) {
+    const sign = txType === "buy" ? 1 : -1;
+    if (!curve.complete) {
+      curve.virtualSol += sign * lamports;
+      curve.virtualTokens -= sign * tokens;
+      curve.realSol += sign * lamports;
+    }
+    this.addHolding(trader, curve.mint, sign * tokens);
+
+    const fee = Math.floor((lamports * CREATOR_FEE_BPS) / 10000);
+    if (curve.cashback) {
+      this.cashback.set(trader, (this.cashback.get(trader) ?? 0) + Math.floor((lamports * CASHBACK_BPS) / 10000));
+    } else if (curve.creator) {
+      this.creatorFees.set(curve.creator, (this.creatorFees.get(curve.creator) ?? 0) + fee);
+    }
+
+    this.publishTrade(curve, { txType, trader, lamports, tokens, signature });
+
+    if (!curve.complete && curve.realSol >= MIGRATION_REAL_SOL) {
+      curve.complete = true;
+      curve.pool = Keypair.generate().publicKey.toBase58();
+      this.publish(curve, { signature: fakeSignature(), mint: curve.mint, txType: "complete", bondingCurveKey: pda(["bonding-curve", new PublicKey(curve.mint)]).toBase58() });
+      this.publish(curve, { signature: fakeSignature(), mint: curve.mint, txType: "create_pool", pool: curve.pool, source: "pumpswap" });
+    }
+  }
+
+  // ==========================================================================
+  // WEBSOCKET
+  // ==========================================================================
+
+  onSocket(ws) {
+    const subs = { newToken: false, tokens: new Set(), accounts: new Set() };
+    this.clients.set(ws, subs);
+
+    const reply = (msg) => ws.readyState === ws.OPEN && ws.send(JSON.stringify(msg));
+    reply({ type: "connected", message: "Connected to PumpDev mock WebSocket" });
+
+    ws.on("message", (data) => {
+      let msg;
+      try {
+        msg = JSON.parse(data.toString());
+      } catch {
+        return reply({ type: "error", message: "Invalid JSON" });
+      }
+      const keys = Array.isArray(msg.keys) ? msg.keys : [];
+
+      switch (msg.method) {
+        case "subscribeNewToken":
+          subs.newToken = true;
+          return reply({ type: "subscribed", method: msg.method });
+        case "unsubscribeNewToken":
+          subs.newToken = false;
+          return reply({ type: "unsubscribed", method: msg.method });
+        case "subscribeTokenTrade":
+        case "subscribeAccountTrade": {
+          if (keys.length === 0) return reply({ type: "error", message: `${msg.method} requires keys` });
+          const set = msg.method === "subscribeTokenTrade" ? subs.tokens : subs.accounts;
+          keys.forEach((k) => set.add(k));
+          return reply({ type: "subscribed", method: msg.method, keys });
+        }
+        case "unsubscribeTokenTrade":
+        case "unsubscribeAccountTrade": {
+          const set = msg.method === "unsubscribeTokenTrade" ? subs.tokens : subs.accounts;
+          keys.forEach((k) => set.delete(k));
+          return reply({ type: "unsubscribed", method: msg.method, keys });
+        }
+        default:
+          return reply({ type: "error", message: `Unknown method: ${msg.method}` });
+      }
+    });
+
+    ws.on("close", () => this.clients.delete(ws));
+  }
+
+  /** Send an event to every socket whose subscriptions match it. */
+  publish(curve, event) {
+    this.emit("event", event);
+    for (const [ws, subs] of this.clients) {
+      const match =
+        (event.txType === "create" && subs.newToken) ||
+        (event.txType !== "create" && subs.tokens.has(event.mint)) ||
+        (event.traderPublicKey && subs.accounts.has(event.traderPublicKey));
+      if (match && ws.readyState === ws.OPEN) ws.send(JSON.stringify(event));
+    }
+  }
+
+  curveFields(curve) {
+    return {
+      bondingCurveKey: pda(["bonding-curve", new PublicKey(curve.mint)]).toBase58(),
+      vTokensInBondingCurve: uiTokens(curve.virtualTokens),
+      vSolInBondingCurve: sol(curve.virtualSol),
+      marketCapSol: marketCapSol(curve),
+    };
+  }
+
+  publishCreate(curve, signature, devBuyLamports) {
+    const tokens = devBuyLamports > 0 ? tokensForSol(curve, devBuyLamports) : 0;
+    if (tokens > 0) {
+      curve.virtualSol += devBuyLamports;
+      curve.virtualTokens -= tokens;
+      curve.realSol += devBuyLamports;
+      this.addHolding(curve.creator, curve.mint, tokens);
+    }
+    this.publish(curve, {
+      signature,
+      mint: curve.mint,
+      traderPublicKey: curve.creator,
+      txType: "create",
+      initialBuy: uiTokens(tokens),
+      solAmount: sol(devBuyLamports),
+      name: curve.name,
+      symbol: curve.symbol,
+      uri: curve.uri,
+      ...this.curveFields(curve),
+    });
+  }
+
+  publishTrade(curve, { txType, trader, lamports, tokens, signature }) {
+    this.publish(curve, {
+      signature,
+      mint: curve.mint,
+      traderPublicKey: trader,
+      txType,
+      tokenAmount: uiTokens(tokens),
+      solAmount: sol(lamports),
+      newTokenBalance: uiTokens(this.holding(trader, curve.mint)),
+      ...this.curveFields(curve),
+      ...(curve.complete ? { pool: curve.pool, source: "pumpswap" } : { source: "pump" }),
+    });
+  }
+
+  /** Synthetic market activity so sniper-bot.js / websocket.js have input. */
+  tickFeed() {
+    const live = [...this.curves.values()].filter((c) => c.creator && !c.complete);
+    if (live.length === 0 || Math.random() < 0.25) {
+      const mint = Keypair.generate().publicKey.toBase58();
+      const n = this.curves.size + 1;
+      const curve = newCurve(mint, {
+        creator: Keypair.generate().publicKey.toBase58(),
+        name: `Mock Token ${n}`,
+        symbol: `MOCK${n}`,
+        uri: `${this.apiUrl}/metadata/${mint}.json`,
+      });
+      this.curves.set(mint, curve);
+      this.publishCreate(curve, fakeSignature(), Math.round(Math.random() * 3 * LAMPORTS_PER_SOL));
+      return;
+    }
+
+    const curve = live[Math.floor(Math.random() * live.length)];
+    const trader = Keypair.generate().publicKey.toBase58();
+    if (Math.random() < 0.7) {
+      const lamports = Math.round((0.05 + Math.random() * 2) * LAMPORTS_PER_SOL);
+      this.applyTrade(curve, { txType: "buy", trader, lamports, tokens: tokensForSol(curve, lamports), signature: fakeSignature() });
+    } else {
+      const tokens = Math.floor((INITIAL_VIRTUAL_TOKENS - curve.virtualTokens) * Math.random() * 0.2);
+      if (tokens > 0) {
+        this.applyTrade(curve, { txType: "sell", trader, lamports: solForSell(curve, tokens), tokens, signature: fakeSignature() });
+      }
+    }
+  }
+
+  // ==========================================================================
+  // TRADING (local sign)
+  // ==========================================================================
+
+  async tradeLocal(body) {
+    const wallet = assertPubkey(body.publicKey, "publicKey");
+    const mint = assertPubkey(body.mint, "mint");
+    const q = this.quote({ ...body, wallet, mint });
+    if (body.action === "sell" && q.tokenAmount <= 0) throw bad("No token balance found");
+    return this.compile(wallet, this.tradeInstructions(wallet, mint, q, body));
+  }
+
+  async tradeBundle(body) {
+    const started = Date.now();
+    const mint = assertPubkey(body.mint, "mint");
+    if (!Array.isArray(body.accounts) || body.accounts.length === 0) throw bad("accounts is required");
+
+    const transactions = [];
+    for (const account of body.accounts) {
+      try {
+        const tx = await this.tradeLocal({ ...body, ...account, mint });
+        transactions.push({ name: account.name, publicKey: account.publicKey, transaction: bs58.encode(tx.serialize()), error: null });
+      } catch (err) {
+        transactions.push({ name: account.name, publicKey: account.publicKey, transaction: null, error: err.message });
+      }
+    }
+    const success = transactions.filter((t) => t.transaction).length;
+    return {
+      transactions,
+      stats: { total: transactions.length, success, failed: transactions.length - success, durationMs: Date.now() - started },
+    };
+  }
+
+  // ==========================================================================
+  // TOKEN CREATION (local sign)
+  // ==========================================================================
+
+  createInstructions(creator, mintKeypair, body) {
+    if (!body.name || !body.symbol) throw bad("name and symbol are required");
+    const mint = mintKeypair.publicKey.toBase58();
+    const uri = body.uri || `${this.apiUrl}/metadata/${mint}.json`;
+    const curve = newCurve(mint, { creator, name: body.name, symbol: body.symbol, uri, cashback: isTrue(body.cashbackEnabled) });
+    curve.description = body.description;
+    curve.image = body.image;
+    this.curves.set(mint, curve);
+    return { mint, curve, ix: pumpCreateIx({ mint, user: creator, name: body.name, symbol: body.symbol, uri }) };
+  }
+
+  buyInstructions(wallet, mint, amountSol, slippage, options = {}) {
+    const q = this.quote({ action: "buy", mint, wallet, amount: amountSol, denominatedInSol: "true", slippage });
+    return this.tradeInstructions(wallet, mint, q, options);
+  }
+
+  tipIx(wallet, jitoTip) {
+    return transferIx(wallet, [...JITO_TIP_ACCOUNTS][0], Number(jitoTip) * LAMPORTS_PER_SOL);
+  }
+
+  async create(body) {
+    const creator = assertPubkey(body.publicKey, "publicKey");
+    const mintKeypair = mintKeypairOf(body);
+    const { mint, ix } = this.createInstructions(creator, mintKeypair, body);
+    const slippage = body.slippage ?? 90;
+    const mintSecretKey = bs58.encode(mintKeypair.secretKey);
+
+    // create + buy + tip + commission doesn't fit in one tx: split for Jito
+    if (body.jitoTip && body.buyAmountSol) {
+      const createTx = await this.compile(creator, [...priorityIxs(body.priorityFee, 250000), ix]);
+      const buyTx = await this.compile(creator, [
+        ...this.buyInstructions(creator, mint, body.buyAmountSol, slippage, body),
+        this.tipIx(creator, body.jitoTip),
+      ]);
+      return {
+        mint,
+        mintSecretKey,
+        transactions: [
+          { transaction: bs58.encode(createTx.serialize()), signers: ["creator", "mint"], description: "Create token" },
+          { transaction: bs58.encode(buyTx.serialize()), signers: ["creator"], description: `Dev buy ${body.buyAmountSol} SOL + Jito tip` },
+        ],
+      };
+    }
+
+    const instructions = [...priorityIxs(body.priorityFee, 250000), ix];
+    if (body.buyAmountSol) {
+      instructions.push(...this.buyInstructions(creator, mint, body.buyAmountSol, slippage).slice(2));
+    }
+    if (body.jitoTip) instructions.push(this.tipIx(creator, body.jitoTip));
+    const tx = await this.compile(creator, instructions);
+    return { mint, mintSecretKey, transaction: bs58.encode(tx.serialize()), signers: ["creator", "mint"] };
+  }
+
+  async createBundle(body) {
+    const creator = assertPubkey(body.publicKey, "publicKey");
+    if (!body.jitoTip) throw bad("jitoTip is required for create-bundle");
+    const buyers = body.additionalBuyers ?? [];
+    if (buyers.length > 3) throw bad("Up to 3 additionalBuyers are supported");
+
+    const mintKeypair = mintKeypairOf(body);
+    const { mint, ix } = this.createInstructions(creator, mintKeypair, body);
+    const slippage = body.slippage ?? 90;
+    const entries = [];
+
+    const first = [...priorityIxs(body.priorityFee, 250000), ix];
+    if (body.buyAmountSol) first.push(...this.buyInstructions(creator, mint, body.buyAmountSol, slippage).slice(2));
+    entries.push({ payer: creator, instructions: first, signers: ["creator", "mint"], description: `Create token + dev buy ${body.buyAmountSol ?? 0} SOL` });
+
+    buyers.forEach((buyer, i) => {
+      const wallet = assertPubkey(buyer.publicKey, `additionalBuyers[${i}].publicKey`);
+      entries.push({
+        payer: wallet,
+        instructions: this.buyInstructions(wallet, mint, buyer.amountSol, slippage, body),
+        signers: [`buyer${i + 1}`],
+        description: `Buyer ${i + 1} buys ${buyer.amountSol} SOL`,
+      });
+    });
+
+    const last = entries[entries.length - 1];
+    last.instructions.push(this.tipIx(last.payer, body.jitoTip));
+    last.description += " + Jito tip";
+
+    const transactions = [];
+    for (const e of entries) {
+      const tx = await this.compile(e.payer, e.instructions);
+      transactions.push({ transaction: bs58.encode(tx.serialize()), signers: e.signers, description: e.description });
+    }
+    return { mint, mintSecretKey: bs58.encode(mintKeypair.secretKey), transactions };
+  }
+
+  /** Shared by /api/bundle and /api/bundle-lightning: one tx per account, tip on the last. */
+  async buildBundle(body, walletOf, commissionBps = COMMISSION_BPS) {
+    if (!Array.isArray(body.accounts) || body.accounts.length === 0) throw bad("accounts is required");
+    if (body.accounts.length > 4) throw bad("A bundle holds at most 4 transactions");
+    if (!body.jitoTip) throw bad("jitoTip is required");
+
+    let mint = body.mint ? assertPubkey(body.mint, "mint") : null;
+    let mintKeypair = null;
+    const entries = [];
+
+    for (const [i, account] of body.accounts.entries()) {
+      const wallet = walletOf(account, i);
+      if (account.type === "create") {
+        mintKeypair = mintKeypairOf(account);
+        const created = this.createInstructions(wallet, mintKeypair, account);
+        mint = created.mint;
+        entries.push({ type: "create", wallet, instructions: [...priorityIxs(account.priorityFee, 250000), created.ix], signers: [wallet, mint] });
+      } else {
+        if (!mint) throw bad("mint is required (or a create account first)");
+        const q = this.quote({ ...account, action: account.type, mint, wallet, slippage: account.slippage ?? body.slippage ?? 15 });
+        entries.push({ type: account.type, wallet, instructions: this.tradeInstructions(wallet, mint, q, { ...body, commissionBps }), signers: [wallet] });
+      }
+    }
+
+    const last = entries[entries.length - 1];
+    last.instructions.push(this.tipIx(last.wallet, body.jitoTip));
+
+    const transactions = [];
+    for (const e of entries) {
+      const tx = await this.compile(e.wallet, e.instructions);
+      transactions.push({ type: e.type, publicKey: e.wallet, signers: e.signers, transaction: bs58.encode(tx.serialize()), tx });
+    }
+    return { mint, mintKeypair, transactions };
+  }
+
+  async bundle(body) {
+    const built = await this.buildBundle(body, (account, i) =>
+      assertPubkey(account.publicKey, `accounts[${i}].publicKey`),
+    );
+    return {
+      mint: built.mint,
+      ...(built.mintKeypair && { mintSecretKey: bs58.encode(built.mintKeypair.secretKey) }),
+      transactions: built.transactions.map(({ tx, ...entry }) => entry),
+    };
+  }
+
+  // ==========================================================================
+  // LIGHTNING (server sign) — signed here and applied to the mock chain
+  // ==========================================================================
+
+  registerWallet(keypair) {
+    const apiKey = `mock_${randomBytes(16).toString("hex")}`;
+    this.wallets.set(apiKey, keypair);
+    return apiKey;
+  }
+
+  walletFor(apiKey) {
+    if (!apiKey) throw new HttpError(401, "Missing api-key");
+    const keypair = this.wallets.get(apiKey);
+    if (!keypair) throw new HttpError(401, "Invalid api-key");
+    return keypair;
+  }
+
+  walletCreate() {
+    const keypair = Keypair.generate();
+    return {
+      apiKey: this.registerWallet(keypair),
+      publicKey: keypair.publicKey.toBase58(),
+      privateKey: bs58.encode(keypair.secretKey),
+      warning: "Mock wallet — exists only while the mock server runs.",
+    };
+  }
+
+  walletImport(body) {
+    let keypair;
+    try {
+      keypair = Keypair.fromSecretKey(bs58.decode(body.privateKey));
+    } catch {
+      throw bad("Invalid privateKey");
+    }
+    return {
+      apiKey: this.registerWallet(keypair),
+      publicKey: keypair.publicKey.toBase58(),
+      warning: "Mock wallet — exists only while the mock server runs.",
+    };
+  }
+
+  async tradeLightning(query, body) {
+    const keypair = this.walletFor(query["api-key"]);
+    const wallet = keypair.publicKey.toBase58();
+    const mint = assertPubkey(body.mint, "mint");
+    const q = this.quote({ ...body, wallet, mint });
+    const tx = await this.compile(wallet, this.tradeInstructions(wallet, mint, q, { ...body, commissionBps: LIGHTNING_COMMISSION_BPS }));
+    tx.sign([keypair]);
+    const signature = this.execute(tx);
+    return { signature, action: body.action, mint, solAmount: sol(q.lamports), tokenAmount: uiTokens(q.tokenAmount) };
+  }
+
+  async createLightning(query, body) {
+    const keypair = this.walletFor(query["api-key"]);
+    const creator = keypair.publicKey.toBase58();
+    const mintKeypair = mintKeypairOf(body);
+    const { mint, ix, curve } = this.createInstructions(creator, mintKeypair, { ...body, uri: body.uri });
+    const instructions = [...priorityIxs(body.priorityFee, 250000), ix];
+    if (body.buyAmountSol) {
+      instructions.push(...this.buyInstructions(creator, mint, body.buyAmountSol, body.slippage ?? 90, { commissionBps: LIGHTNING_COMMISSION_BPS }).slice(2));
+    }
+    const tx = await this.compile(creator, instructions);
+    tx.sign([keypair, mintKeypair]);
+    const signature = this.execute(tx);
+    return { mint, signature, metadataUri: curve.uri, pumpfun: `https://pump.fun/${mint}` };
+  }
+
+  async bundleLightning(body) {
+    const keypairs = [];
+    const built = await this.buildBundle(
+      body,
+      (account) => {
+        const keypair = this.walletFor(account.apiKey);
+        keypairs.push(keypair);
+        return keypair.publicKey.toBase58();
+      },
+      LIGHTNING_COMMISSION_BPS,
+    );
+
+    const results = built.transactions.map((entry, i) => {
+      const signers = [keypairs[i]];
+      if (entry.type === "create") signers.push(built.mintKeypair);
+      entry.tx.sign(signers);
+      return { type: entry.type, publicKey: entry.publicKey, signature: this.execute(entry.tx), error: null };
+    });
+    return { mint: built.mint, bundleId: randomBytes(32).toString("hex"), results };
+  }
+
+  // ==========================================================================
+  // CLAIMS
+  // ==========================================================================
+
+  getClaimAccount(query) {
+    const publicKey = assertPubkey(query.publicKey, "publicKey");
+    const curve = query.mint ? this.curves.get(assertPubkey(query.mint, "mint")) : null;
+    const lamports = this.creatorFees.get(publicKey) ?? 0;
+    const graduated = curve?.complete ?? false;
+    return {
+      publicKey,
+      mint: query.mint ?? null,
+      pumpBalance: graduated ? 0 : sol(lamports),
+      pumpSwapBalance: graduated ? sol(lamports) : 0,
+      totalClaimable: sol(lamports),
+      isNativeQuote: true,
+      quoteMint: WSOL_MINT,
+      graduated,
+      hasFeeSharing: false,
+      shareholders: [],
+    };
+  }
+
+  async claimAccount(body) {
+    const publicKey = assertPubkey(body.publicKey, "publicKey");
+    if (!(this.creatorFees.get(publicKey) > 0)) throw bad("No claimable fees");
+    this.creatorFees.set(publicKey, 0);
+    return this.compile(publicKey, [...priorityIxs(), pumpSimpleIx("collect_creator_fee", publicKey, "creator-vault")]);
+  }
+
+  async claimAll(body) {
+    const publicKey = assertPubkey(body.publicKey, "publicKey");
+    const mints = body.mints ?? [];
+    const claimable = this.creatorFees.get(publicKey) > 0;
+    const transactions = [];
+    for (const mint of mints) {
+      const curve = this.curves.get(mint);
+      if (!claimable || !curve || curve.creator !== publicKey) {
+        transactions.push({ mint, transaction: null, error: "No claimable fees" });
+        continue;
+      }
+      const tx = await this.compile(publicKey, [...priorityIxs(), pumpSimpleIx("collect_creator_fee", publicKey, "creator-vault")]);
+      transactions.push({ mint, transaction: bs58.encode(tx.serialize()), graduated: curve.complete, error: null });
+    }
+    if (claimable) this.creatorFees.set(publicKey, 0);
+    const count = transactions.filter((t) => t.transaction).length;
+    return { count, errors: transactions.length - count, transactions };
+  }
+
+  async claimDistribute(body) {
+    const publicKey = assertPubkey(body.publicKey, "publicKey");
+    assertPubkey(body.mint, "mint");
+    return this.compile(publicKey, [...priorityIxs(), pumpSimpleIx("distribute_creator_fees", publicKey, "sharing-config")]);
+  }
+
+  getClaimCashback(query) {
+    const publicKey = assertPubkey(query.publicKey, "publicKey");
+    const lamports = this.cashback.get(publicKey) ?? 0;
+    const program = query.program ?? "both";
+    return {
+      publicKey,
+      program,
+      pumpCashback: program === "pumpswap" ? 0 : sol(lamports),
+      pumpSwapCashback: 0,
+      totalCashback: program === "pumpswap" ? 0 : sol(lamports),
+      isNativeQuote: true,
+      quoteMint: WSOL_MINT,
+    };
+  }
+
+  async claimCashback(body) {
+    const publicKey = assertPubkey(body.publicKey, "publicKey");
+    if (!(this.cashback.get(publicKey) > 0)) throw bad("No cashback to claim");
+    this.cashback.set(publicKey, 0);
+    return this.compile(publicKey, [...priorityIxs(), pumpSimpleIx("claim_cashback", publicKey, "user-volume-accumulator")]);
+  }
+
+  // ==========================================================================
+  // TRANSFERS
+  // ==========================================================================
+
+  async transfer(body) {
+    const from = assertPubkey(body.publicKey, "publicKey");
+    const to = assertPubkey(body.recipient, "recipient");
+    const amount = Number(body.amount);
+    if (!(amount > 0)) throw bad(`Invalid amount: ${body.amount}`);
+    return this.compile(from, [transferIx(from, to, Math.round(amount * LAMPORTS_PER_SOL))]);
+  }
+
+  async transferAll(body) {
+    const from = assertPubkey(body.publicKey, "publicKey");
+    const to = assertPubkey(body.recipient, "recipient");
+    const balance = this.connection
+      ? await this.connection.getBalance(new PublicKey(from))
+      : Math.round(this.walletBalanceSol * LAMPORTS_PER_SOL);
+    const lamports = balance - NETWORK_FEE_LAMPORTS;
+    if (lamports <= 0) throw bad("Insufficient balance");
+    const tx = await this.compile(from, [transferIx(from, to, lamports)]);
+    return { transaction: bs58.encode(tx.serialize()), estimatedAmount: sol(lamports), estimatedFees: sol(NETWORK_FEE_LAMPORTS) };
+  }
+
+  // ==========================================================================
+  // JITO BLOCK ENGINE
+  // ==========================================================================
+
+  /** JSON-RPC stand-in: every bundle "lands" in the next slot and is executed. */
+  jitoRpc(body) {
+    const respond = (result) => ({ jsonrpc: "2.0", id: body.id ?? 1, result });
+    const context = { slot: this.slot };
+
+    switch (body.method) {
+      case "sendBundle": {
+        const encoded = body.params?.[0] ?? [];
+        const txs = encoded.map((t) => VersionedTransaction.deserialize(bs58.decode(t)));
+        const signatures = txs.map((tx) => bs58.encode(tx.signatures[0]));
+        const bundleId = createHash("sha256").update(signatures.join("")).digest("hex");
+        if (!this.bundles.has(bundleId)) {
+          txs.forEach((tx) => this.execute(tx));
+          this.bundles.set(bundleId, { slot: this.slot, signatures });
+        }
+        return respond(bundleId);
+      }
+      case "getInflightBundleStatuses":
+        return respond({
+          context,
+          value: (body.params?.[0] ?? []).map((id) => {
+            const b = this.bundles.get(id);
+            return b ? { bundle_id: id, status: "Landed", landed_slot: b.slot } : { bundle_id: id, status: "Invalid", landed_slot: null };
+          }),
+        });
+      case "getBundleStatuses":
+        return respond({
+          context,
+          value: (body.params?.[0] ?? []).map((id) => {
+            const b = this.bundles.get(id);
+            return b && { bundle_id: id, transactions: b.signatures, slot: b.slot, confirmation_status: "confirmed", err: { Ok: null } };
+          }),
+        });
+      default:
+        return { jsonrpc: "2.0", id: body.id ?? 1, error: { code: -32601, message: `Method not found: ${body.method}` } };
+    }
+  }
+}
@@ -0,0 +1,421 @@
+/**
+ * Position & Exit Manager
+ *
+ * Tracks open positions from the /ws feed and sells automatically. Each
+ * bought mint is followed with subscribeTokenTrade; its live price is the
+ * `marketCapSol` of every trade (supply is fixed, so market cap moves 1:1
+ * with price) and exits are measured as a multiple of the entry market cap.
+ *
+ * Exit config (all optional):
+ *   takeProfit      [{ multiple: 2, sellPercent: 50 }, { multiple: 4, sellPercent: 50 }]
+ *                   sellPercent is a share of the original position
+ *   stopLossPercent 40          sell everything at -40% (0.6x)
+ *   trailingStop    { activateMultiple: 1.5, trailPercent: 25 }
+ *                   once 1.5x is reached, sell everything 25% below the peak
+ *   maxHoldMs       600000      sell everything after 10 minutes
+ *   onMigration     "sell" | "hold"   sell once the PumpSwap pool exists (default "hold");
+ *                   stays pending until it goes through, like any other exit
+ *
+ * Sells go through a seller function — localSeller() signs /api/trade-local
+ * transactions (with a Keypair or a lib/signer.js signer), lightningSeller()
+ * calls /api/trade-lightning.
+ *
+ * Events:
+ *   open       { position }
+ *   price      { position, marketCapSol, multiple }
+ *   trigger    { position, reason, percent }            percent of the current balance
+ *   sell       { position, reason, percent, result }
+ *   sellFailed { position, reason, percent, error }
+ *   migration  { position, stage }                      "complete" or "create_pool"
+ *   close      { position, reason }
+ *
+ * Usage:
+ *   const positions = new PositionManager({ feed, seller: localSeller({ client, keypair, sender }) });
+ *   positions.open({ mint, costSol: 0.01, exits: { takeProfit: [{ multiple: 2, sellPercent: 50 }], stopLossPercent: 40 } });
+ */
+
+import { EventEmitter } from "node:events";
+import { StrategyConfigError } from "./errors.js";
+import { verifyTransaction } from "./inspect.js";
+import { rebuildFromTradeLocal } from "./sender.js";
+import { tokenBalance } from "./tokens.js";
+import { toSigner } from "./signer.js";
+
+/** Remaining share below this counts as fully sold. */
+const DUST_PERCENT = 0.01;
+
+// ============================================================================
+// EXIT CONFIG
+// ============================================================================
+
+const isNumber = (value) => Number.isFinite(value) && value > 0;
+
+/**
+ * Check an exit config.
+ *
+ * @param {object} exits
+ * @param {string} [path] - Prefix for problem messages
+ * @returns {string[]} Problems found; empty when valid
+ */
+export function validateExits(exits, path = "exits") {
+  if (!exits || typeof exits !== "object" || Array.isArray(exits)) return [`${path}: expected an object`];
+
+  const problems = [];
+  const known = ["takeProfit", "stopLossPercent", "trailingStop", "maxHoldMs", "onMigration"];
+  for (const key of Object.keys(exits)) {
+    if (!known.includes(key)) problems.push(`${path}.${key}: unknown exit option`);
+  }
+
+  if (exits.takeProfit !== undefined) {
+    if (!Array.isArray(exits.takeProfit)) {
+      problems.push(`${path}.takeProfit: expected a list of { multiple, sellPercent }`);
+    } else {
+      let total = 0;
+      let previous = 1;
+      exits.takeProfit.forEach((step, i) => {
+        if (!isNumber(step?.multiple) || step.multiple <= 1) problems.push(`${path}.takeProfit[${i}].multiple: expected a number > 1`);
+        else if (step.multiple <= previous) problems.push(`${path}.takeProfit[${i}].multiple: steps must be in increasing order`);
+        else previous = step.multiple;
+        if (!isNumber(step?.sellPercent) || step.sellPercent > 100) problems.push(`${path}.takeProfit[${i}].sellPercent: expected 0-100`);
+        else total += step.sellPercent;
+      });
+      if (total > 100 + 1e-9) problems.push(`${path}.takeProfit: sellPercent adds up to ${total} (> 100)`);
+    }
+  }
+
+  if (exits.stopLossPercent !== undefined && (!isNumber(exits.stopLossPercent) || exits.stopLossPercent >= 100)) {
+    problems.push(`${path}.stopLossPercent: expected a number between 0 and 100`);
+  }
+
+  if (exits.trailingStop !== undefined) {
+    const { activateMultiple = 1, trailPercent } = exits.trailingStop ?? {};
+    if (!isNumber(activateMultiple)) problems.push(`${path}.trailingStop.activateMultiple: expected a number > 0`);
+    if (!isNumber(trailPercent) || trailPercent >= 100) problems.push(`${path}.trailingStop.trailPercent: expected a number between 0 and 100`);
+  }
+
+  if (exits.maxHoldMs !== undefined && !isNumber(exits.maxHoldMs)) {
+    problems.push(`${path}.maxHoldMs: expected a number > 0`);
+  }
+
+  if (exits.onMigration !== undefined && !["sell", "hold"].includes(exits.onMigration)) {
+    problems.push(`${path}.onMigration: expected "sell" or "hold"`);
+  }
+
+  return problems;
+}
+
+// ============================================================================
+// SELLERS
+// ============================================================================
+
+const percentAmount = (percent) => `${Math.min(100, Math.round(percent * 100) / 100)}%`;
+
+/**
+ * Sell through /api/trade-local: verify (the sold amount too, against the
+ * balance on `sender`'s connection), sign locally, send with rebroadcast.
+ *
+ * @param {object} options
+ * @param {import("./client.js").PumpDevClient} options.client
+ * @param {import("@solana/web3.js").Keypair} [options.keypair]
+ * @param {object} [options.signer] - lib/signer.js signer, instead of `keypair`
+ * @param {import("./sender.js").TransactionSender} options.sender
+ * @param {number} [options.slippage] - Default 15
+ * @param {number} [options.priorityFee]
+ * @returns {(position: object, sell: { percent: number }) => Promise<{ signature: string }>}
+ */
+export function localSeller({ client, keypair, signer = toSigner(keypair), sender, slippage = 15, priorityFee }) {
+  const publicKey = signer.publicKey.toBase58();
+
+  return async (position, { percent }) => {
+    const params = {
+      publicKey,
+      action: "sell",
+      mint: position.mint,
+      amount: percentAmount(percent),
+      denominatedInSol: "false",
+      slippage,
+      priorityFee,
+    };
+    // Without a balance the "N%" amount can't be checked, but the rest still is
+    const balance = await tokenBalance(sender.connection, publicKey, position.mint).catch(() => null);
+    const expected = { kind: "sell", payer: publicKey, mint: position.mint, slippage, amount: params.amount };
+    if (balance) Object.assign(expected, { balance: balance.uiAmount, decimals: balance.decimals ?? undefined });
+    const verify = (unsigned) => verifyTransaction(unsigned, expected);
+
+    const tx = await client.tradeLocal(params);
+    verify(tx);
+    await signer.signTransaction(tx);
+    const { signature } = await sender.send(tx, {
+      rebuild: rebuildFromTradeLocal(client, params, [signer], { verify }),
+    });
+    return { signature };
+  };
+}
+
+/**
+ * Sell through /api/trade-lightning (server-side signing).
+ *
+ * @param {object} options
+ * @param {import("./client.js").PumpDevClient} options.client
+ * @param {string} [options.apiKey] - Defaults to the client's apiKey
+ * @param {number} [options.slippage] - Default 15
+ * @param {number} [options.priorityFee]
+ * @returns {(position: object, sell: { percent: number }) => Promise<{ signature: string }>}
+ */
+export function lightningSeller({ client, apiKey, slippage = 15, priorityFee }) {
+  return async (position, { percent }) => {
+    const data = await client.tradeLightning(
+      {
+        action: "sell",
+        mint: position.mint,
+        amount: percentAmount(percent),
+        denominatedInSol: "false",
+        slippage,
+        priorityFee,
+      },
+      apiKey,
+    );
+    return { signature: data.signature };
+  };
+}
+
+// ============================================================================
+// POSITION MANAGER
+// ============================================================================
+
+export class PositionManager extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {import("./ws-events.js").PumpDevFeed} options.feed - Trades, completes and pool creations come from it
+   * @param {(position: object, sell: { percent: number, reason: string }) => Promise<any>} options.seller
+   * @param {object} [options.exits] - Default exit config for positions opened without one
+   * @param {() => number} [options.now] - Clock (default Date.now; follow recorded time in replays)
+   * @param {number} [options.checkIntervalMs] - How often max hold times are checked (default 1000)
+   * @param {number} [options.retryDelayMs] - Wait before retrying a failed sell (default 2000)
+   */
+  constructor({ feed, seller, exits = {}, now = Date.now, checkIntervalMs = 1000, retryDelayMs = 2000 }) {
+    super();
+    const problems = validateExits(exits);
+    if (problems.length > 0) throw new StrategyConfigError(`Invalid exit config: ${problems.join("; ")}`, { problems });
+
+    this.feed = feed;
+    this.seller = seller;
+    this.exits = exits;
+    this.now = now;
+    this.checkIntervalMs = checkIntervalMs;
+    this.retryDelayMs = retryDelayMs;
+
+    /** Open positions by mint — one per mint, since sells are a share of the wallet's balance. */
+    this.positions = new Map();
+    this.timer = null;
+
+    feed.on("trade", (trade) => this.onPrice(trade.mint, trade.marketCapSol));
+    feed.on("complete", (event) => this.onComplete(event));
+    feed.on("create_pool", (event) => this.onPool(event));
+    // Recorded time moves with the events during replays
+    feed.on("event", () => this.checkAll());
+  }
+
+  /**
+   * Start managing a position. Opening a mint that is already open adds to it.
+   *
+   * @param {object} options
+   * @param {string} options.mint
+   * @param {number} [options.costSol] - SOL spent
+   * @param {number} [options.entryMarketCapSol] - Default: the first market cap seen after opening
+   * @param {object} [options.exits] - Default: the manager's exits
+   * @param {string} [options.label] - e.g. the strategy name
+   * @returns {object} The position
+   * @throws {StrategyConfigError} When the exit config is invalid
+   */
+  open({ mint, costSol = 0, entryMarketCapSol = null, exits, label = null }) {
+    const existing = this.positions.get(mint);
+    if (existing) {
+      existing.costSol += costSol;
+      return existing;
+    }
+
+    exits = exits ?? this.exits;
+    const problems = validateExits(exits);
+    if (problems.length > 0) throw new StrategyConfigError(`Invalid exit config for ${mint}: ${problems.join("; ")}`, { problems });
+
+    const position = {
+      mint,
+      label,
+      costSol,
+      exits,
+      openedAt: this.now(),
+      entryMarketCapSol,
+      lastMarketCapSol: entryMarketCapSol,
+      peakMarketCapSol: entryMarketCapSol,
+      remainingPercent: 100,
+      ladderIndex: 0,
+      migrating: false,
+      migrationExit: false,
+      pool: null,
+      selling: false,
+      retryAt: 0,
+      sells: [],
+    };
+    this.positions.set(mint, position);
+    this.feed.acquire("token", mint);
+    this.startTimer();
+    this.emit("open", { position });
+    return position;
+  }
+
+  /** Stop managing a position without selling. */
+  close(mint, reason = "manual") {
+    const position = this.positions.get(mint);
+    if (!position) return;
+    this.positions.delete(mint);
+    this.feed.release("token", mint);
+    if (this.positions.size === 0) this.stopTimer();
+    this.emit("close", { position, reason });
+  }
+
+  /** Stop managing everything (positions stay in the wallet). */
+  stop() {
+    for (const mint of [...this.positions.keys()]) this.close(mint, "stopped");
+    this.stopTimer();
+  }
+
+  list() {
+    return [...this.positions.values()];
+  }
+
+  // ==========================================================================
+  // FEED
+  // ==========================================================================
+
+  onPrice(mint, marketCapSol) {
+    const position = this.positions.get(mint);
+    if (!position || marketCapSol === null) return;
+
+    position.entryMarketCapSol ??= marketCapSol;
+    position.lastMarketCapSol = marketCapSol;
+    position.peakMarketCapSol = Math.max(position.peakMarketCapSol ?? marketCapSol, marketCapSol);
+    this.emit("price", { position, marketCapSol, multiple: marketCapSol / position.entryMarketCapSol });
+    this.check(position);
+  }
+
+  onComplete(event) {
+    const position = this.positions.get(event.mint);
+    if (!position) return;
+    // The curve can't be traded until the PumpSwap pool exists
+    position.migrating = true;
+    this.emit("migration", { position, stage: "complete" });
+  }
+
+  onPool(event) {
+    const position = this.positions.get(event.mint);
+    if (!position) return;
+    position.migrating = false;
+    position.pool = event.pool;
+    this.emit("migration", { position, stage: "create_pool" });
+    // Pending until a sell goes through: check() retries it after a failure
+    // or once a sell already in flight has finished
+    if (position.exits.onMigration === "sell") {
+      position.migrationExit = true;
+      this.check(position);
+    }
+  }
+
+  // ==========================================================================
+  // EXITS
+  // ==========================================================================
+
+  /** Evaluate one position's exits at its latest price and the current time. */
+  check(position) {
+    if (position.selling || position.migrating) return;
+    const now = this.now();
+    if (now < position.retryAt) return;
+
+    const { takeProfit = [], stopLossPercent, trailingStop, maxHoldMs } = position.exits;
+
+    if (position.migrationExit) {
+      this.sell(position, position.remainingPercent, "migration");
+      return;
+    }
+
+    if (maxHoldMs && now - position.openedAt >= maxHoldMs) {
+      this.sell(position, position.remainingPercent, "maxHold");
+      return;
+    }
+
+    if (position.entryMarketCapSol === null) return;
+    const multiple = position.lastMarketCapSol / position.entryMarketCapSol;
+
+    if (stopLossPercent && multiple <= 1 - stopLossPercent / 100) {
+      this.sell(position, position.remainingPercent, "stopLoss");
+      return;
+    }
+
+    // Every ladder step crossed since the last check sells in one go
+    let step = position.ladderIndex;
+    let share = 0;
+    while (step < takeProfit.length && multiple >= takeProfit[step].multiple) {
+      share += takeProfit[step].sellPercent;
+      step++;
+    }
+    if (share > 0) {
+      this.sell(position, Math.min(share, position.remainingPercent), `takeProfit ${takeProfit[step - 1].multiple}x`, step);
+      return;
+    }
+
+    if (trailingStop) {
+      const { activateMultiple = 1, trailPercent } = trailingStop;
+      const peakMultiple = position.peakMarketCapSol / position.entryMarketCapSol;
+      if (peakMultiple >= activateMultiple && position.lastMarketCapSol <= position.peakMarketCapSol * (1 - trailPercent / 100)) {
+        this.sell(position, position.remainingPercent, "trailingStop");
+      }
+    }
+  }
+
+  checkAll() {
+    for (const position of this.positions.values()) this.check(position);
+  }
+
+  /**
+   * Sell `share` percent of the original position.
+   *
+   * @param {object} position
+   * @param {number} share - Percent of the original position
+   * @param {string} reason
+   * @param {number} [ladderIndex] - Ladder position reached once this sell succeeds
+   */
+  async sell(position, share, reason, ladderIndex = position.ladderIndex) {
+    if (position.selling || share <= 0) return;
+    position.selling = true;
+
+    // The API sells a share of the current balance, not of the original position
+    const final = share >= position.remainingPercent - DUST_PERCENT;
+    const percent = final ? 100 : (share / position.remainingPercent) * 100;
+    this.emit("trigger", { position, reason, percent });
+
+    try {
+      const result = await this.seller(position, { percent, reason });
+      position.remainingPercent = final ? 0 : position.remainingPercent - share;
+      position.ladderIndex = ladderIndex;
+      position.sells.push({ ts: this.now(), reason, percent, marketCapSol: position.lastMarketCapSol, result });
+      this.emit("sell", { position, reason, percent, result });
+      if (position.remainingPercent <= DUST_PERCENT) this.close(position.mint, reason);
+    } catch (error) {
+      position.retryAt = this.now() + this.retryDelayMs;
+      this.emit("sellFailed", { position, reason, percent, error });
+    } finally {
+      position.selling = false;
+    }
+  }
+
+  startTimer() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.checkAll(), this.checkIntervalMs);
+    this.timer.unref();
+  }
+
+  stopTimer() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+}
@@ -0,0 +1,265 @@
+/**
+ * Transaction Lifecycle Manager
+ *
+ * Replaces the one-shot `sendTransaction(tx, { maxRetries: 3 })` +
+ * `confirmTransaction(signature)` pattern with a sender that:
+ * - Rebroadcasts the signed transaction until it lands or its blockhash expires
+ * - Tracks processed → confirmed → finalized and emits an event for each
+ * - Detects blockhash expiry and (optionally) rebuilds the transaction, e.g.
+ *   by requesting a fresh one from /api/trade-local
+ * - Rides out transient RPC errors while polling; only `maxPollErrors` in a
+ *   row give up, with a TransactionStatusError (the transaction may still
+ *   land, so it is never rebuilt)
+ *
+ * Events:
+ *   sent        { signature, blockhash }
+ *   rebroadcast { signature, attempt }
+ *   processed   { signature, slot }
+ *   confirmed   { signature, slot }
+ *   finalized   { signature, slot }
+ *   expired     { signature, blockhash }
+ *   pollError   { signature, error, consecutive }
+ *   rebuild     { previousSignature, rebuilds }
+ *   failed      { signature, error }
+ *
+ * Usage:
+ *   const sender = new TransactionSender({ connection });
+ *   sender.on("confirmed", ({ signature }) => console.log("confirmed", signature));
+ *   const { signature, slot } = await sender.send(tx, {
+ *     rebuild: rebuildFromTradeLocal(client, params, [signer]),
+ *   });
+ */
+
+import { EventEmitter } from "node:events";
+import bs58 from "bs58";
+import {
+  InstructionError,
+  RpcSendError,
+  TransactionExpiredError,
+  TransactionStatusError,
+} from "./errors.js";
+import { signWith } from "./signer.js";
+
+const COMMITMENT_RANK = { processed: 0, confirmed: 1, finalized: 2 };
+const COMMITMENT_LEVELS = ["processed", "confirmed", "finalized"];
+
+const wait = (ms) => new Promise((r) => setTimeout(r, ms));
+
+export class TransactionSender extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {import("@solana/web3.js").Connection} options.connection
+   * @param {"processed"|"confirmed"|"finalized"} [options.commitment] - Resolve once reached (default "confirmed")
+   * @param {boolean} [options.skipPreflight] - Preflight on the first send only (default false)
+   * @param {number} [options.pollIntervalMs] - Status poll interval (default 500)
+   * @param {number} [options.rebroadcastIntervalMs] - Resend interval (default 2000)
+   * @param {number} [options.maxRebuilds] - Fresh transactions to request after expiry (default 2)
+   * @param {number} [options.maxPollErrors] - Failed status polls in a row before giving up (default 5)
+   */
+  constructor({
+    connection,
+    commitment = "confirmed",
+    skipPreflight = false,
+    pollIntervalMs = 500,
+    rebroadcastIntervalMs = 2000,
+    maxRebuilds = 2,
+    maxPollErrors = 5,
+  }) {
+    super();
+    this.connection = connection;
+    this.commitment = commitment;
+    this.skipPreflight = skipPreflight;
+    this.pollIntervalMs = pollIntervalMs;
+    this.rebroadcastIntervalMs = rebroadcastIntervalMs;
+    this.maxRebuilds = maxRebuilds;
+    this.maxPollErrors = maxPollErrors;
+  }
+
+  /**
+   * Send a signed transaction and track it to the target commitment.
+   *
+   * @param {import("@solana/web3.js").VersionedTransaction} tx - Fully signed
+   * @param {object} [options]
+   * @param {() => Promise<import("@solana/web3.js").VersionedTransaction>} [options.rebuild] -
+   *   Returns a freshly built + signed transaction after blockhash expiry; if it throws,
+   *   `failed` is emitted with its error and the error is rethrown
+   * @param {number} [options.lastValidBlockHeight] - Exact expiry if known
+   * @returns {Promise<{ signature: string, slot: number, commitment: string, rebuilds: number }>}
+   * @throws {InstructionError|RpcSendError|TransactionExpiredError|TransactionStatusError}
+   */
+  async send(tx, { rebuild, lastValidBlockHeight } = {}) {
+    let current = tx;
+    let rebuilds = 0;
+
+    for (;;) {
+      try {
+        const result = await this.track(current, lastValidBlockHeight);
+        return { ...result, rebuilds };
+      } catch (err) {
+        const canRebuild =
+          err instanceof TransactionExpiredError &&
+          rebuild &&
+          rebuilds < this.maxRebuilds;
+
+        if (!canRebuild) {
+          this.emit("failed", { signature: err.signature ?? null, error: err });
+          throw err;
+        }
+
+        rebuilds++;
+        this.emit("rebuild", { previousSignature: err.signature, rebuilds });
+        try {
+          current = await rebuild();
+        } catch (rebuildErr) {
+          // Nothing new was sent: report it against the expired signature
+          this.emit("failed", { signature: err.signature ?? null, error: rebuildErr });
+          throw rebuildErr;
+        }
+        lastValidBlockHeight = undefined;
+      }
+    }
+  }
+
+  /** Broadcast, rebroadcast and poll a single signed transaction. */
+  async track(tx, lastValidBlockHeight) {
+    const signature = bs58.encode(tx.signatures[0]);
+    const blockhash = tx.message.recentBlockhash;
+    const raw = tx.serialize();
+    const target = COMMITMENT_RANK[this.commitment];
+
+    await this.broadcast(raw, this.skipPreflight);
+    this.emit("sent", { signature, blockhash });
+
+    let reached = -1;
+    let attempt = 0;
+    let lastBroadcast = Date.now();
+    let invalidChecks = 0;
+    let pollErrors = 0;
+
+    // A failed poll says nothing about the transaction: count it, keep
+    // rebroadcasting, and only give up after maxPollErrors in a row
+    const poll = async (fn) => {
+      try {
+        const result = await fn();
+        pollErrors = 0;
+        return { result };
+      } catch (error) {
+        pollErrors++;
+        this.emit("pollError", { signature, error, consecutive: pollErrors });
+        if (pollErrors >= this.maxPollErrors) {
+          throw new TransactionStatusError(
+            `Lost track of ${signature} after ${pollErrors} failed RPC polls (${error.message}) — it may still land`,
+            { signature, blockhash, errors: pollErrors, endpoint: this.connection.rpcEndpoint, cause: error },
+          );
+        }
+        return null;
+      }
+    };
+
+    for (;;) {
+      await wait(this.pollIntervalMs);
+
+      const polled = await poll(() => this.getStatus(signature));
+      const status = polled?.result;
+      if (status) {
+        if (status.err) {
+          throw InstructionError.fromTransactionError(status.err, {
+            signature,
+            tx,
+          });
+        }
+
+        const rank = COMMITMENT_RANK[status.confirmationStatus] ?? 0;
+        while (reached < rank) {
+          reached++;
+          this.emit(COMMITMENT_LEVELS[reached], { signature, slot: status.slot });
+        }
+
+        if (reached >= target) {
+          return { signature, slot: status.slot, commitment: this.commitment };
+        }
+
+        // Landed — no point rebroadcasting or checking expiry any more
+        continue;
+      }
+
+      const expired = polled && (await poll(() => this.isExpired(blockhash, lastValidBlockHeight)));
+      if (expired?.result) {
+        // Require two consecutive invalid answers so a lagging RPC node that
+        // hasn't seen a fresh blockhash yet doesn't trigger a rebuild
+        invalidChecks++;
+        if (invalidChecks >= 2) {
+          // Last look with full history before giving up
+          const late = await poll(() => this.getStatus(signature, true));
+          if (late && !late.result) {
+            this.emit("expired", { signature, blockhash });
+            throw new TransactionExpiredError(
+              `Blockhash ${blockhash} expired before ${signature} landed`,
+              { signature, blockhash },
+            );
+          }
+        }
+      } else if (expired) {
+        invalidChecks = 0;
+      }
+
+      if (Date.now() - lastBroadcast >= this.rebroadcastIntervalMs) {
+        attempt++;
+        lastBroadcast = Date.now();
+        // Rebroadcasts skip preflight: the first send already validated it
+        await this.broadcast(raw, true).catch(() => {});
+        this.emit("rebroadcast", { signature, attempt });
+      }
+    }
+  }
+
+  /** Send raw bytes once; the sender handles retries itself. */
+  async broadcast(raw, skipPreflight) {
+    try {
+      return await this.connection.sendRawTransaction(raw, {
+        skipPreflight,
+        maxRetries: 0,
+      });
+    } catch (err) {
+      throw RpcSendError.from(err, this.connection.rpcEndpoint);
+    }
+  }
+
+  async getStatus(signature, searchTransactionHistory = false) {
+    const { value } = await this.connection.getSignatureStatuses([signature], {
+      searchTransactionHistory,
+    });
+    return value[0];
+  }
+
+  async isExpired(blockhash, lastValidBlockHeight) {
+    if (lastValidBlockHeight) {
+      const height = await this.connection.getBlockHeight("confirmed");
+      return height > lastValidBlockHeight;
+    }
+    const { value } = await this.connection.isBlockhashValid(blockhash, {
+      commitment: "processed",
+    });
+    return !value;
+  }
+}
+
+/**
+ * Build a `rebuild` callback that requests a fresh transaction from
+ * /api/trade-local with the same parameters and signs it.
+ *
+ * @param {import("./client.js").PumpDevClient} client
+ * @param {object} params - The original tradeLocal parameters
+ * @param {(import("@solana/web3.js").Keypair|object)[]} signers - Keypairs or lib/signer.js signers
+ * @param {object} [options]
+ * @param {(tx: import("@solana/web3.js").VersionedTransaction) => void} [options.verify] -
+ *   Runs on the unsigned rebuilt transaction (e.g. verifyTransaction); throw to abort
+ */
+export function rebuildFromTradeLocal(client, params, signers, { verify } = {}) {
+  return async () => {
+    const tx = await client.tradeLocal(params);
+    verify?.(tx);
+    await signWith(tx, signers);
+    return tx;
+  };
+}
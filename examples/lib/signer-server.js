@@ -0,0 +1,164 @@
+/**
+ * Local Remote-Signer Stub
+ *
+ * A stand-in for an external signing service (HSM, hardware wallet bridge,
+ * a signing box on another host) that speaks the protocol RemoteSigner in
+ * lib/signer.js expects:
+ *
+ *   GET  /keys  → { keys: [{ name, publicKey }] }
+ *   POST /sign  { publicKey, messages: ["<base64>"] } → { signatures: ["<base58>"] }
+ *
+ * Keys live in this process only. Requests need `Authorization: Bearer
+ * <token>` when a token is set, and every message goes through `approve`
+ * first — the place a real service would check programs, amounts or ask a
+ * human.
+ *
+ * Events:
+ *   request  { method, path, status, error? }
+ *   sign     { name, publicKey, count }
+ *
+ * Usage:
+ *   const server = new SignerServer({ keys: { main: keypair }, token: "secret" });
+ *   const { url } = await server.start();
+ *   const signer = await RemoteSigner.connect({ url, name: "main", token: "secret" });
+ *   await server.stop();
+ */
+
+import { createPrivateKey, sign, timingSafeEqual } from "node:crypto";
+import { EventEmitter } from "node:events";
+import http from "node:http";
+import bs58 from "bs58";
+
+// DER header of an Ed25519 PKCS#8 private key; the 32-byte seed follows
+const ED25519_PKCS8_PREFIX = Buffer.from("302e020100300506032b657004220420", "hex");
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new HttpError(413, "Request too large"));
+        req.destroy();
+      } else {
+        chunks.push(chunk);
+      }
+    });
+    req.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString() || "{}"));
+      } catch {
+        reject(new HttpError(400, "Invalid JSON body"));
+      }
+    });
+    req.on("error", reject);
+  });
+}
+
+export class SignerServer extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {Record<string, import("@solana/web3.js").Keypair>} options.keys - Keypairs by name
+   * @param {string} [options.token] - Required bearer token
+   * @param {(request: { name: string, publicKey: string, message: Buffer }) => boolean|Promise<boolean>} [options.approve] -
+   *   Return false to refuse a message (default: sign everything)
+   * @param {number} [options.port] - 0 = random free port (default 8788)
+   * @param {string} [options.host] - Default 127.0.0.1
+   */
+  constructor({ keys, token, approve = () => true, port = 8788, host = "127.0.0.1" }) {
+    super();
+    this.token = token;
+    this.approve = approve;
+    this.port = port;
+    this.host = host;
+
+    this.keys = new Map(); // publicKey → { name, privateKey }
+    for (const [name, keypair] of Object.entries(keys)) {
+      this.keys.set(keypair.publicKey.toBase58(), {
+        name,
+        privateKey: createPrivateKey({
+          key: Buffer.concat([ED25519_PKCS8_PREFIX, Buffer.from(keypair.secretKey.slice(0, 32))]),
+          format: "der",
+          type: "pkcs8",
+        }),
+      });
+    }
+  }
+
+  async start() {
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once("error", reject);
+      this.server.listen(this.port, this.host, resolve);
+    });
+    this.port = this.server.address().port;
+    this.url = `http://${this.host}:${this.port}`;
+    return { url: this.url };
+  }
+
+  async stop() {
+    await new Promise((resolve) => this.server.close(resolve));
+  }
+
+  authorized(req) {
+    if (!this.token) return true;
+    const given = Buffer.from(req.headers.authorization ?? "");
+    const expected = Buffer.from(`Bearer ${this.token}`);
+    return given.length === expected.length && timingSafeEqual(given, expected);
+  }
+
+  async handle(req, res) {
+    const path = new URL(req.url, `http://${req.headers.host}`).pathname;
+    try {
+      if (!this.authorized(req)) throw new HttpError(401, "Unauthorized");
+
+      let result;
+      if (req.method === "GET" && path === "/keys") {
+        result = { keys: [...this.keys].map(([publicKey, { name }]) => ({ name, publicKey })) };
+      } else if (req.method === "POST" && path === "/sign") {
+        result = await this.sign(await readJson(req));
+      } else {
+        throw new HttpError(404, `Not found: ${req.method} ${path}`);
+      }
+
+      this.emit("request", { method: req.method, path, status: 200 });
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(result));
+    } catch (err) {
+      const status = err.status ?? 500;
+      this.emit("request", { method: req.method, path, status, error: err.message });
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ error: err.message }));
+    }
+  }
+
+  async sign({ publicKey, messages }) {
+    const key = this.keys.get(publicKey);
+    if (!key) throw new HttpError(404, `Unknown key: ${publicKey}`);
+    if (!Array.isArray(messages) || messages.length === 0) {
+      throw new HttpError(400, "messages must be a non-empty array of base64 strings");
+    }
+
+    const decoded = messages.map((m) => Buffer.from(m, "base64"));
+    for (const message of decoded) {
+      if (!(await this.approve({ name: key.name, publicKey, message }))) {
+        throw new HttpError(403, "Signing refused by policy");
+      }
+    }
+
+    this.emit("sign", { name: key.name, publicKey, count: decoded.length });
+    return {
+      signatures: decoded.map((message) => bs58.encode(sign(null, message, key.privateKey))),
+    };
+  }
+}
@@ -0,0 +1,296 @@
+/**
+ * Transaction Signers
+ *
+ * One interface for whatever holds the key, so the local-sign flows
+ * (trade-local, create, bundle, claim, transfer) don't need a Keypair in the
+ * bot process:
+ *
+ *   signer.publicKey              PublicKey
+ *   signer.signTransaction(tx)    fills this signer's slot, resolves to tx
+ *   signer.signAll(txs)           same for many — one round trip for remote signers
+ *
+ * Adapters:
+ *   KeypairSigner   in-memory Keypair (what `tx.sign([keypair])` did before)
+ *   KeystoreSigner  wallet in the encrypted keystore (lib/keystore.js); the
+ *                   key is decrypted for each signing and not kept around
+ *   RemoteSigner    HTTP signing service — an HSM, a hardware wallet bridge or
+ *                   a signing box on another host. lib/signer-server.js is a
+ *                   local stand-in.
+ *
+ * Remote signing protocol (optional `Authorization: Bearer <token>`):
+ *   GET  /keys  → { keys: [{ name, publicKey }] }
+ *   POST /sign  { publicKey, messages: ["<base64 message>"] } → { signatures: ["<base58>"] }
+ *
+ * The service gets the whole message, so it can apply its own policy before
+ * signing. Every returned signature is verified against the message before
+ * it is attached — a wrong key or corrupted reply fails here, not on-chain.
+ *
+ * Keypairs are accepted wherever a signer is; toSigner() wraps them.
+ *
+ * Usage:
+ *   const signer = await signerFromEnv();  // REMOTE_SIGNER_URL, KEYSTORE_FILE or PRIVATE_KEY
+ *   const tx = await client.tradeLocal({ publicKey: signer.publicKey.toBase58(), ... });
+ *   await signer.signTransaction(tx);
+ *   await signWith(result.tx, [signer, result.mintKeypair]);  // create: creator + mint
+ */
+
+import { createPublicKey, verify } from "node:crypto";
+import { Keypair, PublicKey } from "@solana/web3.js";
+import bs58 from "bs58";
+import { SignerError } from "./errors.js";
+import { Keystore } from "./keystore.js";
+
+// DER header of an Ed25519 SubjectPublicKeyInfo; the 32-byte key follows
+const ED25519_SPKI_PREFIX = Buffer.from("302a300506032b6570032100", "hex");
+
+/** Check an Ed25519 signature over a serialized message. */
+export function verifySignature(publicKey, message, signature) {
+  const key = createPublicKey({
+    key: Buffer.concat([ED25519_SPKI_PREFIX, new PublicKey(publicKey).toBuffer()]),
+    format: "der",
+    type: "spki",
+  });
+  return verify(null, Buffer.from(message), key, Buffer.from(signature));
+}
+
+// ============================================================================
+// ADAPTERS
+// ============================================================================
+
+export class KeypairSigner {
+  /** @param {import("@solana/web3.js").Keypair} keypair */
+  constructor(keypair) {
+    this.keypair = keypair;
+    this.publicKey = keypair.publicKey;
+  }
+
+  async signTransaction(tx) {
+    tx.sign([this.keypair]);
+    return tx;
+  }
+
+  async signAll(txs) {
+    for (const tx of txs) tx.sign([this.keypair]);
+    return txs;
+  }
+}
+
+export class KeystoreSigner {
+  /**
+   * @param {import("./keystore.js").Keystore} keystore - An opened keystore
+   * @param {string} name - Wallet name
+   */
+  constructor(keystore, name) {
+    this.keystore = keystore;
+    this.name = name;
+    this.publicKey = new PublicKey(keystore.require(name).publicKey);
+  }
+
+  async signTransaction(tx) {
+    return (await this.signAll([tx]))[0];
+  }
+
+  async signAll(txs) {
+    const keypair = Keypair.fromSecretKey(bs58.decode(this.keystore.secret(this.name).privateKey));
+    for (const tx of txs) tx.sign([keypair]);
+    return txs;
+  }
+}
+
+export class RemoteSigner {
+  /**
+   * @param {object} options
+   * @param {string} options.url - Signing service base URL
+   * @param {string|PublicKey} options.publicKey - Key to sign with
+   * @param {string} [options.name] - Wallet name on the service, for logs
+   * @param {string} [options.token] - Bearer token
+   * @param {number} [options.timeoutMs] - Per request (default 30000 — a human may be approving)
+   * @param {typeof fetch} [options.fetch] - Custom fetch implementation
+   */
+  constructor({ url, publicKey, name, token, timeoutMs = 30_000, fetch: fetchImpl }) {
+    this.url = url.replace(/\/+$/, "");
+    this.publicKey = new PublicKey(publicKey);
+    this.name = name ?? null;
+    this.token = token;
+    this.timeoutMs = timeoutMs;
+    this.fetch = fetchImpl || globalThis.fetch.bind(globalThis);
+  }
+
+  /**
+   * Ask the service which keys it holds and pick one.
+   *
+   * @param {object} options - As the constructor, with `name` instead of
+   *   `publicKey` (may be omitted when the service holds a single key)
+   * @throws {SignerError} reason "notFound" when the key isn't served
+   */
+  static async connect({ url, name, token, timeoutMs, fetch: fetchImpl }) {
+    const probe = new RemoteSigner({ url, publicKey: PublicKey.default, token, timeoutMs, fetch: fetchImpl });
+    const { keys = [] } = await probe.request("GET", "/keys");
+    const key = name
+      ? keys.find((k) => k.name === name || k.publicKey === name)
+      : keys.length === 1 ? keys[0] : null;
+    if (!key) {
+      throw new SignerError(
+        name
+          ? `Remote signer ${probe.url} has no key "${name}" (has: ${keys.map((k) => k.name).join(", ") || "none"})`
+          : `Remote signer ${probe.url} holds ${keys.length} keys — pick one by name`,
+        { endpoint: `${probe.url}/keys`, reason: "notFound" },
+      );
+    }
+    return new RemoteSigner({ url, publicKey: key.publicKey, name: key.name, token, timeoutMs, fetch: fetchImpl });
+  }
+
+  async request(method, path, body) {
+    const endpoint = `${this.url}${path}`;
+    const headers = { "Content-Type": "application/json" };
+    if (this.token) headers.Authorization = `Bearer ${this.token}`;
+
+    let res;
+    try {
+      res = await this.fetch(endpoint, {
+        method,
+        headers,
+        body: body ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(this.timeoutMs),
+      });
+    } catch (err) {
+      throw new SignerError(`Remote signer unreachable: ${err.message}`, {
+        endpoint,
+        publicKey: this.publicKey.toBase58(),
+        reason: "unavailable",
+        cause: err,
+      });
+    }
+
+    const payload = await res.json().catch(() => ({}));
+    if (!res.ok) {
+      throw new SignerError(`Remote signer refused (${res.status}): ${payload.error || res.statusText}`, {
+        status: res.status,
+        endpoint,
+        publicKey: this.publicKey.toBase58(),
+        reason: res.status === 404 ? "notFound" : res.status === 401 || res.status === 403 ? "refused" : "unavailable",
+      });
+    }
+    return payload;
+  }
+
+  async signTransaction(tx) {
+    return (await this.signAll([tx]))[0];
+  }
+
+  /** @throws {SignerError} */
+  async signAll(txs) {
+    const publicKey = this.publicKey.toBase58();
+    const messages = txs.map((tx) => tx.message.serialize());
+    const { signatures = [] } = await this.request("POST", "/sign", {
+      publicKey,
+      messages: messages.map((m) => Buffer.from(m).toString("base64")),
+    });
+
+    if (signatures.length !== txs.length) {
+      throw new SignerError(`Remote signer returned ${signatures.length} signatures for ${txs.length} transactions`, {
+        endpoint: `${this.url}/sign`,
+        publicKey,
+        reason: "badSignature",
+      });
+    }
+
+    // Verify everything before attaching anything
+    const decoded = signatures.map((sig, i) => {
+      const bytes = bs58.decode(sig);
+      if (bytes.length !== 64 || !verifySignature(this.publicKey, messages[i], bytes)) {
+        throw new SignerError(`Remote signature ${i} does not verify for ${publicKey}`, {
+          endpoint: `${this.url}/sign`,
+          publicKey,
+          reason: "badSignature",
+        });
+      }
+      return bytes;
+    });
+    txs.forEach((tx, i) => tx.addSignature(this.publicKey, decoded[i]));
+    return txs;
+  }
+}
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Wrap a Keypair as a signer; signers pass through.
+ *
+ * @param {import("@solana/web3.js").Keypair|object} keypairOrSigner
+ * @throws {SignerError} reason "invalid"
+ */
+export function toSigner(keypairOrSigner) {
+  if (typeof keypairOrSigner?.signAll === "function") return keypairOrSigner;
+  if (keypairOrSigner?.secretKey && keypairOrSigner?.publicKey) return new KeypairSigner(keypairOrSigner);
+  throw new SignerError("Expected a Keypair or a signer with publicKey / signTransaction / signAll", {
+    reason: "invalid",
+  });
+}
+
+/**
+ * Sign one transaction with several keypairs and/or signers, e.g. the
+ * creator signer plus the mint keypair returned by /api/create.
+ *
+ * @param {import("@solana/web3.js").VersionedTransaction} tx
+ * @param {(import("@solana/web3.js").Keypair|object)[]} signers
+ */
+export async function signWith(tx, signers) {
+  for (const signer of signers) await toSigner(signer).signTransaction(tx);
+  return tx;
+}
+
+const keystores = new Map(); // file → Promise<Keystore>, so scrypt runs once per process
+
+/**
+ * Signer picked from the environment, first match wins:
+ *   REMOTE_SIGNER_URL (+ REMOTE_SIGNER_TOKEN)  key `name` on the signing service
+ *   KEYSTORE_FILE (+ KEYSTORE_PASSWORD)        wallet `name` in the keystore
+ *   privateKey                                 base58 key, in memory
+ *
+ * @param {object} [options]
+ * @param {string} [options.name] - Wallet name (default SIGNER_WALLET, else "main" — or, on a
+ *   remote signer holding a single key, that key whatever its name)
+ * @param {string|null} [options.privateKey] - Fallback key (default PRIVATE_KEY, null = none)
+ * @param {import("./keystore.js").Keystore} [options.keystore] - Already opened, instead of KEYSTORE_FILE
+ * @param {Record<string, string>} [options.env] - Default process.env
+ * @returns {Promise<object|null>} null when the wallet isn't configured anywhere
+ */
+export async function signerFromEnv({ env = process.env, name, privateKey = env.PRIVATE_KEY, keystore } = {}) {
+  name ??= env.SIGNER_WALLET || null;
+  const notFound = (err) => err instanceof SignerError && err.reason === "notFound";
+
+  if (env.REMOTE_SIGNER_URL) {
+    const connect = (keyName) =>
+      RemoteSigner.connect({ url: env.REMOTE_SIGNER_URL, token: env.REMOTE_SIGNER_TOKEN, name: keyName });
+    try {
+      // Unnamed: a single-key service serves its key, a multi-key one "main"
+      return await connect(name).catch((err) => {
+        if (name || !notFound(err)) throw err;
+        return connect("main");
+      });
+    } catch (err) {
+      if (notFound(err)) return null;
+      throw err;
+    }
+  }
+  name ??= "main";
+
+  if (!keystore && env.KEYSTORE_FILE) {
+    const file = env.KEYSTORE_FILE;
+    if (!keystores.has(file)) {
+      const opening = Keystore.open(file, env.KEYSTORE_PASSWORD);
+      // A wrong password mustn't stick for the life of the process
+      opening.catch(() => {
+        if (keystores.get(file) === opening) keystores.delete(file);
+      });
+      keystores.set(file, opening);
+    }
+    keystore = await keystores.get(file);
+  }
+  if (keystore) return keystore.find(name) ? new KeystoreSigner(keystore, name) : null;
+
+  return privateKey ? new KeypairSigner(Keypair.fromSecretKey(bs58.decode(privateKey))) : null;
+}
@@ -0,0 +1,145 @@
+/**
+ * Dry-Run Simulation
+ *
+ * Runs `simulateTransaction` on a signed transaction instead of sending it,
+ * and reports what would have happened: SOL and token balance changes for
+ * the wallet, compute units consumed, program logs and the decoded error.
+ * Nothing is broadcast and no SOL is spent.
+ *
+ * Usage:
+ *   tx.sign([keypair]);
+ *   const sim = await simulateSigned(connection, tx, { mint });
+ *   formatSimulation(sim).forEach((line) => console.log(line));
+ *   if (!sim.success) console.log(sim.error.name); // e.g. TooMuchSolRequired
+ */
+
+import { LAMPORTS_PER_SOL, PublicKey } from "@solana/web3.js";
+import { decodeTransactionError } from "./errors.js";
+import {
+  TOKEN_2022_PROGRAM_ID,
+  TOKEN_PROGRAM_ID,
+  associatedTokenAddress,
+  inspectTransaction,
+} from "./inspect.js";
+
+/** Raw u64 token amount from SPL token account data (offset 64). */
+function tokenAmount(data) {
+  if (!data || data.length < 72) return 0n;
+  return Buffer.from(data).readBigUInt64LE(64);
+}
+
+/** Decimals from SPL mint account data (offset 44). */
+function mintDecimals(data) {
+  if (!data || data.length < 45) return null;
+  return Buffer.from(data).readUInt8(44);
+}
+
+/** Simulated accounts come back as { data: [base64, "base64"] }. */
+function simulatedData(account) {
+  return account ? Buffer.from(account.data[0], "base64") : null;
+}
+
+/**
+ * Simulate a signed transaction and compute the wallet's balance changes.
+ *
+ * @param {import("@solana/web3.js").Connection} connection
+ * @param {import("@solana/web3.js").VersionedTransaction} tx - Signed
+ * @param {object} [options]
+ * @param {string} [options.owner] - Wallet to report deltas for (default: fee payer)
+ * @param {string} [options.mint] - Token to report deltas for (default: first mint traded/created)
+ * @param {boolean} [options.sigVerify] - Verify signatures (default true)
+ * @param {"processed"|"confirmed"|"finalized"} [options.commitment] - Default "processed"
+ * @returns {Promise<{
+ *   success: boolean,
+ *   err: object|string|null,
+ *   error: ReturnType<typeof decodeTransactionError>|null,
+ *   unitsConsumed: number|null,
+ *   logs: string[],
+ *   owner: string,
+ *   mint: string|null,
+ *   solDelta: number,
+ *   tokenDelta: number,
+ *   tokenDeltaRaw: bigint,
+ *   tokenDecimals: number|null,
+ *   slot: number,
+ * }>} solDelta in SOL (includes network fees), tokenDelta in UI units
+ */
+export async function simulateSigned(
+  connection,
+  tx,
+  { owner, mint, sigVerify = true, commitment = "processed" } = {},
+) {
+  const inspection = await inspectTransaction(tx, connection);
+  owner = owner ?? inspection.payer;
+  mint = mint ?? inspection.instructions.find((ix) => ix.mint)?.mint ?? null;
+
+  // Pre-state and simulated post-state for the same accounts: wallet, mint,
+  // and the wallet's token account under both token programs (pump.fun
+  // create_v2 mints are Token-2022)
+  const addresses = [owner];
+  if (mint) {
+    addresses.push(
+      mint,
+      associatedTokenAddress(owner, mint, TOKEN_PROGRAM_ID),
+      associatedTokenAddress(owner, mint, TOKEN_2022_PROGRAM_ID),
+    );
+  }
+
+  const pre = await connection.getMultipleAccountsInfo(
+    addresses.map((a) => new PublicKey(a)),
+    commitment,
+  );
+
+  const { context, value } = await connection.simulateTransaction(tx, {
+    sigVerify,
+    commitment,
+    accounts: { encoding: "base64", addresses },
+  });
+
+  // A failed simulation returns no accounts: report no balance change. On
+  // success a null entry means the account doesn't exist (e.g. closed on sell).
+  const post = value.accounts ?? pre.map((info) =>
+    info && { lamports: info.lamports, data: [Buffer.from(info.data).toString("base64"), "base64"] },
+  );
+  const solDeltaLamports = (post[0]?.lamports ?? 0) - (pre[0]?.lamports ?? 0);
+
+  let tokenDeltaRaw = 0n;
+  let tokenDecimals = null;
+  if (mint) {
+    tokenDecimals = mintDecimals(simulatedData(post[1]) ?? pre[1]?.data);
+    for (const i of [2, 3]) {
+      tokenDeltaRaw += tokenAmount(simulatedData(post[i])) - tokenAmount(pre[i]?.data);
+    }
+  }
+
+  return {
+    success: value.err == null,
+    err: value.err ?? null,
+    error: value.err == null ? null : decodeTransactionError(value.err, tx),
+    unitsConsumed: value.unitsConsumed ?? null,
+    logs: value.logs ?? [],
+    owner,
+    mint,
+    solDelta: solDeltaLamports / LAMPORTS_PER_SOL,
+    tokenDelta: Number(tokenDeltaRaw) / 10 ** (tokenDecimals ?? 6),
+    tokenDeltaRaw,
+    tokenDecimals,
+    slot: context.slot,
+  };
+}
+
+/** Render a simulation result as readable lines for logging. */
+export function formatSimulation(sim, { logs = false } = {}) {
+  const signed = (n, digits) => `${n >= 0 ? "+" : ""}${n.toFixed(digits)}`;
+  const lines = [
+    `${sim.success ? "✅ Simulation succeeded" : "❌ Simulation failed"} (slot ${sim.slot})`,
+    `SOL change:     ${signed(sim.solDelta, 9)} SOL`,
+  ];
+  if (sim.mint) lines.push(`Token change:   ${signed(sim.tokenDelta, sim.tokenDecimals ?? 6)}`);
+  lines.push(`Compute units:  ${sim.unitsConsumed ?? "?"}`);
+  if (sim.error) lines.push(`Error:          ${[sim.error.name, sim.error.message].filter(Boolean).join(" — ")}`);
+  if (logs || !sim.success) {
+    lines.push("Logs:", ...sim.logs.map((line) => `  ${line}`));
+  }
+  return lines;
+}
@@ -0,0 +1,699 @@
+/**
+ * Sniper Strategy Engine
+ *
+ * Loads sniper strategies from a JSON or YAML file and evaluates every new
+ * token against each of them concurrently. A strategy is a list of rules plus
+ * its own trade size, budget, cooldown and concurrency limit, so a cautious
+ * and an aggressive strategy can run side by side without sharing SOL.
+ *
+ * A strategy can also carry `exits` (take-profit ladder, stop-loss, trailing
+ * stop, max hold, migration) for the PositionManager in ./positions.js.
+ *
+ * Every rule returns { pass, reason }. Rules run in the order listed and stop
+ * at the first failure, so put cheap rules (market cap, regex) before ones
+ * that fetch metadata or wait for early trades.
+ *
+ * Rule types:
+ *   marketCap          { minSol, maxSol }
+ *   devBuy             { minSol, maxSol }                 creator's initial buy in SOL
+ *   devBuyPercent      { minPercent, maxPercent }         creator's share of total supply
+ *   creatorWhitelist   { creators }                       empty list = everyone
+ *   creatorBlacklist   { creators }
+ *   name / symbol      { allow, deny, flags }             regular expressions
+ *   creatorHistory     { minPriorLaunches, maxPriorLaunches, maxRugPercent, minLaunchesForRugRate }
+ *   metadata           { requireSocials, minSocials, requireImage }
+ *   earlyBuyers        { windowMs, top, maxTopPercent, maxBuyerPercent, minBuyers, excludeCreator }
+ *
+ * Events (StrategyEngine):
+ *   decision  { strategy, event, pass, reason, rule }
+ *   buy       { strategy, event, ok, error, pauseMs }
+ *
+ * Usage:
+ *   const strategies = await loadStrategies("strategies.example.json");
+ *   const engine = new StrategyEngine({ strategies, feed, history, execute: (strategy, event) => buy(event.mint, strategy.buyAmountSol) });
+ *   engine.on("decision", ({ strategy, event, pass, reason }) => console.log(strategy.name, event.symbol, pass, reason));
+ */
+
+import { EventEmitter } from "node:events";
+import { readFile } from "node:fs/promises";
+import { extname } from "node:path";
+import { StrategyConfigError } from "./errors.js";
+import { validateExits } from "./positions.js";
+
+/** Every pump.fun token has a fixed supply of 1 billion (UI units). */
+export const TOKEN_TOTAL_SUPPLY = 1_000_000_000;
+
+export const DEFAULT_IPFS_GATEWAY = "https://ipfs.io/ipfs/";
+
+/** Default earlyBuyers observation window. */
+const EARLY_WINDOW_MS = 3000;
+
+const SOCIAL_FIELDS = ["twitter", "telegram", "website"];
+
+const PASS = { pass: true };
+const fail = (reason) => ({ pass: false, reason });
+
+const percent = (n) => `${n.toFixed(1)}%`;
+
+// ============================================================================
+// RULES
+// ============================================================================
+
+/**
+ * Rule registry: `params` lists accepted fields and their kind (checked when
+ * the file is loaded), `create` returns the check `(event, ctx) => result`.
+ * The ctx is built by StrategyEngine: { ts, creatorHistory, metadata(), image(), earlyTrades(windowMs) }.
+ */
+export const RULES = {
+  marketCap: {
+    params: { minSol: "number", maxSol: "number" },
+    create: ({ minSol, maxSol }) => (event) => {
+      const mc = event.marketCapSol;
+      if (mc === null) return minSol === undefined ? PASS : fail("Market cap unknown");
+      if (maxSol !== undefined && mc > maxSol) return fail(`Market cap too high (${mc.toFixed(2)} > ${maxSol})`);
+      if (minSol !== undefined && mc < minSol) return fail(`Market cap too low (${mc.toFixed(2)} < ${minSol})`);
+      return PASS;
+    },
+  },
+
+  devBuy: {
+    params: { minSol: "number", maxSol: "number" },
+    create: ({ minSol, maxSol }) => (event) => {
+      const sol = event.solAmount;
+      if (minSol !== undefined && sol < minSol) return fail(`Initial buy too low (${sol} < ${minSol})`);
+      if (maxSol !== undefined && sol > maxSol) return fail(`Initial buy too high (${sol} > ${maxSol})`);
+      return PASS;
+    },
+  },
+
+  devBuyPercent: {
+    params: { minPercent: "number", maxPercent: "number" },
+    create: ({ minPercent, maxPercent }) => (event) => {
+      if (event.initialBuy === null) return fail("Dev buy size unknown");
+      const share = (event.initialBuy / TOKEN_TOTAL_SUPPLY) * 100;
+      if (maxPercent !== undefined && share > maxPercent) return fail(`Dev holds ${percent(share)} of supply (> ${maxPercent}%)`);
+      if (minPercent !== undefined && share < minPercent) return fail(`Dev holds ${percent(share)} of supply (< ${minPercent}%)`);
+      return PASS;
+    },
+  },
+
+  creatorWhitelist: {
+    params: { creators: "string[]" },
+    required: ["creators"],
+    create: ({ creators }) => {
+      const allowed = new Set(creators);
+      return (event) => (allowed.size === 0 || allowed.has(event.traderPublicKey) ? PASS : fail("Creator not in whitelist"));
+    },
+  },
+
+  creatorBlacklist: {
+    params: { creators: "string[]" },
+    required: ["creators"],
+    create: ({ creators }) => {
+      const blocked = new Set(creators);
+      return (event) => (blocked.has(event.traderPublicKey) ? fail("Creator is blacklisted") : PASS);
+    },
+  },
+
+  name: {
+    params: { allow: "regex", deny: "regex", flags: "string" },
+    create: (params) => patternRule("Name", "name", params),
+  },
+
+  symbol: {
+    params: { allow: "regex", deny: "regex", flags: "string" },
+    create: (params) => patternRule("Symbol", "symbol", params),
+  },
+
+  creatorHistory: {
+    params: { minPriorLaunches: "number", maxPriorLaunches: "number", maxRugPercent: "number", minLaunchesForRugRate: "number" },
+    create: ({ minPriorLaunches, maxPriorLaunches, maxRugPercent, minLaunchesForRugRate = 1 }) => (event, ctx) => {
+      const history = ctx.creatorHistory;
+      if (!history) return fail("No creator history available");
+      const { launches, rugs } = history;
+      if (maxPriorLaunches !== undefined && launches > maxPriorLaunches) {
+        return fail(`Creator has ${launches} prior launches (> ${maxPriorLaunches})`);
+      }
+      if (minPriorLaunches !== undefined && launches < minPriorLaunches) {
+        return fail(`Creator has ${launches} prior launches (< ${minPriorLaunches})`);
+      }
+      if (maxRugPercent !== undefined && launches >= minLaunchesForRugRate) {
+        const rugPercent = (rugs / launches) * 100;
+        if (rugPercent > maxRugPercent) return fail(`Creator rugged ${rugs}/${launches} launches (${percent(rugPercent)} > ${maxRugPercent}%)`);
+      }
+      return PASS;
+    },
+  },
+
+  metadata: {
+    params: { requireSocials: "string[]", minSocials: "number", requireImage: "boolean" },
+    create: ({ requireSocials = [], minSocials = 0, requireImage = false }) => async (event, ctx) => {
+      const metadata = await ctx.metadata();
+      if (metadata.error) return fail(`Metadata unavailable: ${metadata.error}`);
+
+      const socials = SOCIAL_FIELDS.filter((field) => typeof metadata.json[field] === "string" && metadata.json[field].trim());
+      const missing = requireSocials.filter((field) => !socials.includes(field));
+      if (missing.length > 0) return fail(`Missing socials: ${missing.join(", ")}`);
+      if (socials.length < minSocials) return fail(`Only ${socials.length} social links (< ${minSocials})`);
+
+      if (requireImage) {
+        const image = await ctx.image();
+        if (!image.ok) return fail(`Image unreachable: ${image.error}`);
+      }
+      return PASS;
+    },
+  },
+
+  earlyBuyers: {
+    params: {
+      windowMs: "number",
+      top: "number",
+      maxTopPercent: "number",
+      maxBuyerPercent: "number",
+      minBuyers: "number",
+      excludeCreator: "boolean",
+    },
+    create: ({ windowMs = EARLY_WINDOW_MS, top = 3, maxTopPercent, maxBuyerPercent, minBuyers, excludeCreator = true }) => async (event, ctx) => {
+      const trades = await ctx.earlyTrades(windowMs);
+      if (!trades) return fail("Early trades unavailable (no feed)");
+
+      // Net tokens per wallet over the window
+      const holdings = new Map();
+      for (const trade of trades) {
+        if (excludeCreator && trade.traderPublicKey === event.traderPublicKey) continue;
+        const delta = trade.txType === "buy" ? trade.tokenAmount : -trade.tokenAmount;
+        holdings.set(trade.traderPublicKey, (holdings.get(trade.traderPublicKey) ?? 0) + delta);
+      }
+      const shares = [...holdings.values()]
+        .filter((tokens) => tokens > 0)
+        .map((tokens) => (tokens / TOKEN_TOTAL_SUPPLY) * 100)
+        .sort((a, b) => b - a);
+
+      const seconds = `${(windowMs / 1000).toFixed(1)}s`;
+      if (minBuyers !== undefined && shares.length < minBuyers) {
+        return fail(`Only ${shares.length} early buyers in ${seconds} (< ${minBuyers})`);
+      }
+      if (maxBuyerPercent !== undefined && shares.length > 0 && shares[0] > maxBuyerPercent) {
+        return fail(`Largest early buyer holds ${percent(shares[0])} (> ${maxBuyerPercent}%)`);
+      }
+      const topShare = shares.slice(0, top).reduce((sum, share) => sum + share, 0);
+      if (maxTopPercent !== undefined && topShare > maxTopPercent) {
+        return fail(`Top ${top} early buyers hold ${percent(topShare)} (> ${maxTopPercent}%)`);
+      }
+      return PASS;
+    },
+  },
+};
+
+function patternRule(label, field, { allow, deny, flags = "i" }) {
+  const allowRe = allow ? new RegExp(allow, flags) : null;
+  const denyRe = deny ? new RegExp(deny, flags) : null;
+  return (event) => {
+    const value = event[field];
+    if (allowRe && !allowRe.test(value)) return fail(`${label} doesn't match ${allowRe}`);
+    if (denyRe && denyRe.test(value)) return fail(`${label} matches blocked pattern ${denyRe}`);
+    return PASS;
+  };
+}
+
+// ============================================================================
+// CONFIG
+// ============================================================================
+
+const STRATEGY_FIELDS = {
+  name: "string",
+  enabled: "boolean",
+  buyAmountSol: "number",
+  slippage: "number",
+  priorityFee: "number",
+  budgetSol: "number",
+  maxBuys: "number",
+  cooldownMs: "number",
+  maxConcurrentBuys: "number",
+  rules: "array",
+  exits: "object",
+};
+
+function checkKind(value, kind, flags) {
+  switch (kind) {
+    case "number":
+      return Number.isFinite(value) && value >= 0;
+    case "string":
+      return typeof value === "string";
+    case "boolean":
+      return typeof value === "boolean";
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return value !== null && typeof value === "object" && !Array.isArray(value);
+    case "string[]":
+      return Array.isArray(value) && value.every((v) => typeof v === "string");
+    case "regex":
+      try {
+        new RegExp(value, flags ?? "i");
+        return typeof value === "string";
+      } catch {
+        return false;
+      }
+  }
+  return false;
+}
+
+function validateRule(rule, path) {
+  const problems = [];
+  const spec = RULES[rule?.type];
+  if (!spec) return [`${path}: unknown rule type ${JSON.stringify(rule?.type)}`];
+
+  for (const [key, value] of Object.entries(rule)) {
+    if (key === "type") continue;
+    const kind = spec.params[key];
+    if (!kind) problems.push(`${path}.${key}: not a ${rule.type} option`);
+    else if (!checkKind(value, kind, rule.flags)) problems.push(`${path}.${key}: expected ${kind === "regex" ? "a valid regular expression" : kind}`);
+  }
+  for (const key of spec.required ?? []) {
+    if (rule[key] === undefined) problems.push(`${path}.${key}: required`);
+  }
+  return problems;
+}
+
+/**
+ * Validate a parsed strategy config and build the strategies.
+ * Accepts `{ strategies: [...] }` or a bare array.
+ *
+ * @param {object|object[]} config
+ * @param {object} [options]
+ * @param {string} [options.file] - For error messages
+ * @returns {Strategy[]}
+ * @throws {StrategyConfigError}
+ */
+export function parseStrategies(config, { file } = {}) {
+  const list = Array.isArray(config) ? config : config?.strategies;
+  if (!Array.isArray(list) || list.length === 0) {
+    throw new StrategyConfigError(`${file ?? "Strategy config"}: expected a non-empty "strategies" list`, { file });
+  }
+
+  const problems = [];
+  const names = new Set();
+  list.forEach((s, i) => {
+    const path = `strategies[${i}]`;
+    for (const [key, value] of Object.entries(s ?? {})) {
+      const kind = STRATEGY_FIELDS[key];
+      if (!kind) problems.push(`${path}.${key}: unknown field`);
+      else if (!checkKind(value, kind)) problems.push(`${path}.${key}: expected ${kind}`);
+    }
+    for (const key of ["name", "buyAmountSol", "budgetSol", "rules"]) {
+      if (s?.[key] === undefined) problems.push(`${path}.${key}: required`);
+    }
+    if (s?.name !== undefined) {
+      if (names.has(s.name)) problems.push(`${path}.name: duplicate "${s.name}"`);
+      names.add(s.name);
+    }
+    if (Array.isArray(s?.rules)) {
+      s.rules.forEach((rule, j) => problems.push(...validateRule(rule, `${path}.rules[${j}]`)));
+    }
+    if (s?.exits !== undefined) problems.push(...validateExits(s.exits, `${path}.exits`));
+  });
+
+  if (problems.length > 0) {
+    throw new StrategyConfigError(`${file ?? "Strategy config"}: ${problems.length} problem(s)\n  ${problems.join("\n  ")}`, { file, problems });
+  }
+  return list.map((s) => new Strategy(s));
+}
+
+/**
+ * Load strategies from a .json, .yaml or .yml file. YAML needs the `yaml`
+ * package (npm install yaml).
+ *
+ * @param {string} file
+ * @returns {Promise<Strategy[]>}
+ * @throws {StrategyConfigError}
+ */
+export async function loadStrategies(file) {
+  let text;
+  try {
+    text = await readFile(file, "utf8");
+  } catch (err) {
+    throw new StrategyConfigError(`Can't read strategy file ${file}: ${err.message}`, { file, cause: err });
+  }
+
+  let config;
+  try {
+    if ([".yaml", ".yml"].includes(extname(file).toLowerCase())) {
+      let yaml;
+      try {
+        yaml = await import("yaml");
+      } catch (err) {
+        throw new StrategyConfigError("YAML strategy files need the yaml package: npm install yaml", { file, cause: err });
+      }
+      config = yaml.parse(text);
+    } else {
+      config = JSON.parse(text);
+    }
+  } catch (err) {
+    if (err instanceof StrategyConfigError) throw err;
+    throw new StrategyConfigError(`Can't parse strategy file ${file}: ${err.message}`, { file, cause: err });
+  }
+
+  return parseStrategies(config, { file });
+}
+
+// ============================================================================
+// STRATEGY
+// ============================================================================
+
+export class Strategy {
+  /**
+   * @param {object} config - One validated entry of the strategy file
+   */
+  constructor({
+    name,
+    enabled = true,
+    buyAmountSol,
+    slippage = 20,
+    priorityFee = 0.001,
+    budgetSol,
+    maxBuys = Infinity,
+    cooldownMs = 0,
+    maxConcurrentBuys = 1,
+    rules,
+    exits = null,
+  }) {
+    this.name = name;
+    this.enabled = enabled;
+    this.buyAmountSol = buyAmountSol;
+    this.slippage = slippage;
+    this.priorityFee = priorityFee;
+    this.budgetSol = budgetSol;
+    this.maxBuys = maxBuys;
+    this.cooldownMs = cooldownMs;
+    this.maxConcurrentBuys = maxConcurrentBuys;
+    this.exits = exits;
+    this.rules = rules.map((rule) => ({
+      type: rule.type,
+      windowMs: rule.type === "earlyBuyers" ? rule.windowMs ?? EARLY_WINDOW_MS : undefined,
+      check: RULES[rule.type].create(rule),
+    }));
+
+    // Budget and pacing state — separate per strategy
+    this.spentSol = 0;
+    this.reservedSol = 0;
+    this.buys = 0;
+    this.active = 0;
+    this.lastBuyTs = -Infinity;
+    this.pausedUntil = 0;
+    this.evaluated = 0;
+    this.passed = 0;
+  }
+
+  get remainingSol() {
+    return this.budgetSol - this.spentSol - this.reservedSol;
+  }
+
+  /** Budget, concurrency and cooldown checks — no rules. */
+  gate(now) {
+    if (this.remainingSol + 1e-9 < this.buyAmountSol) {
+      return fail(`Budget exhausted (${this.spentSol.toFixed(4)}/${this.budgetSol} SOL spent)`);
+    }
+    if (this.buys + this.active >= this.maxBuys) return fail(`Max buys reached (${this.maxBuys})`);
+    if (this.active >= this.maxConcurrentBuys) return fail("Max concurrent buys reached");
+    if (now < this.pausedUntil) return fail(`Paused (${Math.ceil((this.pausedUntil - now) / 1000)}s remaining)`);
+    const sinceLastBuy = now - this.lastBuyTs;
+    if (sinceLastBuy < this.cooldownMs) {
+      return fail(`Cooldown (${Math.ceil((this.cooldownMs - sinceLastBuy) / 1000)}s remaining)`);
+    }
+    return PASS;
+  }
+
+  /**
+   * Run the rules in order, stopping at the first failure.
+   *
+   * @returns {Promise<{ pass: boolean, reason?: string, rule?: string }>}
+   */
+  async evaluate(event, ctx) {
+    this.evaluated++;
+    for (const { type, check } of this.rules) {
+      let result;
+      try {
+        result = await check(event, ctx);
+      } catch (err) {
+        result = fail(`${type} rule error: ${err.message}`);
+      }
+      if (!result.pass) return { ...result, rule: type };
+    }
+    this.passed++;
+    return PASS;
+  }
+
+  /** Hold budget and a concurrency slot while a buy is in flight. */
+  reserve(now) {
+    this.reservedSol += this.buyAmountSol;
+    this.active++;
+    const previous = this.lastBuyTs;
+    this.lastBuyTs = now;
+    return previous;
+  }
+
+  /**
+   * Release the reservation: spend it on success, refund it on failure.
+   *
+   * @param {{ ok: boolean, pauseMs?: number }} outcome
+   * @param {number} now
+   * @param {number} previousBuyTs - From reserve(); restored on failure so it doesn't start a cooldown
+   */
+  settle({ ok, pauseMs }, now, previousBuyTs) {
+    this.reservedSol -= this.buyAmountSol;
+    this.active--;
+    if (ok) {
+      this.spentSol += this.buyAmountSol;
+      this.buys++;
+    } else {
+      this.lastBuyTs = previousBuyTs;
+    }
+    if (pauseMs) this.pausedUntil = Math.max(this.pausedUntil, now + pauseMs);
+  }
+
+  stats() {
+    return {
+      name: this.name,
+      evaluated: this.evaluated,
+      passed: this.passed,
+      buys: this.buys,
+      spentSol: this.spentSol,
+      remainingSol: this.remainingSol,
+    };
+  }
+}
+
+// ============================================================================
+// ENGINE
+// ============================================================================
+
+export class StrategyEngine extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {Strategy[]} options.strategies
+   * @param {(strategy: Strategy, event: object) => Promise<boolean|{ ok: boolean, error?: Error, pauseMs?: number }>} options.execute - Performs the buy
+   * @param {import("./ws-events.js").PumpDevFeed} [options.feed] - Create events are taken from it; needed by earlyBuyers
+   * @param {import("./creator-history.js").CreatorHistory} [options.history] - Needed by creatorHistory
+   * @param {() => number} [options.now] - Clock for cooldowns (default Date.now; follow recorded time in replays)
+   * @param {typeof fetch} [options.fetch] - For metadata rules
+   * @param {number} [options.metadataTimeoutMs] - Default 5000
+   * @param {string} [options.ipfsGateway] - Resolves ipfs:// URIs (default https://ipfs.io/ipfs/)
+   */
+  constructor({
+    strategies,
+    execute,
+    feed,
+    history,
+    now = Date.now,
+    fetch = globalThis.fetch,
+    metadataTimeoutMs = 5000,
+    ipfsGateway = DEFAULT_IPFS_GATEWAY,
+  }) {
+    super();
+    this.strategies = strategies;
+    this.execute = execute;
+    this.feed = feed ?? null;
+    this.history = history ?? null;
+    this.now = now;
+    this.fetch = fetch;
+    this.metadataTimeoutMs = metadataTimeoutMs;
+    this.ipfsGateway = ipfsGateway;
+
+    this.pending = new Set();
+    const ruleTypes = strategies.flatMap((s) => s.rules.map((r) => r.type));
+    this.watchCreators = ruleTypes.includes("creatorHistory");
+
+    if (this.feed) {
+      this.feed.on("create", (event, meta) => this.handleCreate(event, meta));
+      if (this.history) this.feed.on("trade", (event, { ts }) => this.history.recordTrade(event, ts));
+    }
+  }
+
+  /**
+   * Evaluate a create event against every enabled strategy concurrently and
+   * buy for each one that passes.
+   *
+   * @param {import("./ws-events.js").CreateEvent} event
+   * @param {{ ts?: number }} [meta]
+   * @returns {Promise<Array<{ strategy: Strategy, pass: boolean, reason?: string, rule?: string, ok?: boolean }>>}
+   */
+  handleCreate(event, { ts = this.now() } = {}) {
+    // Snapshot before this launch is counted — "prior launches" excludes it
+    const creatorHistory = this.history?.get(event.traderPublicKey);
+    if (this.history) {
+      this.history.recordLaunch(event, ts);
+      if (this.watchCreators) this.watchCreator(event.traderPublicKey);
+    }
+
+    const ctx = this.context(event, ts, creatorHistory);
+    // Start watching early trades at launch, not when the rule gets its turn
+    for (const windowMs of this.earlyWindows()) ctx.earlyTrades(windowMs);
+    const work = Promise.all(
+      this.strategies.filter((s) => s.enabled).map((strategy) => this.run(strategy, event, ctx)),
+    );
+    this.pending.add(work);
+    work.finally(() => this.pending.delete(work));
+    return work;
+  }
+
+  async run(strategy, event, ctx) {
+    let result = strategy.gate(this.now());
+    if (result.pass) result = await strategy.evaluate(event, ctx);
+    // Another evaluation may have bought while async rules were running
+    if (result.pass) result = strategy.gate(this.now());
+
+    this.emit("decision", { strategy, event, ...result });
+    if (!result.pass) return { strategy, ...result };
+
+    const previousBuyTs = strategy.reserve(this.now());
+    let outcome;
+    try {
+      const returned = await this.execute(strategy, event);
+      outcome = typeof returned === "boolean" ? { ok: returned } : returned;
+    } catch (error) {
+      outcome = { ok: false, error };
+    }
+    strategy.settle(outcome, this.now(), previousBuyTs);
+
+    this.emit("buy", { strategy, event, ...outcome });
+    return { strategy, ...result, ...outcome };
+  }
+
+  /** Distinct earlyBuyers windows across enabled strategies. */
+  earlyWindows() {
+    const windows = new Set();
+    for (const strategy of this.strategies) {
+      if (!strategy.enabled) continue;
+      for (const rule of strategy.rules) {
+        if (rule.type === "earlyBuyers") windows.add(rule.windowMs);
+      }
+    }
+    return windows;
+  }
+
+  /** Wait for every in-flight evaluation and buy. */
+  async idle() {
+    while (this.pending.size > 0) {
+      await Promise.allSettled([...this.pending]);
+    }
+  }
+
+  stats() {
+    return this.strategies.map((s) => s.stats());
+  }
+
+  // ==========================================================================
+  // RULE CONTEXT
+  // ==========================================================================
+
+  /** Shared per launch, so strategies fetch metadata and watch trades once. */
+  context(event, ts, creatorHistory) {
+    const cache = new Map();
+    const once = (key, fn) => {
+      if (!cache.has(key)) cache.set(key, fn());
+      return cache.get(key);
+    };
+    const metadata = () => once("metadata", () => this.fetchMetadata(event.uri));
+    return {
+      ts,
+      creatorHistory,
+      metadata,
+      image: () => once("image", async () => this.checkImage((await metadata()).json?.image)),
+      earlyTrades: (windowMs) => once(`trades:${windowMs}`, () => this.collectTrades(event.mint, ts, windowMs)),
+    };
+  }
+
+  resolveUri(uri) {
+    return uri.startsWith("ipfs://") ? this.ipfsGateway + uri.slice("ipfs://".length) : uri;
+  }
+
+  async fetchMetadata(uri) {
+    if (!uri) return { json: null, error: "no metadata URI" };
+    try {
+      const res = await this.fetch(this.resolveUri(uri), { signal: AbortSignal.timeout(this.metadataTimeoutMs) });
+      if (!res.ok) return { json: null, error: `HTTP ${res.status}` };
+      return { json: await res.json(), error: null };
+    } catch (err) {
+      return { json: null, error: err.message };
+    }
+  }
+
+  async checkImage(image) {
+    if (!image) return { ok: false, error: "no image in metadata" };
+    try {
+      const res = await this.fetch(this.resolveUri(image), {
+        method: "HEAD",
+        signal: AbortSignal.timeout(this.metadataTimeoutMs),
+      });
+      if (!res.ok) return { ok: false, error: `HTTP ${res.status}` };
+      const type = res.headers.get("content-type") ?? "";
+      if (type && !type.startsWith("image/")) return { ok: false, error: `not an image (${type})` };
+      return { ok: true, error: null };
+    } catch (err) {
+      return { ok: false, error: err.message };
+    }
+  }
+
+  /**
+   * Trades of `mint` in the first `windowMs` after launch. The window closes
+   * on the first feed event past it (so replays use recorded time) or when
+   * the wall-clock timer runs out.
+   */
+  collectTrades(mint, startTs, windowMs) {
+    if (!this.feed) return Promise.resolve(null);
+    const feed = this.feed;
+
+    return new Promise((resolve) => {
+      const trades = [];
+      let finished = false;
+      const onTrade = (trade, { ts }) => {
+        if (trade.mint === mint && ts - startTs <= windowMs) trades.push(trade);
+      };
+      const onEvent = (event, { ts }) => {
+        if (ts - startTs > windowMs) done();
+      };
+      const done = () => {
+        if (finished) return;
+        finished = true;
+        clearTimeout(timer);
+        feed.off("trade", onTrade);
+        feed.off("event", onEvent);
+        feed.release("token", mint);
+        resolve(trades);
+      };
+
+      feed.acquire("token", mint);
+      feed.on("trade", onTrade);
+      feed.on("event", onEvent);
+      const timer = setTimeout(done, Math.max(0, startTs + windowMs - this.now()));
+    });
+  }
+
+  /** Follow a creator's trades for the rug window so sells are seen. */
+  watchCreator(creator) {
+    if (!this.feed) return;
+    this.feed.acquire("account", creator);
+    setTimeout(() => this.feed.release("account", creator), this.history.rugWindowMs).unref();
+  }
+}
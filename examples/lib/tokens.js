@@ -0,0 +1,398 @@
+/**
+ * SPL Token Transfers & Token Account Cleanup
+ *
+ * PumpDev's /api/transfer and /api/transfer-all only move SOL, and
+ * `closeTokenAccount` only applies to sells. These transactions are built
+ * locally from SPL Token instructions instead (no @solana/spl-token needed):
+ * - tokenAccounts() lists a wallet's token accounts under both token
+ *   programs (pump.fun create_v2 mints and PumpSwap tokens may be Token-2022)
+ * - buildTokenTransfer() moves pump.fun / PumpSwap tokens between wallets
+ *   with transferChecked, creating the recipient's associated token account
+ *   when it doesn't exist yet (paid by the sender, ~0.002 SOL rent)
+ * - planCleanup() picks empty — and optionally dust — accounts, and
+ *   TokenAccountCleaner closes them several per transaction to reclaim their
+ *   rent. Dust is burned first: a token account can only close at zero.
+ *
+ * Events (TokenAccountCleaner):
+ *   batchSent      { name, index, signature, accounts }
+ *   batchConfirmed { name, index, signature, slot, accounts, rentSol }
+ *   batchFailed    { name, index, error, accounts }
+ *
+ * Usage:
+ *   const { tx } = await buildTokenTransfer(connection, { owner, recipient, mint, amount: 1_000_000 });
+ *   await signer.signTransaction(tx);
+ *
+ *   const cleaner = new TokenAccountCleaner({ connection });
+ *   const plan = planCleanup(await tokenAccounts(connection, owner), { dust: 1 });
+ *   const results = await cleaner.run([{ name: "main", signer, accounts: plan.close }]);
+ */
+
+import { EventEmitter } from "node:events";
+import {
+  ComputeBudgetProgram,
+  LAMPORTS_PER_SOL,
+  PublicKey,
+  SystemProgram,
+  TransactionInstruction,
+  TransactionMessage,
+  VersionedTransaction,
+} from "@solana/web3.js";
+import bs58 from "bs58";
+import { TokenAccountError } from "./errors.js";
+import {
+  ASSOCIATED_TOKEN_PROGRAM_ID,
+  NATIVE_MINT,
+  TOKEN_2022_PROGRAM_ID,
+  TOKEN_PROGRAM_ID,
+  associatedTokenAddress,
+} from "./inspect.js";
+import { TransactionSender } from "./sender.js";
+
+/** Accounts closed per cleanup transaction — with burns, 8 stays under 1232 bytes. */
+export const DEFAULT_ACCOUNTS_PER_TX = 8;
+
+const TOKEN_PROGRAMS = [TOKEN_PROGRAM_ID, TOKEN_2022_PROGRAM_ID];
+
+// SPL Token instruction indexes
+const TOKEN_IX = { burnChecked: 15, closeAccount: 9, transferChecked: 12 };
+
+const toSol = (n) => n / LAMPORTS_PER_SOL;
+
+function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) chunks.push(items.slice(i, i + size));
+  return chunks;
+}
+
+/** UI amount (number or string) → raw u64, without float rounding. */
+export function toRawAmount(amount, decimals) {
+  const [whole, fraction = ""] = String(amount).split(".");
+  if (!/^\d*$/.test(whole) || !/^\d*$/.test(fraction) || fraction.length > decimals) {
+    throw new TokenAccountError(`Invalid token amount ${amount} for ${decimals} decimals`, { reason: "invalid" });
+  }
+  return BigInt(whole || "0") * 10n ** BigInt(decimals) + BigInt(fraction.padEnd(decimals, "0") || "0");
+}
+
+/** Raw u64 → UI amount. */
+export function fromRawAmount(raw, decimals) {
+  return Number(raw) / 10 ** decimals;
+}
+
+// ============================================================================
+// INSTRUCTIONS
+// ============================================================================
+
+const meta = (pubkey, isSigner = false, isWritable = false) => ({ pubkey: new PublicKey(pubkey), isSigner, isWritable });
+
+function u64Data(index, amount, decimals) {
+  const data = Buffer.alloc(decimals === undefined ? 9 : 10);
+  data.writeUInt8(index, 0);
+  data.writeBigUInt64LE(BigInt(amount), 1);
+  if (decimals !== undefined) data.writeUInt8(decimals, 9);
+  return data;
+}
+
+/** Create `owner`'s associated token account for `mint`; no-op if it exists. */
+export function createAssociatedAccountIdempotent({ payer, owner, mint, programId = TOKEN_PROGRAM_ID }) {
+  return new TransactionInstruction({
+    programId: new PublicKey(ASSOCIATED_TOKEN_PROGRAM_ID),
+    keys: [
+      meta(payer, true, true),
+      meta(associatedTokenAddress(owner, mint, programId), false, true),
+      meta(owner),
+      meta(mint),
+      meta(SystemProgram.programId),
+      meta(programId),
+    ],
+    data: Buffer.from([1]),
+  });
+}
+
+export function transferChecked({ source, mint, destination, owner, amount, decimals, programId = TOKEN_PROGRAM_ID }) {
+  return new TransactionInstruction({
+    programId: new PublicKey(programId),
+    keys: [meta(source, false, true), meta(mint), meta(destination, false, true), meta(owner, true)],
+    data: u64Data(TOKEN_IX.transferChecked, amount, decimals),
+  });
+}
+
+export function burnChecked({ account, mint, owner, amount, decimals, programId = TOKEN_PROGRAM_ID }) {
+  return new TransactionInstruction({
+    programId: new PublicKey(programId),
+    keys: [meta(account, false, true), meta(mint, false, true), meta(owner, true)],
+    data: u64Data(TOKEN_IX.burnChecked, amount, decimals),
+  });
+}
+
+export function closeAccount({ account, destination, owner, programId = TOKEN_PROGRAM_ID }) {
+  return new TransactionInstruction({
+    programId: new PublicKey(programId),
+    keys: [meta(account, false, true), meta(destination, false, true), meta(owner, true)],
+    data: Buffer.from([TOKEN_IX.closeAccount]),
+  });
+}
+
+function priorityFeeInstructions(priorityFee, units) {
+  if (!priorityFee) return [];
+  return [
+    ComputeBudgetProgram.setComputeUnitLimit({ units }),
+    ComputeBudgetProgram.setComputeUnitPrice({ microLamports: priorityFee }),
+  ];
+}
+
+// ============================================================================
+// ACCOUNTS
+// ============================================================================
+
+/**
+ * Every token account a wallet owns, under both token programs.
+ *
+ * @param {import("@solana/web3.js").Connection} connection
+ * @param {string} owner
+ * @returns {Promise<{ address, mint, owner, programId, amountRaw: bigint, decimals, uiAmount, lamports, state, closeAuthority }[]>}
+ */
+export async function tokenAccounts(connection, owner) {
+  const accounts = [];
+  for (const programId of TOKEN_PROGRAMS) {
+    const { value } = await connection.getParsedTokenAccountsByOwner(new PublicKey(owner), {
+      programId: new PublicKey(programId),
+    });
+    for (const { pubkey, account } of value) {
+      const info = account.data.parsed.info;
+      accounts.push({
+        address: pubkey.toBase58(),
+        mint: info.mint,
+        owner: info.owner,
+        programId,
+        amountRaw: BigInt(info.tokenAmount.amount),
+        decimals: info.tokenAmount.decimals,
+        uiAmount: Number(info.tokenAmount.uiAmountString ?? info.tokenAmount.uiAmount ?? 0),
+        lamports: account.lamports,
+        state: info.state,
+        closeAuthority: info.closeAuthority ?? null,
+      });
+    }
+  }
+  return accounts;
+}
+
+/**
+ * A wallet's balance of one mint, summed over its token accounts.
+ *
+ * @returns {Promise<{ uiAmount: number, decimals: number|null }>} decimals is null when it holds no account
+ */
+export async function tokenBalance(connection, owner, mint) {
+  const held = (await tokenAccounts(connection, owner)).filter((a) => a.mint === mint);
+  return { uiAmount: held.reduce((sum, a) => sum + a.uiAmount, 0), decimals: held[0]?.decimals ?? null };
+}
+
+// ============================================================================
+// TRANSFERS
+// ============================================================================
+
+/**
+ * Build an unsigned token transfer from `owner`'s associated token account
+ * to `recipient`'s, creating the recipient's account if it's missing.
+ *
+ * @param {import("@solana/web3.js").Connection} connection
+ * @param {object} params
+ * @param {string} params.owner - Sender wallet; pays fees and any new account's rent
+ * @param {string} params.recipient - Recipient wallet (not token account)
+ * @param {string} params.mint
+ * @param {number|string|"all"} params.amount - UI amount, or "all" for the whole balance
+ * @param {boolean} [params.closeSource] - With "all": close the sender's account too (default false)
+ * @param {number} [params.priorityFee] - Compute unit price in micro-lamports (default none)
+ * @returns {Promise<{ tx, amountRaw: bigint, decimals: number, programId: string, source: string, destination: string, createsAccount: boolean }>}
+ * @throws {TokenAccountError}
+ */
+export async function buildTokenTransfer(connection, {
+  owner,
+  recipient,
+  mint,
+  amount,
+  closeSource = false,
+  priorityFee,
+}) {
+  if (owner === recipient) {
+    throw new TokenAccountError("Sender and recipient are the same wallet", { mint, reason: "invalid" });
+  }
+
+  const mintInfo = await connection.getAccountInfo(new PublicKey(mint));
+  const programId = mintInfo?.owner.toBase58();
+  if (!TOKEN_PROGRAMS.includes(programId)) {
+    throw new TokenAccountError(`${mint} is not an SPL token mint`, { mint, reason: "invalid" });
+  }
+  const decimals = Buffer.from(mintInfo.data).readUInt8(44);
+
+  const source = associatedTokenAddress(owner, mint, programId);
+  const destination = associatedTokenAddress(recipient, mint, programId);
+  const [sourceInfo, destinationInfo] = await connection.getMultipleAccountsInfo([
+    new PublicKey(source),
+    new PublicKey(destination),
+  ]);
+  if (!sourceInfo) {
+    throw new TokenAccountError(`${owner} has no token account for ${mint}`, { mint, reason: "noAccount" });
+  }
+
+  const balance = Buffer.from(sourceInfo.data).readBigUInt64LE(64);
+  const amountRaw = amount === "all" ? balance : toRawAmount(amount, decimals);
+  if (amountRaw <= 0n) {
+    throw new TokenAccountError(`Nothing to transfer (balance ${fromRawAmount(balance, decimals)})`, { mint, reason: "balance" });
+  }
+  if (amountRaw > balance) {
+    throw new TokenAccountError(
+      `Transfer of ${fromRawAmount(amountRaw, decimals)} exceeds balance ${fromRawAmount(balance, decimals)}`,
+      { mint, reason: "balance" },
+    );
+  }
+
+  const createsAccount = !destinationInfo;
+  const instructions = [
+    ...priorityFeeInstructions(priorityFee, 60_000),
+    ...(createsAccount ? [createAssociatedAccountIdempotent({ payer: owner, owner: recipient, mint, programId })] : []),
+    transferChecked({ source, mint, destination, owner, amount: amountRaw, decimals, programId }),
+  ];
+  if (closeSource && amountRaw === balance) {
+    instructions.push(closeAccount({ account: source, destination: owner, owner, programId }));
+  }
+
+  const { blockhash } = await connection.getLatestBlockhash();
+  const message = new TransactionMessage({
+    payerKey: new PublicKey(owner),
+    recentBlockhash: blockhash,
+    instructions,
+  }).compileToV0Message();
+
+  return { tx: new VersionedTransaction(message), amountRaw, decimals, programId, source, destination, createsAccount };
+}
+
+// ============================================================================
+// CLEANUP
+// ============================================================================
+
+/**
+ * Pick the token accounts worth closing.
+ *
+ * @param {object[]} accounts - From tokenAccounts()
+ * @param {object} [options]
+ * @param {number} [options.dust] - Also close accounts holding at most this many
+ *   tokens (UI units), burning them first. Default 0: empty accounts only.
+ *   Wrapped SOL is never burned (the token program refuses): closing the
+ *   account unwraps it, so it is closed as-is and counted in `rentSol`.
+ * @param {string[]} [options.keepMints] - Never touch these mints
+ * @returns {{ close: object[], skipped: object[], rentSol: number }} close entries carry `burnRaw`
+ */
+export function planCleanup(accounts, { dust = 0, keepMints = [] } = {}) {
+  const keep = new Set(keepMints);
+  const close = [];
+  const skipped = [];
+
+  for (const account of accounts) {
+    const skip = (reason) => skipped.push({ ...account, reason });
+    if (keep.has(account.mint)) skip("kept mint");
+    else if (account.state === "frozen") skip("frozen — can't be closed");
+    else if (account.closeAuthority && account.closeAuthority !== account.owner) skip("close authority is another wallet");
+    else if (account.amountRaw === 0n) close.push({ ...account, burnRaw: 0n });
+    else if (account.mint === NATIVE_MINT && account.uiAmount <= dust) close.push({ ...account, burnRaw: 0n });
+    else if (account.uiAmount <= dust) close.push({ ...account, burnRaw: account.amountRaw });
+    else skip("holds tokens");
+  }
+
+  return { close, skipped, rentSol: toSol(close.reduce((sum, a) => sum + a.lamports, 0)) };
+}
+
+/**
+ * Unsigned transactions closing `accounts` (burning any dust first), rent to `destination`.
+ *
+ * @param {object} params
+ * @param {string} params.owner - Token account owner; pays the fee and signs
+ * @param {object[]} params.accounts - planCleanup().close entries for this owner
+ * @param {string} params.blockhash
+ * @param {string} [params.destination] - Rent goes here (default owner)
+ * @param {number} [params.accountsPerTx] - Default 8
+ * @param {number} [params.priorityFee] - Compute unit price in micro-lamports
+ * @returns {{ tx, accounts: object[] }[]}
+ */
+export function buildCleanup({ owner, accounts, blockhash, destination = owner, accountsPerTx = DEFAULT_ACCOUNTS_PER_TX, priorityFee }) {
+  return chunk(accounts, accountsPerTx).map((batch) => {
+    const instructions = [...priorityFeeInstructions(priorityFee, 10_000 * batch.length)];
+    for (const a of batch) {
+      if (a.burnRaw > 0n) {
+        instructions.push(burnChecked({ account: a.address, mint: a.mint, owner, amount: a.burnRaw, decimals: a.decimals, programId: a.programId }));
+      }
+      instructions.push(closeAccount({ account: a.address, destination, owner, programId: a.programId }));
+    }
+    const message = new TransactionMessage({
+      payerKey: new PublicKey(owner),
+      recentBlockhash: blockhash,
+      instructions,
+    }).compileToV0Message();
+    return { tx: new VersionedTransaction(message), accounts: batch };
+  });
+}
+
+export class TokenAccountCleaner extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {import("@solana/web3.js").Connection} options.connection
+   * @param {import("./sender.js").TransactionSender} [options.sender] - Default: new one on `connection`
+   * @param {number} [options.accountsPerTx] - Default 8
+   * @param {number} [options.priorityFee] - Compute unit price in micro-lamports
+   */
+  constructor({ connection, sender = new TransactionSender({ connection }), accountsPerTx = DEFAULT_ACCOUNTS_PER_TX, priorityFee }) {
+    super();
+    this.connection = connection;
+    this.sender = sender;
+    this.accountsPerTx = accountsPerTx;
+    this.priorityFee = priorityFee;
+  }
+
+  /**
+   * Close the planned accounts of each wallet. Every wallet signs its own
+   * batches in one signAll(); batches are sent one wallet at a time.
+   *
+   * @param {{ name: string, signer: object, accounts: object[], destination?: string }[]} wallets
+   * @returns {Promise<{ name, index, status: "confirmed"|"failed", signature, slot, error, accounts, rentSol }[]>}
+   */
+  async run(wallets) {
+    const results = [];
+    for (const { name, signer, accounts, destination } of wallets) {
+      if (accounts.length === 0) continue;
+      const owner = signer.publicKey.toBase58();
+      const build = async (batchAccounts) => {
+        const { blockhash } = await this.connection.getLatestBlockhash();
+        return buildCleanup({
+          owner,
+          accounts: batchAccounts,
+          blockhash,
+          destination,
+          accountsPerTx: this.accountsPerTx,
+          priorityFee: this.priorityFee,
+        });
+      };
+
+      const batches = await build(accounts);
+      await signer.signAll(batches.map((b) => b.tx));
+
+      for (const [index, batch] of batches.entries()) {
+        const signature = bs58.encode(batch.tx.signatures[0]);
+        const rentSol = toSol(batch.accounts.reduce((sum, a) => sum + a.lamports, 0));
+        this.emit("batchSent", { name, index, signature, accounts: batch.accounts });
+        try {
+          const result = await this.sender.send(batch.tx, {
+            rebuild: async () => {
+              const [fresh] = await build(batch.accounts);
+              return signer.signTransaction(fresh.tx);
+            },
+          });
+          this.emit("batchConfirmed", { name, index, signature: result.signature, slot: result.slot, accounts: batch.accounts, rentSol });
+          results.push({ name, index, status: "confirmed", signature: result.signature, slot: result.slot, error: null, accounts: batch.accounts, rentSol });
+        } catch (error) {
+          this.emit("batchFailed", { name, index, error, accounts: batch.accounts });
+          results.push({ name, index, status: "failed", signature, slot: null, error, accounts: batch.accounts, rentSol: 0 });
+        }
+      }
+    }
+    return results;
+  }
+}
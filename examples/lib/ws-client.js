@@ -0,0 +1,267 @@
+/**
+ * Resilient PumpDev WebSocket
+ *
+ * Wraps the /ws connection so a network blip doesn't silently kill a bot:
+ * - Reconnects with exponential backoff + jitter
+ * - Remembers every subscribeNewToken / subscribeTokenTrade /
+ *   subscribeAccountTrade and re-sends them after each reconnect
+ * - Sends ping frames and terminates the socket when no pong (or message)
+ *   arrives in time, so half-open connections are detected
+ * - Emits `gap` after a reconnect — trades during the downtime were missed
+ *
+ * Events:
+ *   open         { url }                                 first connection
+ *   message      parsed JSON message (events and system messages)
+ *   disconnect   { code, reason }
+ *   reconnecting { attempt, delayMs }
+ *   reconnect    { attempt, downtimeMs }
+ *   gap          { since, until, downtimeMs, subscriptions }
+ *   close        {}                                      after close() or maxRetries
+ *   error        Error (only emitted when a listener is attached)
+ *
+ * Usage:
+ *   const socket = new PumpDevSocket();
+ *   socket.subscribeNewToken();
+ *   socket.on("message", (msg) => { ... });
+ *   socket.on("gap", ({ downtimeMs }) => console.warn(`missed ${downtimeMs}ms of events`));
+ */
+
+import { EventEmitter } from "node:events";
+import WebSocket from "ws";
+
+export const DEFAULT_WS_URL = "wss://pumpdev.io/ws";
+
+export class PumpDevSocket extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {string} [options.url] - Defaults to PUMPDEV_WS_URL or wss://pumpdev.io/ws
+   * @param {number} [options.minDelayMs] - First reconnect delay (default 500)
+   * @param {number} [options.maxDelayMs] - Backoff cap (default 30000)
+   * @param {number} [options.jitter] - Random ± fraction applied to each delay (default 0.3)
+   * @param {number} [options.heartbeatIntervalMs] - Ping interval (default 15000)
+   * @param {number} [options.heartbeatTimeoutMs] - Terminate if silent this long after a ping (default 10000)
+   * @param {number} [options.maxRetries] - Give up after this many failed attempts in a row (default Infinity)
+   * @param {boolean} [options.autoConnect] - Connect in the constructor (default true)
+   */
+  constructor({
+    url,
+    minDelayMs = 500,
+    maxDelayMs = 30000,
+    jitter = 0.3,
+    heartbeatIntervalMs = 15000,
+    heartbeatTimeoutMs = 10000,
+    maxRetries = Infinity,
+    autoConnect = true,
+  } = {}) {
+    super();
+    this.url = url || process.env.PUMPDEV_WS_URL || DEFAULT_WS_URL;
+    this.minDelayMs = minDelayMs;
+    this.maxDelayMs = maxDelayMs;
+    this.jitter = jitter;
+    this.heartbeatIntervalMs = heartbeatIntervalMs;
+    this.heartbeatTimeoutMs = heartbeatTimeoutMs;
+    this.maxRetries = maxRetries;
+
+    this.ws = null;
+    this.attempt = 0;
+    this.connectedOnce = false;
+    this.closed = false;
+    this.disconnectedAt = null;
+
+    // Desired subscriptions, restored after every reconnect
+    this.subscriptions = {
+      newToken: false,
+      tokens: new Set(),
+      accounts: new Set(),
+    };
+
+    if (autoConnect) this.connect();
+  }
+
+  /** True while the underlying socket is open. */
+  get connected() {
+    return this.ws?.readyState === WebSocket.OPEN;
+  }
+
+  connect() {
+    this.closed = false;
+    const ws = new WebSocket(this.url);
+    this.ws = ws;
+
+    ws.on("open", () => {
+      const attempt = this.attempt;
+      this.attempt = 0;
+      this.startHeartbeat();
+      this.restoreSubscriptions();
+
+      if (!this.connectedOnce) {
+        this.connectedOnce = true;
+        this.emit("open", { url: this.url });
+        return;
+      }
+
+      const until = Date.now();
+      const downtimeMs = until - this.disconnectedAt;
+      this.emit("reconnect", { attempt, downtimeMs });
+      this.emit("gap", {
+        since: this.disconnectedAt,
+        until,
+        downtimeMs,
+        subscriptions: this.describeSubscriptions(),
+      });
+    });
+
+    ws.on("message", (data) => {
+      this.alive();
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (err) {
+        this.fail(new Error(`Unparseable message: ${err.message}`));
+        return;
+      }
+      this.emit("message", message);
+    });
+
+    ws.on("pong", () => this.alive());
+
+    ws.on("error", (err) => this.fail(err));
+
+    ws.on("close", (code, reason) => {
+      this.stopHeartbeat();
+      if (this.ws !== ws) return;
+      this.ws = null;
+
+      // Only the first drop of an outage counts for the gap
+      if (this.connectedOnce && this.attempt === 0) {
+        this.disconnectedAt = Date.now();
+        this.emit("disconnect", { code, reason: reason?.toString() || "" });
+      }
+
+      if (!this.closed) this.scheduleReconnect();
+    });
+  }
+
+  /** Close for good — no reconnect. */
+  close() {
+    this.closed = true;
+    clearTimeout(this.reconnectTimer);
+    this.stopHeartbeat();
+    if (this.ws) {
+      const ws = this.ws;
+      this.ws = null;
+      ws.close();
+    }
+    this.emit("close", {});
+  }
+
+  // ==========================================================================
+  // SUBSCRIPTIONS
+  // ==========================================================================
+
+  subscribeNewToken() {
+    this.subscriptions.newToken = true;
+    this.send({ method: "subscribeNewToken" });
+  }
+
+  unsubscribeNewToken() {
+    this.subscriptions.newToken = false;
+    this.send({ method: "unsubscribeNewToken" });
+  }
+
+  subscribeTokenTrade(keys) {
+    this.updateKeys(this.subscriptions.tokens, "subscribeTokenTrade", keys, true);
+  }
+
+  unsubscribeTokenTrade(keys) {
+    this.updateKeys(this.subscriptions.tokens, "unsubscribeTokenTrade", keys, false);
+  }
+
+  subscribeAccountTrade(keys) {
+    this.updateKeys(this.subscriptions.accounts, "subscribeAccountTrade", keys, true);
+  }
+
+  unsubscribeAccountTrade(keys) {
+    this.updateKeys(this.subscriptions.accounts, "unsubscribeAccountTrade", keys, false);
+  }
+
+  updateKeys(set, method, keys, add) {
+    const list = [].concat(keys).filter(Boolean);
+    if (list.length === 0) return;
+    for (const key of list) {
+      if (add) set.add(key);
+      else set.delete(key);
+    }
+    this.send({ method, keys: list });
+  }
+
+  /** Send now if connected; the desired state is re-sent on (re)connect anyway. */
+  send(message) {
+    if (this.connected) this.ws.send(JSON.stringify(message));
+  }
+
+  restoreSubscriptions() {
+    const { newToken, tokens, accounts } = this.subscriptions;
+    if (newToken) this.send({ method: "subscribeNewToken" });
+    if (tokens.size > 0) this.send({ method: "subscribeTokenTrade", keys: [...tokens] });
+    if (accounts.size > 0) this.send({ method: "subscribeAccountTrade", keys: [...accounts] });
+  }
+
+  describeSubscriptions() {
+    return {
+      newToken: this.subscriptions.newToken,
+      tokens: [...this.subscriptions.tokens],
+      accounts: [...this.subscriptions.accounts],
+    };
+  }
+
+  // ==========================================================================
+  // RECONNECT & HEARTBEAT
+  // ==========================================================================
+
+  /** Exponential backoff with ± jitter, capped at maxDelayMs. */
+  nextDelay(attempt) {
+    const base = Math.min(this.maxDelayMs, this.minDelayMs * 2 ** (attempt - 1));
+    const spread = base * this.jitter;
+    return Math.round(base - spread + Math.random() * 2 * spread);
+  }
+
+  scheduleReconnect() {
+    this.attempt++;
+    if (this.attempt > this.maxRetries) {
+      this.fail(new Error(`Gave up reconnecting after ${this.maxRetries} attempts`));
+      this.close();
+      return;
+    }
+
+    const delayMs = this.nextDelay(this.attempt);
+    this.emit("reconnecting", { attempt: this.attempt, delayMs });
+    this.reconnectTimer = setTimeout(() => this.connect(), delayMs);
+  }
+
+  startHeartbeat() {
+    this.stopHeartbeat();
+    this.heartbeatTimer = setInterval(() => {
+      if (!this.connected || this.pongTimer) return;
+      const ws = this.ws;
+      ws.ping();
+      // No pong (or any message) in time → half-open socket, force a reconnect
+      this.pongTimer = setTimeout(() => ws.terminate(), this.heartbeatTimeoutMs);
+    }, this.heartbeatIntervalMs);
+  }
+
+  /** Any frame from the server proves the socket is alive. */
+  alive() {
+    clearTimeout(this.pongTimer);
+    this.pongTimer = null;
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.alive();
+  }
+
+  fail(err) {
+    if (this.listenerCount("error") > 0) this.emit("error", err);
+  }
+}
@@ -0,0 +1,191 @@
+/**
+ * Types for ws-events.js — the /ws message model.
+ *
+ * Field names follow the PumpDev WebSocket API. Numbers are always numbers
+ * after normalizeEvent(); optional fields are null when the server omits them.
+ */
+
+import { EventEmitter } from "node:events";
+import { PumpDevSocket } from "./ws-client.js";
+
+// ============================================================================
+// MARKET EVENTS
+// ============================================================================
+
+/** "pump" = pump.fun bonding curve, "pumpswap" = PumpSwap AMM pool. */
+export type EventSource = "pump" | "pumpswap";
+
+export type EventType = "create" | "buy" | "sell" | "complete" | "create_pool";
+
+interface CurveState {
+  /** Market cap in SOL after this event */
+  marketCapSol: number | null;
+  vSolInBondingCurve: number | null;
+  vTokensInBondingCurve: number | null;
+}
+
+export interface CreateEvent extends CurveState {
+  txType: "create";
+  source: "pump";
+  signature: string | null;
+  mint: string;
+  /** Creator wallet */
+  traderPublicKey: string;
+  name: string;
+  symbol: string;
+  uri: string | null;
+  bondingCurveKey: string | null;
+  /** Dev buy in SOL (0 when the creator didn't buy) */
+  solAmount: number;
+  /** Tokens received by the dev buy */
+  initialBuy: number | null;
+  [extra: string]: unknown;
+}
+
+export interface TradeEvent extends CurveState {
+  txType: "buy" | "sell";
+  source: EventSource;
+  signature: string | null;
+  mint: string;
+  traderPublicKey: string;
+  /** SOL spent (buy) or received (sell) */
+  solAmount: number;
+  /** Tokens bought or sold, UI units */
+  tokenAmount: number;
+  /** Trader's token balance after the trade */
+  newTokenBalance: number | null;
+  bondingCurveKey: string | null;
+  /** PumpSwap pool, set for trades after migration */
+  pool: string | null;
+  [extra: string]: unknown;
+}
+
+/** The bonding curve filled up; liquidity migrates to PumpSwap. */
+export interface CompleteEvent {
+  txType: "complete";
+  source: EventSource;
+  mint: string;
+  signature: string | null;
+  bondingCurveKey: string | null;
+  [extra: string]: unknown;
+}
+
+export interface CreatePoolEvent {
+  txType: "create_pool";
+  source: "pumpswap";
+  mint: string;
+  pool: string;
+  signature: string | null;
+  [extra: string]: unknown;
+}
+
+export type PumpDevEvent = CreateEvent | TradeEvent | CompleteEvent | CreatePoolEvent;
+
+// ============================================================================
+// SYSTEM MESSAGES
+// ============================================================================
+
+export type SystemMessageType = "connected" | "subscribed" | "unsubscribed" | "error";
+
+export interface SystemMessage {
+  type: SystemMessageType;
+  message: string | null;
+  /** Subscription method for subscribed / unsubscribed */
+  method: string | null;
+  keys: string[] | null;
+  [extra: string]: unknown;
+}
+
+export type ParsedMessage =
+  | { kind: "system"; message: SystemMessage }
+  | { kind: "event"; event: PumpDevEvent }
+  | { kind: "invalid"; message: unknown; problems: string[] };
+
+// ============================================================================
+// FUNCTIONS
+// ============================================================================
+
+export const EVENT_TYPES: EventType[];
+export const SYSTEM_TYPES: SystemMessageType[];
+export const EVENT_SOURCES: { BONDING_CURVE: "pump"; PUMPSWAP: "pumpswap" };
+
+export function isSystemMessage(message: unknown): boolean;
+export function validateEvent(raw: unknown): string[];
+export function eventSource(raw: { txType?: string; source?: string; pool?: string | null }): EventSource;
+/** @throws {EventValidationError} */
+export function normalizeEvent(raw: unknown): PumpDevEvent;
+export function normalizeSystemMessage(raw: object): SystemMessage;
+export function parseMessage(raw: unknown): ParsedMessage;
+
+// ============================================================================
+// TYPED CLIENT
+// ============================================================================
+
+export interface EventMeta {
+  /** Receive time in ms (recorded time during replay) */
+  ts: number;
+}
+
+export interface FeedEvents {
+  create: [CreateEvent, EventMeta];
+  buy: [TradeEvent, EventMeta];
+  sell: [TradeEvent, EventMeta];
+  trade: [TradeEvent, EventMeta];
+  complete: [CompleteEvent, EventMeta];
+  create_pool: [CreatePoolEvent, EventMeta];
+  event: [PumpDevEvent, EventMeta];
+  system: [SystemMessage, EventMeta];
+  connected: [SystemMessage, EventMeta];
+  subscribed: [SystemMessage, EventMeta];
+  unsubscribed: [SystemMessage, EventMeta];
+  serverError: [SystemMessage, EventMeta];
+  invalid: [{ message: unknown; problems: string[] }, EventMeta];
+  open: [{ url: string }];
+  disconnect: [{ code: number; reason: string }];
+  reconnecting: [{ attempt: number; delayMs: number }];
+  reconnect: [{ attempt: number; downtimeMs: number }];
+  gap: [{ since: number; until: number; downtimeMs: number; subscriptions: { newToken: boolean; tokens: string[]; accounts: string[] } }];
+  close: [{}];
+  error: [Error];
+}
+
+export interface FeedOptions {
+  socket?: PumpDevSocket;
+  bufferSize?: number;
+  url?: string;
+  autoConnect?: boolean;
+  minDelayMs?: number;
+  maxDelayMs?: number;
+  jitter?: number;
+  heartbeatIntervalMs?: number;
+  heartbeatTimeoutMs?: number;
+  maxRetries?: number;
+}
+
+export class PumpDevFeed extends EventEmitter {
+  constructor(options?: FeedOptions);
+  readonly socket: PumpDevSocket;
+  bufferSize: number;
+
+  on<K extends keyof FeedEvents>(event: K, listener: (...args: FeedEvents[K]) => void): this;
+  once<K extends keyof FeedEvents>(event: K, listener: (...args: FeedEvents[K]) => void): this;
+  off<K extends keyof FeedEvents>(event: K, listener: (...args: FeedEvents[K]) => void): this;
+
+  dispatch(raw: unknown, meta?: Partial<EventMeta>): ParsedMessage;
+  close(): void;
+
+  subscribeNewToken(): void;
+  unsubscribeNewToken(): void;
+  subscribeTokenTrade(keys: string | string[]): void;
+  unsubscribeTokenTrade(keys: string | string[]): void;
+  subscribeAccountTrade(keys: string | string[]): void;
+  unsubscribeAccountTrade(keys: string | string[]): void;
+
+  newTokens(options?: { signal?: AbortSignal }): AsyncIterableIterator<CreateEvent>;
+  tokenTrades(mint: string, options?: { signal?: AbortSignal }): AsyncIterableIterator<TradeEvent>;
+  accountTrades(wallet: string, options?: { signal?: AbortSignal }): AsyncIterableIterator<TradeEvent>;
+
+  /** Reference-counted subscribe; unsubscribes on the last release if the feed subscribed it. */
+  acquire(kind: "newToken" | "token" | "account", key?: string): void;
+  release(kind: "newToken" | "token" | "account", key?: string): void;
+}
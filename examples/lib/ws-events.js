@@ -0,0 +1,442 @@
+/**
+ * Typed WebSocket Events
+ *
+ * Schema, runtime validation and normalization for /ws messages, plus a
+ * typed client on top of PumpDevSocket. Types live in ws-events.d.ts.
+ *
+ * - System messages (connected, subscribed, unsubscribed, error) are routed
+ *   separately from market events
+ * - Numeric fields (solAmount, tokenAmount, marketCapSol...) are always
+ *   numbers — numeric strings are converted, missing optional fields are null
+ * - Every event carries `source`: "pump" (bonding curve) or "pumpswap" (AMM)
+ * - Malformed messages are reported as `invalid` instead of reaching handlers
+ *
+ * Events (PumpDevFeed):
+ *   create        CreateEvent
+ *   buy / sell    TradeEvent
+ *   trade         TradeEvent (buy and sell)
+ *   complete      CompleteEvent                 bonding curve finished
+ *   create_pool   CreatePoolEvent               PumpSwap pool created
+ *   event         any of the above
+ *   system        SystemMessage
+ *   connected / subscribed / unsubscribed / serverError   SystemMessage by type
+ *   invalid       { message, problems }
+ *   open, disconnect, reconnecting, reconnect, gap, close   forwarded from PumpDevSocket
+ *   error         Error (only emitted when a listener is attached)
+ *
+ * Every market/system listener also receives { ts } — the receive time, or
+ * the recorded time when fed from a replay.
+ *
+ * Usage:
+ *   const feed = new PumpDevFeed();
+ *   feed.subscribeNewToken();
+ *   feed.on("create", (token) => console.log(token.name, token.marketCapSol.toFixed(2)));
+ *
+ *   for await (const trade of feed.tokenTrades(mint)) {
+ *     console.log(trade.txType, trade.solAmount, trade.source);
+ *   }
+ */
+
+import { EventEmitter } from "node:events";
+import { EventValidationError } from "./errors.js";
+import { PumpDevSocket } from "./ws-client.js";
+
+// ============================================================================
+// SCHEMA
+// ============================================================================
+
+export const EVENT_TYPES = ["create", "buy", "sell", "complete", "create_pool"];
+export const SYSTEM_TYPES = ["connected", "subscribed", "unsubscribed", "error"];
+
+/** Where an event happened: pump.fun bonding curve or PumpSwap AMM. */
+export const EVENT_SOURCES = { BONDING_CURVE: "pump", PUMPSWAP: "pumpswap" };
+
+/** Accepted spellings of the PumpSwap source, lowercased. */
+const PUMPSWAP_ALIASES = new Set(["pumpswap", "pump-swap", "pump_swap", "pump-amm", "pump_amm", "amm"]);
+
+/** Curve state sent with create and trade events; optional, null when absent. */
+const CURVE_NUMBERS = ["marketCapSol", "vSolInBondingCurve", "vTokensInBondingCurve"];
+
+/**
+ * Required / optional fields per txType. Strings must be non-empty,
+ * numbers must be finite (numeric strings are accepted and converted).
+ */
+const SCHEMAS = {
+  create: {
+    strings: ["mint", "traderPublicKey", "name", "symbol"],
+    optionalStrings: ["signature", "uri", "bondingCurveKey"],
+    numbers: ["solAmount"],
+    optionalNumbers: ["initialBuy", ...CURVE_NUMBERS],
+  },
+  buy: {
+    strings: ["mint", "traderPublicKey"],
+    optionalStrings: ["signature", "bondingCurveKey", "pool"],
+    numbers: ["solAmount", "tokenAmount"],
+    optionalNumbers: ["newTokenBalance", ...CURVE_NUMBERS],
+  },
+  complete: {
+    strings: ["mint"],
+    optionalStrings: ["signature", "bondingCurveKey"],
+    numbers: [],
+    optionalNumbers: [],
+  },
+  create_pool: {
+    strings: ["mint", "pool"],
+    optionalStrings: ["signature"],
+    numbers: [],
+    optionalNumbers: [],
+  },
+};
+SCHEMAS.sell = SCHEMAS.buy;
+
+// ============================================================================
+// VALIDATION & NORMALIZATION
+// ============================================================================
+
+/** True for connected / subscribed / unsubscribed / error messages. */
+export function isSystemMessage(message) {
+  return SYSTEM_TYPES.includes(message?.type);
+}
+
+function toNumber(value) {
+  if (typeof value === "number") return value;
+  if (typeof value === "string" && value.trim() !== "") return Number(value);
+  return NaN;
+}
+
+/**
+ * Check a raw market event against its schema.
+ *
+ * @param {object} raw - Parsed /ws message
+ * @returns {string[]} Problems found; empty when the event is valid
+ */
+export function validateEvent(raw) {
+  if (!raw || typeof raw !== "object") return ["message is not an object"];
+
+  const schema = SCHEMAS[raw.txType];
+  if (!schema) return [`unknown txType ${JSON.stringify(raw.txType)}`];
+
+  const problems = [];
+  for (const field of schema.strings) {
+    if (typeof raw[field] !== "string" || raw[field] === "") problems.push(`${field}: expected a non-empty string`);
+  }
+  for (const field of schema.optionalStrings) {
+    if (raw[field] != null && typeof raw[field] !== "string") problems.push(`${field}: expected a string`);
+  }
+  for (const field of schema.numbers) {
+    if (!Number.isFinite(toNumber(raw[field]))) problems.push(`${field}: expected a number, got ${JSON.stringify(raw[field])}`);
+  }
+  for (const field of schema.optionalNumbers) {
+    if (raw[field] != null && !Number.isFinite(toNumber(raw[field]))) {
+      problems.push(`${field}: expected a number, got ${JSON.stringify(raw[field])}`);
+    }
+  }
+  return problems;
+}
+
+/**
+ * Tag where the event happened. Uses the server's `source` when present,
+ * otherwise infers it: a pool or a create_pool means PumpSwap.
+ */
+export function eventSource(raw) {
+  if (typeof raw.source === "string") {
+    return PUMPSWAP_ALIASES.has(raw.source.toLowerCase()) ? EVENT_SOURCES.PUMPSWAP : EVENT_SOURCES.BONDING_CURVE;
+  }
+  if (raw.txType === "create_pool" || raw.pool) return EVENT_SOURCES.PUMPSWAP;
+  return EVENT_SOURCES.BONDING_CURVE;
+}
+
+/**
+ * Validate and normalize a raw market event. Unknown extra fields are kept.
+ *
+ * @param {object} raw - Parsed /ws message
+ * @returns {import("./ws-events.js").PumpDevEvent}
+ * @throws {EventValidationError}
+ */
+export function normalizeEvent(raw) {
+  const problems = validateEvent(raw);
+  if (problems.length > 0) {
+    throw new EventValidationError(`Invalid ${raw?.txType ?? "unknown"} event: ${problems.join("; ")}`, { problems, raw });
+  }
+
+  const schema = SCHEMAS[raw.txType];
+  const event = { ...raw, source: eventSource(raw) };
+  for (const field of schema.optionalStrings) event[field] = raw[field] ?? null;
+  for (const field of schema.numbers) event[field] = toNumber(raw[field]);
+  for (const field of schema.optionalNumbers) event[field] = raw[field] == null ? null : toNumber(raw[field]);
+  return event;
+}
+
+/**
+ * Normalize a system message to { type, message, method, keys }.
+ *
+ * @returns {import("./ws-events.js").SystemMessage}
+ */
+export function normalizeSystemMessage(raw) {
+  return {
+    ...raw,
+    message: typeof raw.message === "string" ? raw.message : null,
+    method: typeof raw.method === "string" ? raw.method : null,
+    keys: Array.isArray(raw.keys) ? raw.keys : null,
+  };
+}
+
+/**
+ * Classify one parsed /ws message. Never throws.
+ *
+ * @param {object} raw
+ * @returns {{ kind: "system", message: object }
+ *   | { kind: "event", event: object }
+ *   | { kind: "invalid", message: object, problems: string[] }}
+ */
+export function parseMessage(raw) {
+  if (isSystemMessage(raw)) return { kind: "system", message: normalizeSystemMessage(raw) };
+  try {
+    return { kind: "event", event: normalizeEvent(raw) };
+  } catch (err) {
+    if (!(err instanceof EventValidationError)) throw err;
+    return { kind: "invalid", message: raw, problems: err.problems };
+  }
+}
+
+// ============================================================================
+// TYPED CLIENT
+// ============================================================================
+
+const SYSTEM_EVENT_NAMES = {
+  connected: "connected",
+  subscribed: "subscribed",
+  unsubscribed: "unsubscribed",
+  error: "serverError", // "error" is reserved for client-side failures
+};
+
+const SOCKET_EVENTS = ["open", "disconnect", "reconnecting", "reconnect", "gap"];
+
+export class PumpDevFeed extends EventEmitter {
+  /**
+   * @param {object} [options]
+   * @param {PumpDevSocket} [options.socket] - Existing socket (default: a new PumpDevSocket)
+   * @param {number} [options.bufferSize] - Events held per iterator before the oldest are dropped (default 1000)
+   * Any other option is passed to the PumpDevSocket constructor (url, autoConnect, backoff...).
+   */
+  constructor({ socket, bufferSize = 1000, ...socketOptions } = {}) {
+    super();
+    this.socket = socket ?? new PumpDevSocket(socketOptions);
+    this.bufferSize = bufferSize;
+
+    // Iterator subscriptions: "token:<mint>" → { count, owned }. Only keys the
+    // feed subscribed itself are unsubscribed when the last iterator ends.
+    this.holds = new Map();
+    // One listener per open iterator — dozens of tokenTrades() are normal
+    this.setMaxListeners(0);
+
+    this.socket.on("message", (message) => this.dispatch(message));
+    for (const name of SOCKET_EVENTS) {
+      this.socket.on(name, (info) => this.emit(name, info));
+    }
+    this.socket.on("close", (info) => this.emit("close", info));
+    this.socket.on("error", (err) => this.fail(err));
+  }
+
+  /**
+   * Route one parsed message to the typed events. Also the entry point for
+   * replays: replayRecording(file, (event, { ts }) => feed.dispatch(event, { ts })).
+   *
+   * @param {object} raw
+   * @param {object} [meta]
+   * @param {number} [meta.ts] - Receive time (default now)
+   */
+  dispatch(raw, { ts = Date.now() } = {}) {
+    const parsed = parseMessage(raw);
+    const meta = { ts };
+
+    if (parsed.kind === "system") {
+      this.emit("system", parsed.message, meta);
+      this.emit(SYSTEM_EVENT_NAMES[parsed.message.type], parsed.message, meta);
+      return parsed;
+    }
+
+    if (parsed.kind === "invalid") {
+      this.emit("invalid", { message: parsed.message, problems: parsed.problems }, meta);
+      return parsed;
+    }
+
+    const { event } = parsed;
+    this.emit("event", event, meta);
+    this.emit(event.txType, event, meta);
+    if (event.txType === "buy" || event.txType === "sell") this.emit("trade", event, meta);
+    return parsed;
+  }
+
+  /** Close the socket and end every open iterator. */
+  close() {
+    this.socket.close();
+  }
+
+  fail(err) {
+    if (this.listenerCount("error") > 0) this.emit("error", err);
+  }
+
+  // ==========================================================================
+  // SUBSCRIPTIONS
+  // ==========================================================================
+
+  subscribeNewToken() {
+    this.socket.subscribeNewToken();
+  }
+
+  unsubscribeNewToken() {
+    this.socket.unsubscribeNewToken();
+  }
+
+  subscribeTokenTrade(keys) {
+    this.socket.subscribeTokenTrade(keys);
+  }
+
+  unsubscribeTokenTrade(keys) {
+    this.socket.unsubscribeTokenTrade(keys);
+  }
+
+  subscribeAccountTrade(keys) {
+    this.socket.subscribeAccountTrade(keys);
+  }
+
+  unsubscribeAccountTrade(keys) {
+    this.socket.unsubscribeAccountTrade(keys);
+  }
+
+  // ==========================================================================
+  // ASYNC ITERATORS
+  // ==========================================================================
+
+  /**
+   * New token launches. Subscribes to subscribeNewToken while iterating.
+   *
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal]
+   */
+  newTokens({ signal } = {}) {
+    return this.iterate("create", { hold: ["newToken"], signal });
+  }
+
+  /**
+   * Buys and sells of one token, bonding curve then PumpSwap (the server
+   * follows the token across migration). Subscribes while iterating.
+   *
+   * @param {string} mint
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal]
+   */
+  tokenTrades(mint, { signal } = {}) {
+    return this.iterate("trade", {
+      hold: ["token", mint],
+      filter: (trade) => trade.mint === mint,
+      signal,
+    });
+  }
+
+  /**
+   * Buys and sells made by one wallet. Subscribes while iterating.
+   *
+   * @param {string} wallet
+   * @param {object} [options]
+   * @param {AbortSignal} [options.signal]
+   */
+  accountTrades(wallet, { signal } = {}) {
+    return this.iterate("trade", {
+      hold: ["account", wallet],
+      filter: (trade) => trade.traderPublicKey === wallet,
+      signal,
+    });
+  }
+
+  /**
+   * Async iterator over one event name. Ends on break/return, abort, or
+   * close(). Events are buffered while the consumer is busy; past
+   * `bufferSize` the oldest are dropped.
+   */
+  iterate(eventName, { hold, filter, signal } = {}) {
+    const queue = [];
+    let waiting = null;
+    let done = false;
+
+    const listener = (event) => {
+      if (filter && !filter(event)) return;
+      if (waiting) {
+        const resolve = waiting;
+        waiting = null;
+        resolve({ value: event, done: false });
+        return;
+      }
+      queue.push(event);
+      if (queue.length > this.bufferSize) queue.shift();
+    };
+
+    const finish = () => {
+      if (done) return;
+      done = true;
+      this.off(eventName, listener);
+      this.off("close", finish);
+      signal?.removeEventListener("abort", finish);
+      if (hold) this.release(...hold);
+      if (waiting) {
+        waiting({ value: undefined, done: true });
+        waiting = null;
+      }
+    };
+
+    this.on(eventName, listener);
+    this.on("close", finish);
+    signal?.addEventListener("abort", finish, { once: true });
+    if (hold) this.acquire(...hold);
+    if (signal?.aborted) finish();
+
+    return {
+      next: () => {
+        if (queue.length > 0) return Promise.resolve({ value: queue.shift(), done: false });
+        if (done) return Promise.resolve({ value: undefined, done: true });
+        return new Promise((resolve) => (waiting = resolve));
+      },
+      return: () => {
+        finish();
+        return Promise.resolve({ value: undefined, done: true });
+      },
+      [Symbol.asyncIterator]() {
+        return this;
+      },
+    };
+  }
+
+  acquire(kind, key) {
+    const id = `${kind}:${key ?? ""}`;
+    const hold = this.holds.get(id);
+    if (hold) {
+      hold.count++;
+      return;
+    }
+
+    const { subscriptions } = this.socket;
+    const already =
+      kind === "newToken" ? subscriptions.newToken
+        : kind === "token" ? subscriptions.tokens.has(key)
+          : subscriptions.accounts.has(key);
+    this.holds.set(id, { count: 1, owned: !already });
+    if (already) return;
+
+    if (kind === "newToken") this.subscribeNewToken();
+    else if (kind === "token") this.subscribeTokenTrade([key]);
+    else this.subscribeAccountTrade([key]);
+  }
+
+  release(kind, key) {
+    const id = `${kind}:${key ?? ""}`;
+    const hold = this.holds.get(id);
+    if (!hold || --hold.count > 0) return;
+    this.holds.delete(id);
+    if (!hold.owned || this.socket.closed) return;
+
+    if (kind === "newToken") this.unsubscribeNewToken();
+    else if (kind === "token") this.unsubscribeTokenTrade([key]);
+    else this.unsubscribeAccountTrade([key]);
+  }
+}
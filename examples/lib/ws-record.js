@@ -0,0 +1,129 @@
+/**
+ * WebSocket Event Recorder & Replayer
+ *
+ * Record the live /ws stream to a JSONL file, then feed it back through the
+ * same message handlers — in real time or accelerated — so strategy logic
+ * (filters, cooldowns, exits) can be regression-tested deterministically.
+ *
+ * File format, one event per line:
+ *   {"ts":1718000000123,"event":{"txType":"create","mint":"...",...}}
+ *
+ * Usage:
+ *   const recorder = new EventRecorder("events.jsonl");
+ *   ws.on("message", (data) => recorder.record(JSON.parse(data)));
+ *
+ *   await replayRecording("events.jsonl", handleMessage, { speed: 10 });
+ */
+
+import { createReadStream, createWriteStream } from "node:fs";
+import { createInterface } from "node:readline";
+
+/** Event types worth recording; system messages (connected, subscribed...) are skipped. */
+export const RECORDED_TYPES = new Set(["create", "buy", "sell", "complete", "create_pool"]);
+
+const wait = (ms) => new Promise((r) => setTimeout(r, ms));
+
+export class EventRecorder {
+  /**
+   * @param {string} file - JSONL path, appended to
+   * @param {object} [options]
+   * @param {Set<string>|string[]} [options.types] - txTypes to keep (default RECORDED_TYPES)
+   * @param {() => number} [options.now] - Timestamp source (default Date.now)
+   */
+  constructor(file, { types = RECORDED_TYPES, now = Date.now } = {}) {
+    this.file = file;
+    this.types = new Set(types);
+    this.now = now;
+    this.count = 0;
+    this.stream = createWriteStream(file, { flags: "a" });
+  }
+
+  /**
+   * Append one parsed message if it is a recordable event.
+   * @returns {boolean} Whether it was written
+   */
+  record(event) {
+    if (!event || !this.types.has(event.txType)) return false;
+    this.stream.write(JSON.stringify({ ts: this.now(), event }) + "\n");
+    this.count++;
+    return true;
+  }
+
+  /** Flush and close the file. */
+  close() {
+    return new Promise((resolve) => this.stream.end(resolve));
+  }
+}
+
+/**
+ * Read a recording line by line.
+ *
+ * @param {string} file
+ * @returns {AsyncGenerator<{ ts: number, event: object }>}
+ */
+export async function* readRecording(file) {
+  const lines = createInterface({
+    input: createReadStream(file),
+    crlfDelay: Infinity,
+  });
+
+  let lineNumber = 0;
+  for await (const line of lines) {
+    lineNumber++;
+    if (!line.trim()) continue;
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch {
+      throw new Error(`${file}:${lineNumber}: invalid JSON`);
+    }
+    if (typeof entry.ts !== "number" || !entry.event) {
+      throw new Error(`${file}:${lineNumber}: expected { ts, event }`);
+    }
+    yield entry;
+  }
+}
+
+/**
+ * Feed a recording through a message handler, keeping the recorded spacing.
+ *
+ * Each handler call is awaited before the next event is delivered, so async
+ * handlers see events in order and results are reproducible.
+ *
+ * @param {string} file
+ * @param {(event: object, meta: { ts: number, index: number }) => any} handler
+ * @param {object} [options]
+ * @param {number} [options.speed] - 1 = real time, 10 = 10× faster, Infinity = no delays (default 1)
+ * @param {(event: object) => boolean} [options.filter] - Skip events that return false
+ * @param {AbortSignal} [options.signal] - Stop early
+ * @returns {Promise<{ count: number, firstTs: number|null, lastTs: number|null, durationMs: number }>}
+ */
+export async function replayRecording(
+  file,
+  handler,
+  { speed = 1, filter, signal } = {},
+) {
+  const started = Date.now();
+  let firstTs = null;
+  let lastTs = null;
+  let count = 0;
+
+  for await (const { ts, event } of readRecording(file)) {
+    if (signal?.aborted) break;
+    if (filter && !filter(event)) continue;
+
+    firstTs ??= ts;
+    lastTs = ts;
+
+    if (Number.isFinite(speed) && speed > 0) {
+      const due = started + (ts - firstTs) / speed;
+      const delay = due - Date.now();
+      if (delay > 0) await wait(delay);
+    }
+
+    await handler(event, { ts, index: count });
+    count++;
+  }
+
+  return { count, firstTs, lastTs, durationMs: Date.now() - started };
+}
@@ -13,17 +13,28 @@
  * 5. Create token + multiple buyers
  * 6. Local-Sign (/api/bundle) — get unsigned txs, sign locally, send to Jito
  *
+ * The local-sign example loads its wallet with signerFromEnv (lib/signer.js:
+ * REMOTE_SIGNER_URL, KEYSTORE_FILE or PRIVATE_KEY) and checks the bundle
+ * against the request (lib/inspect.js verifyBundle) before signing, as
+ * bundle.js does.
+ *
  * Documentation: https://pumpdev.io/lightning-bundle
  */
 
 import dotenv from "dotenv";
 dotenv.config();
 
+import { PumpDevClient } from "./lib/client.js";
+import { JitoBundleSubmitter } from "./lib/jito.js";
+import { signBundleAsync } from "./lib/bundle-signer.js";
+import { bundleExpectations, verifyBundle } from "./lib/inspect.js";
+import { signerFromEnv } from "./lib/signer.js";
+
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
 
-const API_URL = process.env.PUMPDEV_API_URL || "https://pumpdev.io";
+const client = new PumpDevClient(); // uses PUMPDEV_API_URL or https://pumpdev.io
 
 // API keys from Lightning wallet setup (see lightning.js example)
 const WALLET1_KEY = process.env.LIGHTNING_API_KEY;
@@ -35,18 +46,8 @@ const TOKEN_MINT = process.env.TOKEN_MINT || "TokenMintAddress";
 // HELPER
 // ============================================================================
 
-async function callBundle(body) {
-  const res = await fetch(`${API_URL}/api/bundle-lightning`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(body),
-  });
-
-  const data = await res.json();
-  if (res.status !== 200) {
-    throw new Error(data.error || `HTTP ${res.status}`);
-  }
-  return data;
+function callBundle(body) {
+  return client.bundleLightning(body);
 }
 
 // ============================================================================
@@ -148,6 +149,7 @@ async function createAndBuy(apiKey) {
 /**
  * Example 5: Create token + multiple buyers atomically.
  * Creator launches, dev buys, and snipers buy — all in one block.
+ * launch.js does the same from a plan file (mode "lightning").
  */
 async function createWithMultipleBuyers(creatorKey, sniperKey) {
   console.log("=== CREATE + MULTIPLE BUYERS (Jito Bundle) ===\n");
@@ -185,67 +187,41 @@ async function createWithMultipleBuyers(creatorKey, sniperKey) {
 
 /**
  * Example 6: Local-Sign (/api/bundle) — get unsigned txs, sign locally, send to Jito.
- * Uses publicKey (not apiKey) — you sign with your private key on your machine.
+ * Uses publicKey (not apiKey) — `wallet` is a signer (lib/signer.js), so the
+ * key stays on your machine, in the keystore or on the signing service.
  */
-async function localSignAndSend(publicKey, privateKey, mint) {
+async function localSignAndSend(wallet, mint) {
   console.log("=== LOCAL SIGN + MANUAL JITO SEND ===\n");
 
-  // NOTE: Requires @solana/web3.js and bs58 — npm install @solana/web3.js bs58
-  const { VersionedTransaction, Keypair } = await import("@solana/web3.js");
-  const bs58 = (await import("bs58")).default;
-  const wallet = Keypair.fromSecretKey(bs58.decode(privateKey));
-
-  const JITO_URL = "https://mainnet.block-engine.jito.wtf";
-
-  // 1. Build unsigned bundle via PumpDev
-  const res = await fetch(`${API_URL}/api/bundle`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      accounts: [
-        {
-          publicKey,
-          type: "buy",
-          amount: 0.01,
-          denominatedInSol: "true",
-        },
-      ],
-      mint,
-      jitoTip: 0.01,
-    }),
-  });
-
-  const data = await res.json();
-  if (res.status !== 200) {
-    throw new Error(data.error || `HTTP ${res.status}`);
-  }
+  // 1. Build unsigned bundle via PumpDev and check it before signing
+  const body = {
+    accounts: [
+      {
+        publicKey: wallet.publicKey.toBase58(),
+        type: "buy",
+        amount: 0.01,
+        denominatedInSol: "true",
+      },
+    ],
+    mint,
+    jitoTip: 0.01,
+  };
+  const data = await client.bundle(body);
+  verifyBundle(data, bundleExpectations(body, data.mint));
 
   console.log(`Built ${data.transactions.length} unsigned tx(s)`);
   console.log("  Mint:", data.mint);
 
-  // 2. Sign each transaction locally
-  const signedTxs = data.transactions.map((entry) => {
-    const tx = VersionedTransaction.deserialize(bs58.decode(entry.transaction));
-    tx.sign([wallet]);
-    return bs58.encode(tx.serialize());
-  });
+  // 2. Sign each transaction locally (checks every required signer first)
+  const signedTxs = await signBundleAsync(data, { [wallet.publicKey.toBase58()]: wallet });
 
   console.log(`  Signed ${signedTxs.length} tx(s) locally`);
 
-  // 3. Send to Jito yourself
-  const bundleRes = await fetch(`${JITO_URL}/api/v1/bundles`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
-      jsonrpc: "2.0",
-      id: 1,
-      method: "sendBundle",
-      params: [signedTxs],
-    }),
-  });
-
-  const bundleResult = await bundleRes.json();
-  console.log("  Bundle ID:", bundleResult.result);
+  // 3. Send to Jito yourself — all block engines, then wait for landing
+  const jito = new JitoBundleSubmitter();
+  const landed = await jito.submit(signedTxs);
+  console.log("  Bundle ID:", landed.bundleId);
+  console.log("  Landed in slot:", landed.slot);
   return data;
 }
 
@@ -282,8 +258,8 @@ async function main() {
     // await createWithMultipleBuyers(WALLET1_KEY, WALLET2_KEY);
 
     // 6. Local sign — get unsigned txs, sign locally, send to Jito
-    // Requires WALLET_PRIVATE_KEY and WALLET_PUBLIC_KEY env vars
-    // await localSignAndSend(process.env.WALLET_PUBLIC_KEY, process.env.WALLET_PRIVATE_KEY, TOKEN_MINT);
+    // Requires PRIVATE_KEY, KEYSTORE_FILE or REMOTE_SIGNER_URL
+    // await localSignAndSend(await signerFromEnv(), TOKEN_MINT);
 
     console.log("Uncomment an example in main() to run it.\n");
   } catch (err) {
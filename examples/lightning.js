@@ -8,7 +8,8 @@
  * 1. Create a Lightning wallet (or import existing)
  * 2. Buy a token via Lightning
  * 3. Sell a token via Lightning
- * 4. Create a token via Lightning
+ * 4. Create a token via Lightning — name, symbol, links and image are
+ *    checked first (lib/metadata-check.js), so a bad launch fails for free
  *
  * Documentation: https://pumpdev.io/lightning-setup
  */
@@ -16,11 +17,15 @@
 import dotenv from "dotenv";
 dotenv.config();
 
+import { PumpDevClient } from "./lib/client.js";
+import { loadImage } from "./lib/metadata.js";
+import { normalizeImage, validateToken } from "./lib/metadata-check.js";
+
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
 
-const API_URL = process.env.PUMPDEV_API_URL || "https://pumpdev.io";
+const client = new PumpDevClient(); // uses PUMPDEV_API_URL or https://pumpdev.io
 const API_KEY = process.env.LIGHTNING_API_KEY;
 
 // ============================================================================
@@ -34,16 +39,7 @@ const API_KEY = process.env.LIGHTNING_API_KEY;
 async function createWallet() {
   console.log("=== CREATE WALLET ===\n");
 
-  const res = await fetch(`${API_URL}/api/wallet/create`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({}),
-  });
-
-  const data = await res.json();
-  if (res.status !== 200) {
-    throw new Error(data.error || `HTTP ${res.status}`);
-  }
+  const data = await client.createWallet();
 
   console.log("Wallet created!");
   console.log("  API Key:", data.apiKey);
@@ -60,16 +56,7 @@ async function createWallet() {
 async function importWallet(privateKey) {
   console.log("=== IMPORT WALLET ===\n");
 
-  const res = await fetch(`${API_URL}/api/wallet/import`, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ privateKey }),
-  });
-
-  const data = await res.json();
-  if (res.status !== 200) {
-    throw new Error(data.error || `HTTP ${res.status}`);
-  }
+  const data = await client.importWallet(privateKey);
 
   console.log("Wallet imported!");
   console.log("  API Key:", data.apiKey);
@@ -84,23 +71,16 @@ async function importWallet(privateKey) {
 async function buyToken(apiKey, mint, amountSol) {
   console.log("=== BUY TOKEN (Lightning) ===\n");
 
-  const url = `${API_URL}/api/trade-lightning?api-key=${encodeURIComponent(apiKey)}`;
-  const res = await fetch(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
+  const data = await client.tradeLightning(
+    {
       action: "buy",
       mint,
       amount: amountSol,
       denominatedInSol: "true",
       slippage: 15,
-    }),
-  });
-
-  const data = await res.json();
-  if (res.status !== 200) {
-    throw new Error(data.error || `HTTP ${res.status}`);
-  }
+    },
+    apiKey,
+  );
 
   console.log("Buy executed!");
   console.log("  Signature:", data.signature);
@@ -113,23 +93,16 @@ async function buyToken(apiKey, mint, amountSol) {
 async function sellToken(apiKey, mint, amountPercent) {
   console.log("=== SELL TOKEN (Lightning) ===\n");
 
-  const url = `${API_URL}/api/trade-lightning?api-key=${encodeURIComponent(apiKey)}`;
-  const res = await fetch(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({
+  const data = await client.tradeLightning(
+    {
       action: "sell",
       mint,
       amount: amountPercent,
       denominatedInSol: "false",
       slippage: 99,
-    }),
-  });
-
-  const data = await res.json();
-  if (res.status !== 200) {
-    throw new Error(data.error || `HTTP ${res.status}`);
-  }
+    },
+    apiKey,
+  );
 
   console.log("Sell executed!");
   console.log("  Signature:", data.signature);
@@ -142,17 +115,14 @@ async function sellToken(apiKey, mint, amountPercent) {
 async function createToken(apiKey, params) {
   console.log("=== CREATE TOKEN (Lightning) ===\n");
 
-  const url = `${API_URL}/api/create-lightning?api-key=${encodeURIComponent(apiKey)}`;
-  const res = await fetch(url, {
-    method: "POST",
-    headers: { "Content-Type": "application/json" },
-    body: JSON.stringify(params),
-  });
+  // Check everything before the server signs and pays for the create
+  const { token, warnings } = validateToken(params);
+  // (no resizing: PumpDev stores the image from its URL as-is, so it must already be square)
+  const image = await normalizeImage(await loadImage(params.image), { sharp: null });
+  for (const w of [...warnings, ...image.warnings]) console.log(`⚠️  ${w.field} ${w.message}`);
+  for (const change of image.changes) console.log(`⚠️  image is stored as-is — host a copy with this fixed: ${change}`);
 
-  const data = await res.json();
-  if (res.status !== 200) {
-    throw new Error(data.error || `HTTP ${res.status}`);
-  }
+  const data = await client.createLightning({ ...params, ...token }, apiKey);
 
   console.log("Token created!");
   console.log("  Mint:", data.mint);
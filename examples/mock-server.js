@@ -0,0 +1,62 @@
+/**
+ * PumpDev API Example: Local Mock Server
+ *
+ * Runs a local stand-in for the PumpDev REST API, the /ws feed and a Jito
+ * block engine, so every example can be run offline without spending SOL.
+ *
+ * Start it, then point the examples at it:
+ *   node mock-server.js
+ *   PUMPDEV_API_URL=http://127.0.0.1:8787 \
+ *   PUMPDEV_WS_URL=ws://127.0.0.1:8787/ws \
+ *   JITO_ENDPOINTS=http://127.0.0.1:8787 \
+ *   node lightning.js
+ *
+ * Settings (environment):
+ *   MOCK_PORT     - Port to listen on (default 8787)
+ *   MOCK_RPC_URL  - Take blockhashes from this RPC, e.g. a local
+ *                   solana-test-validator (default: fake blockhashes)
+ *   MOCK_FEED_MS  - Synthetic create/trade event interval on /ws, 0 = off (default 2000)
+ *
+ * See lib/mock-server.js for what is simulated.
+ */
+
+import dotenv from "dotenv";
+dotenv.config();
+
+import { MockPumpDevServer } from "./lib/mock-server.js";
+
+const mock = new MockPumpDevServer({
+  port: Number(process.env.MOCK_PORT || 8787),
+  rpcUrl: process.env.MOCK_RPC_URL,
+  feedIntervalMs: Number(process.env.MOCK_FEED_MS ?? 2000),
+});
+
+mock.on("request", ({ method, path, status, error }) => {
+  const mark = status === 200 ? "✅" : "❌";
+  console.log(`${mark} ${method} ${path} ${status}${error ? ` — ${error}` : ""}`);
+});
+
+async function main() {
+  const { apiUrl, wsUrl } = await mock.start();
+
+  console.log("=== PUMPDEV MOCK SERVER ===\n");
+  console.log("REST + Jito:", apiUrl);
+  console.log("WebSocket:  ", wsUrl);
+  console.log("Blockhashes:", process.env.MOCK_RPC_URL || "fake (transactions can be built and signed, not sent)");
+  console.log("\nUse it from the examples with:\n");
+  console.log(`  export PUMPDEV_API_URL=${apiUrl}`);
+  console.log(`  export PUMPDEV_WS_URL=${wsUrl}`);
+  console.log(`  export JITO_ENDPOINTS=${apiUrl}`);
+  console.log(`  export PUMPDEV_FEE_WALLETS=${mock.feeWallet}\n`);
+
+  process.on("SIGINT", async () => {
+    console.log("\nStopping mock server...");
+    await mock.stop();
+    process.exit(0);
+  });
+}
+
+main().catch((err) => {
+  console.error("❌ Error:", err.message);
+  process.exit(1);
+});
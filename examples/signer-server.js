@@ -0,0 +1,122 @@
+/**
+ * PumpDev API Example: Remote Signer Stub
+ *
+ * Runs a local signing service (lib/signer-server.js) so the local-sign
+ * examples can sign without holding a key themselves:
+ * 1. Serves the keys from KEYSTORE_FILE (or PRIVATE_KEY as "main")
+ * 2. Prints the decoded instructions of every message it is asked to sign
+ * 3. Optionally asks for a y/n approval per request, like a hardware wallet
+ *
+ * Start it, then point the examples at it:
+ *   node signer-server.js
+ *   REMOTE_SIGNER_URL=http://127.0.0.1:8788 REMOTE_SIGNER_TOKEN=... node buy-sell.js
+ *
+ * Stand-in only — in production the service runs on another host or in
+ * front of an HSM, with its own policy.
+ *
+ * Settings (environment):
+ *   SIGNER_PORT     - Port to listen on (default 8788)
+ *   SIGNER_TOKEN    - Bearer token clients must send (REMOTE_SIGNER_TOKEN on their side)
+ *   SIGNER_WALLETS  - Comma-separated keystore wallets to serve (default: all)
+ *   SIGNER_CONFIRM  - "true" to approve each request on the terminal
+ *   KEYSTORE_FILE / KEYSTORE_PASSWORD, or PRIVATE_KEY
+ *
+ * See lib/signer.js for the protocol.
+ */
+
+import dotenv from "dotenv";
+dotenv.config();
+
+import { createInterface } from "node:readline/promises";
+import { Keypair, VersionedMessage, VersionedTransaction } from "@solana/web3.js";
+import bs58 from "bs58";
+import { decodeTransaction, formatInstructions } from "./lib/inspect.js";
+import { Keystore } from "./lib/keystore.js";
+import { SignerServer } from "./lib/signer-server.js";
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const PORT = Number(process.env.SIGNER_PORT || 8788);
+const TOKEN = process.env.SIGNER_TOKEN;
+const CONFIRM = process.env.SIGNER_CONFIRM === "true";
+const WALLETS = process.env.SIGNER_WALLETS?.split(",").map((s) => s.trim()).filter(Boolean);
+
+async function loadKeys() {
+  if (process.env.KEYSTORE_FILE) {
+    const keystore = await Keystore.open(process.env.KEYSTORE_FILE, process.env.KEYSTORE_PASSWORD);
+    const keys = {};
+    for (const wallet of keystore.list({ names: WALLETS })) keys[wallet.name] = keystore.keypair(wallet.name);
+    return keys;
+  }
+  if (process.env.PRIVATE_KEY) {
+    return { main: Keypair.fromSecretKey(bs58.decode(process.env.PRIVATE_KEY)) };
+  }
+  return {};
+}
+
+// ============================================================================
+// APPROVAL
+// ============================================================================
+
+/** Print what is being signed and, with SIGNER_CONFIRM, ask before signing. */
+async function approve({ name, message }) {
+  console.log(`\n✍️  Sign request for ${name}:`);
+  try {
+    const tx = new VersionedTransaction(VersionedMessage.deserialize(message));
+    formatInstructions(decodeTransaction(tx)).forEach((line) => console.log("   " + line));
+  } catch (err) {
+    // Messages using address lookup tables can't be decoded without them
+    console.log(`   (could not decode: ${err.message})`);
+  }
+  if (!CONFIRM) return true;
+
+  const rl = createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await rl.question("   Approve? [y/N] ");
+  rl.close();
+  return answer.trim().toLowerCase() === "y";
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+  const keys = await loadKeys();
+  if (Object.keys(keys).length === 0) {
+    console.error("❌ No keys to serve — set KEYSTORE_FILE (see wallets.js) or PRIVATE_KEY");
+    process.exit(1);
+  }
+
+  const server = new SignerServer({ keys, token: TOKEN, approve, port: PORT });
+  server.on("request", ({ method, path, status, error }) => {
+    const mark = status === 200 ? "✅" : "❌";
+    console.log(`${mark} ${method} ${path} ${status}${error ? ` — ${error}` : ""}`);
+  });
+  server.on("sign", ({ name, count }) => console.log(`   Signed ${count} message(s) as ${name}`));
+
+  const { url } = await server.start();
+
+  console.log("=== PUMPDEV REMOTE SIGNER (stub) ===\n");
+  console.log("URL:", url);
+  for (const [name, keypair] of Object.entries(keys)) {
+    console.log(`  ${name.padEnd(12)} ${keypair.publicKey.toBase58()}`);
+  }
+  if (!TOKEN) console.log("\n⚠️  No SIGNER_TOKEN set — anyone who can reach the port can sign");
+  console.log("\nUse it from the examples with:\n");
+  console.log(`  export REMOTE_SIGNER_URL=${url}`);
+  if (TOKEN) console.log("  export REMOTE_SIGNER_TOKEN=<SIGNER_TOKEN>");
+  console.log("  export SIGNER_WALLET=<name>   # default main\n");
+
+  process.on("SIGINT", async () => {
+    console.log("\nStopping signer...");
+    await server.stop();
+    process.exit(0);
+  });
+}
+
+main().catch((err) => {
+  console.error("❌ Error:", err.message);
+  process.exit(1);
+});
@@ -5,8 +5,18 @@
  * 
  * This example demonstrates how to:
  * 1. Listen for new token launches via WebSocket
- * 2. Filter tokens based on criteria
- * 3. Automatically execute buy transactions
+ * 2. Filter tokens with strategies loaded from a JSON/YAML file
+ *    (STRATEGY_FILE, see strategies.example.json and lib/strategy.js)
+ * 3. Automatically execute buy transactions, each strategy with its own budget
+ * 4. Manage exits — take-profit ladder, stop-loss, trailing stop, max hold
+ *    and migration — from each strategy's `exits` (lib/positions.js)
+ * 5. Record the feed (RECORD_FILE) and replay it offline (REPLAY_FILE) to
+ *    regression-test the filters — replayed buys are simulated, never sent
+ * 6. Keep a ledger of every buy and sell (LEDGER_FILE) with fees, cost basis
+ *    and realized / unrealized PnL per strategy (lib/ledger.js)
+ * 7. Sign with a remote signing service, a keystore wallet or PRIVATE_KEY
+ *    (lib/signer.js) — the bot doesn't have to hold a hot key. Every buy,
+ *    and every rebuild of it, is verified (lib/inspect.js) before signing
  * 
  * Documentation: https://pumpdev.io
  */
@@ -14,50 +24,64 @@
 import dotenv from 'dotenv';
 dotenv.config();
 
-import WebSocket from 'ws';
-import { VersionedTransaction, Connection, Keypair } from '@solana/web3.js';
-import bs58 from 'bs58';
+import { Connection } from '@solana/web3.js';
+import { PumpDevClient } from './lib/client.js';
+import { ApiValidationError, AuthError, RateLimitError, RpcSendError, InstructionError, TransactionExpiredError, TransactionStatusError, TransactionVerificationError } from './lib/errors.js';
+import { verifyTransaction } from './lib/inspect.js';
+import { TransactionSender, rebuildFromTradeLocal } from './lib/sender.js';
+import { EventRecorder, replayRecording } from './lib/ws-record.js';
+import { PumpDevFeed } from './lib/ws-events.js';
+import { StrategyEngine, TOKEN_TOTAL_SUPPLY, loadStrategies } from './lib/strategy.js';
+import { CreatorHistory } from './lib/creator-history.js';
+import { PositionManager, lightningSeller, localSeller } from './lib/positions.js';
+import { Ledger, estimateTrade } from './lib/ledger.js';
+import { signerFromEnv } from './lib/signer.js';
 
 // Configuration
-const API_URL = process.env.PUMPDEV_API_URL || 'https://pumpdev.io';
+const client = new PumpDevClient(); // uses PUMPDEV_API_URL or https://pumpdev.io
 const WS_URL = process.env.PUMPDEV_WS_URL || 'wss://pumpdev.io/ws';
 const RPC_URL = process.env.RPC_URL || 'https://api.mainnet-beta.solana.com';
-const PRIVATE_KEY = process.env.PRIVATE_KEY;
+const STRATEGY_FILE = process.env.STRATEGY_FILE || 'strategies.example.json';
+const CREATOR_HISTORY_FILE = process.env.CREATOR_HISTORY_FILE; // optional: keep creator stats across runs
+const LEDGER_FILE = process.env.LEDGER_FILE || 'ledger.jsonl'; // buys, sells, fees and PnL across runs
 
-// Validate environment
-if (!PRIVATE_KEY) {
-  console.error('❌ PRIVATE_KEY not set in environment variables!');
-  console.error('   Copy .env.example to .env and add your private key');
-  process.exit(1);
-}
+// Exits sell through /api/trade-local (default) or /api/trade-lightning.
+// Lightning sells need LIGHTNING_API_KEY for a Lightning wallet imported
+// from the same key as the signer, since that wallet holds the tokens.
+const SELL_VIA = process.env.SELL_VIA || 'local';
+const SELL_SLIPPAGE = 15;
+
+// Recording / replay (see websocket.js)
+const RECORD_FILE = process.env.RECORD_FILE;
+const REPLAY_FILE = process.env.REPLAY_FILE;
+const REPLAY_SPEED = Number(process.env.REPLAY_SPEED ?? 0); // 0 = as fast as possible
+
+// Wallet: a signer from lib/signer.js — REMOTE_SIGNER_URL, keystore wallet
+// SIGNER_WALLET (with KEYSTORE_FILE) or PRIVATE_KEY. Replay never trades,
+// so it doesn't need one.
 
 // ═══════════════════════════════════════════════════════════════
-// SNIPER SETTINGS - Customize these for your strategy
+// SNIPER STRATEGIES - Customize them in STRATEGY_FILE
 // ═══════════════════════════════════════════════════════════════
-const SETTINGS = {
-  // Trade settings
-  buyAmountSol: 0.01,      // Amount to buy in SOL
-  slippage: 20,            // Slippage percentage
-  priorityFee: 0.001,      // Priority fee for faster inclusion
-  
-  // Filter criteria
-  maxMarketCapSol: 50,     // Only buy if market cap < X SOL
-  minInitialBuySol: 0.5,   // Only buy if creator bought at least X SOL
-  
-  // Optional: Only snipe tokens from specific creators
-  watchCreators: [],       // Empty = all creators, or add addresses
-  
-  // Safety settings
-  cooldownMs: 5000,        // Minimum time between buys (ms)
-  maxConcurrentBuys: 1,    // Max simultaneous buy attempts
-};
+// Each strategy has its own rules, trade size, budget, cooldown and
+// concurrency limit; all enabled strategies evaluate every new token.
+// The default strategy is market cap < 50 SOL, creator buy ≥ 0.5 SOL,
+// 0.01 SOL per buy, 5s cooldown.
 
 // State
-let keypair;
+let signer;
 let publicKey;
 let connection;
-let activeBuys = 0;
-let lastBuyTime = 0;
+let sender;
+let engine;
+let history;
+let positions;
+let ledger;
+
+// Clock used for cooldowns — follows the recorded timestamps during replay
+let now = () => Date.now();
+const replayBuys = [];
+const replaySells = [];
 
 async function main() {
   console.log('╔════════════════════════════════════════╗');
@@ -67,184 +91,380 @@ async function main() {
   console.log('║  ⚠️  USE AT YOUR OWN RISK              ║');
   console.log('╚════════════════════════════════════════╝\n');
 
+  // Throws StrategyConfigError listing every invalid field
+  const strategies = await loadStrategies(STRATEGY_FILE);
+  history = new CreatorHistory({ file: CREATOR_HISTORY_FILE });
+
+  if (REPLAY_FILE) {
+    await replay(strategies);
+    return;
+  }
+
+  ledger = new Ledger({ file: LEDGER_FILE });
+
   // Initialize wallet
-  keypair = Keypair.fromSecretKey(bs58.decode(PRIVATE_KEY));
-  publicKey = keypair.publicKey.toBase58();
+  signer = await signerFromEnv();
+  if (!signer) {
+    console.error('❌ No wallet configured!');
+    console.error('   Copy .env.example to .env and add your private key,');
+    console.error('   or set KEYSTORE_FILE / REMOTE_SIGNER_URL (see lib/signer.js)');
+    process.exit(1);
+  }
+  publicKey = signer.publicKey.toBase58();
   connection = new Connection(RPC_URL, 'confirmed');
+  sender = new TransactionSender({
+    connection,
+    skipPreflight: true,  // Skip for speed
+    pollIntervalMs: 400,
+    maxRebuilds: 1        // One fresh tx after expiry — a stale snipe isn't worth chasing
+  });
 
   console.log('📍 Configuration:');
   console.log(`   Wallet: ${publicKey}`);
-  console.log(`   Buy Amount: ${SETTINGS.buyAmountSol} SOL`);
-  console.log(`   Max Market Cap: ${SETTINGS.maxMarketCapSol} SOL`);
-  console.log(`   Min Initial Buy: ${SETTINGS.minInitialBuySol} SOL`);
-  console.log(`   Cooldown: ${SETTINGS.cooldownMs}ms`);
+  console.log(`   Ledger: ${LEDGER_FILE} (${ledger.entries.length} entries)`);
+  printStrategies(strategies);
   console.log();
 
-  // Connect to WebSocket
-  const ws = new WebSocket(WS_URL);
+  // Typed feed over a socket that reconnects with backoff and restores the
+  // subscription, so a network blip doesn't silently stop the sniper
+  const feed = new PumpDevFeed({ url: WS_URL });
+  startEngine(strategies, feed);
 
-  ws.on('open', () => {
-    console.log('✅ Connected to PumpDev WebSocket\n');
+  const recorder = RECORD_FILE ? new EventRecorder(RECORD_FILE) : null;
+  if (recorder) {
+    console.log(`⏺️  Recording events to ${RECORD_FILE}\n`);
+    feed.socket.on('message', (message) => recorder.record(message));
+  }
 
-    // Subscribe to new token creations
-    ws.send(JSON.stringify({
-      method: 'subscribeNewToken'
-    }));
+  // Subscribe to new token creations (sent on open, re-sent after reconnects)
+  feed.subscribeNewToken();
 
+  feed.on('open', () => {
+    console.log('✅ Connected to PumpDev WebSocket\n');
     console.log('🎯 Watching for new tokens...\n');
     console.log('─'.repeat(50));
   });
 
-  ws.on('message', async (data) => {
-    try {
-      const message = JSON.parse(data.toString());
-
-      // Only process create events
-      if (message.txType === 'create') {
-        await handleNewToken(message);
-      }
-    } catch (err) {
-      console.error('Error:', err.message);
-    }
+  feed.on('error', (err) => {
+    console.error('WebSocket error:', err.message);
   });
 
-  ws.on('error', (err) => {
-    console.error('WebSocket error:', err.message);
+  feed.on('disconnect', () => {
+    console.log('\n🔌 WebSocket disconnected — reconnecting...');
   });
 
-  ws.on('close', () => {
-    console.log('\n🔌 WebSocket disconnected');
+  feed.on('gap', ({ downtimeMs }) => {
+    // Launches during the outage were missed; they're too old to snipe now anyway
+    console.log(`⚠️  Back online after ${(downtimeMs / 1000).toFixed(1)}s — launches in that window were missed`);
   });
 
   // Graceful shutdown
-  process.on('SIGINT', () => {
+  process.on('SIGINT', async () => {
     console.log('\n\n👋 Shutting down sniper bot...');
-    ws.close();
+    printPositions();
+    positions.stop();
+    feed.close();
+    history.save();
+    await recorder?.close();
+    printStats();
+    printPnl();
     process.exit(0);
   });
 }
 
 /**
- * Handle new token creation event
+ * Replay a recording through the same strategies. Cooldowns use the recorded
+ * timestamps and buys are logged instead of sent, so runs are reproducible.
  */
-async function handleNewToken(event) {
+async function replay(strategies) {
+  const speed = REPLAY_SPEED > 0 ? REPLAY_SPEED : Infinity;
+  console.log(`⏯️  Replaying ${REPLAY_FILE} (${Number.isFinite(speed) ? `${speed}x` : 'no delays'})`);
+  printStrategies(strategies);
+  console.log('─'.repeat(50));
+
+  let replayTs = 0;
+  now = () => replayTs;
+
+  // In memory only: replays estimate fills at the event price and must not
+  // mix with the live ledger
+  ledger = new Ledger({ now: () => now() });
+
+  // Never connects — recorded events are dispatched into it
+  const feed = new PumpDevFeed({ autoConnect: false });
+  startEngine(strategies, feed);
+
+  const { count } = await replayRecording(
+    REPLAY_FILE,
+    async (event, { ts }) => {
+      replayTs = ts;
+      feed.dispatch(event, { ts });
+      // Let decisions, buys and sells triggered by this event settle before
+      // the next one, so positions open at the price they would have live
+      await new Promise((resolve) => setImmediate(resolve));
+    },
+    { speed }
+  );
+  await engine.idle();
+
+  console.log('\n' + '─'.repeat(50));
+  console.log(`⏹️  ${count} events replayed, ${replayBuys.length} buys would have been made`);
+  replayBuys.forEach((b) => console.log(`   ${new Date(b.ts).toISOString()}  [${b.strategy}] ${b.mint}`));
+  console.log(`   ${replaySells.length} sells would have been made`);
+  replaySells.forEach((s) => console.log(`   ${new Date(s.ts).toISOString()}  ${s.reason} ${s.percent.toFixed(0)}% ${s.mint}`));
+  printPositions();
+  printStats();
+  printPnl();
+  return replayBuys;
+}
+
+/**
+ * Wire the strategy engine to the feed: every create event is checked by all
+ * enabled strategies concurrently, and each passing strategy buys with its
+ * own trade settings and budget.
+ */
+function startEngine(strategies, feed) {
+  // Registered before the engine so the token prints before the decisions
+  feed.on('create', logNewToken);
+
+  feed.on('invalid', ({ problems }) => {
+    console.log(`⚠️  Ignored malformed event: ${problems.join('; ')}`);
+  });
+
+  engine = new StrategyEngine({
+    strategies,
+    feed,
+    history,
+    execute: executeBuy,
+    now: () => now()
+  });
+
+  engine.on('decision', ({ strategy, event, pass, reason }) => {
+    if (pass) {
+      console.log(`   [${strategy.name}] ✅ ${event.symbol} matches! Executing buy...`);
+    } else {
+      console.log(`   [${strategy.name}] ❌ ${event.symbol} skip: ${reason}`);
+    }
+  });
+
+  // Every bought token is followed on the feed and sold by its strategy's exits
+  positions = new PositionManager({ feed, seller: createSeller(), now: () => now() });
+
+  engine.on('buy', ({ strategy, event, ok }) => {
+    if (!ok || !strategy.exits) return;
+    positions.open({
+      mint: event.mint,
+      label: strategy.name,
+      costSol: strategy.buyAmountSol,
+      exits: strategy.exits
+    });
+  });
+
+  // Open positions are valued at the latest trade for unrealized PnL
+  positions.on('price', ({ position, marketCapSol }) => {
+    ledger.mark(position.mint, marketCapSol / TOKEN_TOTAL_SUPPLY);
+  });
+
+  positions.on('sell', ({ position, result }) => {
+    if (result.signature) {
+      recordTrade('sell', result.signature, position.mint, position.label, position.lastMarketCapSol);
+    }
+  });
+
+  positions.on('open', ({ position }) => {
+    console.log(`   [${position.label}] 👀 Managing exits for ${position.mint.slice(0, 8)}...`);
+  });
+
+  positions.on('trigger', ({ position, reason, percent }) => {
+    const multiple = position.entryMarketCapSol ? position.lastMarketCapSol / position.entryMarketCapSol : 1;
+    console.log(`\n📉 [${position.label}] ${reason} on ${position.mint.slice(0, 8)}... at ${multiple.toFixed(2)}x — selling ${percent.toFixed(0)}%`);
+  });
+
+  positions.on('sellFailed', ({ position, reason, error }) => {
+    console.log(`   [${position.label}] ❌ ${reason} sell failed: ${error.message} — will retry`);
+  });
+
+  positions.on('close', ({ position, reason }) => {
+    console.log(`   [${position.label}] 🏁 Position ${position.mint.slice(0, 8)}... closed (${reason})`);
+  });
+}
+
+/**
+ * Seller used by the exit manager
+ */
+function createSeller() {
+  if (REPLAY_FILE) {
+    return async (position, { percent, reason }) => {
+      console.log(`   [${position.label}] 📝 Replay: would sell ${percent.toFixed(0)}%`);
+      replaySells.push({ ts: now(), mint: position.mint, reason, percent });
+      const { tokens } = ledger.holding('replay', position.mint);
+      ledger.record(estimateTrade({
+        type: 'sell',
+        wallet: 'replay',
+        mint: position.mint,
+        strategy: position.label,
+        tokenAmount: (tokens * percent) / 100,
+        priceSol: position.lastMarketCapSol / TOKEN_TOTAL_SUPPLY
+      }));
+      return { replay: true };
+    };
+  }
+  if (SELL_VIA === 'lightning') {
+    return lightningSeller({ client, apiKey: process.env.LIGHTNING_API_KEY, slippage: SELL_SLIPPAGE });
+  }
+  return localSeller({ client, signer, sender, slippage: SELL_SLIPPAGE });
+}
+
+/**
+ * Log a new token creation event
+ */
+function logNewToken(event) {
   const { mint, name, symbol, traderPublicKey, solAmount, marketCapSol } = event;
 
   console.log(`\n🆕 NEW: ${name} (${symbol})`);
   console.log(`   Mint: ${mint}`);
   console.log(`   Creator: ${traderPublicKey.slice(0, 8)}...`);
   console.log(`   Initial: ${solAmount} SOL | MCap: ${marketCapSol?.toFixed(2)} SOL`);
+}
 
-  // Check criteria
-  const result = checkCriteria(event);
-  
-  if (!result.pass) {
-    console.log(`   ❌ Skip: ${result.reason}`);
-    return;
+function printStrategies(strategies) {
+  console.log(`   Strategies (${STRATEGY_FILE}):`);
+  for (const s of strategies) {
+    const state = s.enabled ? '' : ' (disabled)';
+    console.log(`   - ${s.name}${state}: ${s.buyAmountSol} SOL/buy, budget ${s.budgetSol} SOL, cooldown ${s.cooldownMs}ms, ${s.rules.length} rules`);
   }
+}
 
-  // Check concurrent buy limit
-  if (activeBuys >= SETTINGS.maxConcurrentBuys) {
-    console.log('   ⏳ Skip: Max concurrent buys reached');
-    return;
+function printPositions() {
+  const open = positions.list();
+  if (open.length === 0) return;
+  console.log('\n📂 Open positions (not sold):');
+  for (const p of open) {
+    const multiple = p.entryMarketCapSol ? (p.lastMarketCapSol / p.entryMarketCapSol).toFixed(2) : '?';
+    console.log(`   [${p.label}] ${p.mint}  ${p.remainingPercent.toFixed(0)}% left, ${multiple}x`);
   }
+}
 
-  // Check cooldown
-  const timeSinceLastBuy = Date.now() - lastBuyTime;
-  if (timeSinceLastBuy < SETTINGS.cooldownMs) {
-    const remaining = Math.ceil((SETTINGS.cooldownMs - timeSinceLastBuy) / 1000);
-    console.log(`   ⏳ Skip: Cooldown (${remaining}s remaining)`);
-    return;
+function printPnl() {
+  const rows = ledger.pnl('strategy');
+  if (rows.length === 0) return;
+  const sol = (n) => `${n >= 0 ? '+' : ''}${n.toFixed(4)}`;
+  console.log(`\n💰 PnL by strategy${REPLAY_FILE ? ' (estimated at event prices)' : ''}:`);
+  for (const r of rows) {
+    console.log(`   ${r.key}: realized ${sol(r.realizedSol)} SOL, unrealized ${sol(r.unrealizedSol)} SOL, fees ${r.feesSol.toFixed(4)} SOL`);
   }
-
-  console.log('   ✅ Matches criteria! Executing buy...');
-  await executeBuy(mint);
 }
 
 /**
- * Check if token matches our criteria
+ * Parse a confirmed trade from the chain into the ledger. Runs in the
+ * background — a slow RPC shouldn't hold up the next snipe.
  */
-function checkCriteria(event) {
-  const { traderPublicKey, solAmount, marketCapSol } = event;
-
-  // Check market cap
-  if (marketCapSol && marketCapSol > SETTINGS.maxMarketCapSol) {
-    return { pass: false, reason: `Market cap too high (${marketCapSol.toFixed(2)} > ${SETTINGS.maxMarketCapSol})` };
-  }
+function recordTrade(type, signature, mint, strategy, marketCapSol) {
+  ledger
+    .recordTransaction(connection, signature, {
+      type,
+      wallet: publicKey,
+      mint,
+      strategy,
+      priceSol: marketCapSol ? marketCapSol / TOKEN_TOTAL_SUPPLY : undefined
+    })
+    .catch((err) => console.log(`   ⚠️  Ledger: could not record ${type} ${signature.slice(0, 20)}...: ${err.message}`));
+}
 
-  // Check initial buy amount
-  if (solAmount < SETTINGS.minInitialBuySol) {
-    return { pass: false, reason: `Initial buy too low (${solAmount} < ${SETTINGS.minInitialBuySol})` };
+function printStats() {
+  console.log('\n📊 Strategy stats:');
+  for (const s of engine.stats()) {
+    console.log(`   ${s.name}: ${s.passed}/${s.evaluated} passed, ${s.buys} buys, ${s.spentSol.toFixed(4)} SOL spent, ${s.remainingSol.toFixed(4)} SOL left`);
   }
-
-  // Check creator whitelist (if configured)
-  if (SETTINGS.watchCreators.length > 0) {
-    if (!SETTINGS.watchCreators.includes(traderPublicKey)) {
-      return { pass: false, reason: 'Creator not in whitelist' };
-    }
-  }
-
-  return { pass: true };
 }
 
 /**
- * Execute buy transaction
+ * Execute a buy for one strategy. Returns { ok } so the engine can charge or
+ * refund the strategy's budget; pauseMs backs the strategy off after a 429.
  */
-async function executeBuy(mint) {
-  activeBuys++;
-  
-  try {
-    console.log('   📤 Building transaction...');
-
-    // 1. Build buy transaction
-    const response = await fetch(`${API_URL}/api/trade-local`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        publicKey: publicKey,
-        action: 'buy',
-        mint: mint,
-        amount: SETTINGS.buyAmountSol,
-        denominatedInSol: 'true',
-        slippage: SETTINGS.slippage,
-        priorityFee: SETTINGS.priorityFee
-      })
-    });
-
-    if (response.status !== 200) {
-      const error = await response.json();
-      console.log(`   ❌ API Error: ${error.error}`);
-      return;
+async function executeBuy(strategy, event) {
+  const { mint } = event;
+
+  if (REPLAY_FILE) {
+    console.log(`   [${strategy.name}] 📝 Replay: would buy ${strategy.buyAmountSol} SOL of ${event.symbol}`);
+    replayBuys.push({ ts: now(), mint, strategy: strategy.name });
+    if (event.marketCapSol) {
+      ledger.record(estimateTrade({
+        type: 'buy',
+        wallet: 'replay',
+        mint,
+        strategy: strategy.name,
+        solAmount: strategy.buyAmountSol,
+        priceSol: event.marketCapSol / TOKEN_TOTAL_SUPPLY,
+        priorityFeeSol: strategy.priorityFee
+      }));
     }
+    return { ok: true };
+  }
 
-    // 2. Deserialize and sign
-    const data = await response.arrayBuffer();
-    const tx = VersionedTransaction.deserialize(new Uint8Array(data));
-    tx.sign([keypair]);
-
-    // 3. Send to Solana
-    console.log('   📤 Sending transaction...');
-
-    const signature = await connection.sendTransaction(tx, {
-      skipPreflight: true,  // Skip for speed
-      maxRetries: 2
+  try {
+    console.log(`   [${strategy.name}] 📤 Building transaction...`);
+
+    // 1. Build buy transaction (throws ApiError subclasses on non-200)
+    const params = {
+      publicKey: publicKey,
+      action: 'buy',
+      mint: mint,
+      amount: strategy.buyAmountSol,
+      denominatedInSol: 'true',
+      slippage: strategy.slippage,
+      priorityFee: strategy.priorityFee
+    };
+    const tx = await client.tradeLocal(params);
+
+    // 2. Verify (payer, mint, max SOL cost within slippage, commission), then sign
+    const verify = (unsigned) => verifyTransaction(unsigned, {
+      kind: 'buy',
+      payer: publicKey,
+      mint,
+      amountSol: strategy.buyAmountSol,
+      slippage: strategy.slippage
     });
+    verify(tx);
+    await signer.signTransaction(tx);
 
-    console.log(`   ✅ Sent! ${signature.slice(0, 20)}...`);
+    // 3. Send to Solana — rebroadcasts until confirmed or the blockhash expires
+    console.log(`   [${strategy.name}] 📤 Sending transaction...`);
 
-    // 4. Wait for confirmation
-    const confirmation = await connection.confirmTransaction(signature, 'confirmed');
+    const { signature } = await sender.send(tx, {
+      rebuild: rebuildFromTradeLocal(client, params, [signer], { verify })
+    });
 
-    if (confirmation.value.err) {
-      console.log('   ❌ Transaction failed:', confirmation.value.err);
+    console.log(`   [${strategy.name}] ✅ Confirmed! ${signature.slice(0, 20)}...`);
+    console.log(`   [${strategy.name}] 🎉 SUCCESS! ${event.symbol} purchased`);
+    recordTrade('buy', signature, mint, strategy.name, event.marketCapSol);
+    return { ok: true };
+  } catch (err) {
+    const tag = `   [${strategy.name}]`;
+    // Branch on failure kind
+    if (err instanceof InstructionError && err.isSlippage) {
+      console.log(`${tag} ❌ Slippage exceeded (${err.errorName}) — price moved too fast`);
+    } else if (err instanceof InstructionError) {
+      console.log(`${tag} ❌ On-chain failure: ${err.message}`);
+    } else if (err instanceof TransactionExpiredError) {
+      console.log(`${tag} ❌ Expired before landing — skipping`);
+    } else if (err instanceof TransactionStatusError) {
+      console.log(`${tag} ⚠️ RPC lost track of ${err.signature} — it may still land, not retrying`);
+    } else if (err instanceof RateLimitError) {
+      const pauseMs = err.retryAfterMs ?? strategy.cooldownMs;
+      console.log(`${tag} ⏳ Rate limited — backing off ${pauseMs}ms`);
+      return { ok: false, error: err, pauseMs };
+    } else if (err instanceof AuthError) {
+      console.log(`${tag} ❌ Auth error: ${err.message}`);
+    } else if (err instanceof ApiValidationError) {
+      console.log(`${tag} ❌ API rejected request (${err.status}): ${err.message}`);
+    } else if (err instanceof RpcSendError) {
+      console.log(`${tag} ❌ RPC send failed: ${err.message}`);
+    } else if (err instanceof TransactionVerificationError) {
+      console.log(`${tag} ❌ Refusing to sign: ${err.problems.join('; ')}`);
     } else {
-      console.log('   🎉 SUCCESS! Token purchased');
-      lastBuyTime = Date.now();
+      console.log(`${tag} ❌ Error: ${err.message}`);
     }
-  } catch (err) {
-    console.log(`   ❌ Error: ${err.message}`);
-  } finally {
-    activeBuys--;
+    return { ok: false, error: err };
   }
 }
 
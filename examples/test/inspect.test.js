@@ -0,0 +1,168 @@
+/**
+ * Transaction verification against hand-built transactions.
+ *
+ *   node --test test/
+ */
+
+import assert from "node:assert/strict";
+import { createHash } from "node:crypto";
+import { test } from "node:test";
+import {
+  ComputeBudgetProgram,
+  Keypair,
+  PublicKey,
+  SystemProgram,
+  TransactionInstruction,
+  TransactionMessage,
+  VersionedTransaction,
+} from "@solana/web3.js";
+import bs58 from "bs58";
+import { PUMP_PROGRAM_ID, TransactionVerificationError } from "../lib/errors.js";
+import { associatedTokenAddress, TOKEN_PROGRAM_ID, verifyTransaction } from "../lib/inspect.js";
+import { closeAccount } from "../lib/tokens.js";
+
+const payer = Keypair.generate().publicKey;
+const recipient = Keypair.generate().publicKey;
+const attacker = Keypair.generate().publicKey;
+const mint = Keypair.generate().publicKey;
+const tokenAccount = new PublicKey(associatedTokenAddress(payer, mint));
+
+const transfer = { kind: "transfer", payer: payer.toBase58(), recipient: recipient.toBase58(), amount: 0.1 };
+
+/** What /api/transfer returns, plus `extra` instructions. */
+function transferTx(...extra) {
+  const message = new TransactionMessage({
+    payerKey: payer,
+    recentBlockhash: bs58.encode(Keypair.generate().publicKey.toBytes()),
+    instructions: [
+      ComputeBudgetProgram.setComputeUnitPrice({ microLamports: 1000 }),
+      SystemProgram.transfer({ fromPubkey: payer, toPubkey: recipient, lamports: 100_000_000 }),
+      ...extra,
+    ],
+  }).compileToV0Message();
+  return new VersionedTransaction(message);
+}
+
+function tokenIx(data, keys) {
+  return new TransactionInstruction({ programId: new PublicKey(TOKEN_PROGRAM_ID), keys, data: Buffer.from(data) });
+}
+
+const u64Max = [...Buffer.alloc(8, 0xff)];
+const rejects = (tx, pattern) =>
+  assert.throws(
+    () => verifyTransaction(tx, transfer),
+    (err) => err instanceof TransactionVerificationError && pattern.test(err.message),
+  );
+
+test("the plain transfer passes", () => {
+  assert.doesNotThrow(() => verifyTransaction(transferTx(), transfer));
+});
+
+test("closing the payer's own token account with rent to the payer passes", () => {
+  const close = closeAccount({ account: tokenAccount, destination: payer, owner: payer });
+  assert.doesNotThrow(() => verifyTransaction(transferTx(close), transfer));
+});
+
+test("System assign of the payer to another program is refused", () => {
+  rejects(transferTx(SystemProgram.assign({ accountPubkey: payer, programId: attacker })), /system\.assign/);
+});
+
+test("System assignWithSeed, createAccount, allocate and transferWithSeed signed by the payer are refused", async () => {
+  const seeded = { basePubkey: payer, seed: "x", programId: attacker };
+  const address = await PublicKey.createWithSeed(payer, "x", attacker);
+  rejects(transferTx(SystemProgram.assign({ accountPubkey: address, ...seeded })), /system\.assignWithSeed/);
+  rejects(
+    transferTx(SystemProgram.createAccount({ fromPubkey: payer, newAccountPubkey: attacker, lamports: 1, space: 0, programId: attacker })),
+    /system\.createAccount/,
+  );
+  rejects(transferTx(SystemProgram.allocate({ accountPubkey: payer, space: 100 })), /system\.allocate/);
+  rejects(
+    transferTx(SystemProgram.transfer({ fromPubkey: address, toPubkey: attacker, lamports: 1, ...seeded })),
+    /system\.transferWithSeed/,
+  );
+});
+
+test("SPL approve and approveChecked of u64::MAX to another wallet are refused", () => {
+  const approve = tokenIx([4, ...u64Max], [
+    { pubkey: tokenAccount, isSigner: false, isWritable: true },
+    { pubkey: attacker, isSigner: false, isWritable: false },
+    { pubkey: payer, isSigner: true, isWritable: false },
+  ]);
+  rejects(transferTx(approve), /token\.approve\b/);
+
+  const approveChecked = tokenIx([13, ...u64Max, 6], [
+    { pubkey: tokenAccount, isSigner: false, isWritable: true },
+    { pubkey: mint, isSigner: false, isWritable: false },
+    { pubkey: attacker, isSigner: false, isWritable: false },
+    { pubkey: payer, isSigner: true, isWritable: false },
+  ]);
+  rejects(transferTx(approveChecked), /token\.approveChecked/);
+});
+
+test("SPL setAuthority on the payer's token account is refused", () => {
+  const setAuthority = tokenIx([6, 2, 1, ...attacker.toBytes()], [
+    { pubkey: tokenAccount, isSigner: false, isWritable: true },
+    { pubkey: payer, isSigner: true, isWritable: false },
+  ]);
+  rejects(transferTx(setAuthority), /token\.setAuthority/);
+});
+
+test("an unknown token instruction signed by the payer is refused", () => {
+  const freeze = tokenIx([10], [
+    { pubkey: tokenAccount, isSigner: false, isWritable: true },
+    { pubkey: mint, isSigner: false, isWritable: false },
+    { pubkey: payer, isSigner: true, isWritable: false },
+  ]);
+  rejects(transferTx(freeze), /token\.freezeAccount/);
+  rejects(transferTx(tokenIx([99], [{ pubkey: payer, isSigner: true, isWritable: false }])), /token\.99/);
+});
+
+// ============================================================================
+// SELLS
+// ============================================================================
+
+/** A pump.fun sell of `tokenAmount` raw tokens with a `minSolOutput` floor, plus `commission` lamports. */
+function sellTx(tokenAmount, minSolOutput, commission) {
+  const data = Buffer.alloc(24);
+  createHash("sha256").update("global:sell").digest().copy(data, 0, 0, 8);
+  data.writeBigUInt64LE(BigInt(tokenAmount), 8);
+  data.writeBigUInt64LE(BigInt(minSolOutput), 16);
+  const keys = [recipient, recipient, mint, recipient, recipient, tokenAccount, payer].map((pubkey) => ({
+    pubkey,
+    isSigner: pubkey.equals(payer),
+    isWritable: true,
+  }));
+  const message = new TransactionMessage({
+    payerKey: payer,
+    recentBlockhash: bs58.encode(Keypair.generate().publicKey.toBytes()),
+    instructions: [
+      new TransactionInstruction({ programId: new PublicKey(PUMP_PROGRAM_ID), keys, data }),
+      SystemProgram.transfer({ fromPubkey: payer, toPubkey: attacker, lamports: commission }),
+    ],
+  }).compileToV0Message();
+  return new VersionedTransaction(message);
+}
+
+const sell = { kind: "sell", payer: payer.toBase58(), mint: mint.toBase58() };
+const noFeeWallets = { commissionWallets: [] };
+
+test("a sell of more than the requested percent of the balance is refused", () => {
+  // 1000 tokens held, 50% requested, 100% built; 0.25% of the 1 SOL expected output as commission
+  const tx = sellTx(1000e6, 850_000_000, 2_500_000);
+  const expected = { ...sell, amount: "50%", balance: 1000, slippage: 15 };
+  assert.throws(() => verifyTransaction(tx, expected, noFeeWallets), /Sells 1000000000 raw tokens/);
+  assert.doesNotThrow(() => verifyTransaction(tx, { ...expected, amount: "100%" }, noFeeWallets));
+});
+
+test("a sell of more than a token amount is refused", () => {
+  const tx = sellTx(500e6, 850_000_000, 2_500_000);
+  assert.throws(() => verifyTransaction(tx, { ...sell, amount: 400, slippage: 15 }, noFeeWallets), /more than the 400000001 requested/);
+  assert.doesNotThrow(() => verifyTransaction(tx, { ...sell, amount: 500, slippage: 15 }, noFeeWallets));
+});
+
+test("a 100% slippage sell bounds the commission by expectedSol", () => {
+  const tx = sellTx(1000e6, 0, 2_500_000);
+  assert.throws(() => verifyTransaction(tx, { ...sell, slippage: 100 }, noFeeWallets), /pass expectedSol/);
+  assert.doesNotThrow(() => verifyTransaction(tx, { ...sell, slippage: 100, expectedSol: 1 }, noFeeWallets));
+  assert.throws(() => verifyTransaction(tx, { ...sell, slippage: 100, expectedSol: 0.5 }, noFeeWallets), /Commission/);
+});
@@ -0,0 +1,160 @@
+/**
+ * TransactionSender against a mocked Connection.
+ *
+ *   node --test test/
+ */
+
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import {
+  Keypair,
+  SystemProgram,
+  TransactionMessage,
+  VersionedTransaction,
+} from "@solana/web3.js";
+import bs58 from "bs58";
+import {
+  InstructionError,
+  TransactionExpiredError,
+  TransactionStatusError,
+} from "../lib/errors.js";
+import { TransactionSender } from "../lib/sender.js";
+
+function signedTx(blockhash = bs58.encode(Keypair.generate().publicKey.toBytes())) {
+  const payer = Keypair.generate();
+  const message = new TransactionMessage({
+    payerKey: payer.publicKey,
+    recentBlockhash: blockhash,
+    instructions: [
+      SystemProgram.transfer({ fromPubkey: payer.publicKey, toPubkey: Keypair.generate().publicKey, lamports: 1 }),
+    ],
+  }).compileToV0Message();
+  const tx = new VersionedTransaction(message);
+  tx.sign([payer]);
+  return tx;
+}
+
+/**
+ * Connection stub: `statuses` is consumed one entry per getSignatureStatuses
+ * call (an Error entry rejects); the last entry repeats.
+ */
+function mockConnection({ statuses = [null], blockhashValid = [true] } = {}) {
+  const calls = { send: 0, status: 0, valid: 0 };
+  const next = (list, i) => list[Math.min(i, list.length - 1)];
+  return {
+    calls,
+    rpcEndpoint: "mock://rpc",
+    async sendRawTransaction() {
+      calls.send++;
+      return "sig";
+    },
+    async getSignatureStatuses() {
+      const status = next(statuses, calls.status++);
+      if (status instanceof Error) throw status;
+      return { value: [status] };
+    },
+    async isBlockhashValid() {
+      const valid = next(blockhashValid, calls.valid++);
+      if (valid instanceof Error) throw valid;
+      return { value: valid };
+    },
+  };
+}
+
+const fast = { pollIntervalMs: 1, rebroadcastIntervalMs: 1 };
+
+test("resolves at the target commitment and emits each level once", async () => {
+  const connection = mockConnection({
+    statuses: [null, { slot: 5, confirmationStatus: "processed" }, { slot: 5, confirmationStatus: "confirmed" }],
+  });
+  const sender = new TransactionSender({ connection, ...fast });
+  const events = [];
+  for (const name of ["sent", "processed", "confirmed", "finalized"]) sender.on(name, () => events.push(name));
+
+  const result = await sender.send(signedTx());
+  assert.equal(result.slot, 5);
+  assert.equal(result.rebuilds, 0);
+  assert.deepEqual(events, ["sent", "processed", "confirmed"]);
+});
+
+test("a transient RPC error while polling doesn't fail the send", async () => {
+  const connection = mockConnection({
+    statuses: [new Error("fetch failed"), new Error("503"), { slot: 7, confirmationStatus: "confirmed" }],
+  });
+  const sender = new TransactionSender({ connection, ...fast });
+  const errors = [];
+  sender.on("pollError", ({ consecutive }) => errors.push(consecutive));
+
+  const { slot } = await sender.send(signedTx());
+  assert.equal(slot, 7);
+  assert.deepEqual(errors, [1, 2]);
+});
+
+test("errors from isBlockhashValid count as poll errors too", async () => {
+  const connection = mockConnection({
+    statuses: [null, null, { slot: 8, confirmationStatus: "confirmed" }],
+    blockhashValid: [new Error("timeout"), true],
+  });
+  const sender = new TransactionSender({ connection, ...fast });
+  const { slot } = await sender.send(signedTx());
+  assert.equal(slot, 8);
+});
+
+test("maxPollErrors failures in a row throw TransactionStatusError and never rebuild", async () => {
+  const connection = mockConnection({ statuses: [new Error("fetch failed")] });
+  const sender = new TransactionSender({ connection, maxPollErrors: 3, ...fast });
+  let rebuilt = false;
+
+  const tx = signedTx();
+  await assert.rejects(
+    sender.send(tx, { rebuild: async () => { rebuilt = true; return signedTx(); } }),
+    (err) => {
+      assert.ok(err instanceof TransactionStatusError);
+      assert.equal(err.signature, bs58.encode(tx.signatures[0]));
+      assert.equal(err.errors, 3);
+      return true;
+    },
+  );
+  assert.equal(rebuilt, false);
+});
+
+test("an expired blockhash rebuilds, then lands", async () => {
+  const first = signedTx();
+  const second = signedTx();
+  const landed = bs58.encode(second.signatures[0]);
+  const connection = mockConnection({ blockhashValid: [false] });
+  connection.getSignatureStatuses = async ([signature]) => ({
+    value: [signature === landed ? { slot: 9, confirmationStatus: "confirmed" } : null],
+  });
+  const sender = new TransactionSender({ connection, ...fast });
+
+  const result = await sender.send(first, { rebuild: async () => second });
+  assert.equal(result.signature, landed);
+  assert.equal(result.rebuilds, 1);
+});
+
+test("a rebuild that throws emits failed with its error and rethrows it", async () => {
+  const connection = mockConnection({ blockhashValid: [false] });
+  const sender = new TransactionSender({ connection, ...fast });
+  const failed = [];
+  sender.on("failed", (event) => failed.push(event));
+
+  const tx = signedTx();
+  const boom = new Error("quote refused");
+  await assert.rejects(sender.send(tx, { rebuild: async () => { throw boom; } }), (err) => err === boom);
+  assert.deepEqual(failed, [{ signature: bs58.encode(tx.signatures[0]), error: boom }]);
+});
+
+test("an expired blockhash without rebuild throws TransactionExpiredError", async () => {
+  const connection = mockConnection({ blockhashValid: [false] });
+  const sender = new TransactionSender({ connection, ...fast });
+  await assert.rejects(sender.send(signedTx()), TransactionExpiredError);
+});
+
+test("an on-chain failure throws a decoded InstructionError", async () => {
+  const connection = mockConnection({
+    statuses: [{ slot: 3, confirmationStatus: "confirmed", err: { InstructionError: [0, { Custom: 6002 }] } }],
+  });
+  const sender = new TransactionSender({ connection, ...fast });
+  await assert.rejects(sender.send(signedTx()), InstructionError);
+});
@@ -0,0 +1,236 @@
+/**
+ * PumpDev API Example: Token Transfers & Token Account Cleanup
+ *
+ * The SOL examples (transfer.js, fund-wallets.js) go through /api/transfer;
+ * tokens are moved and cleaned up with locally built SPL Token transactions
+ * (lib/tokens.js):
+ * 1. List a wallet's (or a keystore group's) token accounts and locked rent
+ * 2. Send pump.fun / PumpSwap tokens to another wallet, creating its token
+ *    account when needed
+ * 3. Close empty — and optionally dust — token accounts across a wallet
+ *    group, several per transaction, to reclaim ~0.002 SOL rent each
+ *
+ * Commands:
+ *   node tokens.js accounts [group]
+ *   node tokens.js send <mint> <recipient> <amount|all>   recipient: address or keystore wallet name
+ *   node tokens.js cleanup [group]
+ *
+ * Without a group (or without KEYSTORE_FILE) the commands use the signer
+ * wallet: REMOTE_SIGNER_URL, keystore wallet SIGNER_WALLET, or PRIVATE_KEY.
+ *
+ * Settings (environment):
+ *   DRY_RUN          - "true": cleanup only prints what it would close; send simulates
+ *   CLEANUP_DUST     - Also burn and close accounts holding at most this many tokens (default 0)
+ *   KEEP_MINTS       - Comma-separated mints cleanup never touches
+ *   ACCOUNTS_PER_TX  - Accounts closed per transaction (default 8)
+ *   PRIORITY_FEE     - Compute unit price in micro-lamports (default none)
+ *   CLOSE_SOURCE     - "true": `send ... all` also closes the sender's token account
+ *   LEDGER_FILE      - Confirmed sends are recorded here (default ledger.jsonl)
+ *
+ * Burning dust destroys those tokens — only set CLEANUP_DUST for tokens you
+ * have given up on.
+ */
+
+import dotenv from "dotenv";
+dotenv.config();
+
+import { Connection, PublicKey } from "@solana/web3.js";
+import { TokenAccountError } from "./lib/errors.js";
+import { TOKEN_2022_PROGRAM_ID, decodeTransaction, formatInstructions } from "./lib/inspect.js";
+import { Keystore } from "./lib/keystore.js";
+import { Ledger } from "./lib/ledger.js";
+import { TransactionSender } from "./lib/sender.js";
+import { signerFromEnv } from "./lib/signer.js";
+import { formatSimulation, simulateSigned } from "./lib/simulate.js";
+import {
+  DEFAULT_ACCOUNTS_PER_TX,
+  TokenAccountCleaner,
+  buildTokenTransfer,
+  planCleanup,
+  tokenAccounts,
+} from "./lib/tokens.js";
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const RPC_URL = process.env.RPC_URL || "https://api.mainnet-beta.solana.com";
+const DRY_RUN = process.env.DRY_RUN === "true";
+const LEDGER_FILE = process.env.LEDGER_FILE || "ledger.jsonl";
+const CLEANUP_DUST = Number(process.env.CLEANUP_DUST || 0);
+const KEEP_MINTS = (process.env.KEEP_MINTS || "").split(",").map((s) => s.trim()).filter(Boolean);
+const ACCOUNTS_PER_TX = Number(process.env.ACCOUNTS_PER_TX || DEFAULT_ACCOUNTS_PER_TX);
+const PRIORITY_FEE = process.env.PRIORITY_FEE ? Number(process.env.PRIORITY_FEE) : undefined;
+
+const connection = new Connection(RPC_URL, "confirmed");
+const short = (key) => `${key.slice(0, 4)}..${key.slice(-4)}`;
+
+// ============================================================================
+// WALLETS
+// ============================================================================
+
+let keystore = null;
+async function openKeystore() {
+  if (!keystore && process.env.KEYSTORE_FILE) {
+    keystore = await Keystore.open(process.env.KEYSTORE_FILE, process.env.KEYSTORE_PASSWORD);
+  }
+  return keystore;
+}
+
+/** The group's wallets with their signers, or just the signer wallet. */
+async function loadWallets(group) {
+  const ks = await openKeystore();
+  if (group) {
+    if (!ks) throw new Error("Set KEYSTORE_FILE to use wallet groups (see wallets.js)");
+    const wallets = [];
+    for (const w of ks.list({ group })) {
+      const signer = await signerFromEnv({ name: w.name, keystore: ks, privateKey: null });
+      if (!signer) throw new Error(`No signer for "${w.name}" on the remote signer`);
+      wallets.push({ name: w.name, signer });
+    }
+    if (wallets.length === 0) throw new Error(`No wallets in group "${group}"`);
+    return wallets;
+  }
+
+  const signer = await signerFromEnv();
+  if (!signer) {
+    throw new Error("No wallet configured — set PRIVATE_KEY, KEYSTORE_FILE or REMOTE_SIGNER_URL (see lib/signer.js)");
+  }
+  return [{ name: process.env.SIGNER_WALLET || "main", signer }];
+}
+
+/** Keystore wallet name → address; anything else must be an address. */
+async function resolveRecipient(recipient) {
+  const ks = await openKeystore();
+  const wallet = ks?.find(recipient);
+  if (wallet) return wallet.publicKey;
+  return new PublicKey(recipient).toBase58();
+}
+
+// ============================================================================
+// COMMANDS
+// ============================================================================
+
+async function listAccounts(group) {
+  for (const { name, signer } of await loadWallets(group)) {
+    const owner = signer.publicKey.toBase58();
+    const accounts = await tokenAccounts(connection, owner);
+    const rent = accounts.reduce((sum, a) => sum + a.lamports, 0) / 1e9;
+    console.log(`\n👛 ${name} ${owner}: ${accounts.length} token account(s), ${rent.toFixed(6)} SOL rent`);
+    for (const a of accounts) {
+      const program = a.programId === TOKEN_2022_PROGRAM_ID ? "  (Token-2022)" : "";
+      console.log(`   ${short(a.mint)}  ${String(a.uiAmount).padStart(18)}  ${short(a.address)}  ${a.state}${program}`);
+    }
+  }
+}
+
+async function sendTokens(mint, recipient, amount) {
+  if (!mint || !recipient || !amount) {
+    throw new Error("Usage: node tokens.js send <mint> <recipient> <amount|all>");
+  }
+  const [{ signer }] = await loadWallets();
+  const owner = signer.publicKey.toBase58();
+  const to = await resolveRecipient(recipient);
+
+  console.log("=== SEND TOKENS ===\n");
+  console.log("From:", owner);
+  console.log("To:", to);
+  console.log("Mint:", mint);
+
+  const build = () =>
+    buildTokenTransfer(connection, {
+      owner,
+      recipient: to,
+      mint,
+      amount,
+      closeSource: process.env.CLOSE_SOURCE === "true",
+      priorityFee: PRIORITY_FEE,
+    });
+
+  const transfer = await build();
+  console.log(`Amount: ${Number(transfer.amountRaw) / 10 ** transfer.decimals}`);
+  if (transfer.createsAccount) console.log("Creates the recipient's token account (~0.002 SOL rent, paid by the sender)");
+  console.log();
+  formatInstructions(decodeTransaction(transfer.tx)).forEach((line) => console.log("  " + line));
+
+  await signer.signTransaction(transfer.tx);
+
+  if (DRY_RUN) {
+    const sim = await simulateSigned(connection, transfer.tx, { mint });
+    formatSimulation(sim).forEach((line) => console.log(line));
+    return;
+  }
+
+  const sender = new TransactionSender({ connection });
+  const { signature, slot } = await sender.send(transfer.tx, {
+    // Blockhash expired: rebuild and sign again
+    rebuild: async () => signer.signTransaction((await build()).tx),
+  });
+  console.log(`\n✅ Sent in slot ${slot}: https://solscan.io/tx/${signature}`);
+
+  try {
+    const ledger = new Ledger({ file: LEDGER_FILE });
+    await ledger.recordTransaction(connection, signature, { type: "transfer", wallet: owner, recipient: to, mint });
+  } catch (err) {
+    console.error("Ledger: could not record", signature, "-", err.message);
+  }
+}
+
+async function cleanup(group) {
+  const wallets = await loadWallets(group);
+  const jobs = [];
+  let totalRent = 0;
+
+  for (const { name, signer } of wallets) {
+    const owner = signer.publicKey.toBase58();
+    const plan = planCleanup(await tokenAccounts(connection, owner), { dust: CLEANUP_DUST, keepMints: KEEP_MINTS });
+    totalRent += plan.rentSol;
+
+    console.log(`\n👛 ${name}: close ${plan.close.length}, keep ${plan.skipped.length} — ${plan.rentSol.toFixed(6)} SOL rent`);
+    for (const a of plan.close) {
+      console.log(`   🧹 ${short(a.mint)}  ${a.burnRaw > 0n ? `burn ${a.uiAmount} then close` : "empty"}`);
+    }
+    for (const a of plan.skipped.filter((s) => s.reason !== "holds tokens")) {
+      console.log(`   ⏭️  ${short(a.mint)}  ${a.reason}`);
+    }
+    jobs.push({ name, signer, accounts: plan.close });
+  }
+
+  console.log(`\nReclaimable: ${totalRent.toFixed(6)} SOL across ${wallets.length} wallet(s)`);
+  if (DRY_RUN || totalRent === 0) return;
+
+  const cleaner = new TokenAccountCleaner({ connection, accountsPerTx: ACCOUNTS_PER_TX, priorityFee: PRIORITY_FEE });
+  cleaner.on("batchConfirmed", ({ name, index, accounts, rentSol, slot }) => {
+    console.log(`✅ ${name} tx ${index}: closed ${accounts.length}, +${rentSol.toFixed(6)} SOL (slot ${slot})`);
+  });
+  cleaner.on("batchFailed", ({ name, index, error }) => console.log(`❌ ${name} tx ${index}: ${error.message}`));
+
+  console.log();
+  const results = await cleaner.run(jobs);
+  const reclaimed = results.reduce((sum, r) => sum + r.rentSol, 0);
+  const failed = results.filter((r) => r.status === "failed").length;
+  console.log(`\nReclaimed ${reclaimed.toFixed(6)} SOL in ${results.length - failed} transaction(s)${failed ? `, ${failed} failed` : ""}`);
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  if (command === "accounts") return listAccounts(args[0]);
+  if (command === "send") return sendTokens(...args);
+  if (command === "cleanup") return cleanup(args[0]);
+
+  console.log("Usage: node tokens.js <accounts|send|cleanup> ...");
+  console.log("See the comment at the top of tokens.js for commands and settings.");
+}
+
+main().catch((err) => {
+  if (err instanceof TokenAccountError) {
+    console.error(`❌ ${err.message} (${err.reason})`);
+  } else {
+    console.error("❌ Error:", err.message);
+  }
+  process.exit(1);
+});
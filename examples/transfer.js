@@ -6,65 +6,107 @@
  * 2. Transfer entire wallet balance (drain)
  * 3. Batch transfers to multiple recipients
  * 
+ * Set DRY_RUN=true (or pass { dryRun: true } to transferSol) to simulate
+ * instead of sending. Confirmed transfers are recorded in the ledger
+ * (LEDGER_FILE) with their network fees.
+ * 
+ * Transfers are signed by a signer (lib/signer.js): REMOTE_SIGNER_URL, or the
+ * keystore wallet SIGNER_WALLET when KEYSTORE_FILE is set, or PRIVATE_KEY.
+ * 
  * Documentation: https://pumpdev.io/transfer
  */
 
 import dotenv from 'dotenv';
 dotenv.config();
 
-import { VersionedTransaction, Connection, Keypair, PublicKey, LAMPORTS_PER_SOL } from '@solana/web3.js';
-import bs58 from 'bs58';
+import { Connection, PublicKey, LAMPORTS_PER_SOL } from '@solana/web3.js';
+import { PumpDevClient } from './lib/client.js';
+import { ApiError, RateLimitError, InstructionError } from './lib/errors.js';
+import { verifyTransaction } from './lib/inspect.js';
+import { Ledger } from './lib/ledger.js';
+import { signerFromEnv } from './lib/signer.js';
+import { formatSimulation, simulateSigned } from './lib/simulate.js';
 
 // Configuration
-const API_URL = process.env.PUMPDEV_API_URL || 'https://pumpdev.io';
+const client = new PumpDevClient(); // uses PUMPDEV_API_URL or https://pumpdev.io
 const RPC_URL = process.env.RPC_URL || 'https://api.mainnet-beta.solana.com';
-const PRIVATE_KEY = process.env.PRIVATE_KEY;
+const DRY_RUN = process.env.DRY_RUN === 'true';
+const LEDGER_FILE = process.env.LEDGER_FILE || 'ledger.jsonl';
+
+/**
+ * Record a confirmed transfer in the ledger
+ */
+async function recordTransfer(connection, signature, wallet, recipient) {
+  try {
+    const ledger = new Ledger({ file: LEDGER_FILE });
+    await ledger.recordTransaction(connection, signature, { type: 'transfer', wallet, recipient });
+  } catch (err) {
+    console.error('Ledger: could not record', signature, '-', err.message);
+  }
+}
 
-// Validate environment
-if (!PRIVATE_KEY) {
-  console.error('❌ PRIVATE_KEY not set in environment variables!');
-  console.error('   Copy .env.example to .env and add your private key');
+// Signer: remote service, keystore wallet or PRIVATE_KEY
+const signer = await signerFromEnv();
+if (!signer) {
+  console.error('❌ No wallet configured!');
+  console.error('   Copy .env.example to .env and add your private key,');
+  console.error('   or set KEYSTORE_FILE / REMOTE_SIGNER_URL (see lib/signer.js)');
   process.exit(1);
 }
 
 /**
  * Transfer a specific amount of SOL
  */
-async function transferSol(toAddress, amountSol) {
+async function transferSol(toAddress, amountSol, { dryRun = DRY_RUN } = {}) {
   console.log('=== TRANSFER SOL ===\n');
 
-  const keypair = Keypair.fromSecretKey(bs58.decode(PRIVATE_KEY));
-  const publicKey = keypair.publicKey.toBase58();
+  const publicKey = signer.publicKey.toBase58();
 
   console.log('From:', publicKey);
   console.log('To:', toAddress);
   console.log('Amount:', amountSol, 'SOL');
 
   // Build transfer transaction
-  const response = await fetch(`${API_URL}/api/transfer`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
+  let tx;
+  try {
+    tx = await client.transfer({
       publicKey: publicKey,
       recipient: toAddress,
       amount: amountSol,
-    })
-  });
+    });
+  } catch (err) {
+    console.error('API Error:', err.message);
+    return null;
+  }
 
-  if (response.status !== 200) {
-    const error = await response.json();
-    console.error('API Error:', error);
+  // Verify: exactly one transfer of amountSol to the recipient, no extra fees
+  try {
+    verifyTransaction(tx, {
+      kind: 'transfer',
+      payer: publicKey,
+      recipient: toAddress,
+      amount: amountSol,
+    });
+  } catch (err) {
+    console.error('Refusing to sign:', err.message);
     return null;
   }
 
-  // Deserialize and sign
-  const data = await response.arrayBuffer();
-  const tx = VersionedTransaction.deserialize(new Uint8Array(data));
-  tx.sign([keypair]);
+  // Sign
+  await signer.signTransaction(tx);
 
-  // Send to Solana
   const connection = new Connection(RPC_URL, 'confirmed');
 
+  // Dry run: simulate and return the expected balance change without sending
+  if (dryRun) {
+    console.log('\n🧪 DRY RUN — simulating, not sending');
+    const sim = await simulateSigned(connection, tx);
+    formatSimulation(sim).forEach((line) => console.log('   ' + line));
+    return sim;
+  }
+
+  // Send to Solana
+
   try {
     const signature = await connection.sendTransaction(tx, {
       skipPreflight: false,
@@ -76,6 +118,7 @@ async function transferSol(toAddress, amountSol) {
 
     await connection.confirmTransaction(signature, 'confirmed');
     console.log('Transfer complete!');
+    await recordTransfer(connection, signature, publicKey, toAddress);
     
     return signature;
   } catch (err) {
@@ -90,8 +133,7 @@ async function transferSol(toAddress, amountSol) {
 async function transferAllSol(toAddress) {
   console.log('\n=== TRANSFER ALL SOL ===\n');
 
-  const keypair = Keypair.fromSecretKey(bs58.decode(PRIVATE_KEY));
-  const publicKey = keypair.publicKey.toBase58();
+  const publicKey = signer.publicKey.toBase58();
   const connection = new Connection(RPC_URL, 'confirmed');
 
   // Check current balance
@@ -101,28 +143,32 @@ async function transferAllSol(toAddress) {
   console.log('Current balance:', (balance / LAMPORTS_PER_SOL).toFixed(4), 'SOL');
 
   // Build transfer-all transaction
-  const response = await fetch(`${API_URL}/api/transfer-all`, {
-    method: 'POST',
-    headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({
+  let result;
+  try {
+    result = await client.transferAll({
       publicKey: publicKey,
       recipient: toAddress,
-    })
-  });
-
-  if (response.status !== 200) {
-    const error = await response.json();
-    console.error('API Error:', error);
+    });
+  } catch (err) {
+    console.error('API Error:', err.message);
     return null;
   }
 
-  const result = await response.json();
   console.log('Estimated transfer:', result.estimatedAmount, 'SOL');
   console.log('Estimated fees:', result.estimatedFees, 'SOL');
 
-  // Deserialize and sign
-  const tx = VersionedTransaction.deserialize(bs58.decode(result.transaction));
-  tx.sign([keypair]);
+  // Verify: one transfer, to the recipient, and nothing else leaving the
+  // wallet (the amount is the balance minus fees, so it isn't pinned)
+  const tx = result.tx;
+  try {
+    verifyTransaction(tx, { kind: 'transfer', payer: publicKey, recipient: toAddress });
+  } catch (err) {
+    console.error('Refusing to sign:', err.message);
+    return null;
+  }
+
+  // Sign (client already deserialized the base58 transaction)
+  await signer.signTransaction(tx);
 
   // Send to Solana
   try {
@@ -135,6 +181,7 @@ async function transferAllSol(toAddress) {
     console.log('Signature:', signature);
 
     await connection.confirmTransaction(signature, 'confirmed');
+    await recordTransfer(connection, signature, publicKey, toAddress);
     
     // Check final balance
     const finalBalance = await connection.getBalance(new PublicKey(publicKey));
@@ -148,13 +195,13 @@ async function transferAllSol(toAddress) {
 }
 
 /**
- * Batch transfer to multiple recipients
+ * Batch transfer to multiple recipients, one transaction each.
+ * fund-wallets.js packs several transfers per transaction and sends them in parallel.
  */
 async function batchTransfer(recipients) {
   console.log('\n=== BATCH TRANSFER ===\n');
 
-  const keypair = Keypair.fromSecretKey(bs58.decode(PRIVATE_KEY));
-  const publicKey = keypair.publicKey.toBase58();
+  const publicKey = signer.publicKey.toBase58();
   const connection = new Connection(RPC_URL, 'confirmed');
 
   console.log('From:', publicKey);
@@ -168,38 +215,37 @@ async function batchTransfer(recipients) {
     console.log(`📤 Sending ${rcpt.amount} SOL to ${rcpt.address.slice(0, 8)}...`);
 
     try {
-      const response = await fetch(`${API_URL}/api/transfer`, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          publicKey: publicKey,
-          recipient: rcpt.address,
-          amount: rcpt.amount,
-            })
+      const tx = await client.transfer({
+        publicKey: publicKey,
+        recipient: rcpt.address,
+        amount: rcpt.amount,
       });
-
-      if (response.status !== 200) {
-        const error = await response.json();
-        console.log(`   ❌ Error: ${error.error}`);
-        continue;
-      }
-
-      const data = await response.arrayBuffer();
-      const tx = VersionedTransaction.deserialize(new Uint8Array(data));
-      tx.sign([keypair]);
+      verifyTransaction(tx, { kind: 'transfer', payer: publicKey, recipient: rcpt.address, amount: rcpt.amount });
+      await signer.signTransaction(tx);
 
       const signature = await connection.sendTransaction(tx, {
         skipPreflight: false,
         maxRetries: 3
       });
 
-      await connection.confirmTransaction(signature, 'confirmed');
+      const confirmation = await connection.confirmTransaction(signature, 'confirmed');
+      if (confirmation.value.err) {
+        throw InstructionError.fromTransactionError(confirmation.value.err, { signature, tx });
+      }
       
       console.log(`   ✅ Success: ${signature.slice(0, 20)}...`);
+      await recordTransfer(connection, signature, publicKey, rcpt.address);
       successCount++;
       totalSent += rcpt.amount;
     } catch (err) {
-      console.log(`   ❌ Error: ${err.message}`);
+      if (err instanceof RateLimitError && err.retryAfterMs) {
+        console.log(`   ⏳ Rate limited, waiting ${err.retryAfterMs}ms`);
+        await new Promise(resolve => setTimeout(resolve, err.retryAfterMs));
+      } else if (err instanceof ApiError) {
+        console.log(`   ❌ API Error (${err.status}): ${err.message}`);
+      } else {
+        console.log(`   ❌ Error: ${err.message}`);
+      }
     }
 
     // Small delay between transfers
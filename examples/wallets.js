@@ -0,0 +1,168 @@
+/**
+ * PumpDev API Example: Wallet Manager
+ *
+ * Manage named wallets in a password-encrypted keystore (lib/keystore.js)
+ * instead of plaintext PRIVATE_KEY / CREATOR_KEY / BUYER1_KEY env vars:
+ * 1. Create a keystore and import the keys from your current .env
+ * 2. Generate local wallets or create Lightning wallets (keeps the API key)
+ * 3. Label and group wallets ("snipers", "bundlers") for bundle.js and
+ *    buy-sell.js
+ *
+ * Commands:
+ *   node wallets.js init
+ *   node wallets.js import-env                      PRIVATE_KEY, PRIVATE_KEY_2, CREATOR_KEY, BUYER1..3_KEY
+ *   node wallets.js generate <name> [--group g] [--label l]
+ *   node wallets.js lightning-create <name> [--group g] [--label l]
+ *   node wallets.js lightning-import <name>         register a stored key with Lightning
+ *   node wallets.js list [--group g] [--label l]
+ *   node wallets.js group <name> <group>  /  ungroup <name> <group>
+ *   node wallets.js export <name>                   print the base58 private key
+ *   node wallets.js remove <name>
+ *   node wallets.js passwd                          re-encrypt with NEW_KEYSTORE_PASSWORD
+ *
+ * Settings (environment):
+ *   KEYSTORE_FILE     - Keystore path (default wallets.keystore.json)
+ *   KEYSTORE_PASSWORD - Password (prompted for when not set)
+ *
+ * Documentation: https://pumpdev.io/lightning-setup
+ */
+
+import dotenv from "dotenv";
+dotenv.config();
+
+import { createInterface } from "node:readline/promises";
+import { PumpDevClient } from "./lib/client.js";
+import { KeystoreError } from "./lib/errors.js";
+import { Keystore } from "./lib/keystore.js";
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+const client = new PumpDevClient(); // uses PUMPDEV_API_URL or https://pumpdev.io
+const KEYSTORE_FILE = process.env.KEYSTORE_FILE || "wallets.keystore.json";
+
+// import-env: env var → wallet name and groups
+const ENV_WALLETS = [
+  { env: "PRIVATE_KEY", name: "main", groups: [] },
+  { env: "PRIVATE_KEY_2", name: "main2", groups: [] },
+  { env: "CREATOR_KEY", name: "creator", groups: ["bundlers"] },
+  { env: "BUYER1_KEY", name: "buyer1", groups: ["bundlers"] },
+  { env: "BUYER2_KEY", name: "buyer2", groups: ["bundlers"] },
+  { env: "BUYER3_KEY", name: "buyer3", groups: ["bundlers"] },
+];
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/** Positional arguments plus --group / --label (repeatable). */
+function parseArgs(argv) {
+  const args = { positional: [], groups: [], labels: [] };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === "--group") args.groups.push(argv[++i]);
+    else if (argv[i] === "--label") args.labels.push(argv[++i]);
+    else args.positional.push(argv[i]);
+  }
+  return args;
+}
+
+async function password() {
+  if (process.env.KEYSTORE_PASSWORD) return process.env.KEYSTORE_PASSWORD;
+  const rl = createInterface({ input: process.stdin, output: process.stdout });
+  const answer = await rl.question("Keystore password (input is visible — prefer KEYSTORE_PASSWORD): ");
+  rl.close();
+  return answer;
+}
+
+function printWallet(w) {
+  const tags = [
+    w.groups.length ? `groups: ${w.groups.join(", ")}` : null,
+    w.labels.length ? `labels: ${w.labels.join(", ")}` : null,
+    w.hasApiKey ? "⚡ lightning" : null,
+  ].filter(Boolean);
+  console.log(`  ${w.name.padEnd(12)} ${w.publicKey}${tags.length ? `  (${tags.join("; ")})` : ""}`);
+}
+
+function usage() {
+  console.log("Usage: node wallets.js <init|import-env|generate|lightning-create|lightning-import|list|group|ungroup|export|remove|passwd> ...");
+  console.log("See the comment at the top of wallets.js for details.");
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+  const [command, ...rest] = process.argv.slice(2);
+  const { positional, groups, labels } = parseArgs(rest);
+  const [name, group] = positional;
+
+  if (!command) return usage();
+
+  if (command === "init") {
+    await Keystore.create(KEYSTORE_FILE, await password());
+    console.log(`🔐 Created ${KEYSTORE_FILE}`);
+    return;
+  }
+
+  const keystore = await Keystore.open(KEYSTORE_FILE, await password());
+
+  switch (command) {
+    case "import-env": {
+      for (const { env, name: walletName, groups: walletGroups } of ENV_WALLETS) {
+        const key = process.env[env];
+        if (!key || key.startsWith("YOUR_")) continue;
+        try {
+          printWallet(keystore.add({ name: walletName, secretKey: key, groups: walletGroups }));
+        } catch (err) {
+          if (!(err instanceof KeystoreError && err.reason === "duplicate")) throw err;
+          console.log(`  ${walletName.padEnd(12)} skipped: ${err.message}`);
+        }
+      }
+      console.log("\n✅ Imported. You can now remove the plaintext keys from .env");
+      break;
+    }
+    case "generate":
+      printWallet(keystore.generate(name, { groups, labels }));
+      break;
+    case "lightning-create":
+      printWallet(await keystore.createLightningWallet(client, name, { groups, labels }));
+      break;
+    case "lightning-import":
+      printWallet(await keystore.importLightningWallet(client, name));
+      break;
+    case "list": {
+      const wallets = keystore.list({ group: groups[0], label: labels[0] });
+      console.log(`🔐 ${KEYSTORE_FILE}: ${wallets.length} wallet(s)\n`);
+      wallets.forEach(printWallet);
+      if (keystore.groups().length) console.log(`\nGroups: ${keystore.groups().join(", ")}`);
+      break;
+    }
+    case "group":
+      printWallet(keystore.addToGroup(name, group));
+      break;
+    case "ungroup":
+      printWallet(keystore.removeFromGroup(name, group));
+      break;
+    case "export":
+      console.log(keystore.secret(name).privateKey);
+      break;
+    case "remove":
+      keystore.remove(name);
+      console.log(`🗑️  Removed ${name}`);
+      break;
+    case "passwd":
+      if (!process.env.NEW_KEYSTORE_PASSWORD) throw new Error("Set NEW_KEYSTORE_PASSWORD");
+      await keystore.changePassword(process.env.NEW_KEYSTORE_PASSWORD);
+      console.log("🔐 Password changed");
+      break;
+    default:
+      usage();
+  }
+}
+
+main().catch((err) => {
+  console.error("❌ Error:", err.message);
+  process.exit(1);
+});
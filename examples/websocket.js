@@ -6,15 +6,29 @@
  * 2. Subscribe to new token launches
  * 3. Subscribe to specific token trades
  * 4. Track wallet activity
+ * 5. Survive disconnects — auto-reconnect with subscriptions restored
+ * 6. Record events to a JSONL file (RECORD_FILE) and replay them offline
+ *    through the same handlers (REPLAY_FILE, REPLAY_SPEED)
+ * 7. Handle typed, validated events — numbers normalized, source tagged
+ *    (bonding curve vs PumpSwap), system messages routed separately
  * 
  * Documentation: https://pumpdev.io/data-api
  */
 
-import WebSocket from 'ws';
+import { PumpDevFeed } from './lib/ws-events.js';
+import { EventRecorder, replayRecording } from './lib/ws-record.js';
 
 // Configuration
 const WS_URL = process.env.PUMPDEV_WS_URL || 'wss://pumpdev.io/ws';
 
+// Recording / replay
+// RECORD_FILE=events.jsonl  → append every create/buy/sell/complete/create_pool event
+// REPLAY_FILE=events.jsonl  → replay a recording instead of connecting
+// REPLAY_SPEED=10           → 1 = real time (default), 0 = as fast as possible
+const RECORD_FILE = process.env.RECORD_FILE;
+const REPLAY_FILE = process.env.REPLAY_FILE;
+const REPLAY_SPEED = Number(process.env.REPLAY_SPEED ?? 1);
+
 // Tokens to monitor (add your token mint addresses)
 const TOKEN_MINTS = [
   // 'YourTokenMintAddress1',
@@ -29,144 +43,184 @@ const WATCH_WALLETS = [
 
 async function main() {
   console.log('=== PUMPDEV WEBSOCKET EXAMPLE ===\n');
-  console.log('Connecting to:', WS_URL);
-
-  const ws = new WebSocket(WS_URL);
 
-  // Connection opened
-  ws.on('open', () => {
-    console.log('✅ Connected to WebSocket\n');
+  if (REPLAY_FILE) {
+    await replay();
+    return;
+  }
 
-    // Subscribe to NEW TOKEN launches (most active feed)
-    console.log('📡 Subscribing to new token launches...');
-    ws.send(JSON.stringify({
-      method: 'subscribeNewToken'
-    }));
-
-    // Subscribe to specific token trades (if configured)
-    if (TOKEN_MINTS.length > 0) {
-      console.log('📡 Subscribing to token trades...');
-      ws.send(JSON.stringify({
-        method: 'subscribeTokenTrade',
-        keys: TOKEN_MINTS
-      }));
-    }
-
-    // Subscribe to wallet activity (if configured)
-    if (WATCH_WALLETS.length > 0) {
-      console.log('📡 Subscribing to wallet activity...');
-      ws.send(JSON.stringify({
-        method: 'subscribeAccountTrade',
-        keys: WATCH_WALLETS
-      }));
-    }
-
-    console.log('\n🎯 Waiting for events...\n');
-  });
+  console.log('Connecting to:', WS_URL);
 
-  // Handle incoming messages
-  ws.on('message', (data) => {
-    try {
-      const message = JSON.parse(data.toString());
+  // Typed feed over a socket that reconnects with backoff and re-sends every
+  // subscription below after a drop
+  const feed = new PumpDevFeed({ url: WS_URL });
+  registerHandlers(feed);
 
-      // Handle system messages
-      switch (message.type) {
-        case 'connected':
-          console.log('📡 Connection confirmed:', message.message);
-          return;
+  // Record raw messages exactly as received
+  const recorder = RECORD_FILE ? new EventRecorder(RECORD_FILE) : null;
+  if (recorder) {
+    console.log('⏺️  Recording events to:', RECORD_FILE);
+    feed.socket.on('message', (message) => recorder.record(message));
+  }
 
-        case 'subscribed':
-          console.log(`✅ Subscribed to ${message.method}:`, message.keys || 'all');
-          return;
+  // Subscribe to NEW TOKEN launches (most active feed)
+  console.log('📡 Subscribing to new token launches...');
+  feed.subscribeNewToken();
 
-        case 'unsubscribed':
-          console.log(`🔕 Unsubscribed from ${message.method}`);
-          return;
+  // Subscribe to specific token trades (if configured)
+  if (TOKEN_MINTS.length > 0) {
+    console.log('📡 Subscribing to token trades...');
+    feed.subscribeTokenTrade(TOKEN_MINTS);
+  }
 
-        case 'error':
-          console.error('❌ Error:', message.message);
-          return;
-      }
+  // Subscribe to wallet activity (if configured)
+  if (WATCH_WALLETS.length > 0) {
+    console.log('📡 Subscribing to wallet activity...');
+    feed.subscribeAccountTrade(WATCH_WALLETS);
+  }
 
-      // Handle trade events
-      handleTradeEvent(message);
-    } catch (err) {
-      console.error('Parse error:', err.message);
-    }
+  // Connection opened (subscriptions are sent as soon as the socket opens)
+  feed.on('open', () => {
+    console.log('✅ Connected to WebSocket\n');
+    console.log('🎯 Waiting for events...\n');
   });
 
   // Handle errors
-  ws.on('error', (err) => {
+  feed.on('error', (err) => {
     console.error('WebSocket error:', err.message);
   });
 
-  // Handle close
-  ws.on('close', () => {
+  // Connection lifecycle
+  feed.on('disconnect', () => {
     console.log('\n🔌 WebSocket disconnected');
   });
 
+  feed.on('reconnecting', ({ attempt, delayMs }) => {
+    console.log(`↻ Reconnecting in ${delayMs}ms (attempt ${attempt})...`);
+  });
+
+  feed.on('gap', ({ downtimeMs }) => {
+    console.log(`⚠️  Reconnected after ${(downtimeMs / 1000).toFixed(1)}s — events in that window were missed`);
+  });
+
   // Graceful shutdown (Ctrl+C)
   process.on('SIGINT', () => {
     console.log('\nClosing connection...');
-    
+
     // Unsubscribe before closing
-    ws.send(JSON.stringify({ method: 'unsubscribeNewToken' }));
-    
-    if (TOKEN_MINTS.length > 0) {
-      ws.send(JSON.stringify({ 
-        method: 'unsubscribeTokenTrade', 
-        keys: TOKEN_MINTS 
-      }));
-    }
-    
-    if (WATCH_WALLETS.length > 0) {
-      ws.send(JSON.stringify({ 
-        method: 'unsubscribeAccountTrade', 
-        keys: WATCH_WALLETS 
-      }));
-    }
-
-    setTimeout(() => {
-      ws.close();
+    feed.unsubscribeNewToken();
+    feed.unsubscribeTokenTrade(TOKEN_MINTS);
+    feed.unsubscribeAccountTrade(WATCH_WALLETS);
+
+    setTimeout(async () => {
+      feed.close();
+      if (recorder) {
+        await recorder.close();
+        console.log(`⏺️  Recorded ${recorder.count} events to ${RECORD_FILE}`);
+      }
       process.exit(0);
     }, 500);
   });
 }
 
 /**
- * Handle trade/create events
+ * Replay a recorded JSONL file through the same typed handlers instead of the live feed
+ */
+async function replay() {
+  const speed = REPLAY_SPEED > 0 ? REPLAY_SPEED : Infinity;
+  console.log(`⏯️  Replaying ${REPLAY_FILE} (${Number.isFinite(speed) ? `${speed}x` : 'no delays'})\n`);
+
+  const feed = new PumpDevFeed({ autoConnect: false });
+  registerHandlers(feed);
+
+  const { count, firstTs, lastTs, durationMs } = await replayRecording(
+    REPLAY_FILE,
+    (event, { ts }) => feed.dispatch(event, { ts }),
+    { speed }
+  );
+
+  const span = firstTs === null ? 0 : (lastTs - firstTs) / 1000;
+  console.log(`\n⏹️  Replayed ${count} events (${span.toFixed(1)}s recorded) in ${(durationMs / 1000).toFixed(1)}s`);
+}
+
+/**
+ * Attach the handlers. Every listener gets a validated event (numbers are
+ * numbers, `source` is "pump" or "pumpswap") and { ts } — the receive time,
+ * or the recorded time when replaying.
+ */
+function registerHandlers(feed) {
+  // System messages never reach the market handlers
+  feed.on('connected', (message) => {
+    console.log('📡 Connection confirmed:', message.message);
+  });
+
+  feed.on('subscribed', (message) => {
+    console.log(`✅ Subscribed to ${message.method}:`, message.keys || 'all');
+  });
+
+  feed.on('unsubscribed', (message) => {
+    console.log(`🔕 Unsubscribed from ${message.method}`);
+  });
+
+  feed.on('serverError', (message) => {
+    console.error('❌ Error:', message.message);
+  });
+
+  // Messages that failed validation
+  feed.on('invalid', ({ problems }) => {
+    console.warn(`⚠️  Ignored malformed event: ${problems.join('; ')}`);
+  });
+
+  feed.on('create', handleNewToken);
+  feed.on('trade', handleTrade);
+
+  feed.on('complete', (event, { ts }) => {
+    // 🔄 Bonding curve filled — liquidity migrates to PumpSwap
+    console.log(`\n🔄 [${new Date(ts).toISOString()}] MIGRATION: ${event.mint} bonding curve completed`);
+  });
+
+  feed.on('create_pool', (event, { ts }) => {
+    console.log(`\n🏊 [${new Date(ts).toISOString()}] POOL CREATED: ${event.mint} -> ${event.pool}`);
+  });
+}
+
+/**
+ * Handle new token events
+ */
+function handleNewToken(event, { ts }) {
+  // 🆕 New token created
+  console.log(`\n🆕 [${new Date(ts).toISOString()}] NEW TOKEN`);
+  console.log(`   Name: ${event.name} (${event.symbol})`);
+  console.log(`   Mint: ${event.mint}`);
+  console.log(`   Creator: ${event.traderPublicKey}`);
+  console.log(`   Initial Buy: ${event.solAmount} SOL`);
+  if (event.marketCapSol !== null) console.log(`   Market Cap: ${event.marketCapSol.toFixed(2)} SOL`);
+  console.log(`   🔗 https://pump.fun/${event.mint}`);
+}
+
+/**
+ * Handle buy/sell events (bonding curve or PumpSwap)
  */
-function handleTradeEvent(event) {
-  const timestamp = new Date().toISOString();
-
-  if (event.txType === 'create') {
-    // 🆕 New token created
-    console.log(`\n🆕 [${timestamp}] NEW TOKEN`);
-    console.log(`   Name: ${event.name} (${event.symbol})`);
-    console.log(`   Mint: ${event.mint}`);
-    console.log(`   Creator: ${event.traderPublicKey}`);
-    console.log(`   Initial Buy: ${event.solAmount} SOL`);
-    console.log(`   Market Cap: ${event.marketCapSol?.toFixed(2)} SOL`);
-    console.log(`   🔗 https://pump.fun/${event.mint}`);
-  } 
-  else if (event.txType === 'buy') {
+function handleTrade(event, { ts }) {
+  const timestamp = new Date(ts).toISOString();
+  const where = event.source === 'pumpswap' ? 'PumpSwap' : 'bonding curve';
+
+  if (event.txType === 'buy') {
     // 💚 Buy event
-    console.log(`\n💚 [${timestamp}] BUY`);
+    console.log(`\n💚 [${timestamp}] BUY (${where})`);
     console.log(`   Token: ${event.mint}`);
     console.log(`   Trader: ${event.traderPublicKey}`);
     console.log(`   Amount: +${event.solAmount} SOL`);
-    console.log(`   Tokens: ${event.tokenAmount?.toLocaleString()}`);
-    console.log(`   Market Cap: ${event.marketCapSol?.toFixed(2)} SOL`);
-  } 
-  else if (event.txType === 'sell') {
+  } else {
     // 🔴 Sell event
-    console.log(`\n🔴 [${timestamp}] SELL`);
+    console.log(`\n🔴 [${timestamp}] SELL (${where})`);
     console.log(`   Token: ${event.mint}`);
     console.log(`   Trader: ${event.traderPublicKey}`);
     console.log(`   Amount: -${event.solAmount} SOL`);
-    console.log(`   Tokens: ${event.tokenAmount?.toLocaleString()}`);
-    console.log(`   Market Cap: ${event.marketCapSol?.toFixed(2)} SOL`);
   }
+  console.log(`   Tokens: ${event.tokenAmount.toLocaleString()}`);
+  if (event.pool) console.log(`   Pool: ${event.pool}`);
+  if (event.marketCapSol !== null) console.log(`   Market Cap: ${event.marketCapSol.toFixed(2)} SOL`);
 }
 
 main();